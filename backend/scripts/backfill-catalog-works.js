@@ -0,0 +1,42 @@
+// One-off: resolve existing collection entries to catalog works.
+// Entries added before the Work/Edition catalog have no workId, so other
+// editions of the same book are not recognized as duplicates. Reuses the
+// app's catalogService so matching is identical to new adds.
+import "./loadEnv.js"; // MUST be first — loads backend/.env before other imports
+import mongoose from "mongoose";
+import BookCollection from "../src/models/BookCollection.js";
+import catalogService from "../src/services/catalogService.js";
+
+const uri = process.env.MONGODB_URI;
+if (!uri) throw new Error("MONGODB_URI not set");
+
+await mongoose.connect(uri, { family: 4, serverSelectionTimeoutMS: 5000 });
+
+const collections = await BookCollection.find({
+  books: { $elemMatch: { $or: [{ workId: null }, { workId: { $exists: false } }] } },
+});
+
+let resolved = 0;
+let pending = 0;
+for (const collection of collections) {
+  let changed = false;
+  for (const book of collection.books) {
+    if (book.workId) continue;
+    pending++;
+    const workId = await catalogService.resolveWorkId({ ...book.toObject(), id: book.bookId });
+    if (workId) {
+      book.workId = workId;
+      changed = true;
+      resolved++;
+    } else {
+      console.log(`SKIP  ${book.title} (${book.bookId})`);
+    }
+  }
+  if (changed) {
+    await collection.save();
+    console.log(`OK    ${collection.name} (${collection._id})`);
+  }
+}
+
+console.log(`\ndone: ${resolved}/${pending} entries resolved in ${collections.length} collections`);
+await mongoose.connection.close();
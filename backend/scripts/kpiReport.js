@@ -19,8 +19,9 @@ async function main() {
 
   await mongoose.connect(uri, { family: 4, serverSelectionTimeoutMS: 5000 });
 
-  const [overview, topBooks, topQueries, daily] = await Promise.all([
+  const [overview, funnel, topBooks, topQueries, daily] = await Promise.all([
     analyticsService.getOverview(),
+    analyticsService.getFunnel({ days: 30 }),
     analyticsService.getTopBooks({ days: 30, limit: 10 }),
     analyticsService.getTopQueries({ days: 30, limit: 10 }),
     analyticsService.getDailyClicks({ days: 14 }),
@@ -40,6 +41,11 @@ async function main() {
   lines.push(`  CTR:         ${ctr}`);
   lines.push(`  Unique books clicked: ${overview.uniqueBooksClicked}`);
   lines.push("");
+  lines.push("Funnel (30d):");
+  const { impressions: fi, views: fv, clicks: fc, viewRate, clickRate, conversion } = funnel.total;
+  lines.push(`  ${fi} impressions → ${fv} detail views (${pct(viewRate)}) → ${fc} clicks (${pct(clickRate)})`);
+  lines.push(`  Impression to click: ${pct(conversion)}`);
+  lines.push("");
   lines.push("Clicks by source:");
   for (const s of overview.clicksBySource || []) lines.push(`  ${s.source}: ${s.count}`);
   lines.push("");
@@ -0,0 +1,76 @@
+/**
+ * One-off: move existing users onto the role model in config/permissions.js.
+ *
+ * - Legacy role names (LEGACY_ROLES, e.g. "chefaodacasa") become their new role.
+ * - Missing or unknown roles become "user".
+ * - `--promote <email>` makes that account an admin (bootstraps the first
+ *   admin; afterwards use PATCH /api/admin/users/:id).
+ *
+ * Every changed user gets a tokenVersion bump, so tokens carrying the old
+ * role stop working and the next sign-in carries the new one. Safe to re-run.
+ *
+ * Usage (from backend/):
+ *   node scripts/migrateRoles.js                          # migrate
+ *   node scripts/migrateRoles.js --dry-run                # count, change nothing
+ *   node scripts/migrateRoles.js --promote ada@example.com
+ */
+import "./loadEnv.js"; // MUST be first — loads backend/.env before other modules read process.env
+
+import mongoose from "mongoose";
+import User from "../src/models/User.js";
+import { LEGACY_ROLES, ROLES } from "../src/config/permissions.js";
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+};
+
+async function migrate(filter, role, dryRun) {
+  if (dryRun) return User.countDocuments(filter);
+  const result = await User.updateMany(filter, { $set: { role }, $inc: { tokenVersion: 1 } });
+  return result.modifiedCount;
+}
+
+async function main() {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) throw new Error("MONGODB_URI is not set");
+
+  await mongoose.connect(uri, { family: 4, serverSelectionTimeoutMS: 5000 });
+
+  const dryRun = process.argv.includes("--dry-run");
+  const prefix = dryRun ? "[dry run] " : "";
+
+  for (const [legacy, role] of Object.entries(LEGACY_ROLES)) {
+    const count = await migrate({ role: legacy }, role, dryRun);
+    console.log(`${prefix}${legacy} -> ${role}: ${count}`);
+  }
+
+  const unknown = [...ROLES, ...Object.keys(LEGACY_ROLES)];
+  const count = await migrate({ role: { $nin: unknown } }, "user", dryRun);
+  console.log(`${prefix}missing/unknown -> user: ${count}`);
+
+  const email = argValue("--promote");
+  if (email) {
+    const user = await User.findOne({ email: email.toLowerCase() }).select("role");
+    if (!user) throw new Error(`No user with email ${email}`);
+    if (user.role === "admin") {
+      console.log(`${email} is already an admin`);
+    } else {
+      if (!dryRun) await migrate({ _id: user._id }, "admin", false);
+      console.log(`${prefix}${email}: ${user.role || "none"} -> admin`);
+    }
+  }
+
+  const totals = await User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]);
+  console.log(`Users by role: ${totals.map((t) => `${t._id ?? "none"}=${t.count}`).join(", ")}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("Role migration failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.connection.close();
+    process.exit(process.exitCode ?? 0);
+  });
@@ -0,0 +1,21 @@
+/**
+ * Local mock Google / GitHub OAuth provider for development. Every sign-in
+ * is approved as "Ada Reader" (ada@example.com, verified).
+ *
+ * Usage (from backend/):
+ *   node scripts/mockOAuthProvider.js   # listens on MOCK_OAUTH_PORT (default 4010)
+ *
+ * Then start the API with:
+ *   OAUTH_MOCK_URL=http://127.0.0.1:4010
+ *   GOOGLE_CLIENT_ID=mock GOOGLE_CLIENT_SECRET=mock
+ *   GITHUB_CLIENT_ID=mock GITHUB_CLIENT_SECRET=mock
+ */
+import "./loadEnv.js"; // MUST be first — loads backend/.env before other modules read process.env
+
+import { startMockOAuthProvider } from "../src/utils/mockOAuthProvider.js";
+
+const port = Number(process.env.MOCK_OAUTH_PORT) || 4010;
+
+startMockOAuthProvider({ port }).then(({ url }) => {
+  console.log(`Mock OAuth provider listening on ${url} (set OAUTH_MOCK_URL=${url})`);
+});
@@ -0,0 +1,20 @@
+/**
+ * Local mock Amazon Product Advertising API for development, serving a few
+ * priced books (see DEFAULT_ITEMS in src/utils/mockPaApi.js).
+ *
+ * Usage (from backend/):
+ *   node scripts/mockPaApi.js   # listens on MOCK_PA_API_PORT (default 4020)
+ *
+ * Then start the API with:
+ *   PA_API_ENDPOINT=http://127.0.0.1:4020
+ *   PA_API_ACCESS_KEY=mock PA_API_SECRET_KEY=mock
+ */
+import "./loadEnv.js"; // MUST be first — loads backend/.env before other modules read process.env
+
+import { startMockPaApi } from "../src/utils/mockPaApi.js";
+
+const port = Number(process.env.MOCK_PA_API_PORT) || 4020;
+
+startMockPaApi({ port }).then(({ url }) => {
+  console.log(`Mock PA-API listening on ${url} (set PA_API_ENDPOINT=${url})`);
+});
@@ -0,0 +1,42 @@
+/**
+ * Erase accounts whose deletion grace period is over (DELETE /api/users/me
+ * schedules them). Cascades to collections, reading data, subscriptions,
+ * sessions and anonymizes analytics — see accountDataService.purge.
+ *
+ * Safe to re-run: a failed purge keeps the user document, so the next run
+ * retries it.
+ *
+ * Usage (from backend/):
+ *   node scripts/purgeDeletedAccounts.js            # delete
+ *   node scripts/purgeDeletedAccounts.js --dry-run  # count, delete nothing
+ */
+import "./loadEnv.js"; // MUST be first — loads backend/.env before other modules read process.env
+
+import mongoose from "mongoose";
+import accountDataService from "../src/services/accountDataService.js";
+
+async function main() {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) throw new Error("MONGODB_URI is not set");
+
+  await mongoose.connect(uri, { family: 4, serverSelectionTimeoutMS: 5000 });
+
+  const dryRun = process.argv.includes("--dry-run");
+  const summary = await accountDataService.purgeDue({ dryRun });
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}account purge: ${summary.due} due, ${summary.deleted} deleted, ${summary.failed} failed`
+  );
+  if (summary.failed > 0) process.exitCode = 1;
+}
+
+main()
+  .catch((err) => {
+    console.error("Account purge failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.connection.close();
+    // The mail transporter / Redis client keep handles open
+    process.exit(process.exitCode ?? 0);
+  });
@@ -0,0 +1,67 @@
+/**
+ * Resolve Amazon ASINs for local books that were never checked, so their
+ * links go to the product page (/dp/ASIN) instead of a search.
+ *
+ * Books with a valid ISBN-10 form need no API call. Others are looked up
+ * with PA-API SearchItems at the configured quota (PA_API_REQUESTS_PER_SECOND),
+ * so leave headroom for live traffic or run it off-peak. Books without a
+ * match are stamped asinCheckedAt and show up as "not_found" in
+ * GET /api/admin/reports/missing-asins. Safe to re-run.
+ *
+ * Usage (from backend/):
+ *   node scripts/resolveAsins.js                 # resolve every unchecked book
+ *   node scripts/resolveAsins.js --limit 500     # at most 500 books
+ *   node scripts/resolveAsins.js --dry-run       # count, change nothing
+ */
+import "./loadEnv.js"; // MUST be first — loads backend/.env before other modules read process.env
+
+import mongoose from "mongoose";
+import Book from "../src/models/Book.js";
+import asinService from "../src/services/asinService.js";
+import amazonPaApiService from "../src/services/amazonPaApiService.js";
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+};
+
+async function main() {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) throw new Error("MONGODB_URI is not set");
+
+  await mongoose.connect(uri, { family: 4, serverSelectionTimeoutMS: 5000 });
+
+  const filter = { asin: null, isbn: { $ne: null }, asinCheckedAt: null };
+  const limit = Number(argValue("--limit")) || 0;
+
+  if (process.argv.includes("--dry-run")) {
+    const count = await Book.countDocuments(filter);
+    console.log(`[dry run] unchecked books with an ISBN: ${limit ? Math.min(count, limit) : count}`);
+    return;
+  }
+  if (!amazonPaApiService.isConfigured()) {
+    console.warn("PA-API is not configured: only ISBN-10 editions will be resolved");
+  }
+
+  let resolved = 0;
+  let missing = 0;
+  const cursor = Book.find(filter).select("isbn asin asinCheckedAt").limit(limit).lean().cursor();
+  for await (const book of cursor) {
+    // A batch job can wait for the quota
+    const asin = await asinService.resolveForBook(book, { maxWaitMs: Infinity });
+    if (asin) resolved += 1;
+    else missing += 1;
+  }
+
+  console.log(`Resolved: ${resolved}, no ASIN: ${missing}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("ASIN resolution failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.connection.close();
+    process.exit(process.exitCode ?? 0);
+  });
@@ -0,0 +1,43 @@
+/**
+ * Weekly "deals in your genres" digest — emails every confirmed EmailSubscriber
+ * the week's trending books in their genres, with real PA-API prices when
+ * configured. Reuses digestService (the same logic the tests exercise).
+ *
+ * Safe to re-run: each send is logged in DigestDelivery per ISO week, so a
+ * second run in the same week only retries failed sends.
+ *
+ * Usage (from backend/):
+ *   node scripts/sendWeeklyDigest.js            # send
+ *   node scripts/sendWeeklyDigest.js --dry-run  # count, send nothing
+ */
+import "./loadEnv.js"; // MUST be first — loads backend/.env before other modules read process.env
+
+import mongoose from "mongoose";
+import digestService from "../src/services/digestService.js";
+
+async function main() {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) throw new Error("MONGODB_URI is not set");
+
+  await mongoose.connect(uri, { family: 4, serverSelectionTimeoutMS: 5000 });
+
+  const dryRun = process.argv.includes("--dry-run");
+  const summary = await digestService.sendWeeklyDigest({ dryRun });
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}digest ${summary.digestKey}: ${summary.sent} sent, ` +
+      `${summary.failed} failed, ${summary.skipped} skipped, ${summary.alreadyDone} already done`
+  );
+  if (summary.failed > 0) process.exitCode = 1;
+}
+
+main()
+  .catch((err) => {
+    console.error("Weekly digest failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.connection.close();
+    // The mail transporter / Redis client keep handles open
+    process.exit(process.exitCode ?? 0);
+  });
@@ -6,6 +6,7 @@ import compression from "compression";
 import passport from "./src/config/passport.js";
 import { errorHandler } from "./src/utils/errors.js";
 import authRoutes from "./src/routes/authRoutes.js";
+import oauthRoutes from "./src/routes/oauthRoutes.js";
 import bookRoutes from "./src/routes/bookRoutes.js";
 import collectionRoutes from "./src/routes/collectionRoutes.js";
 import userRoutes from "./src/routes/userRoutes.js";
@@ -14,6 +15,8 @@ import libraryRoutes from "./src/routes/libraryRoutes.js";
 import analyticsRoutes from "./src/routes/analyticsRoutes.js";
 import seoRoutes from "./src/routes/seoRoutes.js";
 import subscriberRoutes from "./src/routes/subscriberRoutes.js";
+import billingRoutes from "./src/routes/billingRoutes.js";
+import adminRoutes from "./src/routes/adminRoutes.js";
 import logger from "./src/config/logger.js";
 import securityMiddleware from "./src/middleware/security.js";
 import {
@@ -96,7 +99,8 @@ app.use(cors(corsOptions));
 // Add compression middleware
 app.use(compression());
 
-// Body parsers
+// Body parsers (billing webhooks keep the raw body: the signature covers its exact bytes)
+app.use("/api/billing/webhook", express.raw({ type: "*/*", limit: "1mb" }));
 app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true, limit: "1mb" }));
 
@@ -126,56 +130,9 @@ app.get("/health", async (req, res) => {
   });
 });
 
-// Cache monitoring endpoint
-app.get("/api/chefaodacasa/cache/stats", async (req, res) => {
-  try {
-    const { cache } = await import("./src/utils/cache.js");
-    const stats = cache.stats.get();
-
-    // Calculate hit rate
-    const total = stats.hits + stats.misses;
-    const hitRate = total > 0 ? (stats.hits / total) * 100 : 0;
-
-    res.status(200).json({
-      success: true,
-      data: {
-        ...stats,
-        hitRate: hitRate.toFixed(2) + "%",
-        total,
-        uptime: Math.floor((Date.now() - stats.lastReset) / 1000) + "s",
-      },
-    });
-  } catch (error) {
-    logger.error("Error getting cache stats", { error: error.message });
-    res.status(500).json({
-      success: false,
-      error: "Failed to get cache statistics",
-    });
-  }
-});
-
-// Cache reset endpoint
-app.post("/api/chefaodacasa/cache/reset", async (req, res) => {
-  try {
-    const { cache } = await import("./src/utils/cache.js");
-    const stats = cache.stats.reset();
-
-    res.status(200).json({
-      success: true,
-      message: "Cache statistics reset successfully",
-      data: stats,
-    });
-  } catch (error) {
-    logger.error("Error resetting cache stats", { error: error.message });
-    res.status(500).json({
-      success: false,
-      error: "Failed to reset cache statistics",
-    });
-  }
-});
-
 // Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/auth", oauthRoutes);
 app.use("/api/books", bookRoutes);
 app.use("/api/collections", collectionRoutes);
 app.use("/api/users", userRoutes);
@@ -183,6 +140,8 @@ app.use("/api/library", libraryRoutes);
 app.use("/api/recommendations", recommendationRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/subscribers", subscriberRoutes);
+app.use("/api/billing", billingRoutes);
+app.use("/api/admin", adminRoutes);
 
 // SEO landing pages (server-rendered HTML at crawlable root paths)
 app.use("/", seoRoutes);
@@ -0,0 +1,36 @@
+/**
+ * Subscription tiers and what each one includes.
+ *
+ * `null` means unlimited. Tiers are ordered from lowest to highest: an
+ * over-limit request gets 402 (Payment Required) while a higher tier would
+ * allow it, and 403 once the user is on the highest tier already.
+ */
+export const TIERS = ["free", "pro"];
+
+export const ENTITLEMENTS = {
+  free: {
+    // Collections the user created (the automatic "My Library" doesn't count)
+    maxCollections: 10,
+    // POST /api/recommendations/refresh, per UTC day
+    aiRefreshesPerDay: 3,
+    exportFormats: ["json", "csv"],
+    // Collaborators (pending or accepted) on one private collection
+    maxPrivateCollaborators: 2,
+  },
+  pro: {
+    maxCollections: null,
+    aiRefreshesPerDay: 50,
+    exportFormats: ["json", "csv", "goodreads"],
+    maxPrivateCollaborators: 25,
+  },
+};
+
+export const normalizeTier = (tier) => (TIERS.includes(tier) ? tier : "free");
+
+export const getEntitlements = (tier) => ENTITLEMENTS[normalizeTier(tier)];
+
+/**
+ * The lowest tier above `tier` for which `allows(limits)` holds, or null.
+ */
+export const upgradeTierFor = (tier, allows) =>
+  TIERS.slice(TIERS.indexOf(normalizeTier(tier)) + 1).find((t) => allows(ENTITLEMENTS[t])) || null;
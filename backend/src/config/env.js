@@ -43,8 +43,24 @@ const env = cleanEnv(process.env, {
   }),
   AMAZON_DOMAIN: str({
     default: "amazon.de",
-    desc: "Amazon domain for affiliate links (e.g., 'amazon.com', 'amazon.de', 'amazon.co.uk')",
+    desc: "Default Amazon marketplace for affiliate links, the one AMAZON_ASSOCIATES_TAG belongs to (e.g., 'amazon.com', 'amazon.de', 'amazon.co.uk')",
   }),
+  AMAZON_ASSOCIATES_TAG_US: str({ default: "", desc: "Associates tag for amazon.com" }),
+  AMAZON_ASSOCIATES_TAG_UK: str({ default: "", desc: "Associates tag for amazon.co.uk" }),
+  AMAZON_ASSOCIATES_TAG_CA: str({ default: "", desc: "Associates tag for amazon.ca" }),
+  AMAZON_ASSOCIATES_TAG_DE: str({ default: "", desc: "Associates tag for amazon.de (overrides AMAZON_ASSOCIATES_TAG there)" }),
+  AMAZON_ASSOCIATES_TAG_FR: str({ default: "", desc: "Associates tag for amazon.fr" }),
+  AMAZON_ASSOCIATES_TAG_IT: str({ default: "", desc: "Associates tag for amazon.it" }),
+  AMAZON_ASSOCIATES_TAG_ES: str({ default: "", desc: "Associates tag for amazon.es" }),
+  AMAZON_ASSOCIATES_TAG_NL: str({ default: "", desc: "Associates tag for amazon.nl" }),
+  // Other retailers (Optional - retailerLinkService)
+  RETAILERS: str({ default: "", desc: "Retailers besides Amazon to link to, comma-separated (bookshop, thalia, kobo, library); empty = all" }),
+  BOOKSHOP_AFFILIATE_ID: str({ default: "", desc: "Bookshop.org (US) affiliate ID" }),
+  BOOKSHOP_UK_AFFILIATE_ID: str({ default: "", desc: "uk.bookshop.org affiliate ID" }),
+  THALIA_AWIN_ADVERTISER_ID: str({ default: "", desc: "Thalia's Awin advertiser ID" }),
+  THALIA_AWIN_PUBLISHER_ID: str({ default: "", desc: "Awin publisher ID for Thalia links" }),
+  KOBO_RAKUTEN_PUBLISHER_ID: str({ default: "", desc: "Rakuten Advertising publisher ID for Kobo links" }),
+  KOBO_RAKUTEN_MERCHANT_ID: str({ default: "", desc: "Kobo's Rakuten Advertising merchant ID" }),
 });
 
 export default env;
@@ -0,0 +1,57 @@
+/**
+ * Amazon marketplaces we can send readers to.
+ *
+ * A marketplace is only used when it has an Associates tag
+ * (AMAZON_ASSOCIATES_TAG_<ID>, e.g. AMAZON_ASSOCIATES_TAG_UK; see
+ * amazonAffiliateService). `countries` are ISO 3166 codes from geo headers
+ * and Accept-Language regions ("en-GB"); `languages` are the bare
+ * Accept-Language codes that point at one store ("de" but not "en").
+ */
+export const MARKETPLACES = {
+  us: { domain: "amazon.com", countries: ["US"], languages: [] },
+  uk: { domain: "amazon.co.uk", countries: ["GB", "IE"], languages: [] },
+  ca: { domain: "amazon.ca", countries: ["CA"], languages: [] },
+  de: { domain: "amazon.de", countries: ["DE", "AT", "CH", "LI", "LU"], languages: ["de"] },
+  fr: { domain: "amazon.fr", countries: ["FR", "BE", "MC"], languages: ["fr"] },
+  it: { domain: "amazon.it", countries: ["IT", "SM"], languages: ["it"] },
+  es: { domain: "amazon.es", countries: ["ES"], languages: ["es"] },
+  nl: { domain: "amazon.nl", countries: ["NL"], languages: ["nl"] },
+};
+
+export const MARKETPLACE_IDS = Object.keys(MARKETPLACES);
+
+// Country set by the CDN / reverse proxy in front of the API, first match wins
+export const GEO_COUNTRY_HEADERS = ["cf-ipcountry", "cloudfront-viewer-country", "x-country-code"];
+
+export const marketplaceForDomain = (domain) =>
+  MARKETPLACE_IDS.find((id) => MARKETPLACES[id].domain === String(domain || "").replace(/^www\./, "")) || null;
+
+export const marketplaceForCountry = (country) =>
+  MARKETPLACE_IDS.find((id) => MARKETPLACES[id].countries.includes(String(country || "").toUpperCase())) || null;
+
+export const marketplaceForLanguage = (language) =>
+  MARKETPLACE_IDS.find((id) => MARKETPLACES[id].languages.includes(String(language || "").toLowerCase())) || null;
+
+/**
+ * Accept-Language tags, most preferred first ("de-AT,en;q=0.8" → ["de-AT", "en"])
+ */
+export const parseAcceptLanguage = (header) =>
+  String(header || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { tag, q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ tag }) => tag);
+
+/**
+ * The marketplace a language tag points at: its region ("en-GB" → uk),
+ * otherwise the language itself ("de" → de)
+ */
+export const marketplaceForLanguageTag = (tag) => {
+  const [language, region] = tag.split("-");
+  return (region && marketplaceForCountry(region)) || marketplaceForLanguage(language);
+};
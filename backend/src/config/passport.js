@@ -1,7 +1,11 @@
 import passport from "passport";
 import { Strategy as LocalStrategy } from "passport-local";
 import { Strategy as JwtStrategy, ExtractJwt } from "passport-jwt";
+import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import { Strategy as GitHubStrategy } from "passport-github2";
 import User from "../models/User.js";
+import oauthService from "../services/oauthService.js";
+import logger from "./logger.js";
 import {
   incrementLoginAttempts,
   clearLoginAttempts,
@@ -98,6 +102,86 @@ passport.use(
   )
 );
 
+// OAuth strategies (Google, GitHub) — registered only when their client
+// credentials are set. OAUTH_MOCK_URL points both at the local mock
+// provider (scripts/mockOAuthProvider.js) for development and tests.
+const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+const mockUrl = process.env.OAUTH_MOCK_URL;
+
+export const oauthProviders = {
+  google: {
+    enabled: Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+    scope: ["openid", "profile", "email"],
+  },
+  github: {
+    enabled: Boolean(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET),
+    scope: ["read:user", "user:email"],
+  },
+};
+
+// The verify callback resolves (or links) the local user; req.oauthState is
+// the verified `state` set by the callback route.
+const oauthVerify = (provider) => async (req, accessToken, refreshToken, profile, done) => {
+  try {
+    const user = await oauthService.resolveUser(provider, profile, {
+      linkUserId: req.oauthState?.userId,
+    });
+    return done(null, user);
+  } catch (error) {
+    return done(error);
+  }
+};
+
+if (oauthProviders.google.enabled) {
+  passport.use(
+    new GoogleStrategy(
+      {
+        clientID: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        callbackURL: `${apiUrl}/api/auth/google/callback`,
+        passReqToCallback: true,
+        ...(mockUrl
+          ? {
+              authorizationURL: `${mockUrl}/google/authorize`,
+              tokenURL: `${mockUrl}/google/token`,
+              userProfileURL: `${mockUrl}/google/userinfo`,
+            }
+          : {}),
+      },
+      oauthVerify("google")
+    )
+  );
+}
+
+if (oauthProviders.github.enabled) {
+  passport.use(
+    new GitHubStrategy(
+      {
+        clientID: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+        callbackURL: `${apiUrl}/api/auth/github/callback`,
+        scope: oauthProviders.github.scope,
+        // Keep every address with its `verified` flag (not just the primary)
+        allRawEmails: true,
+        passReqToCallback: true,
+        ...(mockUrl
+          ? {
+              authorizationURL: `${mockUrl}/github/authorize`,
+              tokenURL: `${mockUrl}/github/token`,
+              userProfileURL: `${mockUrl}/github/user`,
+              userEmailURL: `${mockUrl}/github/user/emails`,
+            }
+          : {}),
+      },
+      oauthVerify("github")
+    )
+  );
+}
+
+if (mockUrl) {
+  logger.warn("OAuth providers point at the mock provider", { mockUrl });
+}
+
 // Session serialization
 passport.serializeUser((user, done) => done(null, user.id));
 passport.deserializeUser(async (id, done) => {
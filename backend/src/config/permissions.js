@@ -0,0 +1,41 @@
+/**
+ * Roles and the permissions they grant.
+ *
+ * Routes never check a role by name: they ask for a permission with
+ * `requirePermission()` (middleware/authMiddleware.js), so a new role is one
+ * entry here. authMiddleware reads the role from the user record on every
+ * request; the role claim in the access token is informational only.
+ * Changing a role also ends the user's sessions (adminService).
+ */
+export const PERMISSIONS = {
+  ANALYTICS_READ: "analytics:read",
+  CACHE_ADMIN: "cache:admin",
+  USERS_READ: "users:read",
+  USERS_MANAGE: "users:manage",
+  AUDIT_READ: "audit:read",
+  CONTENT_MODERATE: "content:moderate",
+  SUBSCRIBERS_EXPORT: "subscribers:export",
+  CATALOG_READ: "catalog:read",
+};
+
+export const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [PERMISSIONS.USERS_READ, PERMISSIONS.CONTENT_MODERATE],
+  admin: Object.values(PERMISSIONS),
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Role names used before this model; scripts/migrateRoles.js rewrites them
+export const LEGACY_ROLES = {
+  chefaodacasa: "admin",
+};
+
+export const normalizeRole = (role) => LEGACY_ROLES[role] || (ROLES.includes(role) ? role : "user");
+
+export const permissionsFor = (role) => ROLE_PERMISSIONS[normalizeRole(role)];
+
+export const hasPermission = (role, permission) => permissionsFor(role).includes(permission);
+
+// Staff roles hold at least one permission
+export const isStaff = (role) => permissionsFor(role).length > 0;
@@ -140,6 +140,30 @@ class MockRedis {
     const set = this.store.get(key);
     return set ? Array.from(set) : [];
   }
+
+  async srem(key, ...members) {
+    const set = this.store.get(key);
+    if (!set) return 0;
+    return members.filter((member) => set.delete(member)).length;
+  }
+
+  // Same contract as the swapSession Lua command (services/sessionService.js)
+  async swapSession(key, expectedRefreshJti, value, ttl) {
+    const raw = this.store.get(key);
+    if (!raw) return 0;
+    if (JSON.parse(raw).refreshJti !== expectedRefreshJti) return -1;
+    await this.set(key, value, "EX", ttl);
+    return 1;
+  }
+
+  // Single pass over all keys; only MATCH with "*" wildcards is supported
+  async scan(cursor, ...args) {
+    const matchIndex = args.findIndex((arg) => String(arg).toUpperCase() === "MATCH");
+    const pattern = matchIndex === -1 ? "*" : args[matchIndex + 1];
+    const escape = (part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    const regex = new RegExp(`^${pattern.split("*").map(escape).join(".*")}$`);
+    return ["0", [...this.store.keys()].filter((key) => regex.test(key))];
+  }
 }
 
 let redis;
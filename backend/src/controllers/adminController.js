@@ -0,0 +1,202 @@
+import adminService from "../services/adminService.js";
+
+/**
+ * Admin console: users, audit log, collection moderation and cache statistics
+ */
+class AdminController {
+  /**
+   * Search and page through users
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async listUsers(req, res, next) {
+    try {
+      const result = await adminService.listUsers(req.query);
+      res.status(200).json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * One user with sessions and collection count
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getUser(req, res, next) {
+    try {
+      const user = await adminService.getUser(req.params.id);
+      res.status(200).json({ success: true, data: user });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change role and/or subscription tier
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async updateUser(req, res, next) {
+    try {
+      const user = await adminService.updateUser(req.user.id, req.params.id, req.body, req);
+      res.status(200).json({ success: true, data: user });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lock an account and end its sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async lockUser(req, res, next) {
+    try {
+      const result = await adminService.lockUser(req.user.id, req.params.id, req.body, req);
+      res.status(200).json({ success: true, message: "Account locked", data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unlock an account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async unlockUser(req, res, next) {
+    try {
+      await adminService.unlockUser(req.user.id, req.params.id, req);
+      res.status(200).json({ success: true, message: "Account unlocked" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sign the user out of every device
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async forceLogout(req, res, next) {
+    try {
+      const result = await adminService.forceLogout(req.user.id, req.params.id, req);
+      res.status(200).json({ success: true, message: "User signed out everywhere", data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Browse the audit log
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async listAuditLogs(req, res, next) {
+    try {
+      const result = await adminService.listAuditLogs(req.query);
+      res.status(200).json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Public (or taken-down) collections
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async listCollections(req, res, next) {
+    try {
+      const result = await adminService.listCollections(req.query);
+      res.status(200).json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Books without a resolved Amazon ASIN
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async listMissingAsins(req, res, next) {
+    try {
+      const result = await adminService.listMissingAsins(req.query);
+      res.status(200).json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Take a public collection down
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async takeDownCollection(req, res, next) {
+    try {
+      await adminService.takeDownCollection(req.user.id, req.params.id, req.body.reason, req);
+      res.status(200).json({ success: true, message: "Collection taken down" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lift a takedown
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async restoreCollection(req, res, next) {
+    try {
+      await adminService.restoreCollection(req.user.id, req.params.id, req);
+      res.status(200).json({ success: true, message: "Takedown lifted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cache statistics
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getCacheStats(req, res, next) {
+    try {
+      res.status(200).json({ success: true, data: adminService.getCacheStats() });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reset the cache statistics
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async resetCacheStats(req, res, next) {
+    try {
+      const stats = await adminService.resetCacheStats(req.user.id, req);
+      res.status(200).json({ success: true, message: "Cache statistics reset successfully", data: stats });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default AdminController;
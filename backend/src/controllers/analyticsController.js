@@ -1,11 +1,12 @@
-import analyticsService from "../services/analyticsService.js";
+import analyticsService, { CTR_DIMENSIONS } from "../services/analyticsService.js";
+import { ApiError } from "../utils/errors.js";
 import logger from "../config/logger.js";
 
 /**
  * AnalyticsController — exposes affiliate-funnel KPIs.
  *
- * Admin endpoints (overview, top-books, top-queries, daily) are gated behind
- * authMiddleware(["admin"]) in the routes. The `trending` endpoint is public —
+ * Admin endpoints (overview, top-books, top-queries, daily, ctr, funnel) are gated behind
+ * requirePermission("analytics:read") in the routes. The `trending` endpoint is public —
  * it powers the Home page's top-converting section and returns no PII.
  */
 class AnalyticsController {
@@ -53,13 +54,41 @@ class AnalyticsController {
   static async clicksByVariant(req, res, next) {
     try {
       const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
-      const byVariant = await analyticsService.getClicksByVariant({ days });
+      const control = req.query.control ? String(req.query.control) : undefined;
+      const byVariant = await analyticsService.getClicksByVariant({ days, control });
       res.json({ success: true, data: byVariant });
     } catch (error) {
       next(error);
     }
   }
 
+  static async ctr(req, res, next) {
+    try {
+      const by = req.query.by || "context";
+      if (!CTR_DIMENSIONS.includes(by)) {
+        throw new ApiError(`"by" must be one of: ${CTR_DIMENSIONS.join(", ")}`, 400);
+      }
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+      const source = req.query.source ? String(req.query.source) : undefined;
+      const rows = await analyticsService.getCtr({ by, days, limit, source });
+      res.json({ success: true, data: rows });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async funnel(req, res, next) {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+      const context = req.query.context ? String(req.query.context) : undefined;
+      const funnel = await analyticsService.getFunnel({ days, context });
+      res.json({ success: true, data: funnel });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   static async trending(req, res, next) {
     try {
       const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 50);
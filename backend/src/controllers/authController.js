@@ -11,18 +11,41 @@
  * like password changes and 2FA setup. All operations are logged for audit purposes.
  */
 
-import speakeasy from "speakeasy";
-import crypto from "crypto";
-import jwt from "jsonwebtoken";
 import mongoose from "mongoose";
 import User from "../models/User.js";
+import twoFactorService from "../services/twoFactorService.js";
+import sessionService from "../services/sessionService.js";
 import { ApiError } from "../utils/errors.js";
-import { generateTokens } from "../utils/jwtUtils.js";
-import { isJwtBlacklisted, whitelistJwt } from "../utils/authRedisUtils.js";
 import logger from "../config/logger.js";
 import * as emailVerificationController from "./emailVerificationController.js";
 import * as passwordResetController from "./passwordResetController.js";
 
+/**
+ * Issue tokens once the second factor has been checked. Same response as
+ * password login, plus any `extra` fields.
+ */
+async function completeTwoFactorLogin(req, res, user, auditMetadata, extra = {}) {
+  const { accessToken, refreshToken } = await sessionService.issueTokens(user, req);
+
+  const AuditLog = mongoose.model("AuditLog");
+  await AuditLog.logAction(user._id, "login_success", auditMetadata, req);
+
+  logger.info("User logged in with 2FA", { userId: user._id, ...auditMetadata });
+
+  res.status(200).json({
+    success: true,
+    accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+    },
+    ...extra,
+  });
+}
+
 class AuthController {
   /**
    * Initiates the password reset process
@@ -95,44 +118,22 @@ class AuthController {
 
   /**
    * Sets up two-factor authentication for a user
-   * Generates a secret key and recovery codes
-   * Creates a QR code for easy setup with authenticator apps
+   * Generates a secret key and an otpauth QR code for authenticator apps.
+   * 2FA stays off until the code is confirmed via /2fa/verify.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
    */
   static async setupTwoFactor(req, res, next) {
     try {
-      const userId = req.user.id;
-
-      // Generate real 2FA secret
-      const secret = speakeasy.generateSecret({
-        name: `BookApp:${req.user.email}`,
-        issuer: "BookApp",
-      });
-
-      // Generate recovery codes
-      const recoveryCodes = Array(5)
-        .fill()
-        .map(() => crypto.randomBytes(5).toString("hex").toUpperCase());
-
-      // Save secret to user
-      await User.findByIdAndUpdate(userId, {
-        twoFactorSecret: secret.base32,
-        recoveryCodes,
-      });
-
-      // Generate QR code
-      // In a real implementation, this would be a data URL containing the QR code image
-      const qrCodeUrl =
-        "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNk+A8AAQUBAScY42YAAAAASUVORK5CYII=";
+      const { secret, otpauthUrl, qrCode } = await twoFactorService.setup(req.user.id);
 
       res.status(200).json({
         success: true,
         data: {
-          secret: secret.base32,
-          qrCode: qrCodeUrl,
-          recoveryCodes: recoveryCodes,
+          secret,
+          otpauthUrl,
+          qrCode,
         },
       });
     } catch (error) {
@@ -146,7 +147,8 @@ class AuthController {
 
   /**
    * Verifies and enables 2FA for a user
-   * Validates the provided token against the stored secret
+   * Validates the provided token against the stored secret and issues the
+   * recovery codes (returned once, stored hashed)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
@@ -154,36 +156,17 @@ class AuthController {
   static async verifyAndEnableTwoFactor(req, res, next) {
     try {
       const { token } = req.body;
-      const userId = req.user.id;
-
-      const user = await User.findById(userId).select("+twoFactorSecret");
 
-      if (!user) {
-        throw new ApiError("User not found", 404);
+      if (!token) {
+        throw new ApiError("Verification code is required", 400);
       }
 
-      // Verify token using speakeasy
-      const verified = speakeasy.totp.verify({
-        secret: user.twoFactorSecret,
-        encoding: "base32",
-        token: token,
-        window: 1, // Allow 1 step (30s) before/after current time
-      });
-
-      if (!verified) {
-        logger.warn("Failed 2FA verification attempt", { userId });
-        throw new ApiError("Invalid verification code", 400);
-      }
-
-      // Enable 2FA
-      user.twoFactorEnabled = true;
-      await user.save();
-
-      logger.info("Two-factor authentication enabled", { userId });
+      const recoveryCodes = await twoFactorService.enable(req.user.id, token, req);
 
       res.status(200).json({
         success: true,
         message: "Two-factor authentication enabled",
+        data: { recoveryCodes },
       });
     } catch (error) {
       logger.error("2FA verification error", {
@@ -203,84 +186,99 @@ class AuthController {
    */
   static async verifyTwoFactor(req, res, next) {
     try {
-      const { token, userId } = req.body;
-
-      if (!token || !userId) {
-        throw new ApiError("Verification code and user ID are required", 400);
-      }
+      const { token, challengeToken } = req.body;
 
-      if (typeof userId !== "string" || !mongoose.Types.ObjectId.isValid(userId)) {
-        throw new ApiError("Invalid user ID format", 400);
+      if (!token || typeof challengeToken !== "string" || !challengeToken) {
+        throw new ApiError("Verification code and challenge token are required", 400);
       }
 
-      const user = await User.findById(userId).select("+twoFactorSecret");
-      if (!user) {
-        throw new ApiError("User not found", 404);
-      }
-
-      // Verify token using speakeasy
-      const verified = speakeasy.totp.verify({
-        secret: user.twoFactorSecret,
-        encoding: "base32",
-        token: token,
-        window: 1, // Allow 1 step (30s) before/after current time
+      const userId = twoFactorService.verifyLoginChallenge(challengeToken);
+      const user = await twoFactorService.verifyLogin(userId, token);
+      await completeTwoFactorLogin(req, res, user, { twoFactorUsed: true });
+    } catch (error) {
+      logger.error("2FA login verification error", {
+        error: error.message,
       });
+      next(error);
+    }
+  }
 
-      if (!verified) {
-        logger.warn("Failed 2FA login attempt", { userId });
-        throw new ApiError("Invalid verification code", 400);
+  /**
+   * Second login step with a recovery code instead of the authenticator
+   * Each recovery code works once
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async loginWithRecoveryCode(req, res, next) {
+    try {
+      const { recoveryCode, challengeToken } = req.body;
+
+      if (typeof recoveryCode !== "string" || !recoveryCode || typeof challengeToken !== "string" || !challengeToken) {
+        throw new ApiError("Recovery code and challenge token are required", 400);
       }
 
-      // Generate tokens
-      const { accessToken, refreshToken, jti } = generateTokens(
-        user._id,
-        user.role
+      const userId = twoFactorService.verifyLoginChallenge(challengeToken);
+      const { user, remaining } = await twoFactorService.consumeRecoveryCode(userId, recoveryCode);
+      await completeTwoFactorLogin(
+        req,
+        res,
+        user,
+        { twoFactorUsed: true, recoveryCodeUsed: true },
+        { recoveryCodesRemaining: remaining }
       );
+    } catch (error) {
+      logger.error("2FA recovery login error", {
+        error: error.message,
+      });
+      next(error);
+    }
+  }
 
-      // Add to whitelist
-      await whitelistJwt(
-        jti,
-        user._id,
-        parseInt(process.env.JWT_EXPIRES_IN) || 3600
-      );
+  /**
+   * Replaces the recovery codes (requires a current authenticator code)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const { token } = req.body;
 
-      // Log successful 2FA login
-      const AuditLog = mongoose.model("AuditLog");
-      await AuditLog.logAction(
-        userId,
-        "login_success",
-        {
-          twoFactorUsed: true,
-        },
-        req
-      );
+      if (!token) {
+        throw new ApiError("Verification code is required", 400);
+      }
 
-      logger.info("User logged in with 2FA", { userId });
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, token, req);
 
       res.status(200).json({
         success: true,
-        accessToken,
-        refreshToken,
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-        },
+        data: { recoveryCodes },
       });
     } catch (error) {
-      logger.error("2FA login verification error", {
-        userId: req.body.userId,
-        error: error.message,
-      });
+      next(error);
+    }
+  }
+
+  /**
+   * 2FA state for the profile page
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getTwoFactorStatus(req, res, next) {
+    try {
+      const status = await twoFactorService.getStatus(req.user.id);
+      res.status(200).json({ success: true, data: status });
+    } catch (error) {
       next(error);
     }
   }
 
   /**
    * Refreshes access and refresh tokens
-   * Validates the current refresh token and issues new tokens
-   * Blacklists the old refresh token for security
+   * Rotates the refresh token: the old one stops working, and presenting an
+   * already rotated one revokes the whole session (token family)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
@@ -289,50 +287,49 @@ class AuthController {
     try {
       const { refreshToken } = req.body;
 
-      if (!refreshToken) {
+      if (!refreshToken || typeof refreshToken !== "string") {
         throw new ApiError("Refresh token is required", 400);
       }
 
-      // Verify refresh token
-      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET, {
-        algorithms: ["HS256"],
-      });
-
-      // Check if token is blacklisted
-      if (await isJwtBlacklisted(decoded.jti)) {
-        throw new ApiError("Token revoked", 401);
-      }
-
-      // Generate new tokens
-      const { accessToken, refreshToken: newRefreshToken } = generateTokens(
-        decoded.sub,
-        decoded.role
-      );
-
-      // Blacklist old refresh token
-      const redis = require("../utils/redis.js").default;
-      await redis.set(
-        `jwt:blacklist:${decoded.jti}`,
-        "1",
-        "EX",
-        parseInt(process.env.JWT_REFRESH_EXPIRES_IN) || 604800
-      );
-
-      logger.info("Tokens refreshed", { userId: decoded.sub });
+      const tokens = await sessionService.rotate(refreshToken, req);
 
       res.status(200).json({
         success: true,
-        accessToken,
-        refreshToken: newRefreshToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
       });
     } catch (error) {
-      if (error.name === "TokenExpiredError") {
-        next(new ApiError("Refresh token expired", 401));
-      } else if (error.name === "JsonWebTokenError") {
-        next(new ApiError("Invalid refresh token", 401));
-      } else {
-        next(error);
-      }
+      next(error);
+    }
+  }
+
+  /**
+   * Lists the user's active sessions (devices)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async listSessions(req, res, next) {
+    try {
+      const sessions = await sessionService.list(req.user.id, req.user.sessionId);
+      res.status(200).json({ success: true, data: sessions });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revokes one session — signs that device out
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async revokeSession(req, res, next) {
+    try {
+      await sessionService.revoke(req.user.id, req.params.id, req);
+      res.status(200).json({ success: true, message: "Session revoked" });
+    } catch (error) {
+      next(error);
     }
   }
 
@@ -351,6 +348,7 @@ class AuthController {
       await User.findByIdAndUpdate(userId, {
         $inc: { tokenVersion: 1 },
       });
+      await sessionService.revokeAll(userId);
 
       logger.info("User logged out from all devices", { userId });
 
@@ -434,41 +432,17 @@ class AuthController {
 
   /**
    * Disables two-factor authentication for a user
-   * Requires password confirmation for security
+   * Requires password confirmation (or an authenticator code for accounts
+   * without a password)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
    */
   static async disableTwoFactor(req, res, next) {
     try {
-      const { password } = req.body;
-      const userId = req.user.id;
-
-      if (!password) {
-        throw new ApiError("Password is required to disable 2FA", 400);
-      }
-
-      const user = await User.findById(userId).select("+password");
-
-      if (!user) {
-        throw new ApiError("User not found", 404);
-      }
-
-      // Verify password
-      const isMatch = await user.comparePassword(password);
-      if (!isMatch) {
-        logger.warn("Failed 2FA disable attempt - incorrect password", {
-          userId,
-        });
-        throw new ApiError("Invalid password", 401);
-      }
-
-      // Disable 2FA
-      user.twoFactorEnabled = false;
-      user.twoFactorSecret = undefined;
-      await user.save();
+      const { password, token } = req.body;
 
-      logger.info("Two-factor authentication disabled", { userId });
+      await twoFactorService.disable(req.user.id, { password, token }, req);
 
       res.status(200).json({
         success: true,
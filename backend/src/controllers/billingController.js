@@ -0,0 +1,77 @@
+import billingService from "../services/billingService.js";
+import entitlementService from "../services/entitlementService.js";
+import fakeBillingProvider from "../services/fakeBillingProvider.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+/**
+ * Subscription tier, checkout and provider webhooks
+ */
+class BillingController {
+  /**
+   * Current tier, its limits and what is used of them
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getEntitlements(req, res, next) {
+    try {
+      const summary = await entitlementService.getSummary(req.user.id);
+      res.status(200).json({ success: true, data: summary });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start a checkout; the client redirects to the returned URL
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async createCheckout(req, res, next) {
+    try {
+      const { url } = await billingService.startCheckout(req.user.id, req.body?.tier);
+      res.status(200).json({ success: true, data: { url } });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Provider webhook (raw body, verified by the provider's signature)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async handleWebhook(req, res, next) {
+    try {
+      const result = await billingService.handleWebhook(req.body, req.headers);
+      res.status(200).json({ received: true, ...result });
+    } catch (error) {
+      logger.warn("Billing webhook rejected", { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Fake provider only: "pay" and come back, like a hosted checkout page
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async completeFakeCheckout(req, res, next) {
+    try {
+      if (!billingService.isFakeProvider()) {
+        throw new ApiError("Not found", 404);
+      }
+      const { body, headers, redirectUrl } = await fakeBillingProvider.completeCheckout(req.params.sessionId);
+      await billingService.handleWebhook(Buffer.from(body), headers);
+      res.redirect(303, redirectUrl);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default BillingController;
@@ -1,16 +1,135 @@
 import BookSearchService from "../services/bookSearchService.js";
 import advancedSearchService from "../services/advancedSearchService.js";
-// import openLibraryService from "../services/openLibraryService.js"; // COMMENTED OUT FOR TESTING - Google Books only
+import openLibraryService from "../services/openLibraryService.js";
 import { getGoogleBookById, searchGoogleBooks } from "../services/googleBooksService.js";
 import amazonAffiliateService from "../services/amazonAffiliateService.js";
 import featuredBooksService from "../services/featuredBooksService.js";
 import analyticsService from "../services/analyticsService.js";
+import catalogService from "../services/catalogService.js";
+import asinService from "../services/asinService.js";
+import retailerLinkService from "../services/retailerLinkService.js";
 import { ApiError } from "../utils/errors.js";
 import redis from "../config/redis.js";
 import logger from "../config/logger.js";
 import Book from "../models/Book.js";
 import mongoose from "mongoose";
 
+/**
+ * Resolve a provider record to its catalog work and list the work's other
+ * editions. Catalog problems never fail a details request.
+ */
+async function catalogFields(record, id) {
+  try {
+    const { work } = await catalogService.resolve(record);
+    const editions = await catalogService.listEditions(work._id, { exclude: id });
+    return { workId: work._id, editions };
+  } catch (error) {
+    logger.warn("Failed to resolve book in catalog", { bookId: id, error: error.message });
+    return {};
+  }
+}
+
+// Details-response shape for a catalog edition (with its populated work)
+function bookFromEdition(edition) {
+  const work = edition.work || {};
+  const authors = edition.authors?.length ? edition.authors : work.authors || [];
+  return {
+    id: edition.externalId,
+    workId: work._id,
+    title: edition.title,
+    subtitle: edition.subtitle || null,
+    authors,
+    authorNames: authors,
+    description: edition.description || work.description || null,
+    coverImage: edition.coverImage || work.coverImage || null,
+    isbn: edition.isbn13 || edition.isbn10 || null,
+    publisher: edition.publisher || null,
+    publishDate: edition.publishedDate || null,
+    pageCount: edition.pageCount || null,
+    language: edition.language || null,
+    firstPublishYear: work.firstPublishYear || edition.publishYear || null,
+    subjects: edition.categories?.length ? edition.categories : work.subjects || [],
+    averageRating: edition.averageRating || null,
+    ratingsAverage: edition.averageRating || null,
+    ratingsCount: edition.ratingsCount || null,
+    languages: edition.language ? [edition.language] : [],
+    publishers: edition.publisher ? [edition.publisher] : [],
+  };
+}
+
+// Details-response shape for a catalog work
+function bookFromWork(work, editions) {
+  return {
+    id: String(work._id),
+    workId: work._id,
+    title: work.title,
+    authors: work.authors,
+    authorNames: work.authors,
+    description: work.description || null,
+    coverImage: work.coverImage || editions.find((e) => e.coverImage)?.coverImage || null,
+    firstPublishYear: work.firstPublishYear || null,
+    subjects: work.subjects,
+    openLibraryKey: work.openLibraryKey || null,
+    editions: editions
+      .filter((e) => e.externalId)
+      .map((e) => catalogService.toEditionSummary(e)),
+  };
+}
+
+/**
+ * The book behind a retailer link: a local record, else minimal metadata
+ * from Google Books or Open Library so links are accurate even on a direct
+ * click. Null when the ID matches nothing.
+ */
+async function findBookForLinks(id) {
+  // Guard against non-ObjectId IDs like 'google-*' which throw a Mongoose
+  // CastError instead of returning null
+  let book = null;
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    book = await Book.findById(id);
+  }
+  if (!book) {
+    book = await Book.findOne({ externalId: id });
+  }
+
+  if (!book && id.startsWith("google-")) {
+    try {
+      const volumeId = id.replace(/^google-/, "");
+      const googleBook = await getGoogleBookById(volumeId);
+      book = {
+        title: googleBook.title,
+        authors: googleBook.authors || googleBook.authorNames || [],
+        coverImage: googleBook.coverImage || null,
+        isbn: googleBook.isbn,
+      };
+    } catch (googleError) {
+      logger.warn("Retailer links: Google Books lookup failed", {
+        bookId: id,
+        error: googleError.message,
+      });
+    }
+  }
+
+  if (!book && /^(\/works\/)?OL[A-Z0-9]+W$/i.test(id)) {
+    try {
+      const workId = id.startsWith("/works/") ? id : `/works/${id}`;
+      const openLibraryBook = await openLibraryService.getBookDetails(workId);
+      book = {
+        title: openLibraryBook.title,
+        authors: openLibraryBook.authorNames || [],
+        isbn: openLibraryBook.isbn,
+      };
+    } catch (openLibraryError) {
+      logger.warn("Retailer links: Open Library lookup failed", {
+        bookId: id,
+        error: openLibraryError.message,
+      });
+    }
+  }
+
+  return book;
+}
+
 class BookController {
   static async searchBooks(req, res, next) {
     try {
@@ -20,7 +139,9 @@ class BookController {
         throw new ApiError('At least one of "title", "author", or "category" is required', 400);
       }
 
-      const cacheKey = `search:${title || ''}:${author || ''}:${category || ''}:${condition || ''}:${sort || ''}:${page}`;
+      // Links and prices depend on the visitor's Amazon marketplace
+      const { marketplace } = amazonAffiliateService.marketplaceForRequest(req) || {};
+      const cacheKey = `search:${title || ''}:${author || ''}:${category || ''}:${condition || ''}:${sort || ''}:${page}:${marketplace || ''}`;
       const context = title || author || category || null;
       const cached = await redis.get(cacheKey);
       if (cached) {
@@ -41,6 +162,7 @@ class BookController {
         category: category || undefined,
         condition: condition || undefined,
         sort: sort || undefined,
+        marketplace,
       });
       await redis.set(cacheKey, JSON.stringify(result), "EX", 3600); // cache 1 hour
       analyticsService.recordImpression({
@@ -76,16 +198,8 @@ class BookController {
 
   static async advancedSearch(req, res, next) {
     try {
-      const { title, author, genre, page = 1 } = req.query;
-      if (!title && !author && !genre) {
-        throw new ApiError("At least one search parameter is required", 400);
-      }
-      const result = await advancedSearchService.advancedSearch({
-        title,
-        author,
-        genre,
-        page: parseInt(page),
-      });
+      // Query parameters are validated and type-cast by validateAdvancedSearch
+      const result = await advancedSearchService.advancedSearch(req.query);
       res.json({ success: true, ...result });
     } catch (error) {
       logger.error("Advanced search error", { error: error.message });
@@ -96,6 +210,22 @@ class BookController {
   static async getBookById(req, res, next) {
     try {
       const { id } = req.params;
+      const { marketplace } = amazonAffiliateService.marketplaceForRequest(req) || {};
+
+      // Funnel step between impression and click, counted once the book is served.
+      // The details page threads the surface it came from and its CTA variant.
+      res.on("finish", () => {
+        if (res.statusCode !== 200) return;
+        const { source, context, variant } = req.query;
+        analyticsService.recordView({
+          source: source || undefined,
+          context,
+          bookId: id,
+          variant,
+          userId: req.user?.id || null,
+          req,
+        });
+      });
       
       logger.info("Fetching book by ID", { bookId: id });
       
@@ -133,7 +263,9 @@ class BookController {
           try {
             amazonLink = await amazonAffiliateService.generateAffiliateLink({
               title: cachedBook.title,
-              authors: cachedBook.authors || cachedBook.authorNames || []
+              authors: cachedBook.authors || cachedBook.authorNames || [],
+              marketplace,
+              isbn: cachedBook.isbn,
             });
           } catch (error) {
             logger.warn("Failed to generate affiliate link for featured book", {
@@ -174,7 +306,10 @@ class BookController {
           // Add Amazon affiliate link
           const amazonLink = await amazonAffiliateService.generateAffiliateLink({
             title: googleBook.title,
-            authors: googleBook.authors || googleBook.authorNames || []
+            authors: googleBook.authors || googleBook.authorNames || [],
+            marketplace,
+            isbn: googleBook.isbn,
+            lookup: true,
           });
           
           const bookWithAffiliate = {
@@ -184,31 +319,10 @@ class BookController {
             // openLibraryKey: googleBook.openLibraryKey || null, // COMMENTED OUT FOR TESTING
             languages: googleBook.language ? [googleBook.language] : [],
             publishers: googleBook.publisher ? [googleBook.publisher] : [],
+            // Canonical work and its other editions from the local catalog
+            ...(await catalogFields({ ...googleBook, id }, id)),
           };
           
-          // Optionally save to local database for future use
-          try {
-            const existingBook = await Book.findOne({ externalId: id });
-            if (!existingBook) {
-              const newBook = new Book({
-                title: googleBook.title,
-                authors: googleBook.authors || googleBook.authorNames || [],
-                description: googleBook.description,
-                coverImage: googleBook.coverImage,
-                externalId: id,
-                firstPublishYear: googleBook.firstPublishYear,
-                subjects: googleBook.subjects || googleBook.genres || [],
-                amazonLink,
-                source: 'google-books',
-              });
-              await newBook.save();
-              logger.info("Saved Google Book to database", { bookId: id });
-            }
-          } catch (saveError) {
-            // Don't fail if save fails, just log it
-            logger.warn("Failed to save Google Book to database", { error: saveError.message, bookId: id });
-          }
-          
           return res.status(200).json({ success: true, data: bookWithAffiliate });
         } catch (googleError) {
           logger.error("Error fetching from Google Books", { 
@@ -216,6 +330,23 @@ class BookController {
             bookId: id,
             stack: googleError.stack
           });
+
+          // Serve the catalog copy when Google Books is unreachable
+          if (googleError.statusCode !== 404) {
+            const edition = await catalogService.findEditionByExternalId(id).catch(() => null);
+            if (edition) {
+              const book = bookFromEdition(edition.toObject());
+              const amazonLink = await amazonAffiliateService.generateAffiliateLink({
+                title: book.title,
+                authors: book.authors,
+                marketplace,
+                isbn: book.isbn,
+              });
+              const editions = await catalogService.listEditions(book.workId, { exclude: id });
+              logger.info("Served Google Book from catalog", { bookId: id });
+              return res.status(200).json({ success: true, data: { ...book, amazonLink, editions } });
+            }
+          }
           
           // If Google Books fails, return not found with helpful message
           const errorMessage = googleError.status === 404 
@@ -256,16 +387,34 @@ class BookController {
         // }
         book = book.toObject();
 
-          // Add affiliate link if not already present
-          if (!book.amazonLink) {
+          // Product page link once the ASIN is known, else any stored link or a search
+          const asin = await asinService.resolveForBook(book, { marketplace });
+          if (asin || !book.amazonLink) {
             const amazonLink = await amazonAffiliateService.generateAffiliateLink({
               title: book.title,
-              authors: book.authors || []
+              authors: book.authors || [],
+              marketplace,
+              asin,
             });
-            book = { ...book, amazonLink };
+            book = { ...book, asin, amazonLink };
           }
           return res.status(200).json({ success: true, data: book });
         }
+
+        // Catalog work IDs are ObjectIds too
+        const work = await catalogService.getWork(id).catch((error) => {
+          if (error.statusCode === 404) return null;
+          throw error;
+        });
+        if (work) {
+          const book = bookFromWork(work.work, work.editions);
+          const amazonLink = await amazonAffiliateService.generateAffiliateLink({
+            title: book.title,
+            authors: book.authors,
+            marketplace,
+          });
+          return res.status(200).json({ success: true, data: { ...book, amazonLink } });
+        }
       }
       
       // If not found locally, try to find by externalId
@@ -292,99 +441,78 @@ class BookController {
         // }
         book = book.toObject();
 
-        // Add affiliate link if not already present
-        if (!book.amazonLink) {
+        // Product page link once the ASIN is known, else any stored link or a search
+        const asin = await asinService.resolveForBook(book, { marketplace });
+        if (asin || !book.amazonLink) {
           const amazonLink = await amazonAffiliateService.generateAffiliateLink({
             title: book.title,
-            authors: book.authors || []
+            authors: book.authors || [],
+            marketplace,
+            asin,
           });
-          book = { ...book, amazonLink };
+          book = { ...book, asin, amazonLink };
         }
         return res.status(200).json({ success: true, data: book });
       }
       
-      // COMMENTED OUT FOR TESTING - Open Library support disabled
       // Only try Open Library if ID looks like an Open Library work ID
       // Open Library IDs typically: OL + numbers + letter (e.g., OL4322177W) or /works/OL...
-      // const isOpenLibraryId = id.startsWith('OL') || 
-      //                         id.startsWith('/works/') || 
-      //                         /^OL[A-Z0-9]+[A-Z]$/i.test(id); // Pattern: OL + alphanumeric + letter
+      const isOpenLibraryId = id.startsWith('OL') || 
+                              id.startsWith('/works/') || 
+                              /^OL[A-Z0-9]+[A-Z]$/i.test(id); // Pattern: OL + alphanumeric + letter
       
-      // if (!isOpenLibraryId) {
-      //   logger.warn("Invalid book ID format", { bookId: id });
-      //   return res.status(404).json({ 
-      //     success: false, 
-      //     error: "Book not found. Invalid book ID format.",
-      //     message: "Book not found. Invalid book ID format."
-      //   });
-      // }
+      if (!isOpenLibraryId) {
+        logger.warn("Invalid book ID format", { bookId: id });
+        return res.status(404).json({ 
+          success: false, 
+          error: "Book not found. Invalid book ID format.",
+          message: "Book not found. Invalid book ID format."
+        });
+      }
       
-      // try {
-      //   // Check if the ID looks like an Open Library work ID
-      //   let workId = id;
-      //   if (!workId.startsWith('/works/')) {
-      //     workId = `/works/${workId}`;
-      //   }
-      //   
-      //   const openLibraryBook = await openLibraryService.getBookDetails(workId);
-      //   
-      //   // Add Amazon affiliate link
-      //   const amazonLink = await amazonAffiliateService.generateAffiliateLink({
-      //     title: openLibraryBook.title,
-      //     authors: openLibraryBook.authorNames || []
-      //   });
-      //   
-      //   const bookWithAffiliate = {
-      //     ...openLibraryBook,
-      //     amazonLink
-      //   };
-      //   
-      //   // Optionally save to local database for future use
-      //   try {
-      //     const newBook = new Book({
-      //       title: openLibraryBook.title,
-      //       authors: openLibraryBook.authorNames,
-      //       description: openLibraryBook.description,
-      //       coverImage: openLibraryBook.coverImage,
-      //       externalId: openLibraryBook.id,
-      //       openLibraryKey: openLibraryBook.openLibraryKey,
-      //       firstPublishYear: openLibraryBook.firstPublishYear,
-      //       subjects: openLibraryBook.subjects
-      //     });
-      //     
-      //     await newBook.save();
-      //   } catch (saveError) {
-      //     // Don't fail if save fails, just log it
-      //     logger.warn("Failed to save book to database", { error: saveError.message, bookId: id });
-      //   }
-      //   
-      //   return res.status(200).json({ success: true, data: bookWithAffiliate });
-      // } catch (openLibraryError) {
-      //   logger.error("Error fetching from Open Library", { 
-      //     error: openLibraryError.message, 
-      //     bookId: id,
-      //     stack: openLibraryError.stack
-      //   });
-      //   
-      //   // If Open Library also fails, return not found with helpful message
-      //   const errorMessage = openLibraryError.response?.status === 404 
-      //     ? "Book not found in Open Library. The book may have been removed or the ID is invalid."
-      //     : openLibraryError.message || "Book not found in local database or Open Library";
-      //   
-      //   return res.status(404).json({ 
-      //     success: false, 
-      //     error: errorMessage,
-      //     message: errorMessage
-      //   });
-      // }
-
-      // If we reach here, book not found in any source
-      logger.warn("Book not found", { bookId: id });
-      return res.status(404).json({ 
-        success: false, 
-        error: "Book not found. Only Google Books is currently supported.",
-        message: "Book not found. Only Google Books is currently supported."
-      });
+      try {
+        // Check if the ID looks like an Open Library work ID
+        let workId = id;
+        if (!workId.startsWith('/works/')) {
+          workId = `/works/${workId}`;
+        }
+        
+        const openLibraryBook = await openLibraryService.getBookDetails(workId);
+        
+        // Add Amazon affiliate link
+        const amazonLink = await amazonAffiliateService.generateAffiliateLink({
+          title: openLibraryBook.title,
+          authors: openLibraryBook.authorNames || [],
+          marketplace,
+          isbn: openLibraryBook.isbn,
+          lookup: true,
+        });
+        
+        const bookWithAffiliate = {
+          ...openLibraryBook,
+          amazonLink,
+          ...(await catalogFields({ ...openLibraryBook, authors: openLibraryBook.authorNames }, id)),
+        };
+        
+        return res.status(200).json({ success: true, data: bookWithAffiliate });
+      } catch (openLibraryError) {
+        logger.error("Error fetching from Open Library", { 
+          error: openLibraryError.message, 
+          bookId: id,
+          stack: openLibraryError.stack
+        });
+        
+        // If Open Library also fails, return not found with helpful message
+        const errorMessage = openLibraryError.statusCode === 404 
+          ? "Book not found in Open Library. The book may have been removed or the ID is invalid."
+          : openLibraryError.message || "Book not found in local database or Open Library";
+        
+        return res.status(404).json({ 
+          success: false, 
+          error: errorMessage,
+          message: errorMessage
+        });
+      }
     } catch (error) {
       next(error);
     }
@@ -404,7 +532,8 @@ class BookController {
 
       logger.info("Searching books by category", { category, page });
 
-      const cacheKey = `category:${category}:${condition || ''}:${sort || ''}:${page}`;
+      const { marketplace } = amazonAffiliateService.marketplaceForRequest(req) || {};
+      const cacheKey = `category:${category}:${condition || ''}:${sort || ''}:${page}:${marketplace || ''}`;
       const cached = await redis.get(cacheKey);
       if (cached) {
         const parsed = JSON.parse(cached);
@@ -416,6 +545,7 @@ class BookController {
         page: parseInt(page),
         condition: condition || undefined,
         sort: sort || undefined,
+        marketplace,
       });
 
       await redis.set(cacheKey, JSON.stringify(result), "EX", 3600); // cache 1 hour
@@ -431,93 +561,90 @@ class BookController {
     }
   }
 
-  static async getAuthorDetails(req, res, _next) {
-    // COMMENTED OUT FOR TESTING - Open Library author details disabled
-    // try {
-    //   const { authorId } = req.params;
-    //   
-    //   // Check if the ID looks like an Open Library author ID
-    //   let authorKey = authorId;
-    //   if (!authorKey.startsWith('/authors/')) {
-    //     authorKey = `/authors/${authorKey}`;
-    //   }
-    //   
-    //   const authorDetails = await openLibraryService.getAuthorDetails(authorKey);
-    //   res.status(200).json({ success: true, data: authorDetails });
-    // } catch (error) {
-    //   logger.error("Error fetching author details", { error: error.message });
-    //   next(error);
-    // }
-    return res.status(404).json({ 
-      success: false, 
-      error: "Author details not available. Only Google Books is currently supported.",
-      message: "Author details not available. Only Google Books is currently supported."
+  static async getAuthorDetails(req, res, next) {
+    try {
+      const { authorId } = req.params;
+      
+      // Check if the ID looks like an Open Library author ID
+      let authorKey = authorId;
+      if (!authorKey.startsWith('/authors/')) {
+        authorKey = `/authors/${authorKey}`;
+      }
+      
+      const authorDetails = await openLibraryService.getAuthorDetails(authorKey);
+      res.status(200).json({ success: true, data: authorDetails });
+    } catch (error) {
+      logger.error("Error fetching author details", { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Amazon marketplaces a reader can choose, and the one selected for this request
+   */
+  static getMarketplaces(req, res) {
+    const { marketplace = null, source = null } = amazonAffiliateService.marketplaceForRequest(req) || {};
+    res.status(200).json({
+      success: true,
+      data: {
+        marketplaces: amazonAffiliateService.listMarketplaces(),
+        selected: marketplace,
+        source,
+      },
     });
   }
 
   /**
-   * Track affiliate link click and return affiliate URL
+   * Every retailer and library link for a book (retailerLinkService)
    */
-  static async trackAffiliateClick(req, res, next) {
+  static async getWhereToBuy(req, res, next) {
     try {
       const { id } = req.params;
-      
-      // Get book details (guard against non-ObjectId IDs like 'google-*' which
-      // throw a Mongoose CastError instead of returning null)
-      let book = null;
-      if (mongoose.Types.ObjectId.isValid(id)) {
-        book = await Book.findById(id);
-      }
+      const book = await findBookForLinks(id);
       if (!book) {
-        book = await Book.findOne({ externalId: id });
+        throw new ApiError("Book not found", 404);
       }
 
-      // If still not found and it's a Google Books ID, fetch minimal metadata
-      // so the affiliate search URL is accurate even on a direct click.
-      if (!book && id.startsWith("google-")) {
-        try {
-          const volumeId = id.replace(/^google-/, "");
-          const googleBook = await getGoogleBookById(volumeId);
-          book = {
-            title: googleBook.title,
-            authors: googleBook.authors || googleBook.authorNames || [],
-            coverImage: googleBook.coverImage || null,
-          };
-        } catch (googleError) {
-          logger.warn("Affiliate click: Google Books lookup failed", {
-            bookId: id,
-            error: googleError.message,
-          });
-        }
+      // Amazon needs a tagged marketplace; other stores go by the reader's region
+      const { marketplace = null } = amazonAffiliateService.marketplaceForRequest(req) || {};
+      const { marketplace: region } = amazonAffiliateService.marketplaceForRequest(req, { anyStore: true });
+      const offers = await retailerLinkService.offersFor(book, { marketplace, region });
+
+      res.status(200).json({ success: true, data: { bookId: id, marketplace, region, offers } });
+    } catch (error) {
+      logger.error("Error fetching where-to-buy links", { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Track affiliate link click and return affiliate URL
+   * (Amazon, or the store named by ?retailer=)
+   */
+  static async trackAffiliateClick(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { retailer = "amazon" } = req.query;
+      if (!retailerLinkService.get(retailer)) {
+        throw new ApiError(`Unknown retailer "${retailer}"`, 400);
       }
-      
-      // COMMENTED OUT FOR TESTING - Open Library fallback disabled
-      // If book not in DB, fetch from Open Library
-      // if (!book) {
-      //   let workId = id;
-      //   if (!workId.startsWith('/works/')) {
-      //     workId = `/works/${workId}`;
-      //   }
-      //   const openLibraryBook = await openLibraryService.getBookDetails(workId);
-      //   book = {
-      //     title: openLibraryBook.title,
-      //     authors: openLibraryBook.authorNames || []
-      //   };
-      // }
-      
+
+      const book = await findBookForLinks(id);
       if (!book) {
-        throw new ApiError("Book not found. Only Google Books is currently supported.", 404);
+        throw new ApiError("Book not found", 404);
       }
       
-      // Generate affiliate link
-      const amazonLink = await amazonAffiliateService.generateAffiliateLink({
-        title: book.title,
-        authors: book.authors || []
-      });
+      // Link for the visitor's Amazon marketplace, or region for other stores
+      const { marketplace } = amazonAffiliateService.marketplaceForRequest(req) || {};
+      const { marketplace: region } = amazonAffiliateService.marketplaceForRequest(req, { anyStore: true });
+      const offer = await retailerLinkService.linkFor(retailer, book, { marketplace, region });
 
-      if (!amazonLink) {
-        throw new ApiError("Affiliate link not available", 500);
+      if (!offer) {
+        throw retailer === "amazon"
+          ? new ApiError("Affiliate link not available", 500)
+          : new ApiError("This retailer has no link for this book", 404);
       }
+      const clickMarketplace = retailer === "amazon" ? marketplace : null;
 
       // Persist the click for analytics (fire-and-forget, never blocks the redirect).
       // `source`/`context` are threaded from the frontend so CTR can be computed
@@ -530,7 +657,9 @@ class BookController {
         bookTitle: book.title,
         authors: book.authors || [],
         coverImage: book.coverImage || null,
-        amazonUrl: amazonLink,
+        retailer,
+        amazonUrl: offer.url,
+        marketplace: clickMarketplace,
         variant: variant || null,
         userId: req.user?.id || null,
         req,
@@ -541,14 +670,18 @@ class BookController {
         bookTitle: book.title,
         source,
         context: context || null,
+        retailer,
+        marketplace: clickMarketplace,
         timestamp: new Date().toISOString()
       });
 
       res.status(200).json({
         success: true,
         data: {
-          affiliateUrl: amazonLink,
-          bookId: id
+          affiliateUrl: offer.url,
+          bookId: id,
+          retailer,
+          marketplace: clickMarketplace
         }
       });
     } catch (error) {
@@ -1,4 +1,8 @@
+import mongoose from "mongoose";
 import BookCollection from "../models/BookCollection.js";
+import User from "../models/User.js";
+import libraryExportService from "../services/libraryExportService.js";
+import catalogService from "../services/catalogService.js";
 import { ApiError } from "../utils/errors.js";
 import logger from "../config/logger.js";
 
@@ -82,7 +86,7 @@ class CollectionController {
 
       const collection = await BookCollection.findOne({
         _id: id,
-        $or: [{ user: userId }, { isPublic: true }],
+        ...BookCollection.accessFilter(userId, "read"),
       });
 
       if (!collection) {
@@ -134,22 +138,32 @@ class CollectionController {
 
       const collection = await BookCollection.findOne({
         _id: collectionId,
-        user: userId,
+        ...BookCollection.accessFilter(userId, "edit"),
       });
       if (!collection) {
         throw new ApiError("Collection not found or access denied", 404);
       }
 
-      // Check if book already exists in collection
-      const bookExists = collection.books.some(
-        (book) => book.bookId === bookId
-      );
-      if (bookExists) {
+      // Check if book (or another edition of it) already exists in collection
+      const workId = await catalogService.resolveWorkId({
+        id: bookId,
+        title,
+        authors,
+        isbn,
+        publisher,
+        publishedDate,
+        pageCount,
+        language,
+        coverImage,
+        genres,
+      });
+      if (collection.findBook(bookId, workId)) {
         throw new ApiError("Book already exists in this collection", 400);
       }
 
       const bookData = {
         bookId,
+        workId: workId || undefined,
         title,
         authors: authors || [],
         coverImage,
@@ -210,15 +224,14 @@ class CollectionController {
 
       const collection = await BookCollection.findOne({
         _id: collectionId,
-        user: userId,
+        ...BookCollection.accessFilter(userId, "edit"),
       });
       if (!collection) {
         throw new ApiError("Collection not found or access denied", 404);
       }
 
-      const bookIndex = collection.books.findIndex(
-        (book) => book.bookId === bookId
-      );
+      const entry = await catalogService.findCollectionEntry(collection, bookId);
+      const bookIndex = collection.books.indexOf(entry);
       if (bookIndex === -1) {
         throw new ApiError("Book not found in collection", 404);
       }
@@ -265,15 +278,14 @@ class CollectionController {
 
       const collection = await BookCollection.findOne({
         _id: collectionId,
-        user: userId,
+        ...BookCollection.accessFilter(userId, "edit"),
       });
       if (!collection) {
         throw new ApiError("Collection not found or access denied", 404);
       }
 
-      const bookIndex = collection.books.findIndex(
-        (book) => book.bookId === bookId
-      );
+      const entry = await catalogService.findCollectionEntry(collection, bookId);
+      const bookIndex = collection.books.indexOf(entry);
       if (bookIndex === -1) {
         throw new ApiError("Book not found in collection", 404);
       }
@@ -319,6 +331,10 @@ class CollectionController {
         throw new ApiError("Collection not found or access denied", 404);
       }
 
+      if (isPublic && collection.moderation?.takenDownAt) {
+        throw new ApiError("This collection was taken down by a moderator and cannot be made public", 403);
+      }
+
       // Update fields if provided
       if (name !== undefined) collection.name = name;
       if (description !== undefined) collection.description = description;
@@ -424,6 +440,10 @@ class CollectionController {
         throw new ApiError("Collection not found or access denied", 404);
       }
 
+      if (collection.moderation?.takenDownAt) {
+        throw new ApiError("This collection was taken down by a moderator and cannot be shared", 403);
+      }
+
       const shareableLink = collection.generateShareableLink();
       await collection.save();
 
@@ -482,7 +502,7 @@ class CollectionController {
 
       const collection = await BookCollection.findOne({
         _id: id,
-        $or: [{ user: userId }, { isPublic: true }],
+        ...BookCollection.accessFilter(userId, "read"),
       });
 
       if (!collection) {
@@ -531,7 +551,7 @@ class CollectionController {
 
       const collection = await BookCollection.findOne({
         _id: id,
-        $or: [{ user: userId }, { isPublic: true }],
+        ...BookCollection.accessFilter(userId, "read"),
       });
 
       if (!collection) {
@@ -579,6 +599,343 @@ class CollectionController {
     }
   }
 
+  static async exportCollection(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { format } = req.query;
+      const userId = req.user.id;
+
+      const collection = await libraryExportService.getExportableCollection(userId, id);
+
+      logger.info("Collection export started", {
+        userId,
+        collectionId: id,
+        format,
+      });
+
+      const label = collection.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+      libraryExportService.sendExport(res, {
+        userId,
+        collectionId: collection._id,
+        format,
+        label: label || "collection",
+      });
+    } catch (error) {
+      logger.error("Export collection error", {
+        userId: req.user?.id,
+        collectionId: req.params.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+
+  static async getCollaborations(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { status } = req.query;
+
+      const match = { user: userId };
+      if (status) match.status = status;
+
+      const collections = await BookCollection.find({
+        collaborators: { $elemMatch: match },
+      }).populate("user", "username");
+
+      const data = collections.map((collection) => {
+        const collaborator = collection.getCollaborator(userId);
+        return {
+          collection,
+          role: collaborator.role,
+          status: collaborator.status,
+          invitedAt: collaborator.addedAt,
+        };
+      });
+
+      res.status(200).json({
+        success: true,
+        count: data.length,
+        data,
+      });
+    } catch (error) {
+      logger.error("Get collaborations error", {
+        userId: req.user?.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+
+  static async getCollaborators(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const collection = await BookCollection.findOne({
+        _id: id,
+        ...BookCollection.accessFilter(userId, "member"),
+      }).populate("collaborators.user", "username email");
+
+      if (!collection) {
+        throw new ApiError("Collection not found or access denied", 404);
+      }
+
+      // Pending invitations are only visible to the owner
+      const isOwner = collection.getAccessRole(userId) === "owner";
+      const collaborators = collection.collaborators.filter(
+        (c) => isOwner || c.status === "accepted"
+      );
+
+      res.status(200).json({
+        success: true,
+        count: collaborators.length,
+        data: collaborators,
+      });
+    } catch (error) {
+      logger.error("Get collaborators error", {
+        userId: req.user?.id,
+        collectionId: req.params.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+
+  static async inviteCollaborator(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { email, username, role } = req.body;
+      const userId = req.user.id;
+
+      const collection = await BookCollection.findOne({
+        _id: id,
+        user: userId,
+      });
+      if (!collection) {
+        throw new ApiError("Collection not found or access denied", 404);
+      }
+
+      const invitee = await User.findOne(
+        email ? { email: { $eq: email.toLowerCase().trim() } } : { username: { $eq: username } }
+      );
+      if (!invitee) {
+        throw new ApiError("User to invite not found", 404);
+      }
+      if (invitee._id.toString() === userId) {
+        throw new ApiError("You cannot invite yourself to your own collection", 400);
+      }
+      if (collection.getCollaborator(invitee._id)) {
+        throw new ApiError("User is already a collaborator on this collection", 409);
+      }
+
+      collection.collaborators.push({
+        user: invitee._id,
+        role: role || "viewer",
+        status: "pending",
+        invitedBy: userId,
+      });
+      await collection.save();
+
+      const AuditLog = mongoose.model("AuditLog");
+      await AuditLog.logAction(
+        userId,
+        "collaborator_invited",
+        {
+          collectionId: collection._id,
+          collaboratorId: invitee._id,
+          role: role || "viewer",
+        },
+        req
+      );
+
+      logger.info("Collaborator invited", {
+        userId,
+        collectionId: id,
+        collaboratorId: invitee._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: collection.getCollaborator(invitee._id),
+      });
+    } catch (error) {
+      logger.error("Invite collaborator error", {
+        userId: req.user?.id,
+        collectionId: req.params.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+
+  static async acceptInvitation(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const collection = await BookCollection.findOne({
+        _id: id,
+        collaborators: { $elemMatch: { user: userId, status: "pending" } },
+      });
+      if (!collection) {
+        throw new ApiError("Invitation not found", 404);
+      }
+
+      const collaborator = collection.getCollaborator(userId);
+      collaborator.status = "accepted";
+      collaborator.acceptedAt = new Date();
+      await collection.save();
+
+      const AuditLog = mongoose.model("AuditLog");
+      await AuditLog.logAction(
+        userId,
+        "collaborator_accepted",
+        {
+          collectionId: collection._id,
+          ownerId: collection.user,
+          role: collaborator.role,
+        },
+        req
+      );
+
+      logger.info("Collaboration invitation accepted", {
+        userId,
+        collectionId: id,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: collaborator,
+      });
+    } catch (error) {
+      logger.error("Accept invitation error", {
+        userId: req.user?.id,
+        collectionId: req.params.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+
+  static async updateCollaboratorRole(req, res, next) {
+    try {
+      const { id, userId: collaboratorId } = req.params;
+      const { role } = req.body;
+      const userId = req.user.id;
+
+      const collection = await BookCollection.findOne({
+        _id: id,
+        user: userId,
+      });
+      if (!collection) {
+        throw new ApiError("Collection not found or access denied", 404);
+      }
+
+      const collaborator = collection.getCollaborator(collaboratorId);
+      if (!collaborator) {
+        throw new ApiError("Collaborator not found", 404);
+      }
+
+      const previousRole = collaborator.role;
+      collaborator.role = role;
+      await collection.save();
+
+      const AuditLog = mongoose.model("AuditLog");
+      await AuditLog.logAction(
+        userId,
+        "collaborator_role_changed",
+        {
+          collectionId: collection._id,
+          collaboratorId,
+          previousRole,
+          role,
+        },
+        req
+      );
+
+      logger.info("Collaborator role changed", {
+        userId,
+        collectionId: id,
+        collaboratorId,
+        role,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: collaborator,
+      });
+    } catch (error) {
+      logger.error("Update collaborator role error", {
+        userId: req.user?.id,
+        collectionId: req.params.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+
+  static async removeCollaborator(req, res, next) {
+    try {
+      const { id, userId: collaboratorId } = req.params;
+      const userId = req.user.id;
+
+      // The owner can remove anyone; a collaborator can only remove themselves
+      // (leaving the collection or declining a pending invitation)
+      const collection = await BookCollection.findOne({
+        _id: id,
+        $or: [{ user: userId }, { "collaborators.user": userId }],
+      });
+      if (!collection) {
+        throw new ApiError("Collection not found or access denied", 404);
+      }
+
+      const isOwner = collection.user.toString() === userId;
+      if (!isOwner && collaboratorId !== userId) {
+        throw new ApiError("Only the collection owner can remove other collaborators", 403);
+      }
+
+      const collaborator = collection.getCollaborator(collaboratorId);
+      if (!collaborator) {
+        throw new ApiError("Collaborator not found", 404);
+      }
+
+      collection.collaborators.pull(collaborator._id);
+      await collection.save();
+
+      const AuditLog = mongoose.model("AuditLog");
+      await AuditLog.logAction(
+        userId,
+        "collaborator_removed",
+        {
+          collectionId: collection._id,
+          collaboratorId,
+          role: collaborator.role,
+          status: collaborator.status,
+          selfRemoved: !isOwner,
+        },
+        req
+      );
+
+      logger.info("Collaborator removed", {
+        userId,
+        collectionId: id,
+        collaboratorId,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Collaborator removed from collection",
+      });
+    } catch (error) {
+      logger.error("Remove collaborator error", {
+        userId: req.user?.id,
+        collectionId: req.params.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+
   // Helper methods
   static getGenreDistribution(books) {
     const genreCount = {};
@@ -0,0 +1,76 @@
+import gpgService from "../services/gpgService.js";
+
+/**
+ * GPG key management for encrypted account email
+ */
+class GpgKeyController {
+  /**
+   * Current key and any upload waiting for verification
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async getKey(req, res, next) {
+    try {
+      const status = await gpgService.getStatus(req.user.id);
+      res.status(200).json({ success: true, data: status });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Upload a public key; responds with the challenge to sign with it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async uploadKey(req, res, next) {
+    try {
+      const pending = await gpgService.startVerification(req.user.id, req.body.publicKey);
+      res.status(200).json({
+        success: true,
+        message: "Sign the challenge with this key to finish adding it",
+        data: pending,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Finish adding the key with the signed challenge
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async verifyKey(req, res, next) {
+    try {
+      const fingerprint = await gpgService.verify(req.user.id, req.body.signedMessage, req);
+      res.status(200).json({
+        success: true,
+        message: "GPG key verified. Account emails will be encrypted.",
+        data: { enabled: true, fingerprint },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove the key; emails are sent unencrypted again
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  static async removeKey(req, res, next) {
+    try {
+      await gpgService.remove(req.user.id, req);
+      res.status(200).json({ success: true, message: "GPG key removed" });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default GpgKeyController;
@@ -0,0 +1,201 @@
+import passport, { oauthProviders } from "../config/passport.js";
+import AuditLog from "../models/AuditLog.js";
+import oauthService, { OAUTH_PROVIDERS } from "../services/oauthService.js";
+import sessionService from "../services/sessionService.js";
+import twoFactorService from "../services/twoFactorService.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+const NONCE_COOKIE = "oauth_nonce";
+const API_URL = () => process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+const FRONTEND_URL = () => process.env.FRONTEND_URL || "http://localhost:3000";
+
+const nonceCookieOptions = {
+  httpOnly: true,
+  sameSite: "lax", // sent on the top-level redirect back from the provider
+  secure: process.env.NODE_ENV === "production",
+  path: "/api/auth",
+  maxAge: 10 * 60 * 1000,
+};
+
+function readCookie(req, name) {
+  const match = (req.headers.cookie || "").split(/;\s*/).find((c) => c.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+function assertProvider(provider) {
+  if (!OAUTH_PROVIDERS.includes(provider) || !oauthProviders[provider].enabled) {
+    throw new ApiError(`${provider} sign-in is not available`, 404);
+  }
+}
+
+// Error slug for the frontend (?error=...)
+const errorCode = (error) =>
+  error?.oauthError ||
+  { 403: "oauth_email_unverified", 409: "oauth_already_linked" }[error?.statusCode] ||
+  "oauth_failed";
+
+class OAuthController {
+  /**
+   * GET /api/auth/oauth/providers — which sign-in buttons to show
+   */
+  static providers(req, res) {
+    res.status(200).json({
+      success: true,
+      data: Object.fromEntries(OAUTH_PROVIDERS.map((p) => [p, oauthProviders[p].enabled])),
+    });
+  }
+
+  /**
+   * GET /api/auth/:provider[?link=<token>] — redirect to the provider.
+   * With a link token (from POST /oauth/:provider/link) the callback links
+   * the account to the signed-in user instead of signing in.
+   */
+  static start(provider) {
+    return (req, res, next) => {
+      try {
+        assertProvider(provider);
+        const userId = req.query.link ? oauthService.verifyLinkToken(req.query.link, provider) : undefined;
+        const { state, nonce } = oauthService.createState(provider, { userId });
+
+        res.cookie(NONCE_COOKIE, nonce, nonceCookieOptions);
+        passport.authenticate(provider, {
+          scope: oauthProviders[provider].scope,
+          state,
+          session: false,
+        })(req, res, next);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * GET /api/auth/:provider/callback — the provider redirects back here.
+   * Sign-in: redirects to the frontend with a one-time code (never tokens).
+   * Link: redirects to the profile page.
+   */
+  static callback(provider) {
+    return (req, res, next) => {
+      const fail = (error) => {
+        logger.warn("OAuth callback failed", { provider, error: error?.message });
+        const page = req.oauthState?.userId ? "profile" : "login";
+        res.redirect(`${FRONTEND_URL()}/${page}?error=${errorCode(error)}`);
+      };
+
+      try {
+        assertProvider(provider);
+        req.oauthState = oauthService.verifyState(req.query.state, provider, readCookie(req, NONCE_COOKIE));
+      } catch (error) {
+        return fail(error);
+      }
+      res.clearCookie(NONCE_COOKIE, { path: nonceCookieOptions.path });
+
+      passport.authenticate(provider, { session: false }, async (err, user) => {
+        if (err || !user) return fail(err);
+
+        try {
+          if (req.oauthState.userId) {
+            return res.redirect(`${FRONTEND_URL()}/profile?linked=${provider}`);
+          }
+
+          const code = await oauthService.issueLoginCode(user._id, provider);
+          res.redirect(`${FRONTEND_URL()}/oauth-callback?code=${code}`);
+        } catch (error) {
+          fail(error);
+        }
+      })(req, res, next);
+    };
+  }
+
+  /**
+   * POST /api/auth/oauth/exchange { code } — trade the one-time code for
+   * tokens. Same response shape as password login.
+   */
+  static async exchange(req, res, next) {
+    try {
+      const { code } = req.body || {};
+      if (typeof code !== "string" || !code) {
+        throw new ApiError("code is required", 400);
+      }
+
+      const { user, provider } = await oauthService.exchangeCode(code);
+
+      if (user.twoFactorEnabled) {
+        return res.status(200).json({
+          success: true,
+          requiresTwoFactor: true,
+          challengeToken: twoFactorService.createLoginChallenge(user._id),
+        });
+      }
+
+      const userRole = user.role || "user";
+      const { accessToken, refreshToken } = await sessionService.issueTokens(user, req);
+
+      await AuditLog.logAction(user._id, "login_success", { twoFactorUsed: false, provider }, req);
+      logger.info("User logged in via OAuth", { userId: user._id, provider });
+
+      res.status(200).json({
+        success: true,
+        accessToken,
+        refreshToken,
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          role: userRole,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/auth/oauth/accounts — linked providers for the profile page
+   */
+  static async accounts(req, res, next) {
+    try {
+      const accounts = await oauthService.getAccounts(req.user.id);
+      res.status(200).json({ success: true, data: accounts });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/oauth/:provider/link — returns the URL the browser
+   * should open to link the provider to the signed-in account.
+   */
+  static async link(req, res, next) {
+    try {
+      const { provider } = req.params;
+      assertProvider(provider);
+      const token = oauthService.createLinkToken(req.user.id, provider);
+      res.status(200).json({
+        success: true,
+        data: { url: `${API_URL()}/api/auth/${provider}?link=${encodeURIComponent(token)}` },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/auth/oauth/:provider — unlink
+   */
+  static async unlink(req, res, next) {
+    try {
+      const { provider } = req.params;
+      if (!OAUTH_PROVIDERS.includes(provider)) {
+        throw new ApiError(`Unknown provider: ${provider}`, 404);
+      }
+      const accounts = await oauthService.unlink(req.user.id, provider);
+      res.status(200).json({ success: true, data: accounts });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default OAuthController;
@@ -10,6 +10,8 @@ import {
   renderRobotsTxt,
 } from "../services/seoService.js";
 import { fetchBooksForEntry } from "../services/seoBookFetcher.js";
+import amazonAffiliateService from "../services/amazonAffiliateService.js";
+import { GEO_COUNTRY_HEADERS } from "../config/marketplaces.js";
 
 function html(res, body) {
   res.set("Content-Type", "text/html; charset=utf-8");
@@ -17,12 +19,23 @@ function html(res, body) {
   res.send(body);
 }
 
+/**
+ * Books for a landing page, with affiliate links for the visitor's Amazon
+ * marketplace (the page language decides for visitors without a signal).
+ * Shared caches must keep one copy per marketplace signal.
+ */
+function booksFor(req, res, entry, type) {
+  res.vary(["Accept-Language", ...GEO_COUNTRY_HEADERS].join(", "));
+  const { marketplace } = amazonAffiliateService.marketplaceForRequest(req, { pageLanguage: entry.lang }) || {};
+  return fetchBooksForEntry(entry, type, { marketplace });
+}
+
 class SeoController {
   static async renderGenre(req, res, next) {
     try {
       const entry = GENRE_BY_SLUG[req.params.slug];
       if (!entry) return res.status(404).send("Genre not found");
-      const books = await fetchBooksForEntry(entry, "genre");
+      const books = await booksFor(req, res, entry, "genre");
       html(res, renderLandingPage({ type: "genre", entry, books }));
     } catch (err) {
       next(err);
@@ -33,7 +46,7 @@ class SeoController {
     try {
       const entry = TOPIC_BY_SLUG[req.params.slug];
       if (!entry) return res.status(404).send("Topic not found");
-      const books = await fetchBooksForEntry(entry, "topic");
+      const books = await booksFor(req, res, entry, "topic");
       html(res, renderLandingPage({ type: "topic", entry, books }));
     } catch (err) {
       next(err);
@@ -44,7 +57,7 @@ class SeoController {
     try {
       const entry = AUTHOR_BY_SLUG[req.params.slug];
       if (!entry) return res.status(404).send("Author not found");
-      const books = await fetchBooksForEntry(entry, "author");
+      const books = await booksFor(req, res, entry, "author");
       html(res, renderLandingPage({ type: "author", entry, books }));
     } catch (err) {
       next(err);
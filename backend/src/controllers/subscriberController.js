@@ -1,45 +1,112 @@
-import EmailSubscriber from "../models/EmailSubscriber.js";
+import subscriberService from "../services/subscriberService.js";
 import emailService from "../services/emailService.js";
-import { ApiError } from "../utils/errors.js";
 import logger from "../config/logger.js";
 
-const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const unsubscribePage = (message) => `<!doctype html>
+<html lang="en">
+  <head><meta charset="utf-8" /><meta name="viewport" content="width=device-width, initial-scale=1" /><title>BookPath</title></head>
+  <body style="font-family:Helvetica,Arial,sans-serif;max-width:480px;margin:60px auto;text-align:center;color:#1f2937">
+    <h2>${message}</h2>
+  </body>
+</html>`;
 
 class SubscriberController {
   /**
-   * POST /api/subscribers  { email, source?, context? }
-   * Idempotent upsert — re-subscribing the same email does not error.
+   * POST /api/subscribers  { email, source?, context?, genres?, frequency? }
+   * Double opt-in: sends a confirmation email; nothing else is mailed until
+   * the link in it is clicked. A confirmed address gets its preference link
+   * instead. Same response whether or not the address is already on the list.
    */
   static async subscribe(req, res, next) {
     try {
-      const { email, source = "book-details", context } = req.body || {};
-      if (!email || !EMAIL_RE.test(String(email))) {
-        throw new ApiError("A valid email address is required", 400);
-      }
+      const { email } = req.body;
+      await subscriberService.subscribe(req.body);
 
-      const normalized = String(email).toLowerCase().trim();
+      res.status(201).json({ success: true, data: { subscribed: false, pending: true, email } });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/subscribers/confirm/:token  — link in the confirmation email
+   * Redirects to the preference page (or to it with an error flag).
+   */
+  static async confirm(req, res) {
+    const base = `${emailService.config.FRONTEND_URL}/subscription`;
+    try {
+      const subscriber = await subscriberService.confirm(req.params.token);
+      const url = new URL(subscriberService.preferencesUrl(subscriber));
+      url.searchParams.set("confirmed", "1");
+      res.redirect(url.toString());
+    } catch (error) {
+      logger.warn("Subscription confirmation failed", { error: error.message });
+      res.redirect(`${base}?error=${error.statusCode === 400 ? "invalid-link" : "failed"}`);
+    }
+  }
 
-      // Atomic upsert: insert on first subscribe, no-op on repeat.
-      await EmailSubscriber.findOneAndUpdate(
-        { email: normalized },
-        { $setOnInsert: { email: normalized, source, context: context || null } },
-        { upsert: true, runValidators: true }
-      );
+  /**
+   * GET /api/subscribers/unsubscribe?token=  — link in the digest footer
+   * Renders a small confirmation page (the link is opened in a browser).
+   */
+  static async unsubscribeLink(req, res) {
+    try {
+      await subscriberService.unsubscribe(req.query.token);
+      res.type("html").send(unsubscribePage("You have been unsubscribed. You won't get BookPath deal emails anymore."));
+    } catch (error) {
+      res
+        .status(error.statusCode || 500)
+        .type("html")
+        .send(unsubscribePage(error.statusCode === 400 ? "This unsubscribe link is invalid." : "Something went wrong, please try again later."));
+    }
+  }
+
+  /**
+   * POST /api/subscribers/unsubscribe?token=  — RFC 8058 one-click
+   * unsubscribe (List-Unsubscribe-Post), sent by the mail client.
+   */
+  static async unsubscribeOneClick(req, res, next) {
+    try {
+      const result = await subscriberService.unsubscribe(req.query.token);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      logger.info("Email subscriber upserted", { email: normalized, source });
+  /**
+   * GET /api/subscribers/preferences?token=
+   */
+  static async getPreferences(req, res, next) {
+    try {
+      const preferences = await subscriberService.getPreferences(req.query.token);
+      res.json({ success: true, data: preferences });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Fire-and-forget welcome email. No-op (logs only) when SMTP is
-      // unconfigured; a send failure must never fail the subscribe request.
-      emailService.sendWelcomeEmail(normalized).catch((e) =>
-        logger.warn("Welcome email skipped/failed", { email: normalized, error: e?.message })
-      );
+  /**
+   * PUT /api/subscribers/preferences?token=  { genres?, frequency?, subscribed? }
+   */
+  static async updatePreferences(req, res, next) {
+    try {
+      const preferences = await subscriberService.updatePreferences(req.query.token, req.body);
+      res.json({ success: true, data: preferences });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      res.status(201).json({ success: true, data: { subscribed: true, email: normalized } });
+  /**
+   * GET /api/subscribers/export?format=csv|json  (admin)
+   * Consented subscribers only, with the consent timestamp and source.
+   */
+  static async exportSubscribers(req, res, next) {
+    try {
+      logger.info("Subscriber export requested", { userId: req.user?.id, format: req.query.format });
+      subscriberService.sendExport(res, req.query.format);
     } catch (error) {
-      // Duplicate-key race → treat as already subscribed, not an error.
-      if (error?.code === 11000) {
-        return res.json({ success: true, data: { subscribed: true, already: true } });
-      }
       next(error);
     }
   }
@@ -1,7 +1,10 @@
 import User from "../models/User.js";
 import mongoose from "mongoose";
 import { ApiError } from "../utils/errors.js";
-import { generateTokens } from "../utils/jwtUtils.js";
+import sessionService from "../services/sessionService.js";
+import twoFactorService from "../services/twoFactorService.js";
+import accountDataService from "../services/accountDataService.js";
+import amazonAffiliateService from "../services/amazonAffiliateService.js";
 import logger from "../config/logger.js";
 import crypto from "crypto";
 import {
@@ -149,13 +152,13 @@ class UserController {
         return res.status(200).json({
           success: true,
           requiresTwoFactor: true,
-          userId: user._id,
+          challengeToken: twoFactorService.createLoginChallenge(user._id),
         });
       }
 
       // Generate tokens (ensure role has a default value)
       const userRole = user.role || "user";
-      const { accessToken, refreshToken } = await generateTokens(user._id, userRole);
+      const { accessToken, refreshToken } = await sessionService.issueTokens(user, req);
 
       // Log successful login
       const AuditLog = mongoose.model("AuditLog");
@@ -212,6 +215,7 @@ class UserController {
           emailVerified: user.emailVerified,
           twoFactorEnabled: user.twoFactorEnabled,
           preferences: user.preferences,
+          deletionScheduledFor: user.deletionScheduledFor || null,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt,
         },
@@ -232,6 +236,7 @@ class UserController {
       // Remove from whitelist and add to blacklist
       await removeFromWhitelist(jti, req.user.id);
       await blacklistJwt(jti, parseInt(process.env.JWT_EXPIRES_IN) || 3600);
+      await sessionService.endSession(req.user.id, req.user.sessionId);
 
       // Log logout event
       const AuditLog = mongoose.model("AuditLog");
@@ -356,8 +361,9 @@ class UserController {
       const AuditLog = mongoose.model("AuditLog");
       await AuditLog.logAction(userId, "password_changed", {}, req);
 
-      // Generate new tokens
-      const { accessToken, refreshToken } = generateTokens(user._id, user.role);
+      // New session for this device; every other session is signed out
+      const { accessToken, refreshToken, sessionId } = await sessionService.issueTokens(user, req);
+      await sessionService.revokeAll(userId, { except: sessionId });
 
       logger.info("User password changed", { userId });
 
@@ -432,6 +438,12 @@ class UserController {
         throw new ApiError("Valid preferences object is required", 400);
       }
 
+      // Amazon marketplace for affiliate links (null = pick automatically)
+      const { marketplace } = preferences;
+      if (marketplace != null && !amazonAffiliateService.listMarketplaces().some((m) => m.id === marketplace)) {
+        throw new ApiError("Unknown Amazon marketplace", 400);
+      }
+
       const updatedUser = await User.findByIdAndUpdate(
         userId,
         { preferences },
@@ -456,6 +468,51 @@ class UserController {
       next(error);
     }
   }
+
+  /**
+   * Schedule the account for deletion after the grace period
+   * Requires the password (or a 2FA code / recent sign-in for accounts
+   * without one) and signs out every session
+   */
+  static async deleteAccount(req, res, next) {
+    try {
+      const { password, token } = req.body || {};
+      const scheduledFor = await accountDataService.requestDeletion(req.user.id, { password, token }, req);
+
+      res.status(202).json({
+        success: true,
+        message: "Your account will be deleted. Sign in before then to keep it.",
+        data: { deletionScheduledFor: scheduledFor },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async cancelAccountDeletion(req, res, next) {
+    try {
+      await accountDataService.cancelDeletion(req.user.id, req);
+      res.status(200).json({ success: true, message: "Account deletion cancelled" });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download everything stored about the user as one JSON file
+   */
+  static async exportData(req, res, next) {
+    try {
+      const archive = await accountDataService.exportData(req.user.id, req);
+      const date = archive.exportedAt.slice(0, 10);
+
+      res.setHeader("Content-Disposition", `attachment; filename="bookpath-data-${date}.json"`);
+      res.setHeader("Cache-Control", "no-store");
+      res.status(200).json(archive);
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default UserController;
@@ -2,9 +2,9 @@
  * Authentication Middleware
  *
  * This module provides essential security middleware for the application:
- * - JWT-based authentication and authorization
+ * - JWT-based authentication and authorization (required or optional)
  * - CSRF protection
- * - Role-based access control
+ * - Permission-based access control (roles in config/permissions.js)
  * - Email verification requirements
  *
  * These middleware functions are crucial for protecting routes and ensuring
@@ -16,10 +16,13 @@ import crypto from "crypto";
 import { ApiError } from "../utils/errors.js";
 import { isJwtBlacklisted } from "../utils/authRedisUtils.js";
 import User from "../models/User.js";
+import sessionService from "../services/sessionService.js";
+import { hasPermission, normalizeRole } from "../config/permissions.js";
 
 /**
  * Main authentication middleware that handles JWT verification and role-based access control
- * @param {string[]} roles - Array of allowed roles for the route. Empty array means any authenticated user can access
+ * @param {string[]} roles - Array of allowed roles for the route. Empty array means any authenticated user can access.
+ *   Prefer requirePermission() for staff routes
  * @returns {Function} Express middleware function
  *
  * This middleware performs several security checks:
@@ -27,8 +30,9 @@ import User from "../models/User.js";
  * 2. Checks if the token is blacklisted
  * 3. Verifies the token's signature and expiration
  * 4. Validates the token version against the user's current version
- * 5. Checks role-based permissions if specified
- * 6. Attaches the authenticated user to the request object
+ * 5. Checks role-based permissions if specified (against the stored role, not the token's)
+ * 6. Checks that the token's session has not been revoked
+ * 7. Attaches the authenticated user (with their subscription tier) to the request object
  */
 export const authMiddleware = (roles = []) => {
   return async (req, res, next) => {
@@ -66,16 +70,25 @@ export const authMiddleware = (roles = []) => {
         throw new ApiError("Token invalidated", 401);
       }
 
-      // 5. Role check (if specified)
-      if (roles.length && !roles.includes(verified.role)) {
+      // 5. Role check (if specified); the token's role claim may be stale
+      const role = normalizeRole(user.role);
+      if (roles.length && !roles.includes(role)) {
         throw new ApiError("Insufficient permissions", 403);
       }
 
-      // 6. Attach user to request
+      // 6. Session still active (revoked sessions end their access tokens too)
+      if (verified.sid && !(await sessionService.touch(verified.sub, verified.sid, req))) {
+        throw new ApiError("Session revoked", 401);
+      }
+
+      // 7. Attach user to request
       req.user = {
         id: verified.sub,
-        role: verified.role,
+        role,
+        tier: user.subscriptionTier || "free",
+        marketplace: user.preferences?.marketplace || null,
         jti: decoded.jti,
+        sessionId: verified.sid,
       };
 
       next();
@@ -91,6 +104,22 @@ export const authMiddleware = (roles = []) => {
   };
 };
 
+/**
+ * Authenticate when the request carries a token, otherwise continue as anonymous
+ * @returns {Function} Express middleware function
+ *
+ * For public routes that personalize their response for signed-in users.
+ * An invalid or expired token is ignored rather than rejected, so a stale
+ * token never breaks a public page.
+ */
+export const optionalAuth = () => {
+  const authenticate = authMiddleware();
+  return (req, res, next) => {
+    if (!req.headers.authorization) return next();
+    return authenticate(req, res, () => next());
+  };
+};
+
 /**
  * CSRF Protection Middleware
  *
@@ -146,11 +175,26 @@ export const generateCsrfToken = (req, res, next) => {
 };
 
 /**
- * Pre-configured role-based middleware
- * These are convenience wrappers around authMiddleware for common role checks
+ * Permission check for staff routes
+ * @param {...string} permissions - Permissions the user's role must all grant (see config/permissions.js)
+ * @returns {Function} Express middleware function
+ *
+ * Authenticates the request first unless an earlier middleware already did,
+ * so it can stand alone on a route or follow authMiddleware() on a router.
  */
-export const adminOnly = authMiddleware(["chefaodacasa"]);
-export const userOnly = authMiddleware(["user"]);
+export const requirePermission = (...permissions) => {
+  const authenticate = authMiddleware();
+  return (req, res, next) => {
+    const check = (error) => {
+      if (error) return next(error);
+      if (!permissions.every((permission) => hasPermission(req.user.role, permission))) {
+        return next(new ApiError("Insufficient permissions", 403));
+      }
+      next();
+    };
+    return req.user ? check() : authenticate(req, res, check);
+  };
+};
 
 /**
  * Email Verification Check Middleware
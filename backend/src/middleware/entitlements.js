@@ -0,0 +1,78 @@
+/**
+ * Entitlements Middleware
+ *
+ * Enforces the limits of the user's subscription tier (config/entitlements.js)
+ * on the routes that consume them. Use after authMiddleware():
+ *
+ *   router.post("/", authMiddleware(), entitlementMiddleware("maxCollections"), ...)
+ *
+ * Over-limit requests fail with an EntitlementError: 402 when upgrading would
+ * lift the limit, 403 when the user is on the highest tier already.
+ */
+
+import mongoose from "mongoose";
+import BookCollection from "../models/BookCollection.js";
+import User from "../models/User.js";
+import entitlementService from "../services/entitlementService.js";
+import { ApiError } from "../utils/errors.js";
+
+// Whether the invitation in the body is for someone not yet on the collection
+async function addsCollaborator(req, collection) {
+  const { email, username } = req.body;
+  const invitee = await User.findOne(
+    email ? { email: { $eq: email.toLowerCase().trim() } } : { username: { $eq: username } }
+  ).select("_id");
+  if (!invitee || invitee._id.toString() === req.user.id) return false;
+  return !collection.collaborators.some((c) => String(c.user) === invitee._id.toString());
+}
+
+const CHECKS = {
+  // POST /collections
+  maxCollections: (req, tier) => entitlementService.assertCanCreateCollection(req.user.id, tier),
+
+  // POST /recommendations/refresh (counts the refresh)
+  aiRefreshesPerDay: (req, tier) => entitlementService.consumeAiRefresh(req.user.id, tier),
+
+  // GET .../export?format= (after validateLibraryExport applied the default)
+  exportFormats: (req, tier) => entitlementService.assertExportFormat(tier, req.query.format || "json"),
+
+  // POST /collections/:id/collaborators, and PUT /collections/:id making a shared collection private
+  maxPrivateCollaborators: async (req, tier) => {
+    // Runs before the controller, so a malformed id must not reach the query as a CastError
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw new ApiError("Collection not found or access denied", 404);
+    }
+    const collection = await BookCollection.findOne({ _id: req.params.id, user: req.user.id }).select(
+      "isPublic collaborators"
+    );
+    if (!collection) return; // the route answers 404
+
+    const inviting = req.method === "POST";
+    const makingPrivate = req.body?.isPublic === false && collection.isPublic;
+    if (inviting ? collection.isPublic : !makingPrivate) return;
+
+    if (inviting && !(await addsCollaborator(req, collection))) return; // the route answers 400/404/409
+    entitlementService.assertPrivateCollaborators(tier, collection.collaborators.length + (inviting ? 1 : 0));
+  },
+};
+
+/**
+ * @param {keyof CHECKS} entitlement - Entitlement the route consumes
+ * @returns {Function} Express middleware function
+ */
+export const entitlementMiddleware = (entitlement) => {
+  const check = CHECKS[entitlement];
+  if (!check) {
+    throw new Error(`Unknown entitlement: ${entitlement}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const tier = req.user.tier || (await entitlementService.getTier(req.user.id));
+      await check(req, tier);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
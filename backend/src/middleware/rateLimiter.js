@@ -2,6 +2,7 @@ import { RateLimiterRedis } from "rate-limiter-flexible";
 import redis from "../config/redis.js";
 import { ApiError } from "../utils/errors.js";
 import logger from "../config/logger.js";
+import { isStaff } from "../config/permissions.js";
 
 // Define rate limiters for different endpoints
 const loginRateLimiter = new RateLimiterRedis({
@@ -27,14 +28,17 @@ const authenticatedRateLimiter = new RateLimiterRedis({
   duration: 60, // per 1 minute
 });
 
-// Admin users get even higher limits
+// Staff (moderators, admins) get even higher limits
 const adminRateLimiter = new RateLimiterRedis({
   storeClient: redis,
-  keyPrefix: "ratelimit:chefaodacasa",
+  keyPrefix: "ratelimit:staff",
   points: 1000, // 1000 requests
   duration: 60, // per 1 minute
 });
 
+// Password and second-factor steps of the sign-in
+const LOGIN_PATHS = ["/auth/login", "/users/login", "/auth/2fa/login", "/auth/2fa/recovery"];
+
 export const rateLimiterMiddleware = async (req, res, next) => {
   try {
     // Skip rate limiting in development mode (no real Redis)
@@ -43,15 +47,17 @@ export const rateLimiterMiddleware = async (req, res, next) => {
     }
 
     // Determine user role and create a unique key
+    // req.path is relative to the router the middleware runs in
+    const path = `${req.baseUrl}${req.path}`;
     const role = req.user?.role || "anon";
-    const key = `${role}:${req.user?.id || req.ip}:${req.method}:${req.path}`;
+    const key = `${role}:${req.user?.id || req.ip}:${req.method}:${path}`;
 
     // Select appropriate rate limiter based on path and authentication
     let rateLimiter;
 
-    if (req.path.includes("/auth/login") || req.path.includes("/users/login")) {
+    if (LOGIN_PATHS.some((loginPath) => path.includes(loginPath))) {
       rateLimiter = loginRateLimiter;
-    } else if (role === "chefaodacasa") {
+    } else if (isStaff(role)) {
       rateLimiter = adminRateLimiter;
     } else if (req.user) {
       rateLimiter = authenticatedRateLimiter;
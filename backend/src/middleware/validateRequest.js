@@ -1,5 +1,7 @@
 import Joi from "joi";
 import { ApiError } from "../utils/errors.js";
+import { GENRES } from "../data/seoCatalog.js";
+import { ROLES } from "../config/permissions.js";
 
 // User validation schemas
 export const userSchemas = {
@@ -88,6 +90,61 @@ const collectionSchemas = {
     genre: Joi.string().max(50),
     favorite: Joi.string().valid('true', 'false'),
   }),
+
+  inviteCollaborator: Joi.object({
+    email: Joi.string().email(),
+    username: Joi.string().alphanum().min(3).max(30),
+    role: Joi.string().valid('viewer', 'editor').default('viewer'),
+  }).xor('email', 'username'),
+
+  updateCollaborator: Joi.object({
+    role: Joi.string().valid('viewer', 'editor').required(),
+  }),
+
+  collaborations: Joi.object({
+    status: Joi.string().valid('pending', 'accepted'),
+  }),
+};
+
+// Library validation schemas
+const librarySchemas = {
+  readingSession: Joi.object({
+    startPage: Joi.number().integer().min(0).required(),
+    endPage: Joi.number().integer().min(Joi.ref('startPage')).required(),
+    minutes: Joi.number().integer().min(0).max(1440),
+    date: Joi.date().max('now'),
+    notes: Joi.string().trim().max(500).allow(''),
+  }),
+
+  createGoal: Joi.object({
+    period: Joi.string().valid('yearly', 'monthly').required(),
+    metric: Joi.string().valid('books', 'pages').default('books'),
+    target: Joi.number().integer().min(1).max(1000000).required(),
+    year: Joi.number().integer().min(1900).max(2100).required(),
+    month: Joi.number().integer().min(1).max(12).when('period', {
+      is: 'monthly',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+  }),
+
+  updateGoal: Joi.object({
+    target: Joi.number().integer().min(1).max(1000000).required(),
+  }),
+
+  importLibrary: Joi.object({
+    format: Joi.string().valid('goodreads', 'storygraph'),
+    dryRun: Joi.boolean().default(false),
+  }),
+
+  exportLibrary: Joi.object({
+    format: Joi.string().valid('json', 'csv', 'goodreads').default('json'),
+  }),
+
+  listGoals: Joi.object({
+    year: Joi.number().integer().min(1900).max(2100),
+    period: Joi.string().valid('yearly', 'monthly'),
+  }),
 };
 
 // Book search validation schemas
@@ -101,6 +158,126 @@ const bookSearchSchemas = {
     startIndex: Joi.number().integer().min(0).default(0),
     maxResults: Joi.number().integer().min(1).max(40).default(10),
   }),
+
+  advancedSearch: Joi.object({
+    q: Joi.string().trim().max(300),
+    title: Joi.string().trim().max(200),
+    author: Joi.string().trim().max(100),
+    isbn: Joi.string()
+      .trim()
+      .replace(/[\s-]/g, '')
+      .pattern(/^(\d{9}[\dXx]|\d{13})$/)
+      .messages({ 'string.pattern.base': 'isbn must be a valid ISBN-10 or ISBN-13' }),
+    publisher: Joi.string().trim().max(100),
+    subject: Joi.string().trim().max(100),
+    genre: Joi.string().trim().max(100),
+    language: Joi.string().trim().lowercase().length(2),
+    yearFrom: Joi.number().integer().min(0).max(new Date().getFullYear() + 1),
+    yearTo: Joi.number().integer().min(0).max(new Date().getFullYear() + 1)
+      .when('yearFrom', { is: Joi.exist(), then: Joi.number().min(Joi.ref('yearFrom')) }),
+    pagesMin: Joi.number().integer().min(1),
+    pagesMax: Joi.number().integer().min(1)
+      .when('pagesMin', { is: Joi.exist(), then: Joi.number().min(Joi.ref('pagesMin')) }),
+    minRating: Joi.number().min(0).max(5),
+    sort: Joi.string().valid('newest', 'author_az'),
+    page: Joi.number().integer().min(1).max(50).default(1),
+  }).or('q', 'title', 'author', 'isbn', 'publisher', 'subject', 'genre'),
+};
+
+// Recommendation feedback validation schemas
+const recommendationSchemas = {
+  feedback: Joi.object({
+    title: Joi.string().trim().min(1).max(500).required(),
+    authors: Joi.array().items(Joi.string().trim().max(200)).max(20).default([]),
+    genres: Joi.array().items(Joi.string().trim().max(100)).max(20).default([]),
+    bookId: Joi.string().trim().max(200),
+    workId: Joi.string().hex().length(24),
+    feedback: Joi.string().valid('up', 'down', 'dismissed', 'read').required(),
+  }),
+
+  listFeedback: Joi.object({
+    feedback: Joi.string().valid('up', 'down', 'dismissed', 'read'),
+  }),
+};
+
+// Email subscriber (deals list) validation schemas
+const subscriberGenres = Joi.array()
+  .items(Joi.string().valid(...GENRES.map((g) => g.name)))
+  .max(GENRES.length)
+  .unique();
+
+const subscriberSchemas = {
+  subscribe: Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    source: Joi.string().trim().max(50).default('book-details'),
+    context: Joi.string().trim().max(300).allow(''),
+    genres: subscriberGenres,
+    frequency: Joi.string().valid('weekly', 'monthly'),
+  }),
+
+  actionToken: Joi.object({
+    token: Joi.string().max(2000).required(),
+  }),
+
+  updatePreferences: Joi.object({
+    genres: subscriberGenres,
+    frequency: Joi.string().valid('weekly', 'monthly'),
+    subscribed: Joi.boolean(),
+  }).min(1),
+
+  exportSubscribers: Joi.object({
+    format: Joi.string().valid('csv', 'json').default('csv'),
+  }),
+};
+
+// Admin console validation schemas
+const objectId = Joi.string().hex().length(24);
+const paging = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+};
+
+const adminSchemas = {
+  listUsers: Joi.object({
+    q: Joi.string().trim().max(100),
+    role: Joi.string().valid(...ROLES),
+    tier: Joi.string().valid('free', 'pro'),
+    status: Joi.string().valid('locked', 'pending_deletion'),
+    ...paging,
+  }),
+
+  updateUser: Joi.object({
+    role: Joi.string().valid(...ROLES),
+    tier: Joi.string().valid('free', 'pro'),
+  }).or('role', 'tier'),
+
+  lockUser: Joi.object({
+    until: Joi.date().greater('now'),
+    reason: Joi.string().trim().max(500),
+  }),
+
+  listAuditLogs: Joi.object({
+    userId: objectId,
+    action: Joi.string().trim().max(100),
+    from: Joi.date(),
+    to: Joi.date().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+    ...paging,
+  }),
+
+  listCollections: Joi.object({
+    q: Joi.string().trim().max(100),
+    status: Joi.string().valid('public', 'taken_down').default('public'),
+    ...paging,
+  }),
+
+  takeDownCollection: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required(),
+  }),
+
+  listMissingAsins: Joi.object({
+    status: Joi.string().valid('unchecked', 'not_found', 'no_isbn'),
+    ...paging,
+  }),
 };
 
 // Generic validation middleware
@@ -138,8 +315,35 @@ export const validateUpdateCollection = validateRequest(collectionSchemas.update
 export const validateAddBookToCollection = validateRequest(collectionSchemas.addBookToCollection);
 export const validateUpdateBookInCollection = validateRequest(collectionSchemas.updateBookInCollection);
 export const validateSearchBooksInCollection = validateRequest(collectionSchemas.searchBooks, 'query');
+export const validateInviteCollaborator = validateRequest(collectionSchemas.inviteCollaborator);
+export const validateUpdateCollaborator = validateRequest(collectionSchemas.updateCollaborator);
+export const validateCollaborations = validateRequest(collectionSchemas.collaborations, 'query');
+
+export const validateReadingSession = validateRequest(librarySchemas.readingSession);
+export const validateCreateGoal = validateRequest(librarySchemas.createGoal);
+export const validateUpdateGoal = validateRequest(librarySchemas.updateGoal);
+export const validateListGoals = validateRequest(librarySchemas.listGoals, 'query');
+export const validateLibraryImport = validateRequest(librarySchemas.importLibrary, 'query');
+export const validateLibraryExport = validateRequest(librarySchemas.exportLibrary, 'query');
 
 export const validateBookSearch = validateRequest(bookSearchSchemas.searchBooks, 'query');
+export const validateAdvancedSearch = validateRequest(bookSearchSchemas.advancedSearch, 'query');
+
+export const validateRecommendationFeedback = validateRequest(recommendationSchemas.feedback);
+export const validateListRecommendationFeedback = validateRequest(recommendationSchemas.listFeedback, 'query');
+
+export const validateSubscribe = validateRequest(subscriberSchemas.subscribe);
+export const validateSubscriberToken = validateRequest(subscriberSchemas.actionToken, 'query');
+export const validateUpdateSubscriberPreferences = validateRequest(subscriberSchemas.updatePreferences);
+export const validateExportSubscribers = validateRequest(subscriberSchemas.exportSubscribers, 'query');
+
+export const validateAdminListUsers = validateRequest(adminSchemas.listUsers, 'query');
+export const validateAdminUpdateUser = validateRequest(adminSchemas.updateUser);
+export const validateAdminLockUser = validateRequest(adminSchemas.lockUser);
+export const validateAdminListAuditLogs = validateRequest(adminSchemas.listAuditLogs, 'query');
+export const validateAdminListCollections = validateRequest(adminSchemas.listCollections, 'query');
+export const validateAdminTakeDown = validateRequest(adminSchemas.takeDownCollection);
+export const validateAdminMissingAsins = validateRequest(adminSchemas.listMissingAsins, 'query');
 
 export default {
   validateRequest,
@@ -152,5 +356,28 @@ export default {
   validateAddBookToCollection,
   validateUpdateBookInCollection,
   validateSearchBooksInCollection,
+  validateInviteCollaborator,
+  validateUpdateCollaborator,
+  validateCollaborations,
+  validateReadingSession,
+  validateCreateGoal,
+  validateUpdateGoal,
+  validateListGoals,
+  validateLibraryImport,
+  validateLibraryExport,
   validateBookSearch,
+  validateAdvancedSearch,
+  validateRecommendationFeedback,
+  validateListRecommendationFeedback,
+  validateSubscribe,
+  validateSubscriberToken,
+  validateUpdateSubscriberPreferences,
+  validateExportSubscribers,
+  validateAdminListUsers,
+  validateAdminUpdateUser,
+  validateAdminLockUser,
+  validateAdminListAuditLogs,
+  validateAdminListCollections,
+  validateAdminTakeDown,
+  validateAdminMissingAsins,
 };
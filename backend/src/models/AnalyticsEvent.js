@@ -3,20 +3,21 @@ import mongoose from "mongoose";
 /**
  * AnalyticsEvent — unified analytics store for the affiliate/revenue funnel.
  *
- * One collection tracks two event types:
+ * One collection tracks three event types, the steps of the funnel:
  *   - "impression": a search/category/featured result set was shown to a user
- *   - "click":       a user clicked an Amazon affiliate link
+ *   - "view":        a user opened a book-details page (from `source`/`context`)
+ *   - "click":       a user clicked an affiliate link
  *
- * Tracking impressions + clicks in the same collection with a shared `context`
- * field is what makes CTR (click-through rate) computable per search query and
- * per category:  CTR(context) = clicks(context) / impressions(context).
+ * Tracking them in the same collection with a shared `context` field is what
+ * makes CTR (click-through rate) computable per search query and per
+ * category:  CTR(context) = clicks(context) / impressions(context).
  */
 const analyticsEventSchema = new mongoose.Schema(
   {
     type: {
       type: String,
       required: true,
-      enum: ["impression", "click"],
+      enum: ["impression", "view", "click"],
       index: true,
     },
     // Where the event originated (which surface the user was on)
@@ -45,10 +46,16 @@ const analyticsEventSchema = new mongoose.Schema(
     bookTitle: { type: String, trim: true },
     authors: { type: [String] },
     coverImage: { type: String, trim: true },
+    // Store the click went to (retailerLinkService provider, e.g. "bookshop");
+    // clicks recorded before other retailers have none and were Amazon's
+    retailer: { type: String, trim: true },
+    // Outgoing link; despite the name, the other store's for non-Amazon clicks
     amazonUrl: { type: String, trim: true },
+    // Amazon marketplace the click was sent to (config/marketplaces.js ID, e.g. "uk")
+    marketplace: { type: String, trim: true },
 
-    // A/B test variant of the CTA that produced this click (e.g. "buy", "price").
-    // Lets the dashboard compare click-through by CTA copy.
+    // A/B test variant of the CTA shown (views) or that produced the click
+    // (e.g. "buy", "price"). Lets the dashboard compare click-through by CTA copy.
     variant: { type: String, trim: true },
 
     // Impression-only field: how many books were shown
@@ -68,6 +75,7 @@ const analyticsEventSchema = new mongoose.Schema(
 analyticsEventSchema.index({ type: 1, timestamp: -1 });
 analyticsEventSchema.index({ type: 1, context: 1, timestamp: -1 });
 analyticsEventSchema.index({ type: 1, bookId: 1, timestamp: -1 });
+analyticsEventSchema.index({ source: 1, type: 1, timestamp: -1 });
 
 const AnalyticsEvent = mongoose.model("AnalyticsEvent", analyticsEventSchema);
 
@@ -15,20 +15,43 @@ const auditLogSchema = new mongoose.Schema(
         "user_created",
         "user_modified",
         "user_deleted",
+        "account_deletion_requested",
+        "account_deletion_cancelled",
+        "data_exported",
+        "subscription_changed",
         "login_success",
         "login_failed",
         "logout",
+        "session_revoked",
+        "refresh_token_reused",
         "password_changed",
         "password_reset_requested",
         "password_reset_completed",
         "email_verified",
         "two_factor_enabled",
         "two_factor_disabled",
+        "two_factor_recovery_codes_regenerated",
+        "oauth_linked",
+        "oauth_unlinked",
+        "gpg_key_added",
+        "gpg_key_removed",
+        "gpg_key_unusable",
         "collection_created",
         "collection_modified",
         "collection_deleted",
         "book_added_to_collection",
         "book_removed_from_collection",
+        "collaborator_invited",
+        "collaborator_accepted",
+        "collaborator_role_changed",
+        "collaborator_removed",
+        "admin_user_updated",
+        "admin_user_locked",
+        "admin_user_unlocked",
+        "admin_sessions_revoked",
+        "admin_collection_taken_down",
+        "admin_collection_restored",
+        "admin_cache_stats_reset",
       ],
     },
     ipAddress: {
@@ -53,6 +76,7 @@ const auditLogSchema = new mongoose.Schema(
 // Index for faster queries
 auditLogSchema.index({ userId: 1, action: 1, timestamp: -1 });
 auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index({ "metadata.targetUserId": 1, timestamp: -1 }, { sparse: true });
 
 // Static method to log actions
 auditLogSchema.statics.logAction = async function (
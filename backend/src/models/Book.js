@@ -84,11 +84,18 @@ const bookSchema = new mongoose.Schema(
       default: 0,
     },
     externalId: { type: String, trim: true, index: true },
+    // Amazon product ID for /dp/ links, resolved from the ISBN by asinService.
+    // asinCheckedAt is set when a resolution attempt gives an answer, found or not.
+    asin: { type: String, trim: true, uppercase: true, match: [/^[A-Z0-9]{10}$/, "Invalid ASIN"] },
+    asinCheckedAt: Date,
     bookmarkedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
   },
   { timestamps: true }
 );
 
+// Admin report of books without an ASIN (adminService.listMissingAsins)
+bookSchema.index({ asin: 1, asinCheckedAt: 1 });
+
 // Text index for search
 bookSchema.index({ title: "text", authors: "text", description: "text" });
 
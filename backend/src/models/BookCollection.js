@@ -25,6 +25,11 @@ const bookCollectionSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        // Canonical catalog work; editions of the same book share it
+        workId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Work",
+        },
         title: {
           type: String,
           required: true,
@@ -121,12 +126,36 @@ const bookCollectionSchema = new mongoose.Schema(
           enum: ["viewer", "editor"],
           default: "viewer",
         },
+        status: {
+          type: String,
+          enum: ["pending", "accepted"],
+          default: "pending",
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
         addedAt: {
           type: Date,
           default: Date.now,
         },
+        acceptedAt: {
+          type: Date,
+        },
       },
     ],
+    // Set when an admin takes the collection down; it can't be made public again until restored
+    moderation: {
+      takenDownAt: Date,
+      takenDownBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: {
+        type: String,
+        maxlength: 500,
+      },
+    },
     stats: {
       totalBooks: {
         type: Number,
@@ -154,6 +183,7 @@ const bookCollectionSchema = new mongoose.Schema(
 // Indexes for faster queries
 bookCollectionSchema.index({ user: 1, name: 1 }, { unique: true });
 bookCollectionSchema.index({ "books.bookId": 1 });
+bookCollectionSchema.index({ "books.workId": 1 });
 bookCollectionSchema.index({ isPublic: 1 });
 bookCollectionSchema.index({ category: 1 });
 bookCollectionSchema.index({ tags: 1 });
@@ -167,10 +197,52 @@ bookCollectionSchema.virtual("bookCount").get(function () {
   return this.books.length;
 });
 
+// Build a query filter for collections the user can reach at the given access level.
+// "owner" matches owned collections only, "edit" adds accepted editors, "member"
+// adds every accepted collaborator and "read" also includes public collections.
+bookCollectionSchema.statics.accessFilter = function (userId, level = "read") {
+  if (level === "owner") {
+    return { user: userId };
+  }
+
+  const collaborator = { user: userId, status: "accepted" };
+  if (level === "edit") {
+    collaborator.role = "editor";
+  }
+
+  const filter = {
+    $or: [{ user: userId }, { collaborators: { $elemMatch: collaborator } }],
+  };
+  if (level === "read") {
+    filter.$or.push({ isPublic: true });
+  }
+  return filter;
+};
+
+// Method to find a collaborator entry for a user
+bookCollectionSchema.methods.getCollaborator = function (userId) {
+  return this.collaborators.find(
+    (c) => c.user && (c.user._id || c.user).toString() === userId.toString()
+  );
+};
+
+// Method to resolve the user's role on this collection: owner, editor, viewer or null
+bookCollectionSchema.methods.getAccessRole = function (userId) {
+  const ownerId = this.user?._id || this.user;
+  if (ownerId && ownerId.toString() === userId.toString()) {
+    return "owner";
+  }
+  const collaborator = this.getCollaborator(userId);
+  if (collaborator && collaborator.status === "accepted") {
+    return collaborator.role;
+  }
+  return null;
+};
+
 // Method to add a book to collection
 bookCollectionSchema.methods.addBook = function (book) {
-  // Check if book already exists
-  const exists = this.books.some((b) => b.bookId === book.bookId);
+  // Check if book (or another edition of the same work) already exists
+  const exists = this.findBook(book.bookId, book.workId);
   if (!exists) {
     this.books.push(book);
     this.updateStats();
@@ -178,6 +250,14 @@ bookCollectionSchema.methods.addBook = function (book) {
   return this;
 };
 
+// Method to find a book by its ID or, failing that, by its catalog work
+bookCollectionSchema.methods.findBook = function (bookId, workId) {
+  return (
+    this.books.find((b) => b.bookId === bookId) ||
+    (workId ? this.books.find((b) => b.workId && b.workId.equals(workId)) : undefined)
+  );
+};
+
 // Method to remove a book from collection
 bookCollectionSchema.methods.removeBook = function (bookId) {
   this.books = this.books.filter((book) => book.bookId !== bookId);
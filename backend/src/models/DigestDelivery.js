@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+/**
+ * DigestDelivery — one weekly digest send to one subscriber.
+ *
+ * `digestKey` is the ISO week ("2026-W42"); the unique index makes a weekly
+ * run idempotent, so re-running the job only retries failed sends.
+ * status: pending (claimed by a running job) → sent | failed | skipped
+ * (nothing to send that week).
+ */
+const digestDeliverySchema = new mongoose.Schema(
+  {
+    subscriber: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EmailSubscriber",
+      required: true,
+    },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    digestKey: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed", "skipped"],
+      default: "pending",
+    },
+    genres: [String],
+    // Books included in the email
+    bookIds: [String],
+    attempts: { type: Number, default: 0 },
+    messageId: { type: String },
+    error: { type: String },
+    sentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+digestDeliverySchema.index({ subscriber: 1, digestKey: 1 }, { unique: true });
+digestDeliverySchema.index({ digestKey: 1, status: 1 });
+
+const DigestDelivery = mongoose.model("DigestDelivery", digestDeliverySchema);
+
+export default DigestDelivery;
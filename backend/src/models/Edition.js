@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+/**
+ * Edition — one published form of a Work (a specific Google Books volume or
+ * ISBN). Bibliographic fields are stored per edition because page count,
+ * publisher, language and cover differ between printings.
+ *
+ * `externalId` is the ID the rest of the app uses for the edition
+ * (e.g. "google-zyTCAlFPjgYC"), which is also the `bookId` stored in collections.
+ */
+const editionSchema = new mongoose.Schema(
+  {
+    work: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Work",
+      required: true,
+    },
+    externalId: {
+      type: String,
+      trim: true,
+    },
+    source: {
+      type: String,
+      enum: ["google-books", "open-library", "library", "import"],
+      required: true,
+    },
+    isbn10: {
+      type: String,
+      match: /^\d{9}[\dX]$/,
+    },
+    isbn13: {
+      type: String,
+      match: /^\d{13}$/,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 300,
+    },
+    subtitle: String,
+    authors: [{ type: String, trim: true, maxlength: 150 }],
+    description: {
+      type: String,
+      maxlength: 5000,
+    },
+    publisher: String,
+    publishedDate: String,
+    publishYear: Number,
+    pageCount: Number,
+    language: String,
+    categories: [String],
+    coverImage: String,
+    averageRating: Number,
+    ratingsCount: Number,
+  },
+  { timestamps: true }
+);
+
+editionSchema.index({ work: 1 });
+editionSchema.index({ externalId: 1 }, { unique: true, sparse: true });
+editionSchema.index({ isbn13: 1 }, { sparse: true });
+editionSchema.index({ isbn10: 1 }, { sparse: true });
+editionSchema.index({ title: "text", authors: "text" });
+
+export default mongoose.model("Edition", editionSchema);
@@ -3,9 +3,14 @@ import mongoose from "mongoose";
 /**
  * EmailSubscriber — the reactivation list for Phase 3 email capture.
  *
- * Collected via the optional "book deals" capture widget. Delivery (welcome +
- * weekly "best deals in your genres" email) is gated on the SMTP block being
- * configured — this model just stores the list so it's ready when SMTP lands.
+ * Collected via the optional "book deals" capture widget. Double opt-in:
+ * a new address only gets the confirmation email until the link in it is
+ * clicked (`confirmedAt` + `consentSource` are the GDPR proof of consent).
+ * Confirmed subscribers get a welcome email and the "best deals in your
+ * genres" digest (digestService), weekly or monthly; delivery is gated on
+ * the SMTP block being configured. Unsubscribing keeps the record (with
+ * `unsubscribedAt`) so the address is not mailed again; each digest send is
+ * logged in DigestDelivery.
  */
 const emailSubscriberSchema = new mongoose.Schema(
   {
@@ -21,10 +26,27 @@ const emailSubscriberSchema = new mongoose.Schema(
     source: { type: String, default: "book-details", trim: true },
     // Optional context (book title / category the user was on)
     context: { type: String, trim: true },
+    // Normalized categories for the weekly digest (Fiction, Sci-Fi, ...);
+    // empty = overall trending books
+    genres: { type: [String], default: [] },
+    frequency: { type: String, enum: ["weekly", "monthly"], default: "weekly" },
+    // Consent: when the opt-in was requested / confirmed and from where
+    consentRequestedAt: { type: Date },
+    confirmedAt: { type: Date, default: null },
+    consentSource: { type: String, trim: true },
+    confirmationToken: { type: String, select: false },
+    confirmationExpires: { type: Date, select: false },
+    // Last preference link mailed because a confirmed address subscribed again
+    preferencesLinkSentAt: { type: Date, select: false },
+    unsubscribedAt: { type: Date, default: null },
+    lastDigestAt: { type: Date },
   },
   { timestamps: true }
 );
 
+emailSubscriberSchema.index({ confirmedAt: 1, unsubscribedAt: 1 });
+emailSubscriberSchema.index({ confirmationToken: 1 }, { sparse: true });
+
 const EmailSubscriber = mongoose.model("EmailSubscriber", emailSubscriberSchema);
 
 export default EmailSubscriber;
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+/**
+ * ReadingGoal — a yearly or monthly reading target ("52 books in 2026",
+ * "1,500 pages in March"). Only the target is stored; progress is always
+ * computed from completed books and their `dateFinished` in the user's collections.
+ */
+const readingGoalSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    period: {
+      type: String,
+      enum: ["yearly", "monthly"],
+      required: true,
+    },
+    metric: {
+      type: String,
+      enum: ["books", "pages"],
+      default: "books",
+    },
+    target: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 1000000,
+    },
+    year: {
+      type: Number,
+      required: true,
+      min: 1900,
+      max: 2100,
+    },
+    // 1-12, only for monthly goals
+    month: {
+      type: Number,
+      min: 1,
+      max: 12,
+      required: function () {
+        return this.period === "monthly";
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One goal per user, period, metric and calendar slot
+readingGoalSchema.index(
+  { user: 1, period: 1, metric: 1, year: 1, month: 1 },
+  { unique: true }
+);
+
+// Method to get the [start, end) date range this goal covers
+readingGoalSchema.methods.getPeriodRange = function () {
+  if (this.period === "monthly") {
+    return {
+      start: new Date(Date.UTC(this.year, this.month - 1, 1)),
+      end: new Date(Date.UTC(this.year, this.month, 1)),
+    };
+  }
+  return {
+    start: new Date(Date.UTC(this.year, 0, 1)),
+    end: new Date(Date.UTC(this.year + 1, 0, 1)),
+  };
+};
+
+const ReadingGoal = mongoose.model("ReadingGoal", readingGoalSchema);
+
+export default ReadingGoal;
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+/**
+ * ReadingSession — one sitting with a book from the user's library.
+ *
+ * A book entry in BookCollection only keeps the current `progress` percentage;
+ * sessions keep the full page-level history. The latest session's `endPage`
+ * drives that percentage, and the set of session days drives the reading streak.
+ */
+const readingSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Same identifier as BookCollection.books.bookId
+    bookId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    startPage: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    endPage: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: function (v) {
+          return v >= this.startPage;
+        },
+        message: "End page cannot be before start page",
+      },
+    },
+    minutes: {
+      type: Number,
+      min: 0,
+      max: 1440,
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+readingSessionSchema.index({ user: 1, bookId: 1, date: -1 });
+readingSessionSchema.index({ user: 1, date: -1 });
+
+// Virtual for pages covered in this session
+readingSessionSchema.virtual("pagesRead").get(function () {
+  return Math.max(0, this.endPage - this.startPage);
+});
+
+const ReadingSession = mongoose.model("ReadingSession", readingSessionSchema);
+
+export default ReadingSession;
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+/**
+ * RecommendationFeedback — a user's reaction to a recommended title.
+ *
+ * One record per user and book; newer feedback replaces older. `key` is the
+ * normalized title + primary author surname, so feedback on one edition
+ * applies to all of them. "dismissed", "read" and "down" titles are never
+ * recommended again; all four types also steer the ranking.
+ */
+const recommendationFeedbackSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    feedback: {
+      type: String,
+      enum: ["up", "down", "dismissed", "read"],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+    authors: [String],
+    genres: [String],
+    bookId: {
+      type: String,
+      trim: true,
+    },
+    workId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Work",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recommendationFeedbackSchema.index({ user: 1, key: 1 }, { unique: true });
+recommendationFeedbackSchema.index({ user: 1, updatedAt: -1 });
+
+const RecommendationFeedback = mongoose.model("RecommendationFeedback", recommendationFeedbackSchema);
+
+export default RecommendationFeedback;
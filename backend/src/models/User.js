@@ -2,6 +2,7 @@ import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import * as openpgp from "openpgp";
 import AuditLog from "./AuditLog.js";
+import { ROLES } from "../config/permissions.js";
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true, trim: true },
@@ -14,7 +15,10 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true,
+    // Accounts created through Google/GitHub sign-in have no password
+    required: function () {
+      return !this.oauth?.google && !this.oauth?.github;
+    },
     select: false,
     minlength: 12,
     validate: {
@@ -77,9 +81,20 @@ const userSchema = new mongoose.Schema({
     enum: ["free", "pro"],
     default: "free",
   },
+  // Set by billing webhooks (billingService); the tier above follows it
+  billing: {
+    provider: String,
+    customerId: String,
+    subscriptionId: String,
+    status: String,
+    currentPeriodEnd: Date,
+    // Creation time of the last applied event; older ones arrive late and are ignored
+    lastEventAt: Date,
+  },
+  // What the role may do is defined in config/permissions.js
   role: {
     type: String,
-    enum: ["user", "admin"],
+    enum: ROLES,
     default: "user",
   },
   tokenVersion: { type: Number, default: 0 },
@@ -101,10 +116,22 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false,
   },
+  // SHA-256 hashes of unused 2FA recovery codes (see twoFactorService)
+  recoveryCodes: {
+    type: [String],
+    select: false,
+    default: undefined,
+  },
+
+  // Set by DELETE /api/users/me; scripts/purgeDeletedAccounts.js erases the
+  // account once deletionScheduledFor has passed (cancelable until then)
+  deletionRequestedAt: Date,
+  deletionScheduledFor: { type: Date, index: { sparse: true } },
 
+  // Provider user IDs of linked Google / GitHub accounts
   oauth: {
-    google: String,
-    github: String,
+    google: { type: String, index: { unique: true, sparse: true } },
+    github: { type: String, index: { unique: true, sparse: true } },
   },
 }, { timestamps: true });
 
@@ -152,6 +179,7 @@ userSchema.pre("save", async function (next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
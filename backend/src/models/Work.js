@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+/**
+ * Work — the canonical record of a book independent of edition ("Dune" by
+ * Frank Herbert). Every provider record (Google Books volume, Open Library
+ * work, ISBN) resolves to exactly one Work, so library entries, book details
+ * and recommendations for different editions share one work ID.
+ *
+ * `normalizedTitle` + `authorKey` are the matching key used when no ISBN or
+ * external ID is known yet; see catalogService for the normalization rules.
+ */
+const workSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 300,
+    },
+    authors: [{ type: String, trim: true, maxlength: 150 }],
+    normalizedTitle: {
+      type: String,
+      required: true,
+    },
+    // Normalized surname of the primary author ("" when unknown)
+    authorKey: {
+      type: String,
+      default: "",
+    },
+    description: {
+      type: String,
+      maxlength: 5000,
+    },
+    coverImage: String,
+    subjects: [{ type: String, trim: true, maxlength: 100 }],
+    firstPublishYear: Number,
+    // Open Library work key (e.g. "OL45883W"); Open Library search results are works
+    openLibraryKey: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+workSchema.index({ normalizedTitle: 1, authorKey: 1 }, { unique: true });
+workSchema.index({ openLibraryKey: 1 }, { unique: true, sparse: true });
+
+export default mongoose.model("Work", workSchema);
@@ -2,5 +2,12 @@ import User from "./User.js";
 import Book from "./Book.js";
 import BookCollection from "./BookCollection.js";
 import AnalyticsEvent from "./AnalyticsEvent.js";
+import ReadingSession from "./ReadingSession.js";
+import ReadingGoal from "./ReadingGoal.js";
+import Work from "./Work.js";
+import Edition from "./Edition.js";
+import RecommendationFeedback from "./RecommendationFeedback.js";
+import EmailSubscriber from "./EmailSubscriber.js";
+import DigestDelivery from "./DigestDelivery.js";
 
-export { User, Book, BookCollection, AnalyticsEvent };
+export { User, Book, BookCollection, AnalyticsEvent, ReadingSession, ReadingGoal, Work, Edition, RecommendationFeedback, EmailSubscriber, DigestDelivery };
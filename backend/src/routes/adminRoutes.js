@@ -0,0 +1,384 @@
+import express from "express";
+import AdminController from "../controllers/adminController.js";
+import { authMiddleware, requirePermission } from "../middleware/authMiddleware.js";
+import { rateLimiterMiddleware } from "../middleware/rateLimiter.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import {
+  validateAdminListUsers,
+  validateAdminUpdateUser,
+  validateAdminLockUser,
+  validateAdminListAuditLogs,
+  validateAdminListCollections,
+  validateAdminTakeDown,
+  validateAdminMissingAsins,
+} from "../middleware/validateRequest.js";
+
+const router = express.Router();
+
+// Staff only: each route asks for its permission (config/permissions.js);
+// changes are audited by adminService
+router.use(rateLimiterMiddleware, authMiddleware());
+
+const readUsers = requirePermission(PERMISSIONS.USERS_READ);
+const manageUsers = requirePermission(PERMISSIONS.USERS_MANAGE);
+const readAudit = requirePermission(PERMISSIONS.AUDIT_READ);
+const moderate = requirePermission(PERMISSIONS.CONTENT_MODERATE);
+const adminCache = requirePermission(PERMISSIONS.CACHE_ADMIN);
+const readCatalog = requirePermission(PERMISSIONS.CATALOG_READ);
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Search users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Part of the username or email, or a user ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *       - in: query
+ *         name: tier
+ *         schema:
+ *           type: string
+ *           enum: [free, pro]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [locked, pending_deletion]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Users (newest first), page, limit and total
+ *       403:
+ *         description: Missing the users:read permission
+ */
+router.get("/users", readUsers, validateAdminListUsers, AdminController.listUsers);
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: User details with active sessions and collection count
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User
+ *       404:
+ *         description: User not found
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Change a user's role and/or subscription tier
+ *     description: A role change signs the user out everywhere. Admins cannot change their own role.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *               tier:
+ *                 type: string
+ *                 enum: [free, pro]
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *       400:
+ *         description: Validation error or own role
+ *       404:
+ *         description: User not found
+ */
+router.get("/users/:id", readUsers, AdminController.getUser);
+router.patch("/users/:id", manageUsers, validateAdminUpdateUser, AdminController.updateUser);
+
+/**
+ * @swagger
+ * /admin/users/{id}/lock:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Lock an account
+ *     description: Sign-in is refused until the lock ends (or until unlocked when no end is given). Ends every session.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Locked; returns lockedUntil and the number of sessions revoked
+ *       400:
+ *         description: Validation error or own account
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Unlock an account (also resets failed sign-in attempts)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unlocked
+ */
+router.post("/users/:id/lock", manageUsers, validateAdminLockUser, AdminController.lockUser);
+router.delete("/users/:id/lock", manageUsers, AdminController.unlockUser);
+
+/**
+ * @swagger
+ * /admin/users/{id}/logout:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Sign the user out of every device
+ *     description: Invalidates all access tokens and revokes all refresh sessions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Number of sessions revoked
+ */
+router.post("/users/:id/logout", manageUsers, AdminController.forceLogout);
+
+/**
+ * @swagger
+ * /admin/audit-logs:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Browse the audit log (newest first)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         description: Entries by this user and admin actions that targeted them
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entries, page, limit and total
+ */
+router.get("/audit-logs", readAudit, validateAdminListAuditLogs, AdminController.listAuditLogs);
+
+/**
+ * @swagger
+ * /admin/collections:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Public collections, or those taken down
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Part of the collection name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [public, taken_down]
+ *           default: public
+ *     responses:
+ *       200:
+ *         description: Collections with their owners, page, limit and total
+ */
+router.get("/collections", moderate, validateAdminListCollections, AdminController.listCollections);
+
+/**
+ * @swagger
+ * /admin/collections/{id}/takedown:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Take a public collection down
+ *     description: Makes it private and disables its share link. The owner cannot publish it again until the takedown is lifted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Taken down
+ *       400:
+ *         description: Collection is not public
+ *       409:
+ *         description: Already taken down
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Lift a takedown (the collection stays private)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Takedown lifted
+ *       409:
+ *         description: Collection is not taken down
+ */
+router.post("/collections/:id/takedown", moderate, validateAdminTakeDown, AdminController.takeDownCollection);
+router.delete("/collections/:id/takedown", moderate, AdminController.restoreCollection);
+
+/**
+ * @swagger
+ * /admin/reports/missing-asins:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Books without a resolved Amazon ASIN (linked to a search, not a product page)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         description: Never resolved, resolved without a match, or no ISBN to resolve (all when omitted)
+ *         schema:
+ *           type: string
+ *           enum: [unchecked, not_found, no_isbn]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Books (newest first), page, limit, total and a summary of counts by status
+ *       403:
+ *         description: Missing the catalog:read permission
+ */
+router.get("/reports/missing-asins", readCatalog, validateAdminMissingAsins, AdminController.listMissingAsins);
+
+/**
+ * @swagger
+ * /admin/cache/stats:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Cache hit/miss statistics
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counters, hit rate and time since the last reset
+ *       403:
+ *         description: Missing the cache:admin permission
+ * /admin/cache/reset:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Reset the cache statistics
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counters after the reset
+ *       403:
+ *         description: Missing the cache:admin permission
+ */
+router.get("/cache/stats", adminCache, AdminController.getCacheStats);
+router.post("/cache/reset", adminCache, AdminController.resetCacheStats);
+
+export default router;
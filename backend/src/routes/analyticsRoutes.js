@@ -1,17 +1,21 @@
 import express from "express";
 import AnalyticsController from "../controllers/analyticsController.js";
-import { authMiddleware } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const router = express.Router();
 
 // Public — powers the Home page "Trending Now" section (no PII exposed)
 router.get("/trending", AnalyticsController.trending);
 
-// Admin-only KPI endpoints
-router.get("/overview", authMiddleware(["admin"]), AnalyticsController.overview);
-router.get("/top-books", authMiddleware(["admin"]), AnalyticsController.topBooks);
-router.get("/top-queries", authMiddleware(["admin"]), AnalyticsController.topQueries);
-router.get("/daily", authMiddleware(["admin"]), AnalyticsController.daily);
-router.get("/clicks-by-variant", authMiddleware(["admin"]), AnalyticsController.clicksByVariant);
+// KPI endpoints (analytics:read)
+router.get("/overview", requirePermission(PERMISSIONS.ANALYTICS_READ), AnalyticsController.overview);
+router.get("/top-books", requirePermission(PERMISSIONS.ANALYTICS_READ), AnalyticsController.topBooks);
+router.get("/top-queries", requirePermission(PERMISSIONS.ANALYTICS_READ), AnalyticsController.topQueries);
+router.get("/daily", requirePermission(PERMISSIONS.ANALYTICS_READ), AnalyticsController.daily);
+router.get("/clicks-by-variant", requirePermission(PERMISSIONS.ANALYTICS_READ), AnalyticsController.clicksByVariant);
+// ?by=context|source|variant|date
+router.get("/ctr", requirePermission(PERMISSIONS.ANALYTICS_READ), AnalyticsController.ctr);
+router.get("/funnel", requirePermission(PERMISSIONS.ANALYTICS_READ), AnalyticsController.funnel);
 
 export default router;
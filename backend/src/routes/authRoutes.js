@@ -1,5 +1,4 @@
 import express from "express";
-import passport from "passport";
 import rateLimit from "express-rate-limit";
 import { validateRequest, validateUserRegistration, validateUserLogin } from "../middleware/validateRequest.js";
 import { rateLimiterMiddleware } from "../middleware/rateLimiter.js";
@@ -28,10 +27,6 @@ import {
   generateCsrfToken,
 } from "../middleware/authMiddleware.js";
 
-// Utils
-import { generateTokens } from "../utils/jwtUtils.js";
-import logger from "../config/logger.js";
-
 const router = express.Router();
 
 /**
@@ -139,7 +134,7 @@ router.post(
  *       401:
  *         description: Unauthorized
  */
-router.post("/logout", UserController.logout);
+router.post("/logout", authMiddleware(), UserController.logout);
 
 /**
  * @swagger
@@ -147,7 +142,7 @@ router.post("/logout", UserController.logout);
  *   post:
  *     tags: [Auth]
  *     summary: Refresh JWT token
- *     description: Get a new JWT token using refresh token
+ *     description: Get a new JWT token using refresh token. The refresh token is rotated — use the returned one next time. Reusing an old refresh token revokes the whole session.
  *     requestBody:
  *       required: true
  *       content:
@@ -261,38 +256,7 @@ router.get("/csrf-token", generateCsrfToken, (req, res) => {
   });
 });
 
-// OAuth routes
-router.get(
-  "/google",
-  passport.authenticate("google", {
-    scope: ["profile", "email"],
-  })
-);
-
-router.get(
-  "/google/callback",
-  passport.authenticate("google", {
-    failureRedirect: "/login",
-    session: false,
-  }),
-  async (req, res) => {
-    try {
-      // Generate JWT tokens
-      const { accessToken, refreshToken } = await generateTokens(
-        req.user._id,
-        req.user.role
-      );
-
-      // Redirect to frontend with tokens
-      res.redirect(
-        `${process.env.FRONTEND_URL}/oauth-callback?token=${accessToken}&refresh=${refreshToken}`
-      );
-    } catch (error) {
-      logger.error("OAuth callback error", { error: error.message });
-      res.redirect(`${process.env.FRONTEND_URL}/login?error=oauth_failed`);
-    }
-  }
-);
+// OAuth routes (Google, GitHub): see oauthRoutes.js
 
 // Two-factor authentication routes
 router.post("/2fa/setup", authMiddleware(), AuthController.setupTwoFactor);
@@ -301,7 +265,111 @@ router.post(
   authMiddleware(),
   AuthController.verifyAndEnableTwoFactor
 );
-router.post("/2fa/login", AuthController.verifyTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/login:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Second login step with an authenticator code
+ *     description: challengeToken comes from the login (or OAuth exchange) response with requiresTwoFactor and is valid for 5 minutes.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken, token]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens
+ *       400:
+ *         description: Invalid verification code
+ *       401:
+ *         description: Missing or expired challenge token
+ *       403:
+ *         description: Account locked (also after 5 invalid codes)
+ *       429:
+ *         description: Too many attempts from this client
+ */
+router.post("/2fa/login", rateLimiterMiddleware, AuthController.verifyTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/recovery:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Second login step with a recovery code
+ *     description: Use instead of /2fa/login when the authenticator is unavailable. Each recovery code works once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken, recoveryCode]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens, plus recoveryCodesRemaining
+ *       400:
+ *         description: Invalid or already used recovery code
+ *       401:
+ *         description: Missing or expired challenge token
+ *       403:
+ *         description: Account locked (also after 5 invalid codes)
+ *       429:
+ *         description: Too many attempts from this client
+ */
+router.post("/2fa/recovery", rateLimiterMiddleware, AuthController.loginWithRecoveryCode);
+
+/**
+ * @swagger
+ * /auth/2fa/status:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Whether 2FA is on and how many recovery codes are left
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: enabled, recoveryCodesRemaining
+ */
+router.get("/2fa/status", authMiddleware(), AuthController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Regenerate recovery codes (old codes stop working)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Current authenticator code
+ *     responses:
+ *       200:
+ *         description: New recovery codes (shown once)
+ */
+router.post("/2fa/recovery-codes", authMiddleware(), AuthController.regenerateRecoveryCodes);
 router.post("/2fa/disable", authMiddleware(), AuthController.disableTwoFactor);
 
 // Password reset routes
@@ -360,8 +428,43 @@ router.post(
 // Token refresh route
 router.post("/refresh", AuthController.refreshTokens);
 
-// Logout route
-router.post("/logout", authMiddleware(), UserController.logout);
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List active sessions (devices)
+ *     description: One session per sign-in, with device, IP, created and last-used time. `current` marks the session of the calling token.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions, most recently used first
+ */
+router.get("/sessions", authMiddleware(), AuthController.listSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke a session (sign that device out)
+ *     description: Its access token stops working immediately and its refresh token can no longer be used.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: No such session
+ */
+router.delete("/sessions/:id", authMiddleware(), AuthController.revokeSession);
 
 // Logout all sessions
 router.post("/logout/all", authMiddleware(), AuthController.logoutAll);
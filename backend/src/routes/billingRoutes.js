@@ -0,0 +1,75 @@
+import express from "express";
+import BillingController from "../controllers/billingController.js";
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import { rateLimiterMiddleware } from "../middleware/rateLimiter.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /billing/entitlements:
+ *   get:
+ *     tags: [Billing]
+ *     summary: Current subscription tier, its limits and usage
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tier, limits (null = unlimited) and usage
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/entitlements", authMiddleware(), BillingController.getEntitlements);
+
+/**
+ * @swagger
+ * /billing/checkout:
+ *   post:
+ *     tags: [Billing]
+ *     summary: Start a checkout for a paid tier
+ *     description: Returns the provider's checkout URL. The tier changes when the provider's webhook arrives.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tier:
+ *                 type: string
+ *                 enum: [pro]
+ *                 default: pro
+ *     responses:
+ *       200:
+ *         description: Checkout URL
+ *       409:
+ *         description: Already on that tier
+ *       503:
+ *         description: No billing provider configured
+ */
+router.post("/checkout", rateLimiterMiddleware, authMiddleware(), BillingController.createCheckout);
+
+/**
+ * @swagger
+ * /billing/webhook:
+ *   post:
+ *     tags: [Billing]
+ *     summary: Payment provider webhook
+ *     description: >
+ *       Signed by the provider (raw body). Subscription events set the user's
+ *       tier; redelivered events are acknowledged without being applied again.
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid signature or payload
+ */
+router.post("/webhook", BillingController.handleWebhook);
+
+// Development: the fake provider's hosted checkout page (BILLING_PROVIDER=fake only)
+if (process.env.BILLING_PROVIDER === "fake") {
+  router.get("/fake/checkout/:sessionId", BillingController.completeFakeCheckout);
+}
+
+export default router;
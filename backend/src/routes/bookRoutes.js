@@ -1,9 +1,15 @@
 import express from "express";
 import BookController from "../controllers/bookController.js";
 import { rateLimiterMiddleware } from "../middleware/rateLimiter.js";
+import { optionalAuth } from "../middleware/authMiddleware.js";
+import { validateAdvancedSearch } from "../middleware/validateRequest.js";
 
 const router = express.Router();
 
+// Amazon links follow the visitor's marketplace; signed-in users' saved
+// preference comes first (amazonAffiliateService.selectMarketplace)
+const withUser = optionalAuth();
+
 /**
  * @swagger
  * /books/search:
@@ -66,6 +72,28 @@ const router = express.Router();
  *                       type: integer
  *                     totalResults:
  *                       type: integer
+ *                 sources:
+ *                   type: object
+ *                   description: Per-provider status keyed by provider name (googleBooks, openLibrary, local)
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       label:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [ok, error, timeout, circuit-open]
+ *                       latencyMs:
+ *                         type: integer
+ *                       resultCount:
+ *                         type: integer
+ *                       weight:
+ *                         type: number
+ *                       circuit:
+ *                         type: string
+ *                         enum: [closed, open, half-open]
+ *                       error:
+ *                         type: string
  *         headers:
  *           $ref: '#/definitions/RateLimitHeaders'
  *       400:
@@ -84,6 +112,7 @@ const router = express.Router();
 router.get(
   "/search",
   rateLimiterMiddleware,
+  withUser,
   BookController.searchBooks
 );
 
@@ -100,9 +129,24 @@ router.get(
  *   get:
  *     tags: [Books]
  *     summary: Advanced book search
- *     description: Perform advanced search with multiple criteria (title, author, genre)
+ *     description: |
+ *       Search every provider (Google Books, Open Library, local catalog) with structured filters.
+ *       Filters are translated into each provider's query syntax (e.g. Google Books
+ *       `intitle:`/`inauthor:`/`inpublisher:`/`isbn:`/`subject:` qualifiers, Open Library
+ *       Solr fields and ranges). Year, page-count and rating filters are also enforced on
+ *       the merged results, since Google Books cannot express them.
+ *       At least one of q, title, author, isbn, publisher, subject or genre is required.
  *     parameters:
  *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 300
+ *         description: |
+ *           Boolean query. Terms are ANDed by default; `OR` joins alternatives, `NOT term` or
+ *           `-term` excludes, and "double quotes" match an exact phrase.
+ *           AND binds tighter than OR. Example: `"dark tower" king -movie OR tolkien`
+ *       - in: query
  *         name: title
  *         schema:
  *           type: string
@@ -113,15 +157,74 @@ router.get(
  *           type: string
  *         description: Author name to search for
  *       - in: query
+ *         name: isbn
+ *         schema:
+ *           type: string
+ *         description: ISBN-10 or ISBN-13 (hyphens and spaces are ignored)
+ *       - in: query
+ *         name: publisher
+ *         schema:
+ *           type: string
+ *         description: Publisher name
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: Subject or genre
+ *       - in: query
  *         name: genre
  *         schema:
  *           type: string
- *         description: Genre to filter by
+ *         description: Alias of subject
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 2
+ *         description: ISO 639-1 language code (e.g. en, de)
+ *       - in: query
+ *         name: yearFrom
+ *         schema:
+ *           type: integer
+ *         description: Earliest first publication year (inclusive)
+ *       - in: query
+ *         name: yearTo
+ *         schema:
+ *           type: integer
+ *         description: Latest first publication year (inclusive, must be >= yearFrom)
+ *       - in: query
+ *         name: pagesMin
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Minimum page count
+ *       - in: query
+ *         name: pagesMax
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Maximum page count (must be >= pagesMin)
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Minimum average rating
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, author_az]
+ *         description: Sort order (defaults to relevance across providers)
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
+ *           minimum: 1
+ *           maximum: 50
  *         description: Page number for pagination
  *     responses:
  *       200:
@@ -139,10 +242,13 @@ router.get(
  *                     $ref: '#/definitions/Book'
  *                 pagination:
  *                   type: object
+ *                 sources:
+ *                   type: object
+ *                   description: Per-provider status, same shape as in /books/search
  *         headers:
  *           $ref: '#/definitions/RateLimitHeaders'
  *       400:
- *         description: Invalid request - at least one search parameter is required
+ *         description: Invalid parameters or no query field given
  *         content:
  *           application/json:
  *             schema:
@@ -153,10 +259,17 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/definitions/Error'
+ *       503:
+ *         description: All search providers are unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/definitions/Error'
  */
 router.get(
   "/advanced",
   rateLimiterMiddleware,
+  validateAdvancedSearch,
   BookController.advancedSearch
 );
 
@@ -235,6 +348,7 @@ router.get(
 router.get(
   "/category/:category",
   rateLimiterMiddleware,
+  withUser,
   BookController.searchByCategory
 );
 
@@ -298,13 +412,122 @@ router.get(
   BookController.getAuthorDetails
 );
 
+/**
+ * @swagger
+ * /books/marketplaces:
+ *   get:
+ *     tags: [Books]
+ *     summary: Amazon marketplaces for affiliate links
+ *     description: The marketplaces a reader can save as `preferences.marketplace`, and the one this request would use.
+ *     responses:
+ *       200:
+ *         description: Available marketplaces and the selected one
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     marketplaces:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           domain:
+ *                             type: string
+ *                     selected:
+ *                       type: string
+ *                       nullable: true
+ *                     source:
+ *                       type: string
+ *                       enum: [preference, accept-language, geo, default]
+ */
+router.get("/marketplaces", withUser, BookController.getMarketplaces);
+
+/**
+ * @swagger
+ * /books/{id}/where-to-buy:
+ *   get:
+ *     tags: [Books]
+ *     summary: Stores and libraries for a book
+ *     description: |
+ *       Links to Amazon, Bookshop.org (US/UK), Thalia (DE), Kobo (ebooks) and WorldCat library
+ *       holdings. Links go to the edition by ISBN when known (`deepLink`), otherwise to a
+ *       title/author search. Regional stores follow the reader's region (saved marketplace,
+ *       Accept-Language, geo header). Clicks go through /books/{id}/affiliate?retailer=.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Book ID
+ *     responses:
+ *       200:
+ *         description: Offers for the reader's region
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bookId:
+ *                       type: string
+ *                     marketplace:
+ *                       type: string
+ *                       description: Amazon marketplace of the Amazon offer
+ *                     region:
+ *                       type: string
+ *                       description: The reader's region (marketplace ID, tagged or not)
+ *                     offers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           retailer:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                             enum: [buy, ebook, borrow]
+ *                           url:
+ *                             type: string
+ *                             format: uri
+ *                           deepLink:
+ *                             type: boolean
+ *                           affiliate:
+ *                             type: boolean
+ *       404:
+ *         description: Book not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/definitions/Error'
+ */
+router.get("/:id/where-to-buy", rateLimiterMiddleware, withUser, BookController.getWhereToBuy);
+
 /**
  * @swagger
  * /books/{id}/affiliate:
  *   get:
  *     tags: [Books]
  *     summary: Track affiliate click and get affiliate URL
- *     description: Track when a user clicks on an affiliate link and return the affiliate URL for a book
+ *     description: |
+ *       Track when a user clicks on an affiliate link and return the affiliate URL for a book.
+ *       The Amazon marketplace is the signed-in user's saved preference, otherwise it follows
+ *       Accept-Language, then the geo country header, then the default marketplace.
+ *       Other retailers (see /books/{id}/where-to-buy) follow the same order over all regions.
  *     parameters:
  *       - in: path
  *         name: id
@@ -312,6 +535,13 @@ router.get(
  *         schema:
  *           type: string
  *         description: Book ID
+ *       - in: query
+ *         name: retailer
+ *         schema:
+ *           type: string
+ *           enum: [amazon, bookshop, thalia, kobo, library]
+ *           default: amazon
+ *         description: Store the click goes to
  *     responses:
  *       200:
  *         description: Affiliate URL generated successfully
@@ -328,13 +558,24 @@ router.get(
  *                     affiliateUrl:
  *                       type: string
  *                       format: uri
- *                       description: Amazon affiliate link for the book
+ *                       description: Affiliate link for the book at the retailer
  *                     bookId:
  *                       type: string
+ *                     retailer:
+ *                       type: string
+ *                     marketplace:
+ *                       type: string
+ *                       description: Amazon marketplace the link points to (e.g. "de", "uk"); null for other retailers
  *         headers:
  *           $ref: '#/definitions/RateLimitHeaders'
+ *       400:
+ *         description: Unknown retailer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/definitions/Error'
  *       404:
- *         description: Book not found
+ *         description: Book not found, or the retailer has no link for it in the reader's region
  *         content:
  *           application/json:
  *             schema:
@@ -355,6 +596,7 @@ router.get(
 router.get(
   "/:id/affiliate",
   rateLimiterMiddleware,
+  withUser,
   BookController.trackAffiliateClick
 );
 
@@ -415,6 +657,7 @@ router.get(
 router.get(
   "/:id/affiliate-click",
   rateLimiterMiddleware,
+  withUser,
   BookController.trackAffiliateClick
 );
 
@@ -432,6 +675,21 @@ router.get(
  *         schema:
  *           type: string
  *         description: Book ID (can be MongoDB ID, external ID, or Open Library work ID)
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *         description: Surface the reader came from (search, category, ...), recorded with the page view
+ *       - in: query
+ *         name: context
+ *         schema:
+ *           type: string
+ *         description: Search query or category the reader came from
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *         description: CTA variant shown on the page, for the A/B test
  *     responses:
  *       200:
  *         description: Book details
@@ -462,6 +720,7 @@ router.get(
 router.get(
   "/:id",
   rateLimiterMiddleware,
+  withUser,
   BookController.getBookById
 );
 
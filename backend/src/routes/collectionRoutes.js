@@ -2,12 +2,17 @@ import express from "express";
 import CollectionController from "../controllers/collectionController.js";
 import { authMiddleware } from "../middleware/authMiddleware.js";
 import { rateLimiterMiddleware } from "../middleware/rateLimiter.js";
+import { entitlementMiddleware } from "../middleware/entitlements.js";
 import {
   validateCreateCollection,
   validateUpdateCollection,
   validateAddBookToCollection,
   validateUpdateBookInCollection,
   validateSearchBooksInCollection,
+  validateInviteCollaborator,
+  validateUpdateCollaborator,
+  validateCollaborations,
+  validateLibraryExport,
 } from "../middleware/validateRequest.js";
 
 const router = express.Router();
@@ -58,12 +63,15 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/definitions/Error'
+ *       402:
+ *         description: Collection limit of the user's tier reached (upgrade lifts it)
  */
 router.post(
   "/",
   authMiddleware(),
   rateLimiterMiddleware,
   validateCreateCollection,
+  entitlementMiddleware("maxCollections"),
   CollectionController.createCollection
 );
 
@@ -112,6 +120,36 @@ router.get(
   CollectionController.getUserCollections
 );
 
+/**
+ * @swagger
+ * /collections/collaborations:
+ *   get:
+ *     tags: [Collections]
+ *     summary: Get collections shared with the user
+ *     description: List collections where the authenticated user is a collaborator, including pending invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted]
+ *         description: Only return invitations in this state
+ *     responses:
+ *       200:
+ *         description: Collections with the user's role and invitation status
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/collaborations",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateCollaborations,
+  CollectionController.getCollaborations
+);
+
 /**
  * @swagger
  * /collections/{id}:
@@ -199,6 +237,7 @@ router.put(
   authMiddleware(),
   rateLimiterMiddleware,
   validateUpdateCollection,
+  entitlementMiddleware("maxPrivateCollaborators"),
   CollectionController.updateCollection
 );
 
@@ -312,6 +351,45 @@ router.get(
   CollectionController.getCollectionStats
 );
 
+/**
+ * @swagger
+ * /collections/{id}/export:
+ *   get:
+ *     tags: [Collections]
+ *     summary: Export a collection
+ *     description: Streams the collection metadata and all book fields as a file download. Available to the owner and accepted collaborators.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collection ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, goodreads]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       402:
+ *         description: Format not included in the user's tier (goodreads is Pro)
+ *       404:
+ *         description: Collection not found or access denied
+ */
+router.get(
+  "/:id/export",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateLibraryExport,
+  entitlementMiddleware("exportFormats"),
+  CollectionController.exportCollection
+);
+
 /**
  * @swagger
  * /collections/{id}/search:
@@ -360,7 +438,199 @@ router.get(
   CollectionController.searchBooks
 );
 
-// Book management in collections
+/**
+ * @swagger
+ * /collections/{id}/collaborators:
+ *   get:
+ *     tags: [Collections]
+ *     summary: List collaborators
+ *     description: List collaborators of a collection. Pending invitations are only shown to the owner.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collection ID
+ *     responses:
+ *       200:
+ *         description: Collaborators list
+ *       404:
+ *         description: Collection not found or access denied
+ */
+router.get(
+  "/:id/collaborators",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  CollectionController.getCollaborators
+);
+
+/**
+ * @swagger
+ * /collections/{id}/collaborators:
+ *   post:
+ *     tags: [Collections]
+ *     summary: Invite a collaborator
+ *     description: Invite a user by email or username. Only the collection owner can invite.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collection ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor]
+ *                 default: viewer
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       404:
+ *         description: Collection or user not found
+ *       409:
+ *         description: User is already a collaborator
+ *       402:
+ *         description: Private collection is at the collaborator limit of the user's tier
+ */
+router.post(
+  "/:id/collaborators",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateInviteCollaborator,
+  entitlementMiddleware("maxPrivateCollaborators"),
+  CollectionController.inviteCollaborator
+);
+
+/**
+ * @swagger
+ * /collections/{id}/collaborators/accept:
+ *   post:
+ *     tags: [Collections]
+ *     summary: Accept a collaboration invitation
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collection ID
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *       404:
+ *         description: Invitation not found
+ */
+router.post(
+  "/:id/collaborators/accept",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  CollectionController.acceptInvitation
+);
+
+/**
+ * @swagger
+ * /collections/{id}/collaborators/{userId}:
+ *   put:
+ *     tags: [Collections]
+ *     summary: Change a collaborator's role
+ *     description: Only the collection owner can change roles.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collection ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collaborator user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       404:
+ *         description: Collection or collaborator not found
+ */
+router.put(
+  "/:id/collaborators/:userId",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateUpdateCollaborator,
+  CollectionController.updateCollaboratorRole
+);
+
+/**
+ * @swagger
+ * /collections/{id}/collaborators/{userId}:
+ *   delete:
+ *     tags: [Collections]
+ *     summary: Remove a collaborator
+ *     description: The owner can remove any collaborator; collaborators can remove themselves to leave or decline.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collection ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Collaborator user ID
+ *     responses:
+ *       200:
+ *         description: Collaborator removed
+ *       403:
+ *         description: Not allowed to remove this collaborator
+ *       404:
+ *         description: Collection or collaborator not found
+ */
+router.delete(
+  "/:id/collaborators/:userId",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  CollectionController.removeCollaborator
+);
+
+// Book management in collections (owner and editors)
 router.post(
   "/:collectionId/books",
   authMiddleware(),
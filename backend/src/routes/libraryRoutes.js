@@ -1,9 +1,21 @@
 import express from "express";
 import { authMiddleware } from "../middleware/authMiddleware.js";
 import { rateLimiterMiddleware } from "../middleware/rateLimiter.js";
+import { entitlementMiddleware } from "../middleware/entitlements.js";
+import {
+  validateReadingSession,
+  validateCreateGoal,
+  validateUpdateGoal,
+  validateListGoals,
+  validateLibraryImport,
+  validateLibraryExport,
+} from "../middleware/validateRequest.js";
 import { ApiError } from "../utils/errors.js";
 import logger from "../config/logger.js";
 import libraryService from "../services/libraryService.js";
+import readingGoalService from "../services/readingGoalService.js";
+import libraryImportService from "../services/libraryImportService.js";
+import libraryExportService from "../services/libraryExportService.js";
 
 const router = express.Router();
 
@@ -216,6 +228,192 @@ router.post(
   }
 );
 
+/**
+ * @swagger
+ * /library/export:
+ *   get:
+ *     tags: [Library]
+ *     summary: Export all of the user's collections
+ *     description: >
+ *       Streams every collection with its metadata and every stored book field
+ *       (notes, personalTags, rating, dates, progress, favorite) as a file download.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, goodreads]
+ *           default: json
+ *         description: json (nested), csv (one row per collection/book) or goodreads (Goodreads import CSV)
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         description: Format not included in the user's tier (goodreads is Pro)
+ */
+router.get(
+  "/export",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateLibraryExport,
+  entitlementMiddleware("exportFormats"),
+  (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const { format } = req.query;
+
+      logger.info("GET /api/library/export", { userId, format });
+
+      libraryExportService.sendExport(res, { userId, format });
+    } catch (error) {
+      logger.error("GET /api/library/export error", {
+        userId: req.user?.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /library/import:
+ *   post:
+ *     tags: [Library]
+ *     summary: Import a Goodreads or StoryGraph CSV export
+ *     description: >
+ *       Upload the raw CSV as the request body (Content-Type text/csv). Each row is
+ *       resolved through Google Books by ISBN (then title + author) and added to the
+ *       default library with its shelf, rating, read dates and review (as notes).
+ *       Re-running an import updates existing entries instead of duplicating them.
+ *       Exports of up to 150 rows are imported in the request (200 with the report);
+ *       larger ones (up to 10000 rows) run in the background (202 with a jobId to
+ *       poll at GET /library/import/{jobId}).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [goodreads, storygraph]
+ *         description: Export format (auto-detected from the header row when omitted)
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Resolve rows and return the report without saving
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Per-row report with matched, ambiguous and failed rows
+ *       202:
+ *         description: Import job queued (jobId, status, totalRows)
+ *       400:
+ *         description: Empty, oversized or unrecognized CSV
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Another import of the user is still running
+ */
+router.post(
+  "/import",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: "10mb" }),
+  validateLibraryImport,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+
+      if (typeof req.body !== "string" || !req.body.trim()) {
+        throw new ApiError("CSV body is required (Content-Type: text/csv)", 400);
+      }
+
+      logger.info("POST /api/library/import", {
+        userId,
+        format: req.query.format,
+        dryRun: req.query.dryRun,
+      });
+
+      const result = await libraryImportService.importCsv(userId, req.body, {
+        format: req.query.format,
+        dryRun: req.query.dryRun,
+      });
+
+      res.status(result.jobId ? 202 : 200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("POST /api/library/import error", {
+        userId: req.user?.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /library/import/{jobId}:
+ *   get:
+ *     tags: [Library]
+ *     summary: Progress of a background CSV import
+ *     description: >
+ *       status is queued, running, completed or failed; processedRows counts the rows
+ *       handled so far. A completed job has the per-row report in result. Jobs are
+ *       kept for 24 hours.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Job not found
+ */
+router.get(
+  "/import/:jobId",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  async (req, res, next) => {
+    try {
+      const job = await libraryImportService.getJob(req.user.id, req.params.jobId);
+
+      res.status(200).json({
+        success: true,
+        data: job,
+      });
+    } catch (error) {
+      logger.error("GET /api/library/import/:jobId error", {
+        userId: req.user?.id,
+        jobId: req.params.jobId,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
 /**
  * @swagger
  * /library/books/{bookId}:
@@ -356,4 +554,475 @@ router.delete(
   }
 );
 
+/**
+ * @swagger
+ * /library/books/{bookId}/sessions:
+ *   get:
+ *     tags: [Library]
+ *     summary: List reading sessions for a book
+ *     description: Returns the page-level reading history for a book, newest first, with totals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The book ID
+ *     responses:
+ *       200:
+ *         description: Sessions and summary (sessionCount, totalPages, totalMinutes, lastPage)
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/books/:bookId/sessions",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const { bookId } = req.params;
+
+      logger.info("GET /api/library/books/:bookId/sessions", { userId, bookId });
+
+      const result = await libraryService.getReadingSessions(userId, bookId);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("GET /api/library/books/:bookId/sessions error", {
+        userId: req.user?.id,
+        bookId: req.params.bookId,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /library/books/{bookId}/sessions:
+ *   post:
+ *     tags: [Library]
+ *     summary: Log a reading session
+ *     description: Records a reading session and updates the book's progress from its end page
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The book ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startPage
+ *               - endPage
+ *             properties:
+ *               startPage:
+ *                 type: integer
+ *                 minimum: 0
+ *               endPage:
+ *                 type: integer
+ *                 minimum: 0
+ *               minutes:
+ *                 type: integer
+ *                 minimum: 0
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Session logged; returns the session and the updated book
+ *       400:
+ *         description: Invalid page range
+ *       404:
+ *         description: Book not found in library
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/books/:bookId/sessions",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateReadingSession,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const { bookId } = req.params;
+
+      logger.info("POST /api/library/books/:bookId/sessions", { userId, bookId });
+
+      const result = await libraryService.addReadingSession(
+        userId,
+        bookId,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("POST /api/library/books/:bookId/sessions error", {
+        userId: req.user?.id,
+        bookId: req.params.bookId,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /library/books/{bookId}/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Library]
+ *     summary: Delete a reading session
+ *     description: Removes a session and re-derives the book's progress from the remaining history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session deleted
+ *       404:
+ *         description: Session not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete(
+  "/books/:bookId/sessions/:sessionId",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const { bookId, sessionId } = req.params;
+
+      logger.info("DELETE /api/library/books/:bookId/sessions/:sessionId", {
+        userId,
+        bookId,
+        sessionId,
+      });
+
+      const result = await libraryService.deleteReadingSession(
+        userId,
+        bookId,
+        sessionId
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Reading session deleted",
+        data: result,
+      });
+    } catch (error) {
+      logger.error("DELETE /api/library/books/:bookId/sessions/:sessionId error", {
+        userId: req.user?.id,
+        bookId: req.params.bookId,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /library/goals:
+ *   get:
+ *     tags: [Library]
+ *     summary: List reading goals with progress
+ *     description: Returns the user's yearly/monthly goals with progress computed from completed books and pace (ahead/behind, required per week)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [yearly, monthly]
+ *     responses:
+ *       200:
+ *         description: Goals with progress
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/goals",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateListGoals,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+
+      logger.info("GET /api/library/goals", { userId });
+
+      const goals = await readingGoalService.listGoals(userId, req.query);
+
+      res.status(200).json({
+        success: true,
+        count: goals.length,
+        data: goals,
+      });
+    } catch (error) {
+      logger.error("GET /api/library/goals error", {
+        userId: req.user?.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /library/goals:
+ *   post:
+ *     tags: [Library]
+ *     summary: Create a reading goal
+ *     description: Set a yearly or monthly target for books or pages, e.g. 52 books in 2026
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - period
+ *               - target
+ *               - year
+ *             properties:
+ *               period:
+ *                 type: string
+ *                 enum: [yearly, monthly]
+ *               metric:
+ *                 type: string
+ *                 enum: [books, pages]
+ *                 default: books
+ *               target:
+ *                 type: integer
+ *                 minimum: 1
+ *               year:
+ *                 type: integer
+ *               month:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *                 description: Required for monthly goals
+ *     responses:
+ *       201:
+ *         description: Goal created with its current progress
+ *       409:
+ *         description: A goal for this period and metric already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/goals",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateCreateGoal,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+
+      logger.info("POST /api/library/goals", { userId, period: req.body.period });
+
+      const goal = await readingGoalService.createGoal(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: goal,
+      });
+    } catch (error) {
+      logger.error("POST /api/library/goals error", {
+        userId: req.user?.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /library/goals/{goalId}:
+ *   get:
+ *     tags: [Library]
+ *     summary: Get a reading goal with progress
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Goal with progress
+ *       404:
+ *         description: Goal not found
+ *   put:
+ *     tags: [Library]
+ *     summary: Change a reading goal's target
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - target
+ *             properties:
+ *               target:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Goal updated
+ *       404:
+ *         description: Goal not found
+ *   delete:
+ *     tags: [Library]
+ *     summary: Delete a reading goal
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Goal deleted
+ *       404:
+ *         description: Goal not found
+ */
+router.get(
+  "/goals/:goalId",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const { goalId } = req.params;
+
+      const goal = await readingGoalService.getGoal(userId, goalId);
+
+      res.status(200).json({
+        success: true,
+        data: goal,
+      });
+    } catch (error) {
+      logger.error("GET /api/library/goals/:goalId error", {
+        userId: req.user?.id,
+        goalId: req.params.goalId,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/goals/:goalId",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateUpdateGoal,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const { goalId } = req.params;
+
+      logger.info("PUT /api/library/goals/:goalId", { userId, goalId });
+
+      const goal = await readingGoalService.updateGoal(userId, goalId, req.body);
+
+      res.status(200).json({
+        success: true,
+        data: goal,
+      });
+    } catch (error) {
+      logger.error("PUT /api/library/goals/:goalId error", {
+        userId: req.user?.id,
+        goalId: req.params.goalId,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/goals/:goalId",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  async (req, res, next) => {
+    try {
+      const userId = req.user.id;
+      const { goalId } = req.params;
+
+      logger.info("DELETE /api/library/goals/:goalId", { userId, goalId });
+
+      const result = await readingGoalService.deleteGoal(userId, goalId);
+
+      res.status(200).json({
+        success: true,
+        message: "Reading goal deleted",
+        data: result,
+      });
+    } catch (error) {
+      logger.error("DELETE /api/library/goals/:goalId error", {
+        userId: req.user?.id,
+        goalId: req.params.goalId,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,143 @@
+import express from "express";
+import OAuthController from "../controllers/oauthController.js";
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import { rateLimiterMiddleware } from "../middleware/rateLimiter.js";
+import { OAUTH_PROVIDERS } from "../services/oauthService.js";
+
+// Mounted at /api/auth next to authRoutes
+const router = express.Router();
+
+/**
+ * @swagger
+ * /auth/oauth/providers:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Which OAuth sign-in providers are configured
+ *     responses:
+ *       200:
+ *         description: Map of provider → enabled
+ */
+router.get("/oauth/providers", OAuthController.providers);
+
+/**
+ * @swagger
+ * /auth/oauth/exchange:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Exchange the one-time OAuth login code for tokens
+ *     description: The OAuth callback redirects to the frontend with a single-use code (valid 60 seconds) instead of tokens. Same response as password login.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens (or requiresTwoFactor)
+ *       400:
+ *         description: Invalid, expired or already used code
+ */
+router.post("/oauth/exchange", rateLimiterMiddleware, OAuthController.exchange);
+
+/**
+ * @swagger
+ * /auth/oauth/accounts:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Linked OAuth accounts of the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: hasPassword and linked providers
+ */
+router.get("/oauth/accounts", authMiddleware(), OAuthController.accounts);
+
+/**
+ * @swagger
+ * /auth/oauth/{provider}/link:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Start linking a provider to the current account
+ *     description: Returns a URL (valid 5 minutes) the browser opens to authorize with the provider.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, github]
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ */
+router.post("/oauth/:provider/link", authMiddleware(), OAuthController.link);
+
+/**
+ * @swagger
+ * /auth/oauth/{provider}:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Unlink a provider from the current account
+ *     description: Refused when it is the only way to sign in (no password, no other provider).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, github]
+ *     responses:
+ *       200:
+ *         description: Remaining linked accounts
+ *       400:
+ *         description: Last sign-in method
+ */
+router.delete("/oauth/:provider", authMiddleware(), OAuthController.unlink);
+
+/**
+ * @swagger
+ * /auth/{provider}:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Sign in with Google or GitHub (browser redirect)
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, github]
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ * /auth/{provider}/callback:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: OAuth callback — redirects to the frontend with a one-time code
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, github]
+ *     responses:
+ *       302:
+ *         description: Redirect to /oauth-callback?code=… (sign-in) or /profile (link)
+ */
+for (const provider of OAUTH_PROVIDERS) {
+  router.get(`/${provider}`, rateLimiterMiddleware, OAuthController.start(provider));
+  router.get(`/${provider}/callback`, OAuthController.callback(provider));
+}
+
+export default router;
@@ -1,9 +1,17 @@
 import express from "express";
 import { authMiddleware } from "../middleware/authMiddleware.js";
 import { rateLimiterMiddleware } from "../middleware/rateLimiter.js";
+import { entitlementMiddleware } from "../middleware/entitlements.js";
+import {
+  validateRecommendationFeedback,
+  validateListRecommendationFeedback,
+} from "../middleware/validateRequest.js";
 import {
   getRecommendations,
   refreshRecommendations,
+  submitFeedback,
+  listFeedback,
+  removeFeedback,
 } from "../services/aiRecommendationService.js";
 import logger from "../config/logger.js";
 
@@ -14,8 +22,8 @@ const router = express.Router();
  * /recommendations:
  *   get:
  *     tags: [Recommendations]
- *     summary: Get AI-powered book recommendations
- *     description: Returns personalized book recommendations based on the user's reading history, powered by AI. Results are cached for 24 hours.
+ *     summary: Get personalized book recommendations
+ *     description: Returns personalized book recommendations based on the user's reading history. A local recommender (genre/author/tag similarity plus "readers who liked X also read Y" co-occurrence) always runs; when OpenAI is configured its suggestions are blended in. Results are cached for 24 hours.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -48,6 +56,19 @@ const router = express.Router();
  *                             type: number
  *                           similarTo:
  *                             type: string
+ *                           bookId:
+ *                             type: string
+ *                             nullable: true
+ *                           workId:
+ *                             type: string
+ *                             nullable: true
+ *                           source:
+ *                             type: string
+ *                             enum: [local, ai, hybrid]
+ *                     engine:
+ *                       type: string
+ *                       enum: [local, hybrid]
+ *                       description: local when OpenAI is not configured or failed
  *                     profile:
  *                       type: object
  *                     generatedAt:
@@ -61,8 +82,6 @@ const router = express.Router();
  *         description: Unauthorized
  *       429:
  *         description: Too many requests
- *       503:
- *         description: AI service unavailable
  */
 router.get(
   "/",
@@ -90,20 +109,6 @@ router.get(
         error: error.message,
       });
 
-      if (error.message.includes("OPENAI_API_KEY")) {
-        return res.status(503).json({
-          success: false,
-          error: "AI recommendation service is not configured",
-        });
-      }
-
-      if (error.message.includes("OpenAI API error")) {
-        return res.status(503).json({
-          success: false,
-          error: "AI recommendation service is temporarily unavailable",
-        });
-      }
-
       next(error);
     }
   }
@@ -114,8 +119,8 @@ router.get(
  * /recommendations/refresh:
  *   post:
  *     tags: [Recommendations]
- *     summary: Force refresh AI recommendations
- *     description: Bypasses the cache and generates fresh AI-powered book recommendations
+ *     summary: Force refresh recommendations
+ *     description: Bypasses the cache and generates fresh book recommendations
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -141,15 +146,16 @@ router.get(
  *                       type: boolean
  *       401:
  *         description: Unauthorized
+ *       402:
+ *         description: Daily refresh allowance of the user's tier used up
  *       429:
  *         description: Too many requests
- *       503:
- *         description: AI service unavailable
  */
 router.post(
   "/refresh",
   authMiddleware(),
   rateLimiterMiddleware,
+  entitlementMiddleware("aiRefreshesPerDay"),
   async (req, res, next) => {
     try {
       const result = await refreshRecommendations(req.user.id);
@@ -172,20 +178,165 @@ router.post(
         error: error.message,
       });
 
-      if (error.message.includes("OPENAI_API_KEY")) {
-        return res.status(503).json({
-          success: false,
-          error: "AI recommendation service is not configured",
-        });
-      }
+      next(error);
+    }
+  }
+);
 
-      if (error.message.includes("OpenAI API error")) {
-        return res.status(503).json({
-          success: false,
-          error: "AI recommendation service is temporarily unavailable",
-        });
-      }
+/**
+ * @swagger
+ * /recommendations/feedback:
+ *   post:
+ *     tags: [Recommendations]
+ *     summary: Give feedback on a recommended book
+ *     description: |
+ *       Stores the user's reaction to a recommended title (one per title; newer feedback replaces older)
+ *       and invalidates cached recommendations. "dismissed" (not interested), "read" (already read) and
+ *       "down" titles are never recommended again; all feedback steers future rankings and the AI prompt.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, feedback]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               authors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               genres:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               bookId:
+ *                 type: string
+ *               workId:
+ *                 type: string
+ *               feedback:
+ *                 type: string
+ *                 enum: [up, down, dismissed, read]
+ *     responses:
+ *       201:
+ *         description: Feedback recorded
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.post(
+  "/feedback",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateRecommendationFeedback,
+  async (req, res, next) => {
+    try {
+      const entry = await submitFeedback(req.user.id, req.body);
 
+      res.status(201).json({
+        success: true,
+        data: entry,
+      });
+    } catch (error) {
+      logger.error("Failed to record recommendation feedback", {
+        userId: req.user?.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /recommendations/feedback:
+ *   get:
+ *     tags: [Recommendations]
+ *     summary: List feedback on recommendations
+ *     description: Returns the user's feedback entries, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: feedback
+ *         schema:
+ *           type: string
+ *           enum: [up, down, dismissed, read]
+ *         description: Only list one feedback type
+ *     responses:
+ *       200:
+ *         description: Feedback entries
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  "/feedback",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  validateListRecommendationFeedback,
+  async (req, res, next) => {
+    try {
+      const entries = await listFeedback(req.user.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        data: entries,
+      });
+    } catch (error) {
+      logger.error("Failed to list recommendation feedback", {
+        userId: req.user?.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /recommendations/feedback/{feedbackId}:
+ *   delete:
+ *     tags: [Recommendations]
+ *     summary: Withdraw feedback
+ *     description: Removes a feedback entry so the title can be recommended again, and invalidates cached recommendations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: feedbackId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Feedback removed
+ *       404:
+ *         description: Feedback not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete(
+  "/feedback/:feedbackId",
+  authMiddleware(),
+  rateLimiterMiddleware,
+  async (req, res, next) => {
+    try {
+      const result = await removeFeedback(req.user.id, req.params.feedbackId);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Failed to remove recommendation feedback", {
+        userId: req.user?.id,
+        feedbackId: req.params.feedbackId,
+        error: error.message,
+      });
       next(error);
     }
   }
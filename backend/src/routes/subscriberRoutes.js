@@ -1,9 +1,183 @@
 import express from "express";
 import SubscriberController from "../controllers/subscriberController.js";
+import { requirePermission } from "../middleware/authMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
 import { rateLimiterMiddleware } from "../middleware/rateLimiter.js";
+import {
+  validateSubscribe,
+  validateSubscriberToken,
+  validateUpdateSubscriberPreferences,
+  validateExportSubscribers,
+} from "../middleware/validateRequest.js";
 
 const router = express.Router();
 
-router.post("/", rateLimiterMiddleware, SubscriberController.subscribe);
+/**
+ * @swagger
+ * /subscribers:
+ *   post:
+ *     tags: [Subscribers]
+ *     summary: Join the book deals list (double opt-in)
+ *     description: Sends a confirmation email; the address gets nothing else until the link in it is clicked. An address that is already confirmed is not changed and gets an email with its preference link instead. Responds the same way whether or not the address is already on the list.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *               context:
+ *                 type: string
+ *               genres:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, monthly]
+ *     responses:
+ *       201:
+ *         description: Request accepted; check the inbox (always pending)
+ */
+router.post("/", rateLimiterMiddleware, validateSubscribe, SubscriberController.subscribe);
+
+/**
+ * @swagger
+ * /subscribers/confirm/{token}:
+ *   get:
+ *     tags: [Subscribers]
+ *     summary: Confirm the opt-in from the emailed link
+ *     description: Records the consent time and redirects to the preference page.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend preference page
+ */
+router.get("/confirm/:token", rateLimiterMiddleware, SubscriberController.confirm);
+
+/**
+ * @swagger
+ * /subscribers/unsubscribe:
+ *   get:
+ *     tags: [Subscribers]
+ *     summary: Unsubscribe via the signed link in an email (HTML page)
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       400:
+ *         description: Invalid link
+ *   post:
+ *     tags: [Subscribers]
+ *     summary: RFC 8058 one-click unsubscribe (sent by mail clients)
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ */
+// No auth — the signed token is the credential
+router.get("/unsubscribe", rateLimiterMiddleware, SubscriberController.unsubscribeLink);
+router.post("/unsubscribe", rateLimiterMiddleware, validateSubscriberToken, SubscriberController.unsubscribeOneClick);
+
+/**
+ * @swagger
+ * /subscribers/preferences:
+ *   get:
+ *     tags: [Subscribers]
+ *     summary: Read genres, frequency and subscription state (signed link)
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Preferences
+ *   put:
+ *     tags: [Subscribers]
+ *     summary: Update genres / frequency, unsubscribe or re-subscribe (signed link)
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               genres:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, monthly]
+ *               subscribed:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ */
+router.get("/preferences", rateLimiterMiddleware, validateSubscriberToken, SubscriberController.getPreferences);
+router.put(
+  "/preferences",
+  rateLimiterMiddleware,
+  validateSubscriberToken,
+  validateUpdateSubscriberPreferences,
+  SubscriberController.updatePreferences
+);
+
+/**
+ * @swagger
+ * /subscribers/export:
+ *   get:
+ *     tags: [Subscribers]
+ *     summary: Export consented subscribers with consent proof (subscribers:export)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: File download
+ *       403:
+ *         description: Not an admin
+ */
+router.get(
+  "/export",
+  requirePermission(PERMISSIONS.SUBSCRIBERS_EXPORT),
+  validateExportSubscribers,
+  SubscriberController.exportSubscribers
+);
 
 export default router;
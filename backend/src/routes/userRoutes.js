@@ -1,5 +1,6 @@
 import express from "express";
 import UserController from "../controllers/userController.js";
+import GpgKeyController from "../controllers/gpgKeyController.js";
 import { rateLimiterMiddleware } from "../middleware/rateLimiter.js";
 import { authMiddleware } from "../middleware/authMiddleware.js";
 
@@ -25,4 +26,15 @@ router.put(
   UserController.updateUserPreferences
 );
 
+// Data-subject requests: export everything, delete the account (grace period)
+router.get("/me/data-export", rateLimiterMiddleware, authMiddleware(), UserController.exportData);
+router.delete("/me", rateLimiterMiddleware, authMiddleware(), UserController.deleteAccount);
+router.post("/me/deletion/cancel", authMiddleware(), UserController.cancelAccountDeletion);
+
+// GPG key for encrypted account email (upload → sign challenge → verify)
+router.get("/gpg-key", authMiddleware(), GpgKeyController.getKey);
+router.post("/gpg-key", authMiddleware(), GpgKeyController.uploadKey);
+router.post("/gpg-key/verify", rateLimiterMiddleware, authMiddleware(), GpgKeyController.verifyKey);
+router.delete("/gpg-key", authMiddleware(), GpgKeyController.removeKey);
+
 export default router;
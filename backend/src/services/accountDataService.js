@@ -0,0 +1,234 @@
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import AnalyticsEvent from "../models/AnalyticsEvent.js";
+import BookCollection from "../models/BookCollection.js";
+import EmailSubscriber from "../models/EmailSubscriber.js";
+import DigestDelivery from "../models/DigestDelivery.js";
+import ReadingGoal from "../models/ReadingGoal.js";
+import ReadingSession from "../models/ReadingSession.js";
+import RecommendationFeedback from "../models/RecommendationFeedback.js";
+import sessionService from "./sessionService.js";
+import twoFactorService from "./twoFactorService.js";
+import emailService from "./emailService.js";
+import { removeUserFromWhitelist } from "../utils/authRedisUtils.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts without a password (Google/GitHub only, no 2FA) re-authenticate by
+// having signed in recently
+const RECENT_SIGN_IN_MS = 10 * 60 * 1000;
+
+export const gracePeriodDays = () => {
+  const days = Number.parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : 14;
+};
+
+// Credentials and one-time tokens never leave the server, not even in an export
+const PRIVATE_USER_FIELDS = [
+  "password",
+  "passwordHistory",
+  "twoFactorSecret",
+  "recoveryCodes",
+  "resetPasswordToken",
+  "resetPasswordExpires",
+  "passwordResetToken",
+  "resetTokenExpires",
+  "emailVerificationToken",
+  "emailVerificationExpires",
+  "tokenVersion",
+  "__v",
+];
+
+const withoutFields = (doc, fields) => {
+  if (!doc) return doc;
+  const copy = { ...doc };
+  for (const field of fields) delete copy[field];
+  return copy;
+};
+
+/**
+ * AccountDataService — GDPR data-subject requests: export and erasure.
+ *
+ * Deletion is two-phase. `requestDeletion` re-authenticates the user, signs
+ * out every session and schedules the erasure after a grace period, during
+ * which signing in and calling `cancelDeletion` keeps the account.
+ * `purgeDue` (scripts/purgeDeletedAccounts.js) then erases what is due.
+ */
+class AccountDataService {
+  /**
+   * Schedule the account for deletion.
+   * @param {{password?: string, token?: string}} confirm - Password, or a 2FA code for accounts without one
+   * @returns {Promise<Date>} When the account will be erased
+   */
+  async requestDeletion(userId, { password, token } = {}, req) {
+    const user = await User.findById(userId).select("+password +twoFactorSecret");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    if (user.deletionScheduledFor) {
+      throw new ApiError("Account deletion is already scheduled", 409);
+    }
+
+    await this._reauthenticate(user, { password, token }, req);
+
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + gracePeriodDays() * DAY_MS);
+    await User.updateOne({ _id: user._id }, { deletionRequestedAt: now, deletionScheduledFor: scheduledFor });
+
+    const revoked = await sessionService.revokeAll(user._id);
+    await AuditLog.logAction(user._id, "account_deletion_requested", { scheduledFor, sessionsRevoked: revoked }, req);
+    logger.info("Account deletion scheduled", { userId: String(user._id), scheduledFor });
+
+    // Non-critical: the deletion is scheduled either way
+    emailService.sendAccountDeletionEmail(user.email, user.username, scheduledFor).catch(() => {});
+    return scheduledFor;
+  }
+
+  /**
+   * Keep the account (only before the scheduled date).
+   */
+  async cancelDeletion(userId, req) {
+    const result = await User.updateOne(
+      { _id: userId, deletionScheduledFor: { $gt: new Date() } },
+      { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } }
+    );
+    if (result.modifiedCount === 0) {
+      throw new ApiError("No account deletion is scheduled", 404);
+    }
+    await AuditLog.logAction(userId, "account_deletion_cancelled", {}, req);
+    logger.info("Account deletion cancelled", { userId });
+  }
+
+  /**
+   * Everything stored about the user, as one JSON-serializable object.
+   */
+  async exportData(userId, req) {
+    const user = await User.findById(userId).select("+gpgPublicKey").lean();
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+
+    const [owned, shared, readingGoals, readingSessions, recommendationFeedback, subscriptions, auditLog, analytics] =
+      await Promise.all([
+        BookCollection.find({ user: userId }).lean(),
+        BookCollection.find({ "collaborators.user": userId }).select("name description user collaborators").lean(),
+        ReadingGoal.find({ user: userId }).lean(),
+        ReadingSession.find({ user: userId }).sort({ date: 1 }).lean(),
+        RecommendationFeedback.find({ user: userId }).lean(),
+        EmailSubscriber.find({ email: user.email }).lean(),
+        AuditLog.find({ userId }).sort({ timestamp: 1 }).lean(),
+        AnalyticsEvent.find({ userId }).sort({ timestamp: 1 }).lean(),
+      ]);
+
+    await AuditLog.logAction(userId, "data_exported", {}, req);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile: withoutFields(user, PRIVATE_USER_FIELDS),
+      sessions: await sessionService.list(userId, req?.user?.sessionId),
+      collections: owned,
+      sharedWithMe: shared.map((collection) => ({
+        id: collection._id,
+        name: collection.name,
+        description: collection.description,
+        owner: collection.user,
+        membership: collection.collaborators.find((c) => String(c.user) === String(userId)),
+      })),
+      readingGoals,
+      readingSessions,
+      recommendationFeedback,
+      emailSubscriptions: subscriptions.map((s) =>
+        withoutFields(s, ["confirmationToken", "confirmationExpires", "__v"])
+      ),
+      auditLog,
+      analytics,
+    };
+  }
+
+  /**
+   * Erase one account and everything attributed to it. Safe to re-run: the
+   * user document goes last, so a failed purge is retried by the next run.
+   * @returns {Promise<Object>} What was removed, per collection
+   */
+  async purge(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+
+    const summary = {
+      collections: (await BookCollection.deleteMany({ user: user._id })).deletedCount,
+      collaborations: (
+        await BookCollection.updateMany(
+          { "collaborators.user": user._id },
+          { $pull: { collaborators: { user: user._id } } }
+        )
+      ).modifiedCount,
+      readingGoals: (await ReadingGoal.deleteMany({ user: user._id })).deletedCount,
+      readingSessions: (await ReadingSession.deleteMany({ user: user._id })).deletedCount,
+      recommendationFeedback: (await RecommendationFeedback.deleteMany({ user: user._id })).deletedCount,
+      digestDeliveries: (await DigestDelivery.deleteMany({ email: user.email })).deletedCount,
+      emailSubscriptions: (await EmailSubscriber.deleteMany({ email: user.email })).deletedCount,
+      // Click/impression counts stay in the aggregates, without the person
+      analyticsAnonymized: (
+        await AnalyticsEvent.updateMany(
+          { userId: user._id },
+          { $unset: { userId: 1, ipAddress: 1, userAgent: 1 } }
+        )
+      ).modifiedCount,
+      sessions: await sessionService.revokeAll(user._id),
+      whitelistedTokens: await removeUserFromWhitelist(user._id),
+    };
+
+    await User.deleteOne({ _id: user._id });
+    await AuditLog.logAction(user._id, "user_deleted", summary);
+    logger.info("Account deleted", { userId: String(user._id), ...summary });
+    return summary;
+  }
+
+  /**
+   * Erase every account whose grace period is over.
+   */
+  async purgeDue({ now = new Date(), dryRun = false } = {}) {
+    const due = await User.find({ deletionScheduledFor: { $lte: now } }).select("_id").lean();
+    const result = { due: due.length, deleted: 0, failed: 0 };
+    if (dryRun) return result;
+
+    for (const { _id } of due) {
+      try {
+        await this.purge(_id);
+        result.deleted++;
+      } catch (error) {
+        result.failed++;
+        logger.error("Account purge failed", { userId: String(_id), error: error.message });
+      }
+    }
+    return result;
+  }
+
+  async _reauthenticate(user, { password, token }, req) {
+    if (user.password) {
+      if (!password || !(await user.comparePassword(password))) {
+        logger.warn("Account deletion refused - incorrect password", { userId: String(user._id) });
+        throw new ApiError("Invalid password", 401);
+      }
+      return;
+    }
+
+    if (user.twoFactorEnabled) {
+      if (!token || !twoFactorService.verifyTotp(user.twoFactorSecret, token)) {
+        throw new ApiError("Invalid verification code", 400);
+      }
+      return;
+    }
+
+    const current = (await sessionService.list(user._id, req?.user?.sessionId)).find((s) => s.current);
+    if (!current || Date.now() - new Date(current.createdAt).getTime() > RECENT_SIGN_IN_MS) {
+      throw new ApiError("Please sign in again to delete your account", 401);
+    }
+  }
+}
+
+export default new AccountDataService();
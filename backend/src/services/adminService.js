@@ -0,0 +1,355 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import BookCollection from "../models/BookCollection.js";
+import Book from "../models/Book.js";
+import AuditLog from "../models/AuditLog.js";
+import sessionService from "./sessionService.js";
+import { cache } from "../utils/cache.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+// What the console shows about a user (no secrets, no GPG key)
+const USER_FIELDS = [
+  "username",
+  "email",
+  "role",
+  "subscriptionTier",
+  "emailVerified",
+  "twoFactorEnabled",
+  "failedLoginAttempts",
+  "accountLockedUntil",
+  "deletionScheduledFor",
+  "keyFingerprint",
+  "oauth",
+  "createdAt",
+  "updatedAt",
+].join(" ");
+
+const COLLECTION_FIELDS = "user name description isPublic shareableLink moderation stats.totalBooks createdAt updatedAt";
+
+const MISSING_ASIN_FIELDS = "title authors isbn externalId asinCheckedAt createdAt";
+
+// Locks without an end date last until an admin unlocks the account
+const INDEFINITE_LOCK = new Date("9999-12-31T23:59:59.999Z");
+
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const paginate = ({ page = 1, limit = 25 } = {}) => {
+  const size = Math.min(Math.max(Number(limit) || 25, 1), MAX_PAGE_SIZE);
+  const current = Math.max(Number(page) || 1, 1);
+  return { page: current, limit: size, skip: (current - 1) * size };
+};
+
+/**
+ * AdminService — user management, audit log browsing and moderation for
+ * the /api/admin console. Every change is recorded in the audit log under
+ * the acting admin, with the affected user in `metadata.targetUserId`.
+ */
+class AdminService {
+  /**
+   * Search users by username, email or ID.
+   * @param {Object} filters - q, role, tier, status ("locked" | "pending_deletion"), page, limit
+   */
+  async listUsers({ q, role, tier, status, ...paging } = {}) {
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), "i");
+      filter.$or = [{ username: pattern }, { email: pattern }];
+      if (mongoose.isValidObjectId(q.trim())) filter.$or.push({ _id: q.trim() });
+    }
+    if (role) filter.role = role;
+    if (tier) filter.subscriptionTier = tier;
+    if (status === "locked") filter.accountLockedUntil = { $gt: new Date() };
+    if (status === "pending_deletion") filter.deletionScheduledFor = { $exists: true };
+
+    const { page, limit, skip } = paginate(paging);
+    const [users, total] = await Promise.all([
+      User.find(filter).select(USER_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      User.countDocuments(filter),
+    ]);
+    return { users, page, limit, total };
+  }
+
+  /**
+   * One user with their active sessions and collection count.
+   */
+  async getUser(userId) {
+    const user = await this._findUser(userId);
+    const [sessions, collections] = await Promise.all([
+      sessionService.list(String(user._id)),
+      BookCollection.countDocuments({ user: user._id }),
+    ]);
+    return { ...user, sessions, collections };
+  }
+
+  /**
+   * Change a user's role and/or subscription tier. A role change signs the
+   * user out everywhere, since the role is carried in their tokens.
+   */
+  async updateUser(adminId, userId, { role, tier }, req) {
+    const user = await this._findUser(userId);
+    if (role !== undefined && String(user._id) === String(adminId) && role !== user.role) {
+      throw new ApiError("You cannot change your own role", 400);
+    }
+
+    const update = {};
+    const changes = {};
+    if (role !== undefined && role !== user.role) {
+      update.role = role;
+      changes.role = { from: user.role, to: role };
+    }
+    if (tier !== undefined && tier !== (user.subscriptionTier || "free")) {
+      update.subscriptionTier = tier;
+      changes.tier = { from: user.subscriptionTier || "free", to: tier };
+    }
+    if (!Object.keys(update).length) {
+      return this.getUser(userId);
+    }
+
+    await User.updateOne({ _id: user._id }, changes.role ? { ...update, $inc: { tokenVersion: 1 } } : update);
+    if (changes.role) {
+      await sessionService.revokeAll(String(user._id));
+    }
+
+    await this._audit(adminId, "admin_user_updated", user, { changes }, req);
+    return this.getUser(userId);
+  }
+
+  /**
+   * Lock an account (until a date, or until unlocked) and end its sessions.
+   */
+  async lockUser(adminId, userId, { until, reason }, req) {
+    const user = await this._findUser(userId);
+    if (String(user._id) === String(adminId)) {
+      throw new ApiError("You cannot lock your own account", 400);
+    }
+    const lockedUntil = until ? new Date(until) : INDEFINITE_LOCK;
+    if (lockedUntil <= new Date()) {
+      throw new ApiError("Lock end must be in the future", 400);
+    }
+
+    await User.updateOne({ _id: user._id }, { accountLockedUntil: lockedUntil, $inc: { tokenVersion: 1 } });
+    const sessions = await sessionService.revokeAll(String(user._id));
+
+    await this._audit(
+      adminId,
+      "admin_user_locked",
+      user,
+      { until: until ? lockedUntil : null, reason, sessionsRevoked: sessions },
+      req
+    );
+    return { lockedUntil, sessionsRevoked: sessions };
+  }
+
+  async unlockUser(adminId, userId, req) {
+    const user = await this._findUser(userId);
+    await User.updateOne({ _id: user._id }, { $unset: { accountLockedUntil: 1 }, failedLoginAttempts: 0 });
+    await this._audit(adminId, "admin_user_unlocked", user, { wasLockedUntil: user.accountLockedUntil || null }, req);
+  }
+
+  /**
+   * Sign the user out everywhere: invalidates every access token and
+   * revokes every refresh session.
+   */
+  async forceLogout(adminId, userId, req) {
+    const user = await this._findUser(userId);
+    await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+    const sessions = await sessionService.revokeAll(String(user._id));
+    await this._audit(adminId, "admin_sessions_revoked", user, { sessionsRevoked: sessions }, req);
+    return { sessionsRevoked: sessions };
+  }
+
+  /**
+   * Browse the audit log, newest first. `userId` matches entries by the
+   * user as well as admin actions that targeted them.
+   * @param {Object} filters - userId, action, from, to, page, limit
+   */
+  async listAuditLogs({ userId, action, from, to, ...paging } = {}) {
+    const filter = {};
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId)) {
+        throw new ApiError("Invalid user ID", 400);
+      }
+      filter.$or = [{ userId }, { "metadata.targetUserId": String(userId) }];
+    }
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+    }
+
+    const { page, limit, skip } = paginate(paging);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("userId", "username email")
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+    return { entries, page, limit, total };
+  }
+
+  /**
+   * Public and taken-down collections, for moderation.
+   * @param {Object} filters - q (name), status ("public" | "taken_down"), page, limit
+   */
+  async listCollections({ q, status = "public", ...paging } = {}) {
+    const filter =
+      status === "taken_down" ? { "moderation.takenDownAt": { $exists: true } } : { isPublic: true };
+    if (q) filter.name = new RegExp(escapeRegex(q.trim()), "i");
+
+    const { page, limit, skip } = paginate(paging);
+    const [collections, total] = await Promise.all([
+      BookCollection.find(filter)
+        .select(COLLECTION_FIELDS)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("user", "username email")
+        .lean(),
+      BookCollection.countDocuments(filter),
+    ]);
+    return { collections, page, limit, total };
+  }
+
+  /**
+   * Take a public collection down: it stops being public, its share link
+   * stops working, and the owner can't publish it again until restored.
+   */
+  async takeDownCollection(adminId, collectionId, reason, req) {
+    const collection = await this._findCollection(collectionId);
+    if (collection.moderation?.takenDownAt) {
+      throw new ApiError("Collection is already taken down", 409);
+    }
+    if (!collection.isPublic) {
+      throw new ApiError("Only public collections can be taken down", 400);
+    }
+
+    await BookCollection.updateOne(
+      { _id: collection._id },
+      {
+        isPublic: false,
+        moderation: { takenDownAt: new Date(), takenDownBy: adminId, reason },
+        $unset: { shareableLink: 1 },
+      }
+    );
+    await this._audit(
+      adminId,
+      "admin_collection_taken_down",
+      { _id: collection.user },
+      { collectionId: String(collection._id), name: collection.name, reason },
+      req
+    );
+  }
+
+  /**
+   * Lift a takedown. The collection stays private; the owner can publish it again.
+   */
+  async restoreCollection(adminId, collectionId, req) {
+    const collection = await this._findCollection(collectionId);
+    if (!collection.moderation?.takenDownAt) {
+      throw new ApiError("Collection is not taken down", 409);
+    }
+
+    await BookCollection.updateOne({ _id: collection._id }, { $unset: { moderation: 1 } });
+    await this._audit(
+      adminId,
+      "admin_collection_restored",
+      { _id: collection.user },
+      { collectionId: String(collection._id), name: collection.name },
+      req
+    );
+  }
+
+  /**
+   * Books still linked to an Amazon search instead of a product page.
+   * "unchecked" books were never resolved (asinService runs when a book is
+   * viewed or clicked, or via scripts/resolveAsins.js); "not_found" ones
+   * were, without a match; "no_isbn" ones can't be resolved.
+   * @param {Object} filters - status ("unchecked" | "not_found" | "no_isbn"), page, limit
+   */
+  async listMissingAsins({ status, ...paging } = {}) {
+    const missing = { asin: null };
+    const byStatus = {
+      unchecked: { ...missing, isbn: { $ne: null }, asinCheckedAt: null },
+      not_found: { ...missing, isbn: { $ne: null }, asinCheckedAt: { $ne: null } },
+      no_isbn: { ...missing, isbn: null },
+    };
+    const filter = byStatus[status] || missing;
+
+    const { page, limit, skip } = paginate(paging);
+    const [books, total, totals] = await Promise.all([
+      Book.find(filter).select(MISSING_ASIN_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Book.countDocuments(filter),
+      Promise.all([
+        Book.countDocuments({}),
+        ...Object.values(byStatus).map((statusFilter) => Book.countDocuments(statusFilter)),
+      ]),
+    ]);
+    const [allBooks, unchecked, notFound, noIsbn] = totals;
+    return {
+      books,
+      page,
+      limit,
+      total,
+      summary: { books: allBooks, resolved: allBooks - unchecked - notFound - noIsbn, unchecked, notFound, noIsbn },
+    };
+  }
+
+  /**
+   * Cache hit/miss counters since the last reset.
+   */
+  getCacheStats() {
+    const stats = cache.stats.get();
+    const total = stats.hits + stats.misses;
+    const hitRate = total > 0 ? (stats.hits / total) * 100 : 0;
+    return {
+      ...stats,
+      hitRate: hitRate.toFixed(2) + "%",
+      total,
+      uptime: Math.floor((Date.now() - stats.lastReset) / 1000) + "s",
+    };
+  }
+
+  async resetCacheStats(adminId, req) {
+    const previous = this.getCacheStats();
+    const stats = cache.stats.reset();
+    await AuditLog.logAction(adminId, "admin_cache_stats_reset", { previous }, req);
+    logger.info("Admin action", { adminId, action: "admin_cache_stats_reset" });
+    return stats;
+  }
+
+  async _findUser(userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      throw new ApiError("User not found", 404);
+    }
+    const user = await User.findById(userId).select(USER_FIELDS).lean();
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    return user;
+  }
+
+  async _findCollection(collectionId) {
+    if (!mongoose.isValidObjectId(collectionId)) {
+      throw new ApiError("Collection not found", 404);
+    }
+    const collection = await BookCollection.findById(collectionId).select("user name isPublic moderation");
+    if (!collection) {
+      throw new ApiError("Collection not found", 404);
+    }
+    return collection;
+  }
+
+  async _audit(adminId, action, target, metadata, req) {
+    await AuditLog.logAction(adminId, action, { targetUserId: String(target._id), ...metadata }, req);
+    logger.info("Admin action", { adminId, action, targetUserId: String(target._id) });
+  }
+}
+
+export default new AdminService();
@@ -1,63 +1,74 @@
 import { ApiError } from "../utils/errors.js";
-// import openLibraryService from "./openLibraryService.js"; // COMMENTED OUT FOR TESTING - Google Books only
+import BookSearchService from "./bookSearchService.js";
+import { toIsoLanguage } from "./searchQueryBuilder.js";
 import logger from "../config/logger.js";
 
+// Criteria that select books (the rest only narrow a selection down)
+const QUERY_FIELDS = ["q", "title", "author", "isbn", "publisher", "subject"];
+
 class AdvancedSearchService {
   /**
-   * Perform advanced book search with multiple filters
+   * Check a provider result against the structured filters.
+   * Google Books has no qualifiers for year, page count or rating, so those
+   * are enforced here for every provider. A book missing a value that a
+   * range filter asks for is excluded.
+   */
+  matchesFilters(book, { language, yearFrom, yearTo, pagesMin, pagesMax, minRating }) {
+    if (language && book.language && toIsoLanguage(book.language) !== language) return false;
+
+    const year = book.firstPublishYear;
+    if ((yearFrom || yearTo) && !year) return false;
+    if (yearFrom && year < yearFrom) return false;
+    if (yearTo && year > yearTo) return false;
+
+    const pages = book.pageCount;
+    if ((pagesMin || pagesMax) && !pages) return false;
+    if (pagesMin && pages < pagesMin) return false;
+    if (pagesMax && pages > pagesMax) return false;
+
+    if (minRating && !(book.averageRating >= minRating)) return false;
+
+    return true;
+  }
+
+  /**
+   * Perform advanced book search with structured filters
    * @param {Object} params - Search parameters
+   * @param {string} [params.q] - Boolean/phrase query (AND, OR, NOT, -term, "exact phrase")
    * @param {string} [params.title] - Title to search
    * @param {string} [params.author] - Author name
-   * @param {string} [params.genre] - Genre filter (maps to subjects in Open Library)
+   * @param {string} [params.isbn] - ISBN-10 or ISBN-13
+   * @param {string} [params.publisher] - Publisher name
+   * @param {string} [params.subject] - Subject/genre
+   * @param {string} [params.genre] - Alias of subject
+   * @param {string} [params.language] - ISO 639-1 language code
+   * @param {number} [params.yearFrom] - Earliest first publication year
+   * @param {number} [params.yearTo] - Latest first publication year
+   * @param {number} [params.pagesMin] - Minimum page count
+   * @param {number} [params.pagesMax] - Maximum page count
+   * @param {number} [params.minRating] - Minimum average rating (0-5)
+   * @param {string} [params.sort] - Sort order (newest, author_az)
    * @param {number} [params.page=1] - Page number
-   * @returns {Promise<Object>} Search results with pagination
+   * @returns {Promise<Object>} Search results with pagination and per-source status
    */
-  async advancedSearch({
-    title,
-    author,
-    genre,
-    page = 1,
-  }) {
-    if (!title && !author && !genre) {
-      throw new ApiError("At least one search parameter must be provided", 400);
+  async advancedSearch({ genre, sort, page = 1, ...params }) {
+    const criteria = { ...params, subject: params.subject || genre, page };
+
+    if (!QUERY_FIELDS.some((field) => criteria[field])) {
+      throw new ApiError(`At least one of ${QUERY_FIELDS.join(", ")} must be provided`, 400);
     }
 
     try {
-      logger.info("Performing advanced search using Open Library API", { 
-        title, 
-        author, 
-        genre,
-        page
-      });
+      logger.info("Performing advanced search across search providers", { criteria });
 
-      // For Open Library, we'll use the basic search but can enhance with genre filtering
-      // Open Library doesn't have direct genre support, but we can search by subject
-      let searchTitle = title;
-      let searchAuthor = author;
-      
-      // If genre is specified, we can add it to the search query
-      if (genre) {
-        if (searchTitle) {
-          searchTitle = `${searchTitle} subject:${genre}`;
-        } else if (searchAuthor) {
-          searchAuthor = `${searchAuthor} subject:${genre}`;
-        } else {
-          // If only genre is provided, search by subject
-          searchTitle = `subject:${genre}`;
-        }
-      }
+      const result = await new BookSearchService().searchProviders(criteria, {
+        advanced: true,
+        page,
+        sort,
+        filter: (book) => this.matchesFilters(book, criteria),
+      });
 
-      // COMMENTED OUT FOR TESTING - Open Library advanced search disabled
-      // const result = await openLibraryService.search({ 
-      //   title: searchTitle, 
-      //   author: searchAuthor, 
-      //   page 
-      // });
-      
-      // Return empty result since Open Library is disabled
-      throw new ApiError("Advanced search is currently disabled. Please use the main search endpoint with Google Books.", 503);
-      
-      logger.info("Advanced search completed successfully", { 
+      logger.info("Advanced search completed successfully", {
         resultCount: Array.isArray(result.data) ? result.data.length : 0,
         totalResults: result.pagination?.totalResults || 0
       });
@@ -66,14 +77,11 @@ class AdvancedSearchService {
     } catch (error) {
       logger.error("Advanced search error", {
         error: error.message,
-        title,
-        author,
-        genre,
-        page
+        criteria,
       });
 
-      // Re-throw the error as it's already an ApiError from the Open Library service
-      throw error;
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(`Advanced search error: ${error.message}`, 500);
     }
   }
 }
@@ -1,10 +1,18 @@
 import OpenAI from "openai";
 import BookCollection from "../models/BookCollection.js";
+import catalogService from "./catalogService.js";
+import localRecommendationService, { bookKey } from "./localRecommendationService.js";
+import recommendationFeedbackService from "./recommendationFeedbackService.js";
 import { cache } from "../utils/cache.js";
 import logger from "../config/logger.js";
 
 const CACHE_KEY_PREFIX = "ai-recommendations:";
 const CACHE_TTL = 24 * 60 * 60; // 24 hours
+const RECOMMENDATION_COUNT = 5;
+// OpenAI needs some reading history to say anything personal
+const MIN_BOOKS_FOR_AI = 3;
+// matchScore boost for books both engines suggest
+const HYBRID_BONUS = 10;
 
 // OpenAI client configuration — read lazily to allow dotenv to load first
 function getOpenAIKey() {
@@ -52,19 +60,24 @@ async function getUserReadingProfile(userId) {
       authors: [],
       genres: [],
       readStatusCounts: {},
+      workIds: [],
     };
   }
 
-  // Aggregate all books from all collections
+  // Aggregate all books from all collections; editions of the same catalog
+  // work count once
   const allBooks = [];
-  const seenBookIds = new Set();
+  const seenKeys = new Set();
+  const workIds = new Set();
 
   for (const collection of collections) {
     for (const book of collection.books) {
-      if (!seenBookIds.has(book.bookId)) {
-        seenBookIds.add(book.bookId);
+      const key = book.workId ? String(book.workId) : book.bookId;
+      if (!seenKeys.has(key)) {
+        seenKeys.add(key);
         allBooks.push(book);
       }
+      if (book.workId) workIds.add(String(book.workId));
     }
   }
 
@@ -145,9 +158,41 @@ async function getUserReadingProfile(userId) {
     personalTags: [
       ...new Set(allBooks.flatMap((b) => b.personalTags || [])),
     ],
+    workIds: [...workIds],
   };
 }
 
+/**
+ * Attach catalog work IDs to recommendations and drop any the user already
+ * owns in another edition
+ * @param {Array} recommendations - Parsed recommendations
+ * @param {Array<string>} ownedWorkIds - Work IDs in the user's collections
+ * @returns {Promise<Array>} Recommendations with workId (null when unknown)
+ */
+async function attachWorkIds(recommendations, ownedWorkIds) {
+  const owned = new Set(ownedWorkIds);
+  const withWorks = await Promise.all(
+    recommendations.map(async (rec) => {
+      const work = await catalogService.findWork(rec).catch(() => null);
+      return { ...rec, workId: work?._id || null };
+    })
+  );
+  return withWorks.filter((rec) => !rec.workId || !owned.has(String(rec.workId)));
+}
+
+/**
+ * Drop recommendations the user dismissed, disliked or already read
+ * @param {Array} recommendations - Recommendations with optional workId
+ * @param {Array} feedback - The user's RecommendationFeedback entries
+ * @returns {Array} Remaining recommendations
+ */
+function excludeByFeedback(recommendations, feedback) {
+  const { keys, workIds } = recommendationFeedbackService.exclusions(feedback);
+  return recommendations.filter(
+    (rec) => !keys.has(bookKey(rec)) && !(rec.workId && workIds.has(String(rec.workId)))
+  );
+}
+
 /**
  * Build the prompt for OpenAI based on the user's reading profile
  * @param {Object} profile - User's reading profile
@@ -215,12 +260,29 @@ USER READING PROFILE:
     prompt += `\nUSER'S PERSONAL TAGS: ${profile.personalTags.join(", ")}\n`;
   }
 
+  // Feedback on earlier recommendations
+  const feedback = profile.feedback || [];
+  const feedbackOf = (...types) => feedback.filter((f) => types.includes(f.feedback)).slice(0, 20);
+  const listTitles = (entries) =>
+    entries.map((f) => `- "${f.title}"${f.authors?.length ? ` by ${f.authors.join(", ")}` : ""}\n`).join("");
+
+  if (feedbackOf("up").length > 0) {
+    prompt += `\nPAST RECOMMENDATIONS THEY LIKED (suggest more like these):\n${listTitles(feedbackOf("up"))}`;
+  }
+  if (feedbackOf("down", "dismissed").length > 0) {
+    prompt += `\nPAST RECOMMENDATIONS THEY REJECTED (never suggest these; avoid close matches):\n${listTitles(feedbackOf("down", "dismissed"))}`;
+  }
+  if (feedbackOf("read").length > 0) {
+    prompt += `\nALREADY READ ELSEWHERE (never suggest these):\n${listTitles(feedbackOf("read"))}`;
+  }
+
   prompt += `\nRECOMMEND 5 BOOKS that this user would genuinely enjoy. For each recommendation, consider:
 1. Similar genres and themes to their favorites
 2. Authors with similar style to ones they loved
 3. Books that expand on their interests
-4. Avoid books similar to ones they DNF'd
+4. Avoid books similar to ones they DNF'd or rejected
 5. Factor in their rating patterns (highly rated = similar quality)
+6. Never suggest a book that is in their library, rejected or already read
 
 Return your response as a valid JSON array of 5 objects with these exact fields:
 - "title": (string) The book title
@@ -280,37 +342,13 @@ function parseRecommendationResponse(responseText) {
 }
 
 /**
- * Generate AI-powered book recommendations for a user
+ * Ask OpenAI for recommendations based on the user's reading profile
  * @param {string} userId - The user's ID
- * @returns {Promise<Object>} Recommendations result with metadata
+ * @param {Object} profile - User's reading profile
+ * @returns {Promise<Array>} Parsed recommendations with workId
  */
-async function generateRecommendations(userId) {
-  logger.info("Generating AI recommendations", { userId });
-
-  // 1. Build reading profile
-  const profile = await getUserReadingProfile(userId);
-
-  if (profile.totalBooks < 3) {
-    logger.info("User has too few books for meaningful recommendations", {
-      userId,
-      totalBooks: profile.totalBooks,
-    });
-    return {
-      recommendations: [],
-      profile: {
-        totalBooks: profile.totalBooks,
-        completedCount: profile.completedCount,
-        topGenres: profile.genres.slice(0, 5).map((g) => g.genre),
-      },
-      generatedAt: new Date().toISOString(),
-      note: "Add at least 3 books to your library to get personalized recommendations.",
-    };
-  }
-
-  // 2. Build the prompt
+async function generateAiRecommendations(userId, profile) {
   const prompt = buildRecommendationPrompt(profile);
-
-  // 3. Call OpenAI
   const client = getOpenAIClient();
 
   let completion;
@@ -346,25 +384,113 @@ async function generateRecommendations(userId) {
     throw new Error("OpenAI returned an empty response");
   }
 
-  // 4. Parse the response
-  const recommendations = parseRecommendationResponse(responseText);
+  const recommendations = await attachWorkIds(
+    parseRecommendationResponse(responseText),
+    profile.workIds
+  );
+  return recommendations.map((rec) => ({ ...rec, source: "ai" }));
+}
+
+/**
+ * Blend AI and local recommendations. A book suggested by both keeps the AI
+ * explanation, gains the local book ID and cover, and is boosted; the rest
+ * compete on matchScore.
+ * @param {Array} aiRecommendations - From OpenAI
+ * @param {Array} localRecommendations - From the local recommender
+ * @returns {Array} Up to RECOMMENDATION_COUNT recommendations
+ */
+function blendRecommendations(aiRecommendations, localRecommendations) {
+  const local = new Map(localRecommendations.map((rec) => [bookKey(rec), rec]));
+
+  const blended = aiRecommendations.map((rec) => {
+    const match = local.get(bookKey(rec));
+    if (!match) return rec;
+    local.delete(bookKey(rec));
+    return {
+      ...match,
+      ...rec,
+      workId: rec.workId || match.workId,
+      matchScore: Math.min(100, Math.round((rec.matchScore + match.matchScore) / 2) + HYBRID_BONUS),
+      source: "hybrid",
+    };
+  });
+
+  return [...blended, ...local.values()]
+    .sort((a, b) => b.matchScore - a.matchScore)
+    .slice(0, RECOMMENDATION_COUNT);
+}
+
+/**
+ * Whether OpenAI should be asked (key configured and not forced to local)
+ */
+function aiEnabled() {
+  return Boolean(getOpenAIKey()) && process.env.RECOMMENDATION_ENGINE !== "local";
+}
+
+/**
+ * Generate book recommendations for a user. The local recommender always
+ * runs; when OpenAI is configured and the library is big enough, its
+ * suggestions are blended in. Any OpenAI failure falls back to local only.
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object>} Recommendations result with metadata
+ */
+async function generateRecommendations(userId) {
+  logger.info("Generating recommendations", { userId, ai: aiEnabled() });
+
+  // 1. Build reading profile, including feedback on earlier recommendations
+  const [profile, feedback] = await Promise.all([
+    getUserReadingProfile(userId),
+    recommendationFeedbackService.list(userId),
+  ]);
+  profile.feedback = feedback;
+
+  // 2. Local hybrid recommender (content + co-occurrence), no external service
+  const localRecommendations = await localRecommendationService.recommend(userId, {
+    limit: RECOMMENDATION_COUNT,
+    feedback,
+  });
+
+  // 3. Blend in OpenAI suggestions when available
+  let recommendations = localRecommendations;
+  let engine = "local";
+  if (aiEnabled() && profile.totalBooks >= MIN_BOOKS_FOR_AI) {
+    try {
+      const aiRecommendations = excludeByFeedback(
+        await generateAiRecommendations(userId, profile),
+        feedback
+      );
+      recommendations = blendRecommendations(aiRecommendations, localRecommendations);
+      engine = "hybrid";
+    } catch (error) {
+      logger.warn("AI recommendations unavailable, using local recommender", {
+        userId,
+        error: error.message,
+      });
+    }
+  }
 
   const result = {
     recommendations,
+    engine,
     profile: {
       totalBooks: profile.totalBooks,
-      completedCount: profile.completedCount,
+      completedCount: profile.completedCount || 0,
       topGenres: profile.genres.slice(0, 5).map((g) => g.genre),
     },
     generatedAt: new Date().toISOString(),
   };
 
-  // 5. Cache the result
+  if (recommendations.length === 0) {
+    result.note = "Add more books to your library to get personalized recommendations.";
+  }
+
+  // 4. Cache the result
   const cacheKey = `${CACHE_KEY_PREFIX}${userId}`;
   await cache.set(cacheKey, result, CACHE_TTL);
 
-  logger.info("AI recommendations generated and cached", {
+  logger.info("Recommendations generated and cached", {
     userId,
+    engine,
     count: recommendations.length,
   });
 
@@ -372,7 +498,7 @@ async function generateRecommendations(userId) {
 }
 
 /**
- * Get AI recommendations for a user (from cache or generate fresh)
+ * Get recommendations for a user (from cache or generate fresh)
  * @param {string} userId - The user's ID
  * @param {boolean} forceRefresh - If true, bypass cache and generate fresh
  * @returns {Promise<Object>} Recommendations result
@@ -389,7 +515,7 @@ export async function getRecommendations(userId, forceRefresh = false) {
     try {
       const cached = await cache.get(cacheKey);
       if (cached) {
-        logger.info("AI recommendations cache hit", { userId });
+        logger.info("Recommendations cache hit", { userId });
         return {
           ...cached,
           fromCache: true,
@@ -421,7 +547,7 @@ export async function refreshRecommendations(userId) {
     throw new Error("userId is required");
   }
 
-  logger.info("Force-refreshing AI recommendations", { userId });
+  logger.info("Force-refreshing recommendations", { userId });
   const result = await generateRecommendations(userId);
   return {
     ...result,
@@ -430,7 +556,53 @@ export async function refreshRecommendations(userId) {
   };
 }
 
+/**
+ * Drop a user's cached recommendations so the next request regenerates them
+ * @param {string} userId - The user's ID
+ */
+export async function invalidateRecommendations(userId) {
+  await cache.del(`${CACHE_KEY_PREFIX}${userId}`);
+}
+
+/**
+ * Record feedback on a recommended title and invalidate cached results
+ * @param {string} userId - The user's ID
+ * @param {Object} input - { title, authors, genres, bookId, workId, feedback }
+ * @returns {Promise<Object>} Stored feedback entry
+ */
+export async function submitFeedback(userId, input) {
+  const entry = await recommendationFeedbackService.record(userId, input);
+  await invalidateRecommendations(userId);
+  return entry;
+}
+
+/**
+ * List a user's feedback on recommendations
+ * @param {string} userId - The user's ID
+ * @param {Object} [filter] - { feedback } to list one type only
+ * @returns {Promise<Array>} Feedback entries, newest first
+ */
+export async function listFeedback(userId, filter) {
+  return recommendationFeedbackService.list(userId, filter);
+}
+
+/**
+ * Withdraw feedback and invalidate cached results
+ * @param {string} userId - The user's ID
+ * @param {string} feedbackId - Feedback entry ID
+ * @returns {Promise<Object>} { deleted, feedbackId }
+ */
+export async function removeFeedback(userId, feedbackId) {
+  const result = await recommendationFeedbackService.remove(userId, feedbackId);
+  await invalidateRecommendations(userId);
+  return result;
+}
+
 export default {
   getRecommendations,
   refreshRecommendations,
+  invalidateRecommendations,
+  submitFeedback,
+  listFeedback,
+  removeFeedback,
 };
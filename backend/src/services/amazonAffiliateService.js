@@ -1,11 +1,35 @@
 import logger from "../config/logger.js";
+import asinService from "./asinService.js";
+import {
+  MARKETPLACES,
+  MARKETPLACE_IDS,
+  GEO_COUNTRY_HEADERS,
+  marketplaceForDomain,
+  marketplaceForCountry,
+  marketplaceForLanguage,
+  marketplaceForLanguageTag,
+  parseAcceptLanguage,
+} from "../config/marketplaces.js";
 
 class AmazonAffiliateService {
   constructor() {
-    this.associateTag = process.env.AMAZON_ASSOCIATES_TAG || null;
-    this.amazonDomain = process.env.AMAZON_DOMAIN || "amazon.de";
-    
-    if (!this.associateTag) {
+    // One Associates tag per marketplace (AMAZON_ASSOCIATES_TAG_US, ..._UK, ...).
+    // AMAZON_ASSOCIATES_TAG is the tag of the AMAZON_DOMAIN marketplace.
+    const domainMarketplace = marketplaceForDomain(process.env.AMAZON_DOMAIN || "amazon.de") || "de";
+    this.domainMarketplace = domainMarketplace;
+    this.tags = {};
+    for (const id of MARKETPLACE_IDS) {
+      const tag = process.env[`AMAZON_ASSOCIATES_TAG_${id.toUpperCase()}`];
+      if (tag) this.tags[id] = tag;
+    }
+    if (!this.tags[domainMarketplace] && process.env.AMAZON_ASSOCIATES_TAG) {
+      this.tags[domainMarketplace] = process.env.AMAZON_ASSOCIATES_TAG;
+    }
+
+    this.marketplaces = MARKETPLACE_IDS.filter((id) => this.tags[id]);
+    this.defaultMarketplace = this.tags[domainMarketplace] ? domainMarketplace : this.marketplaces[0] || null;
+
+    if (!this.defaultMarketplace) {
       logger.warn(
         "Amazon Associates tag not configured. Affiliate links will not be generated."
       );
@@ -13,18 +37,94 @@ class AmazonAffiliateService {
   }
 
   /**
-   * Generate Amazon affiliate link for a book
+   * Pick the marketplace for a visitor. Only marketplaces with a tag count,
+   * unless `anyStore` is set.
+   * Order: saved preference, Accept-Language (region first, then an
+   * unambiguous language), geo country header, the page language, default.
+   * @param {Object} params
+   * @param {string} [params.preference] - Marketplace ID saved in the user's preferences
+   * @param {string} [params.acceptLanguage] - Accept-Language header
+   * @param {string} [params.country] - ISO country code from a geo header
+   * @param {string} [params.pageLanguage] - Language of the page the link is on
+   * @param {Object} [options]
+   * @param {boolean} [options.anyStore=false] - Consider every marketplace, tagged or not
+   *   (the reader's region, for retailers other than Amazon)
+   * @returns {{marketplace: string, source: string}|null} null when no tag is configured
+   *   (never with `anyStore`)
+   */
+  selectMarketplace({ preference, acceptLanguage, country, pageLanguage } = {}, { anyStore = false } = {}) {
+    const usable = (id) => Boolean(id && (anyStore ? MARKETPLACES[id] : this.tags[id]));
+    const fallback = anyStore ? this.defaultMarketplace || this.domainMarketplace : this.defaultMarketplace;
+    if (!fallback) return null;
+
+    const candidates = [
+      ["preference", preference],
+      ...parseAcceptLanguage(acceptLanguage).map((tag) => ["accept-language", marketplaceForLanguageTag(tag)]),
+      ["geo", marketplaceForCountry(country)],
+      ["page", marketplaceForLanguage(pageLanguage)],
+    ];
+    const [source, marketplace] = candidates.find(([, id]) => usable(id)) || ["default", fallback];
+    return { marketplace, source };
+  }
+
+  /**
+   * selectMarketplace for an Express request (preference from req.user,
+   * set by authMiddleware / optionalAuth)
+   * @param {Object} req - Express request object
+   * @param {Object} [options]
+   * @param {string} [options.pageLanguage]
+   * @param {boolean} [options.anyStore] - See selectMarketplace
+   * @returns {{marketplace: string, source: string}|null}
+   */
+  marketplaceForRequest(req, { pageLanguage, anyStore } = {}) {
+    const geoHeader = GEO_COUNTRY_HEADERS.find((header) => req.headers?.[header]);
+    return this.selectMarketplace(
+      {
+        preference: req.user?.marketplace,
+        acceptLanguage: req.headers?.["accept-language"],
+        country: geoHeader && req.headers[geoHeader],
+        pageLanguage,
+      },
+      { anyStore }
+    );
+  }
+
+  /**
+   * Resolve a requested marketplace to one with a tag (falls back to the default)
+   * @param {string} [marketplace]
+   * @returns {string|null}
+   */
+  resolveMarketplace(marketplace) {
+    return this.tags[marketplace] ? marketplace : this.defaultMarketplace;
+  }
+
+  /**
+   * Generate Amazon affiliate link for a book: the product page (/dp/ASIN)
+   * when the ASIN is known or resolvable from the ISBN, otherwise a search
+   * for title and author
    * @param {Object} params - Book parameters
    * @param {string} params.title - Book title
    * @param {string[]} [params.authors] - Array of author names
+   * @param {string} [params.marketplace] - Marketplace ID (config/marketplaces.js); default marketplace if omitted
+   * @param {string} [params.asin] - Known ASIN
+   * @param {string} [params.isbn] - ISBN-10 or ISBN-13, resolved through asinService
+   * @param {boolean} [params.lookup=false] - Allow a PA-API lookup for ISBNs without
+   *   an ISBN-10 form (single-book requests only; lists use cached ASINs)
    * @returns {Promise<string|null>} Amazon affiliate URL or null if tag not configured
    */
-  async generateAffiliateLink({ title, authors = [] }) {
-    if (!this.associateTag) {
+  async generateAffiliateLink({ title, authors = [], marketplace, asin, isbn, lookup = false }) {
+    const id = this.resolveMarketplace(marketplace);
+    if (!id) {
       logger.debug("Amazon Associates tag not configured, skipping affiliate link");
       return null;
     }
 
+    const domain = MARKETPLACES[id].domain;
+    const productAsin = await asinService.resolve({ asin, isbn }, { marketplace: id, lookup }).catch(() => null);
+    if (productAsin) {
+      return `https://${domain}/dp/${encodeURIComponent(productAsin)}?tag=${this.tags[id]}`;
+    }
+
     if (!title) {
       logger.warn("Cannot generate affiliate link: title is required");
       return null;
@@ -43,14 +143,14 @@ class AmazonAffiliateService {
       // Encode the search query
       const encodedQuery = encodeURIComponent(searchQuery.trim());
 
-      // Build Amazon search URL with affiliate tag
+      // Build Amazon search URL with the marketplace's affiliate tag
       // Format: https://amazon.de/s?k=search+query&tag=associate_tag
-      const affiliateUrl = `https://${this.amazonDomain}/s?k=${encodedQuery}&tag=${this.associateTag}`;
+      const affiliateUrl = `https://${domain}/s?k=${encodedQuery}&tag=${this.tags[id]}`;
 
       logger.debug("Generated Amazon affiliate link", {
         title,
         authors,
-        domain: this.amazonDomain,
+        domain,
       });
 
       return affiliateUrl;
@@ -67,14 +167,16 @@ class AmazonAffiliateService {
   /**
    * Add Amazon affiliate links to an array of books
    * @param {Array} books - Array of book objects
+   * @param {Object} [options]
+   * @param {string} [options.marketplace] - Marketplace ID for the links
    * @returns {Promise<Array>} Books with amazonLink property added
    */
-  async addAffiliateLinksToBooks(books) {
+  async addAffiliateLinksToBooks(books, { marketplace } = {}) {
     if (!Array.isArray(books) || books.length === 0) {
       return books;
     }
 
-    if (!this.associateTag) {
+    if (!this.defaultMarketplace) {
       logger.debug("Amazon Associates tag not configured, skipping affiliate links");
       // Return books with null amazonLink
       return books.map((book) => ({
@@ -96,6 +198,9 @@ class AmazonAffiliateService {
           const amazonLink = await this.generateAffiliateLink({
             title: book.title,
             authors: book.authors || book.authorNames || [],
+            marketplace,
+            asin: book.asin,
+            isbn: book.isbn,
           });
 
           return {
@@ -126,155 +231,29 @@ class AmazonAffiliateService {
   }
 
   /**
-   * Get estimated book price based on metadata.
-   * Since real-time Amazon scraping is unreliable without API access,
-   * this builds a reasonable price estimate based on book attributes.
-   *
-   * @param {Object} book - Book metadata
-   * @param {string} book.title - Book title
-   * @param {string[]} [book.authors] - Author names
-   * @param {number} [book.pageCount] - Number of pages
-   * @param {string|number} [book.publishedDate] - Publication date (year or ISO string)
-   * @param {string} [book.publisher] - Publisher name
-   * @param {number} [book.averageRating] - Average rating (for bestseller premium)
-   * @param {number} [book.ratingsCount] - Rating count (for bestseller detection)
-   * @returns {Promise<Object>} Price estimate { amount, currency, format, url, confidence }
-   */
-  async getBookPrice(book) {
-    const { title, authors, pageCount, publishedDate, publisher, averageRating, ratingsCount } = book;
-
-    // Generate affiliate link URL
-    const url = await this.generateAffiliateLink({ title, authors: authors || [] });
-
-    // Estimate base price from page count
-    const pages = pageCount || 250; // default 250 pages if unknown
-    const pricePerPage = 0.08 + Math.random() * 0.07; // 0.08-0.15 EUR per page
-    let basePrice = pages * pricePerPage;
-
-    // Apply age discount for books older than 1 year
-    if (publishedDate) {
-      const pubYear = typeof publishedDate === 'number'
-        ? publishedDate
-        : parseInt(String(publishedDate).match(/^(\d{4})/)?.[1] || publishedDate);
-      const currentYear = new Date().getFullYear();
-      const age = currentYear - pubYear;
-      if (age > 1) {
-        const discountFactor = 0.70 - Math.min(age * 0.02, 0.30); // 30-70% discount, max 50% reduction
-        basePrice *= Math.max(discountFactor, 0.50);
-      }
-    }
-
-    // Bestseller premium: high ratings + many reviews
-    const isBestseller = averageRating >= 4.0 && ratingsCount >= 100;
-    if (isBestseller) {
-      basePrice *= 1.15; // 15% premium
-    }
-
-    // Build format options with different multipliers
-    const formats = {
-      paperback: {
-        amount: Math.round(basePrice * 1.0 * 100) / 100,
-        currency: 'EUR',
-        format: 'paperback',
-        url,
-        confidence: 'estimated',
-      },
-      hardcover: {
-        amount: Math.round(basePrice * 1.6 * 100) / 100,
-        currency: 'EUR',
-        format: 'hardcover',
-        url,
-        confidence: 'estimated',
-      },
-      kindle: {
-        amount: Math.round(basePrice * 0.65 * 100) / 100,
-        currency: 'EUR',
-        format: 'kindle',
-        url,
-        confidence: 'estimated',
-      },
-    };
-
-    return formats;
-  }
-
-  /**
-   * Get a single price estimate (defaulting to paperback) for a book.
-   * Convenience method for simple use cases.
-   *
-   * @param {Object} book - Book metadata
-   * @returns {Promise<Object>} Single price estimate
-   */
-  async getBookPriceSingle(book) {
-    const formats = await this.getBookPrice(book);
-    return formats.paperback;
-  }
-
-  /**
-   * Enrich an array of books with Amazon price estimates.
-   * Adds both amazonLink and price fields to each book.
-   *
-   * @param {Array} books - Array of book objects
-   * @returns {Promise<Array>} Books enriched with amazonLink and price
+   * Check if Amazon Associates is configured
+   * @returns {boolean} True if at least one marketplace has a tag
    */
-  async enrichBooksWithPrices(books) {
-    if (!Array.isArray(books) || books.length === 0) {
-      return books;
-    }
-
-    try {
-      const enriched = await Promise.all(
-        books.map(async (book) => {
-          // Skip if fully enriched already
-          if (book.price && book.amazonLink) {
-            return book;
-          }
-
-          const priceFormats = await this.getBookPrice(book);
-          const amazonLink = priceFormats.paperback.url;
-
-          return {
-            ...book,
-            amazonLink,
-            price: priceFormats,
-          };
-        })
-      );
-
-      logger.debug("Enriched books with Amazon price estimates", {
-        bookCount: enriched.length,
-        enrichedCount: enriched.filter((b) => b.price).length,
-      });
-
-      return enriched;
-    } catch (error) {
-      logger.error("Error enriching books with prices", {
-        error: error.message,
-        bookCount: books.length,
-      });
-
-      return books.map((book) => ({
-        ...book,
-        amazonLink: null,
-        price: null,
-      }));
-    }
+  isConfigured() {
+    return !!this.defaultMarketplace;
   }
 
   /**
-   * Check if Amazon Associates is configured
-   * @returns {boolean} True if associate tag is configured
+   * Get the Amazon domain of a marketplace
+   * @param {string} [marketplace] - Marketplace ID; the default marketplace if omitted
+   * @returns {string|null} Amazon domain (e.g., "amazon.de", "amazon.com")
    */
-  isConfigured() {
-    return !!this.associateTag;
+  getDomain(marketplace) {
+    const id = this.resolveMarketplace(marketplace);
+    return id ? MARKETPLACES[id].domain : null;
   }
 
   /**
-   * Get the configured Amazon domain
-   * @returns {string} Amazon domain (e.g., "amazon.de", "amazon.com")
+   * Marketplaces readers can choose from (those with a tag)
+   * @returns {Array<{id: string, domain: string}>}
    */
-  getDomain() {
-    return this.amazonDomain;
+  listMarketplaces() {
+    return this.marketplaces.map((id) => ({ id, domain: MARKETPLACES[id].domain }));
   }
 }
 
@@ -1,17 +1,16 @@
 /**
  * Amazon Product Advertising API (PA-API) v5 client — REAL prices.
  *
- * This replaces the fabricated `getBookPrice()` in amazonAffiliateService.js
- * (which uses Math.random() and MUST NOT be shown to users — Amazon Associates
- * ToS violation). This service signs requests with AWS Signature V4 (Node
- * crypto, no external deps) and returns actual Amazon offer prices.
+ * Signs requests with AWS Signature V4 (Node crypto, no external deps) and
+ * returns actual Amazon offer prices. Prices are never estimated: no offer
+ * means no price (Amazon Associates ToS).
  *
- * DORMANT / UNTESTED UNTIL CREDENTIALS EXIST: requires PA_API_ACCESS_KEY and
+ * DORMANT UNTIL CREDENTIALS EXIST: requires PA_API_ACCESS_KEY and
  * PA_API_SECRET_KEY from the Amazon Associates console (Product Advertising
  * API tab). Amazon typically grants API access only after 3 qualifying sales
  * within 180 days, so this is gated and does nothing until keys are present.
- * Do a live smoke-test against the real endpoint before wiring into any
- * user-facing surface.
+ * Only tested against the local stand-in so far — do a live smoke-test
+ * against the real endpoint when the keys arrive.
  *
  * Env (all optional — service no-ops when keys absent):
  *   PA_API_ACCESS_KEY      — Access Key ID (from Amazon Associates)
@@ -20,12 +19,16 @@
  *   PA_API_HOST            — default: webservices.amazon.de
  *   PA_API_REGION          — SigV4 region, default: eu-west-1
  *   PA_API_MARKETPLACE     — default: www.amazon.de
+ *   PA_API_ENDPOINT        — default: https://<PA_API_HOST>; point at the
+ *                            local stand-in (utils/mockPaApi.js) in dev/tests
  *
- * NOTE: PA-API ToS requires caching price responses (~1h). Wire Redis caching
- * before going live at scale; the free tier is ~1 req/s (8640/day).
+ * User-facing code goes through priceService.js, which adds the Redis
+ * caching the PA-API terms require (~1h) and keeps to the ~1 req/s quota.
  */
 import crypto from "crypto";
 import logger from "../config/logger.js";
+import { TokenBucket } from "../utils/tokenBucket.js";
+import { marketplaceForDomain } from "../config/marketplaces.js";
 
 const config = {
   accessKey: process.env.PA_API_ACCESS_KEY || "",
@@ -34,8 +37,19 @@ const config = {
   host: process.env.PA_API_HOST || "webservices.amazon.de",
   region: process.env.PA_API_REGION || "eu-west-1",
   marketplace: process.env.PA_API_MARKETPLACE || "www.amazon.de",
+  endpoint: process.env.PA_API_ENDPOINT || `https://${process.env.PA_API_HOST || "webservices.amazon.de"}`,
 };
 
+// GetItems accepts at most 10 item IDs per request
+const GET_ITEMS_MAX_IDS = 10;
+
+// The account's request quota (~1 req/s on the free tier), shared by every
+// caller: take() a token before each request made on behalf of users
+const bucket = new TokenBucket("pa-api", {
+  capacity: 1,
+  refillPerSecond: Number(process.env.PA_API_REQUESTS_PER_SECOND) || 1,
+});
+
 const SERVICE = "ProductAdvertisingAPI";
 const TARGET_PREFIX = "com.amazon.paapi5.v1.ProductAdvertisingAPIv1";
 
@@ -98,8 +112,10 @@ function signRequest({ method, host, region, service, accessKey, secretKey, path
 
 /**
  * POST to the PA-API endpoint. Returns the parsed JSON body.
+ * With `partial`, per-item Errors next to a result (GetItems reports unknown
+ * IDs that way) are returned instead of thrown.
  */
-async function request(operation, body) {
+async function request(operation, body, { partial = false } = {}) {
   const path = `/paapi5/${operation.toLowerCase()}`;
   const payload = JSON.stringify(body);
   const target = `${TARGET_PREFIX}.${operation}`;
@@ -126,7 +142,7 @@ async function request(operation, body) {
     payload,
   });
 
-  const res = await fetch(`https://${config.host}${path}`, {
+  const res = await fetch(`${config.endpoint}${path}`, {
     method: "POST",
     headers: {
       "content-encoding": "amz-1.0",
@@ -140,7 +156,8 @@ async function request(operation, body) {
 
   const json = await res.json();
 
-  if (!res.ok || (json.Errors && json.Errors.length)) {
+  const failed = json.Errors && json.Errors.length && !(partial && json.ItemsResult);
+  if (!res.ok || failed) {
     const errs = (json.Errors || []).map((e) => `${e.Code}: ${e.Message}`).join(" | ");
     throw new Error(`PA-API ${operation} failed (HTTP ${res.status}): ${errs || res.statusText}`);
   }
@@ -152,6 +169,14 @@ function isConfigured() {
   return Boolean(config.accessKey && config.secretKey && config.partnerTag);
 }
 
+/**
+ * Whether PA-API answers for a marketplace ID (config/marketplaces.js).
+ * Prices and looked-up ASINs belong to PA_API_MARKETPLACE only.
+ */
+function servesMarketplace(marketplace) {
+  return isConfigured() && (!marketplace || marketplaceForDomain(config.marketplace) === marketplace);
+}
+
 /**
  * SearchItems — find items by ISBN or keyword. Returns the raw search result.
  */
@@ -164,6 +189,7 @@ async function searchItems(keywords, { searchIndex = "Books", itemPage = 1 } = {
       "ItemInfo.Title",
       "ItemInfo.ByLineInfo",
       "ItemInfo.Classifications",
+      "ItemInfo.ExternalIds",
       "Offers.Listings.Price",
     ],
     PartnerTag: config.partnerTag,
@@ -174,6 +200,32 @@ async function searchItems(keywords, { searchIndex = "Books", itemPage = 1 } = {
   return json.SearchResult?.Items || [];
 }
 
+/**
+ * GetItems — look up to 10 items by ASIN (for print books the ISBN-10 is the
+ * ASIN). Unknown IDs are left out of the result.
+ */
+async function getItems(itemIds) {
+  if (itemIds.length > GET_ITEMS_MAX_IDS) {
+    throw new Error(`PA-API GetItems takes at most ${GET_ITEMS_MAX_IDS} IDs, got ${itemIds.length}`);
+  }
+  const body = {
+    ItemIds: itemIds,
+    ItemIdType: "ASIN",
+    Resources: [
+      "ItemInfo.Title",
+      "ItemInfo.Classifications",
+      "ItemInfo.ExternalIds",
+      "Offers.Listings.Price",
+      "Offers.Listings.Condition",
+    ],
+    PartnerTag: config.partnerTag,
+    PartnerType: "Associates",
+    Marketplace: config.marketplace,
+  };
+  const json = await request("GetItems", body, { partial: true });
+  return json.ItemsResult?.Items || [];
+}
+
 /**
  * Extract the best (lowest) offer price from a PA-API item.
  * Amount is in the smallest currency unit (cents for EUR) — convert to major.
@@ -208,6 +260,28 @@ function pickIsbn(book) {
   return isbn13?.identifier || isbn10?.identifier || null;
 }
 
+/**
+ * ASIN of the edition with this ISBN (either form), via SearchItems.
+ * Returns null when Amazon lists no item with that ISBN. Throws on PA-API errors.
+ */
+async function findAsinByIsbn({ isbn10, isbn13 }) {
+  let items;
+  try {
+    items = await searchItems(isbn13 || isbn10);
+  } catch (err) {
+    if (/NoResults/.test(err.message)) return null;
+    throw err;
+  }
+  const wanted = [isbn10, isbn13].filter(Boolean);
+  const match = items.find((item) => {
+    const ids = item.ItemInfo?.ExternalIds || {};
+    return [...(ids.ISBNs?.DisplayValues || []), ...(ids.EANs?.DisplayValues || [])].some((id) =>
+      wanted.includes(id)
+    );
+  });
+  return match?.ASIN || null;
+}
+
 /**
  * Get the REAL Amazon price for a book. Returns an offer object or null.
  * Prefers ISBN lookup (exact), falls back to title+author keyword search.
@@ -242,7 +316,13 @@ async function getBookPrice(book = {}) {
 
 export default {
   isConfigured,
+  servesMarketplace,
   searchItems,
+  getItems,
+  findAsinByIsbn,
+  bestOffer,
   getBookPrice,
   config,
+  bucket,
+  GET_ITEMS_MAX_IDS,
 };
@@ -1,11 +1,26 @@
 import AnalyticsEvent from "../models/AnalyticsEvent.js";
 import logger from "../config/logger.js";
+import { ratio, twoProportionZTest } from "../utils/stats.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What CTR can be broken down by, and the value events are grouped on
+const CTR_GROUPS = {
+  context: "$context",
+  source: "$source",
+  variant: "$variant",
+  date: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp" } },
+};
+export const CTR_DIMENSIONS = Object.keys(CTR_GROUPS);
+
+const countOf = (type) => ({ $sum: { $cond: [{ $eq: ["$type", type] }, 1, 0] } });
 
 /**
  * AnalyticsService — records funnel events and computes affiliate KPIs.
  *
- * Event types:
+ * Event types (the funnel, in order):
  *   impression — a result set was rendered (search query or category page)
+ *   view        — a book-details page was opened (where the buy CTA lives)
  *   click       — an affiliate link was clicked
  *
  * All writes are non-blocking and failures are swallowed (logged, never thrown)
@@ -30,6 +45,26 @@ class AnalyticsService {
     );
   }
 
+  /**
+   * Record a book-details view. `source`/`context` are the surface the reader
+   * came from, `variant` the CTA variant shown. Fire-and-forget — never throws.
+   */
+  recordView({ source = "book-details", context, bookId, variant = null, userId = null, req = null }) {
+    if (!bookId) return;
+    AnalyticsEvent.create({
+      type: "view",
+      source,
+      context: context || null,
+      bookId,
+      variant: variant || null,
+      userId: userId || undefined,
+      ipAddress: req?.ip,
+      userAgent: req?.headers?.["user-agent"],
+    }).catch((err) =>
+      logger.warn("Failed to record view", { bookId, source, context, error: err.message })
+    );
+  }
+
   /**
    * Record a click event. Fire-and-forget — never throws.
    */
@@ -40,7 +75,9 @@ class AnalyticsService {
     bookTitle,
     authors = [],
     coverImage,
+    retailer = "amazon",
     amazonUrl,
+    marketplace = null,
     variant = null,
     userId = null,
     req = null,
@@ -54,7 +91,9 @@ class AnalyticsService {
       bookTitle: bookTitle || null,
       authors,
       coverImage: coverImage || null,
+      retailer,
       amazonUrl: amazonUrl || null,
+      marketplace: marketplace || null,
       variant: variant || null,
       userId: userId || undefined,
       ipAddress: req?.ip,
@@ -147,7 +186,7 @@ class AnalyticsService {
       {
         $match: {
           type: { $in: ["click", "impression"] },
-          context: { $exists: true, $ne: null, $ne: "" },
+          context: { $nin: [null, ""] },
           timestamp: { $gte: cutoff },
         },
       },
@@ -196,24 +235,153 @@ class AnalyticsService {
   }
 
   /**
-   * Click counts grouped by CTA variant (A/B test comparison) within a window.
+   * Impressions, views and clicks grouped by one dimension, with two rates:
+   *   ctr     = clicks / impressions (result lists; context, source, date)
+   *   viewCtr = clicks / views       (details page, where the CTA variant is shown)
+   * @param {Object} [options]
+   * @param {string} [options.by="context"] - One of CTR_DIMENSIONS
+   * @param {number} [options.days=30] - Window
+   * @param {number} [options.limit=50] - Most-clicked groups (every day for "date")
+   * @param {string} [options.source] - Only events from this surface
+   * @returns {Promise<Array<Object>>} Rows keyed by the dimension name
    */
-  async getClicksByVariant({ days = 30 } = {}) {
-    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
-    return AnalyticsEvent.aggregate([
-      { $match: { type: "click", timestamp: { $gte: cutoff } } },
-      { $group: { _id: { $ifNull: ["$variant", "unset"] }, clicks: { $sum: 1 } } },
-      { $sort: { clicks: -1 } },
+  async getCtr({ by = "context", days = 30, limit = 50, source } = {}) {
+    const match = {
+      type: { $in: ["impression", "view", "click"] },
+      timestamp: { $gte: new Date(Date.now() - days * DAY_MS) },
+    };
+    if (source) match.source = source;
+    if (by === "context" || by === "variant") match[by] = { $nin: [null, ""] };
+
+    const rows = await AnalyticsEvent.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: CTR_GROUPS[by],
+          impressions: countOf("impression"),
+          views: countOf("view"),
+          clicks: countOf("click"),
+        },
+      },
+      ...(by === "date" ? [{ $sort: { _id: 1 } }] : [{ $sort: { clicks: -1, impressions: -1 } }, { $limit: limit }]),
     ]);
+
+    return rows.map(({ _id, impressions, views, clicks }) => ({
+      [by]: _id,
+      impressions,
+      views,
+      clicks,
+      ctr: ratio(clicks, impressions),
+      viewCtr: ratio(clicks, views),
+    }));
+  }
+
+  /**
+   * CTA variant comparison (A/B test) within a window: details-page views,
+   * Amazon clicks and click-through per variant, each tested against the
+   * control with a two-proportion z-test. The significance level is split
+   * across the comparisons (Bonferroni), so adding variants doesn't make a
+   * false winner more likely.
+   *
+   * Events carry no reader identity, so this is an event-level rate: clicks
+   * per view, where one view can be followed by several clicks. Clicks are
+   * capped at views so `ctr` stays a proportion the test can use; `clicks`
+   * is the raw count.
+   * @param {Object} [options]
+   * @param {number} [options.days=30]
+   * @param {string} [options.control] - Control variant; the most viewed one if omitted
+   * @param {number} [options.confidence=0.95]
+   */
+  async getClicksByVariant({ days = 30, control, confidence = 0.95 } = {}) {
+    const rows = await this.getCtr({ by: "variant", days, limit: 100 });
+    const shown = rows.filter((row) => row.views > 0).sort((a, b) => b.views - a.views);
+    const controlRow = shown.find((row) => row.variant === control) || shown[0] || null;
+    const alpha = (1 - confidence) / Math.max(shown.length - 1, 1);
+    const sample = (row) => ({ successes: Math.min(row.clicks, row.views), trials: row.views });
+    const rate = (row) => ratio(sample(row).successes, row.views);
+
+    const variants = rows.map((row) => {
+      const compared = controlRow && row !== controlRow && row.views > 0;
+      const test = compared ? twoProportionZTest(sample(controlRow), sample(row)) : null;
+      return {
+        variant: row.variant,
+        views: row.views,
+        clicks: row.clicks,
+        ctr: rate(row),
+        lift: compared && rate(controlRow) > 0 ? rate(row) / rate(controlRow) - 1 : null,
+        zScore: test ? test.z : null,
+        pValue: test ? test.pValue : null,
+        significant: Boolean(test && test.pValue < alpha),
+      };
+    });
+
+    return { control: controlRow?.variant ?? null, confidence, alpha, variants };
+  }
+
+  /**
+   * Funnel per surface: result impressions → book-details views → affiliate
+   * clicks. Counts are events, not unique readers.
+   * @param {Object} [options]
+   * @param {number} [options.days=30]
+   * @param {string} [options.context] - Only one search query or category
+   */
+  async getFunnel({ days = 30, context } = {}) {
+    const match = {
+      type: { $in: ["impression", "view", "click"] },
+      timestamp: { $gte: new Date(Date.now() - days * DAY_MS) },
+    };
+    if (context) match.context = context;
+
+    const rows = await AnalyticsEvent.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$source",
+          impressions: countOf("impression"),
+          views: countOf("view"),
+          clicks: countOf("click"),
+        },
+      },
+      { $sort: { impressions: -1, views: -1 } },
+    ]);
+
+    const stage = ({ impressions, views, clicks }) => ({
+      impressions,
+      views,
+      clicks,
+      viewRate: ratio(views, impressions),
+      clickRate: ratio(clicks, views),
+      conversion: ratio(clicks, impressions),
+    });
+    const total = rows.reduce(
+      (sum, row) => ({
+        impressions: sum.impressions + row.impressions,
+        views: sum.views + row.views,
+        clicks: sum.clicks + row.clicks,
+      }),
+      { impressions: 0, views: 0, clicks: 0 }
+    );
+
+    return {
+      days,
+      context: context || null,
+      total: stage(total),
+      bySource: rows.map((row) => ({ source: row._id, ...stage(row) })),
+    };
   }
 
   /**
    * Public "trending" — most-clicked books with enough metadata to render a
-   * card. Used by the Home page's top-converting section.
+   * card. Used by the Home page's top-converting section and the weekly
+   * digest. `since` limits the window; `categories` lists the category pages
+   * the clicks came from.
    */
-  async getTrending({ limit = 8 } = {}) {
+  async getTrending({ limit = 8, since } = {}) {
+    const match = { type: "click", bookTitle: { $exists: true, $ne: null } };
+    if (since) match.timestamp = { $gte: since };
+
     return AnalyticsEvent.aggregate([
-      { $match: { type: "click", bookTitle: { $exists: true, $ne: null } } },
+      { $match: match },
       { $sort: { timestamp: -1 } },
       {
         $group: {
@@ -222,9 +390,13 @@ class AnalyticsService {
           title: { $first: "$bookTitle" },
           authors: { $first: "$authors" },
           coverImage: { $first: "$coverImage" },
+          categories: {
+            $addToSet: { $cond: [{ $eq: ["$source", "category"] }, "$context", null] },
+          },
           clicks: { $sum: 1 },
         },
       },
+      { $addFields: { categories: { $setDifference: ["$categories", [null]] } } },
       { $sort: { clicks: -1 } },
       { $limit: limit },
     ]);
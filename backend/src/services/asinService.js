@@ -0,0 +1,110 @@
+import redis from "../config/redis.js";
+import logger from "../config/logger.js";
+import Book from "../models/Book.js";
+import amazonPaApiService from "./amazonPaApiService.js";
+import { normalizeIsbn, isValidIsbn10, isbn10To13, isbn13To10, isbnForms } from "../utils/isbn.js";
+
+// ISBN → ASIN mappings don't change; misses are retried daily in case the
+// edition gets listed
+const FOUND_TTL_SECONDS = 30 * 24 * 60 * 60;
+const NOT_FOUND_TTL_SECONDS = 24 * 60 * 60;
+const NOT_FOUND = "none";
+
+// Longest wait for the PA-API quota on a reader's request
+const LOOKUP_MAX_WAIT_MS = 1000;
+
+const cacheKey = (isbn) => `asin:${amazonPaApiService.config.marketplace}:${isbn}`;
+
+/**
+ * The ASIN of a print edition, straight from its ISBN: a valid ISBN-10, or
+ * the ISBN-10 form of a valid 978 ISBN-13. Valid on every Amazon marketplace.
+ * @param {string} value - Raw ISBN
+ * @returns {string|null}
+ */
+export const asinFromIsbn = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (!isbn) return null;
+  if (isbn.length === 10) return isValidIsbn10(isbn) ? isbn : null;
+  const isbn10 = isbn13To10(isbn);
+  // Round-trips only when the ISBN-13 check digit is right
+  return isbn10 && isbn10To13(isbn10) === isbn ? isbn10 : null;
+};
+
+/**
+ * AsinService — resolves ISBNs to Amazon ASINs for /dp/ product links.
+ *
+ * ISBNs with a valid ISBN-10 form need no lookup. Others (979 ISBNs, bad
+ * check digits) are looked up with PA-API SearchItems, cached in Redis and,
+ * for local Book records, stored on the record. Looked-up ASINs belong to
+ * the PA-API marketplace, so other marketplaces only get the ISBN-10 ones.
+ */
+class AsinService {
+  /**
+   * @param {string} isbn
+   * @param {Object} [options]
+   * @param {string} [options.marketplace] - Marketplace ID the link is for
+   * @param {boolean} [options.lookup=true] - Ask PA-API on a cache miss (false: cache only)
+   * @param {number} [options.maxWaitMs=1000] - Longest wait for the PA-API quota
+   * @returns {Promise<{asin: string|null, checked: boolean}>} `checked` is false when the
+   *   answer is unknown (no lookup made, quota busy or PA-API failed)
+   */
+  async resolveIsbn(isbn, { marketplace, lookup = true, maxWaitMs = LOOKUP_MAX_WAIT_MS } = {}) {
+    const direct = asinFromIsbn(isbn);
+    if (direct) return { asin: direct, checked: true };
+
+    const forms = isbnForms(isbn);
+    const key = forms.isbn13 || normalizeIsbn(isbn);
+    if (!key || !amazonPaApiService.servesMarketplace(marketplace)) return { asin: null, checked: false };
+
+    const cached = await redis.get(cacheKey(key)).catch(() => null);
+    if (cached) return { asin: cached === NOT_FOUND ? null : cached, checked: true };
+    if (!lookup || !(await amazonPaApiService.bucket.take({ maxWaitMs }))) return { asin: null, checked: false };
+
+    try {
+      const asin = await amazonPaApiService.findAsinByIsbn({ isbn10: forms.isbn10, isbn13: forms.isbn13 || key });
+      await redis
+        .set(cacheKey(key), asin || NOT_FOUND, "EX", asin ? FOUND_TTL_SECONDS : NOT_FOUND_TTL_SECONDS)
+        .catch((error) => logger.warn("Failed to cache ASIN", { isbn: key, error: error.message }));
+      logger.debug("Resolved ASIN via PA-API", { isbn: key, asin });
+      return { asin, checked: true };
+    } catch (error) {
+      logger.warn("PA-API ASIN lookup failed", { isbn: key, error: error.message });
+      return { asin: null, checked: false };
+    }
+  }
+
+  /**
+   * ASIN for any book-like object: its own `asin`, else resolved from `isbn`
+   * @param {{asin?: string, isbn?: string}} book
+   * @param {Object} [options] - See resolveIsbn
+   * @returns {Promise<string|null>}
+   */
+  async resolve(book = {}, options) {
+    if (book.asin) return book.asin;
+    if (!book.isbn) return null;
+    return (await this.resolveIsbn(book.isbn, options)).asin;
+  }
+
+  /**
+   * Resolve a local Book record's ASIN and store it on the record. A miss
+   * only stamps asinCheckedAt, the first time, so the admin report can tell
+   * checked books from unchecked ones.
+   * @param {Object} book - Book document or lean object with _id
+   * @param {Object} [options] - See resolveIsbn
+   * @returns {Promise<string|null>}
+   */
+  async resolveForBook(book, options) {
+    if (book.asin) return book.asin;
+    if (!book.isbn) return null;
+
+    const { asin, checked } = await this.resolveIsbn(book.isbn, options);
+    if (book._id && checked && (asin || !book.asinCheckedAt)) {
+      await Book.updateOne({ _id: book._id }, { ...(asin && { asin }), asinCheckedAt: new Date() }).catch((error) =>
+        logger.warn("Failed to store ASIN on book", { bookId: String(book._id), error: error.message })
+      );
+    }
+    return asin;
+  }
+}
+
+export default new AsinService();
@@ -0,0 +1,182 @@
+import redis from "../config/redis.js";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import fakeBillingProvider from "./fakeBillingProvider.js";
+import { TIERS, normalizeTier } from "../config/entitlements.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+/**
+ * @typedef {Object} BillingEvent - A provider webhook, normalized
+ * @property {string} id - Provider event ID (used to ignore redeliveries)
+ * @property {Date} createdAt - When the provider created the event (used to ignore out-of-order deliveries)
+ * @property {string} type - "subscription.updated" or "subscription.deleted"
+ * @property {string} userId - Our user ID, from the checkout metadata
+ * @property {string} tier - Tier that was bought
+ * @property {string} status - Provider subscription status ("active", "past_due", "canceled", ...)
+ * @property {string} customerId
+ * @property {string} subscriptionId
+ * @property {Date|null} currentPeriodEnd
+ *
+ * @typedef {Object} BillingProvider
+ * @property {string} name
+ * @property {(params: {userId: string, email: string, tier: string, successUrl: string, cancelUrl: string}) => Promise<{sessionId: string, url: string}>} createCheckout
+ * @property {(rawBody: Buffer, headers: Object) => BillingEvent} parseWebhook - Verifies the signature; throws ApiError 400
+ */
+
+/** @type {Record<string, BillingProvider>} */
+const PROVIDERS = {
+  fake: fakeBillingProvider,
+};
+
+// Subscription statuses that keep the paid tier
+const ACTIVE_STATUSES = ["active", "trialing"];
+
+// Providers redeliver webhooks; remember handled event IDs for a week
+const EVENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const eventKey = (provider, eventId) => `billing:event:${provider}:${eventId}`;
+
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:3000";
+
+/**
+ * BillingService — paid tiers through a payment provider.
+ *
+ * Checkout happens on the provider's side; the only thing that changes a
+ * user's tier is the provider's signed webhook. BILLING_PROVIDER picks the
+ * provider; without it billing is unavailable. The fake provider grants Pro
+ * without payment, so it has to be asked for explicitly (BILLING_PROVIDER=fake).
+ */
+class BillingService {
+  /**
+   * @returns {BillingProvider}
+   */
+  getProvider() {
+    const provider = PROVIDERS[process.env.BILLING_PROVIDER];
+    if (!provider) {
+      throw new ApiError("Billing is not available", 503);
+    }
+    return provider;
+  }
+
+  isFakeProvider() {
+    try {
+      return this.getProvider() === fakeBillingProvider;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Start a checkout for a paid tier.
+   * @returns {Promise<{url: string}>} Where to send the user
+   */
+  async startCheckout(userId, tier = "pro") {
+    if (!TIERS.includes(tier) || tier === TIERS[0]) {
+      throw new ApiError("Unknown subscription tier", 400);
+    }
+    const user = await User.findById(userId).select("email subscriptionTier");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    if (normalizeTier(user.subscriptionTier) === tier) {
+      throw new ApiError(`You are already on ${tier}`, 409);
+    }
+
+    const provider = this.getProvider();
+    const { sessionId, url } = await provider.createCheckout({
+      userId: String(user._id),
+      email: user.email,
+      tier,
+      successUrl: `${frontendUrl()}/profile?billing=success`,
+      cancelUrl: `${frontendUrl()}/profile?billing=cancelled`,
+    });
+    logger.info("Checkout started", { userId, tier, provider: provider.name, sessionId });
+    return { url };
+  }
+
+  /**
+   * Apply a provider webhook. Redeliveries of an event are acknowledged
+   * without being applied again, and so are events older than the last one
+   * applied (providers don't guarantee delivery order).
+   * @returns {Promise<{handled: boolean, tier?: string}>}
+   */
+  async handleWebhook(rawBody, headers) {
+    const provider = this.getProvider();
+    const event = provider.parseWebhook(rawBody, headers);
+
+    if (!event.id || !event.userId) {
+      throw new ApiError("Webhook is missing the event or user ID", 400);
+    }
+    if (!(event.createdAt instanceof Date) || Number.isNaN(event.createdAt.getTime())) {
+      throw new ApiError("Webhook is missing the event time", 400);
+    }
+    if (await redis.get(eventKey(provider.name, event.id))) {
+      return { handled: false };
+    }
+    if (!["subscription.updated", "subscription.deleted"].includes(event.type)) {
+      logger.info("Ignoring billing event", { type: event.type, eventId: event.id });
+      return { handled: false };
+    }
+
+    const user = await User.findById(event.userId).select("subscriptionTier billing");
+    if (!user) {
+      // Deleted account: nothing to change, but don't make the provider retry
+      logger.warn("Billing event for unknown user", { userId: event.userId, eventId: event.id });
+      return { handled: false };
+    }
+
+    if (user.billing?.lastEventAt && event.createdAt < user.billing.lastEventAt) {
+      return this._skipStale(provider, event, user);
+    }
+
+    const active = event.type === "subscription.updated" && ACTIVE_STATUSES.includes(event.status);
+    const tier = active ? normalizeTier(event.tier) : "free";
+    const previousTier = normalizeTier(user.subscriptionTier);
+
+    // The filter repeats the ordering check so a concurrent newer event wins
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ "billing.lastEventAt": { $exists: false } }, { "billing.lastEventAt": { $lte: event.createdAt } }],
+      },
+      {
+        subscriptionTier: tier,
+        billing: {
+          provider: provider.name,
+          customerId: event.customerId,
+          subscriptionId: event.subscriptionId,
+          status: event.type === "subscription.deleted" ? "canceled" : event.status,
+          currentPeriodEnd: event.currentPeriodEnd,
+          lastEventAt: event.createdAt,
+        },
+      }
+    );
+    if (result.matchedCount === 0) {
+      return this._skipStale(provider, event, user);
+    }
+    await redis.set(eventKey(provider.name, event.id), "1", "EX", EVENT_TTL_SECONDS);
+
+    await AuditLog.logAction(user._id, "subscription_changed", {
+      from: previousTier,
+      to: tier,
+      provider: provider.name,
+      eventId: event.id,
+      status: event.status,
+    });
+    logger.info("Subscription tier updated", { userId: String(user._id), from: previousTier, to: tier });
+    return { handled: true, tier };
+  }
+
+  async _skipStale(provider, event, user) {
+    await redis.set(eventKey(provider.name, event.id), "1", "EX", EVENT_TTL_SECONDS);
+    logger.info("Ignoring out-of-order billing event", {
+      userId: String(user._id),
+      eventId: event.id,
+      createdAt: event.createdAt,
+      lastEventAt: user.billing?.lastEventAt,
+    });
+    return { handled: false };
+  }
+}
+
+export default new BillingService();
@@ -1,13 +1,26 @@
 import { ApiError } from "../utils/errors.js";
-// import openLibraryService from "./openLibraryService.js"; // COMMENTED OUT FOR TESTING - Google Books only
-import { searchGoogleBooks } from "./googleBooksService.js";
+import { toIsbn13 } from "../utils/isbn.js";
+import openLibraryService from "./openLibraryService.js";
+import searchProviderRegistry from "./searchProviderRegistry.js";
 import amazonAffiliateService from "./amazonAffiliateService.js";
+import priceService from "./priceService.js";
 import logger from "../config/logger.js";
 
+// Providers return pages of this size
+const PAGE_SIZE = 20;
+
+// Reciprocal-rank constant: a result at rank r from a provider with weight w
+// scores w / (RANK_CONSTANT + r). Books returned by several providers add up.
+const RANK_CONSTANT = 10;
+
+// A page of results needs two GetItems calls; don't hold the response for
+// more than that when the PA-API quota is busy
+const PRICE_MAX_WAIT_MS = 2000;
+
 export default class BookSearchService {
-  async search({ title, author, page = 1, category, condition, sort }) {
-    // Allow category-only searches
-    if (!title && !author && !category) {
+  async search({ title, author, subject, page = 1, category, condition, sort, marketplace }) {
+    // Allow category-only (or raw subject-only) searches
+    if (!title && !author && !category && !subject) {
       throw new ApiError("At least one search parameter (title, author, or category) must be provided", 400);
     }
 
@@ -19,122 +32,23 @@ export default class BookSearchService {
         page
       });
 
-      // Map normalized category to search terms for APIs
-      const subjectSearchTerm = category ? this.mapCategoryToSubject(category) : null;
-
-      // COMMENTED OUT FOR TESTING - Google Books only
-      // Fetch from all sources in parallel
-      // const [openLibResult, googleResult] = await Promise.allSettled([
-      //   openLibraryService.search({ title, author, subject: subjectSearchTerm, page }),
-      //   searchGoogleBooks({ title, author, subject: subjectSearchTerm, page })
-      // ]);
-
-      // Fetch from Google Books only
-      const [googleResult] = await Promise.allSettled([
-        searchGoogleBooks({ title, author, subject: subjectSearchTerm, page })
-      ]);
-
-      // Process results and handle errors gracefully
-      let allBooks = [];
-      let errors = [];
-
-      // COMMENTED OUT FOR TESTING - Open Library processing
-      // Process Open Library results
-      // if (openLibResult.status === 'fulfilled') {
-      //   allBooks = allBooks.concat(openLibResult.value.data || []);
-      //   logger.info("Open Library search successful", { 
-      //     resultCount: openLibResult.value.data?.length || 0 
-      //   });
-      // } else {
-      //   errors.push(`Open Library: ${openLibResult.reason.message}`);
-      //   logger.warn("Open Library search failed", { 
-      //     error: openLibResult.reason.message 
-      //   });
-      // }
-
-      // Process Google Books results
-      if (googleResult.status === 'fulfilled') {
-        allBooks = allBooks.concat(googleResult.value || []);
-        logger.info("Google Books search successful", { 
-          resultCount: googleResult.value?.length || 0 
-        });
-      } else {
-        errors.push(`Google Books: ${googleResult.reason.message}`);
-        logger.warn("Google Books search failed", {
-          error: googleResult.reason.message 
-        });
-      }
-
-      // Normalize categories and condition
-      const normalized = allBooks.map((b) => ({
-        ...b,
-        category: this.normalizeCategory(b.subjects || b.genres || b.category),
-        condition: b.condition && (b.condition.toLowerCase() === 'new' || b.condition.toLowerCase() === 'used')
-          ? b.condition.toLowerCase()
-          : 'unknown',
-      }));
-
-      // Apply condition filter (exclude unknown if filter is set)
-      let filtered = normalized;
-      if (condition === 'new' || condition === 'used') {
-        filtered = filtered.filter((b) => b.condition === condition);
-      }
-
-      // Apply category filter if provided
-      if (category) {
-        filtered = filtered.filter((b) => b.category === category);
-      }
-
-      // Deduplicate results based on title and author
-      const uniqueBooks = this.deduplicateBooks(filtered);
-
-      // Sorting
-      const sortedBooks = this.sortBooks(uniqueBooks, sort);
-
-      // Enrich top results (first page only, up to 20 books) with descriptions if missing (for Open Library books)
-      // This improves user experience for the most visible results
-      const booksToEnrich = page === 1 ? sortedBooks.slice(0, 20) : [];
-      const enrichedBooks = booksToEnrich.length > 0 
-        ? await this.enrichTopResultsWithDescriptions(booksToEnrich)
-        : [];
-      const remainingBooks = page === 1 ? sortedBooks.slice(20) : sortedBooks;
-      const allEnrichedBooks = page === 1 ? [...enrichedBooks, ...remainingBooks] : sortedBooks;
-
-      // Add Amazon affiliate links and price estimates
-      const booksWithAffiliateLinks = await this.addAffiliateLinksAndPrices(allEnrichedBooks);
-
-      // Calculate pagination
-      const totalResults = sortedBooks.length;
-      const limit = 20;
-      const totalPages = Math.ceil(totalResults / limit);
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + limit;
-      const paginatedBooks = booksWithAffiliateLinks.slice(startIndex, endIndex);
-
-      const result = {
-        data: paginatedBooks,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalResults,
-          hasNextPage: page < totalPages,
-          hasPreviousPage: page > 1
-        },
-        sources: {
-          // openLibrary: openLibResult.status === 'fulfilled', // COMMENTED OUT FOR TESTING
-          googleBooks: googleResult.status === 'fulfilled'
-        },
-        errors: errors.length > 0 ? errors : undefined
-      };
-      
-      logger.info("Aggregated book search completed successfully", { 
-        resultCount: paginatedBooks.length,
-        totalResults,
-        totalPages,
-        sourcesUsed: Object.values(result.sources).filter(Boolean).length
-      });
-
-      return result;
+      // Map normalized category to search terms for APIs (a raw subject is passed through)
+      const subjectSearchTerm = subject || (category ? this.mapCategoryToSubject(category) : null);
+
+      // Condition filter excludes unknown if set
+      const conditionFilter = condition === 'new' || condition === 'used' ? condition : null;
+
+      return await this.searchProviders(
+        { title, author, subject: subjectSearchTerm, page },
+        {
+          page,
+          sort,
+          marketplace,
+          filter: (b) =>
+            (!conditionFilter || b.condition === conditionFilter) &&
+            (!category || b.category === category),
+        }
+      );
     } catch (error) {
       logger.error("Book search error", {
         error: error.message,
@@ -143,87 +57,159 @@ export default class BookSearchService {
         page
       });
 
+      if (error instanceof ApiError) throw error;
       throw new ApiError(`Book search error: ${error.message}`, 500);
     }
   }
 
   /**
-   * Deduplicate books based on title and author similarity
-   * Merges duplicate books, prioritizing Google Books data (especially descriptions)
+   * Query every registered provider in parallel and merge their results.
+   * Each provider has its own timeout and circuit breaker, so a slow or
+   * failing source only shows up in `sources` instead of failing the search.
+   * searchProviders(params, { advanced, page, sort, filter, marketplace }) -> { data, pagination, sources, errors }
+   * `filter(book)` runs on every provider result before deduplication.
+   * `marketplace` picks the Amazon store for links and prices (default store if omitted).
+   */
+  async searchProviders(params, { advanced = false, page = 1, sort, filter, marketplace } = {}) {
+    const { results, sources } = await searchProviderRegistry.searchAll(params, { advanced });
+
+    const errors = Object.values(sources)
+      .filter((source) => source.status !== "ok")
+      .map((source) => `${source.label}: ${source.error || source.status}`);
+
+    if (results.length === 0) {
+      throw new ApiError(`All search providers are unavailable (${errors.join("; ")})`, 503);
+    }
+
+    // Tag every result with its provider, weight and rank score, then
+    // normalize categories and condition
+    const allBooks = results.flatMap(({ provider, weight, books }) =>
+      books.map((book, rank) => ({
+        ...book,
+        category: this.normalizeCategory(book.subjects || book.genres || book.category),
+        condition: book.condition && (book.condition.toLowerCase() === 'new' || book.condition.toLowerCase() === 'used')
+          ? book.condition.toLowerCase()
+          : 'unknown',
+        providers: [provider],
+        _weight: weight,
+        _score: weight / (RANK_CONSTANT + rank),
+      }))
+    );
+
+    const filtered = filter ? allBooks.filter(filter) : allBooks;
+
+    // Deduplicate results (ISBN first, then title and author)
+    const uniqueBooks = this.deduplicateBooks(filtered);
+
+    // Sorting: explicit sort wins, otherwise weighted relevance across providers
+    const sortedBooks = sort
+      ? this.sortBooks(uniqueBooks, sort)
+      : [...uniqueBooks].sort((a, b) => b._score - a._score);
+
+    // Enrich top results (first page only) with descriptions if missing (for Open Library books)
+    // This improves user experience for the most visible results
+    const enrichedBooks = page === 1
+      ? await this.enrichTopResultsWithDescriptions(sortedBooks)
+      : sortedBooks;
+
+    // Drop internal ranking fields before the books leave the service
+    const publicBooks = enrichedBooks.map(({ _weight, _score, ...book }) => book);
+
+    // Add Amazon affiliate links and real prices (null when there is none)
+    const booksWithAffiliateLinks = await this.addAffiliateLinksAndPrices(publicBooks, { marketplace });
+
+    // Providers paginate upstream, so this page is the merged set of their
+    // pages. Another page exists while any provider still returns full pages.
+    const hasNextPage = results.some(({ books }) => books.length >= PAGE_SIZE);
+    const totalResults = (page - 1) * PAGE_SIZE + booksWithAffiliateLinks.length;
+
+    logger.info("Aggregated book search completed successfully", { 
+      resultCount: booksWithAffiliateLinks.length,
+      totalResults,
+      sourcesUsed: results.length,
+      latencyMs: Object.fromEntries(
+        Object.entries(sources).map(([name, source]) => [name, source.latencyMs])
+      ),
+    });
+
+    return {
+      data: booksWithAffiliateLinks,
+      pagination: {
+        currentPage: page,
+        totalPages: hasNextPage ? page + 1 : page,
+        totalResults,
+        hasNextPage,
+        hasPreviousPage: page > 1
+      },
+      sources,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  }
+
+  /**
+   * Deduplicate books across providers.
+   * Books are matched by ISBN first (ISBN-10 and ISBN-13 compare equal), then
+   * by normalized title and authors. Matches are merged with mergeBookData.
    */
   deduplicateBooks(books) {
-    const seen = new Map();
+    // Keys point at positions in uniqueBooks so a merge only replaces one slot
+    const byIsbn = new Map();
+    const byTitle = new Map();
     const uniqueBooks = [];
 
     for (const book of books) {
-      // Create a key based on normalized title and author
+      const isbnKey = toIsbn13(book.isbn);
       const normalizedTitle = book.title?.toLowerCase().replace(/[^a-z0-9]/g, '') || '';
       const normalizedAuthors = book.authors?.map(a => a.toLowerCase().replace(/[^a-z0-9]/g, '')).join('') || '';
-      const key = `${normalizedTitle}-${normalizedAuthors}`;
+      const titleKey = normalizedTitle ? `${normalizedTitle}-${normalizedAuthors}` : null;
+
+      let index = isbnKey ? byIsbn.get(isbnKey) : undefined;
+      if (index === undefined && titleKey) {
+        index = byTitle.get(titleKey);
+      }
 
-      if (!seen.has(key)) {
-        seen.set(key, book);
+      if (index === undefined) {
+        index = uniqueBooks.length;
         uniqueBooks.push(book);
       } else {
-        // Merge with existing book, prioritizing Google Books data
-        const existingBook = seen.get(key);
-        const mergedBook = this.mergeBookData(existingBook, book);
-        // Update the book in the array
-        const index = uniqueBooks.indexOf(existingBook);
-        uniqueBooks[index] = mergedBook;
-        seen.set(key, mergedBook);
+        uniqueBooks[index] = this.mergeBookData(uniqueBooks[index], book);
       }
+
+      if (isbnKey && !byIsbn.has(isbnKey)) byIsbn.set(isbnKey, index);
+      if (titleKey && !byTitle.has(titleKey)) byTitle.set(titleKey, index);
     }
 
     return uniqueBooks;
   }
 
   /**
-   * Merge two book objects, prioritizing Google Books data
-   * Especially prioritizes descriptions from Google Books
+   * Merge two records of the same book.
+   * The record from the higher-weight provider is the base; every field it is
+   * missing is filled from the other one. Rank scores add up.
    */
   mergeBookData(book1, book2) {
-    // Determine which is from Google Books (has google- prefix in ID or source field)
-    const book1IsGoogle = book1.id?.startsWith('google-') || book1.source === 'google-books';
-    const book2IsGoogle = book2.id?.startsWith('google-') || book2.source === 'google-books';
-
-    // Prefer Google Books book as base
-    const baseBook = book1IsGoogle ? book1 : (book2IsGoogle ? book2 : book1);
+    const [preferred, other] = (book2._weight || 0) > (book1._weight || 0)
+      ? [book2, book1]
+      : [book1, book2];
+    const pick = (field) => preferred[field] || other[field] || null;
 
-    // Merge data, prioritizing Google Books descriptions
     return {
-      ...baseBook,
-      // Always prefer Google Books description if available
-      description: book1IsGoogle && book1.description 
-        ? book1.description 
-        : (book2IsGoogle && book2.description 
-          ? book2.description 
-          : (book1.description || book2.description || null)),
-      // Prefer Google Books cover image if available
-      coverImage: book1IsGoogle && book1.coverImage 
-        ? book1.coverImage 
-        : (book2IsGoogle && book2.coverImage 
-          ? book2.coverImage 
-          : (book1.coverImage || book2.coverImage || null)),
-      // Prefer Google Books ID if available
-      id: book1IsGoogle ? book1.id : (book2IsGoogle ? book2.id : baseBook.id),
-      // Merge other fields, preferring non-null values
-      isbn: book1.isbn || book2.isbn || null,
-      firstPublishYear: book1.firstPublishYear || book2.firstPublishYear || null,
-      subjects: book1.subjects?.length ? book1.subjects : (book2.subjects?.length ? book2.subjects : []),
-      // Prefer Google Books price if available
-      price: book1IsGoogle && book1.price 
-        ? book1.price 
-        : (book2IsGoogle && book2.price 
-          ? book2.price 
-          : (book1.price || book2.price || null)),
-      currencyCode: book1IsGoogle && book1.currencyCode 
-        ? book1.currencyCode 
-        : (book2IsGoogle && book2.currencyCode 
-          ? book2.currencyCode 
-          : (book1.currencyCode || book2.currencyCode || null)),
-      // Keep Open Library key if available (for enrichment) - COMMENTED OUT FOR TESTING
-      // openLibraryKey: book1.openLibraryKey || book2.openLibraryKey || null,
+      ...other,
+      ...preferred,
+      description: pick('description'),
+      coverImage: pick('coverImage'),
+      isbn: pick('isbn'),
+      firstPublishYear: pick('firstPublishYear'),
+      publisher: pick('publisher'),
+      pageCount: pick('pageCount'),
+      subjects: preferred.subjects?.length ? preferred.subjects : (other.subjects?.length ? other.subjects : []),
+      price: pick('price'),
+      currencyCode: preferred.price ? preferred.currencyCode : pick('currencyCode'),
+      // Keep Open Library key if available (for enrichment)
+      openLibraryKey: pick('openLibraryKey'),
+      providers: [...new Set([...(preferred.providers || []), ...(other.providers || [])])],
+      _weight: Math.max(book1._weight || 0, book2._weight || 0),
+      _score: (book1._score || 0) + (book2._score || 0),
     };
   }
 
@@ -289,11 +275,17 @@ export default class BookSearchService {
   }
 
   /**
-   * Add Amazon affiliate links and price estimates to books
+   * Add Amazon affiliate links and real prices to books. Waits at most
+   * PRICE_MAX_WAIT_MS for the PA-API rate limit; books it could not look up
+   * get `price: null` like books without an offer.
+   * @param {Array} books
+   * @param {Object} [options]
+   * @param {string} [options.marketplace] - Marketplace ID for links and prices
    */
-  async addAffiliateLinksAndPrices(books) {
+  async addAffiliateLinksAndPrices(books, { marketplace } = {}) {
     try {
-      return await amazonAffiliateService.enrichBooksWithPrices(books);
+      const booksWithLinks = await amazonAffiliateService.addAffiliateLinksToBooks(books, { marketplace });
+      return await priceService.enrichBooks(booksWithLinks, { maxWaitMs: PRICE_MAX_WAIT_MS, marketplace });
     } catch (error) {
       logger.error("Error adding affiliate links and prices", {
         error: error.message
@@ -310,35 +302,35 @@ export default class BookSearchService {
 
   /**
    * Enrich top search results with descriptions if missing
-   * Only enriches Open Library books that don't have descriptions
+   * Only enriches Open Library books that don't have descriptions, and only
+   * while the Open Library circuit is closed
    * Note: Google Books descriptions are already included via deduplication
    * @param {Array} books - Array of book objects
    * @returns {Promise<Array>} Books with enriched descriptions
-   * COMMENTED OUT FOR TESTING - Google Books only
    */
   async enrichTopResultsWithDescriptions(books) {
-    // COMMENTED OUT FOR TESTING - Open Library enrichment disabled
-    // const enrichmentPromises = books.map(async (book) => {
-    //   // Only enrich Open Library books that are missing descriptions
-    //   // Skip if it's a Google Books book (already has description) or already has description
-    //   if (!book.description && 
-    //       !book.id?.startsWith('google-') && 
-    //       !book.source?.includes('google') &&
-    //       (book.openLibraryKey || (book.id && book.id.startsWith('/works/')))) {
-    //     try {
-    //       return await openLibraryService.enrichWithDescription(book);
-    //     } catch (error) {
-    //       logger.warn("Failed to enrich book description in search", {
-    //         bookId: book.id,
-    //         error: error.message,
-    //       });
-    //       return book;
-    //     }
-    //   }
-    //   return book;
-    // });
-
-    // return Promise.all(enrichmentPromises);
-    return books; // Return books as-is without enrichment
+    const openLibrary = searchProviderRegistry.get("openLibrary");
+    if (!openLibrary || openLibrary.breaker.getState().state !== "closed") {
+      return books;
+    }
+
+    const topBooks = books.slice(0, PAGE_SIZE);
+    const enrichmentPromises = topBooks.map(async (book) => {
+      // Only enrich Open Library books that are missing descriptions
+      if (!book.description && (book.openLibraryKey || book.id?.startsWith('/works/'))) {
+        try {
+          return await openLibraryService.enrichWithDescription(book);
+        } catch (error) {
+          logger.warn("Failed to enrich book description in search", {
+            bookId: book.id,
+            error: error.message,
+          });
+          return book;
+        }
+      }
+      return book;
+    });
+
+    return [...(await Promise.all(enrichmentPromises)), ...books.slice(PAGE_SIZE)];
   }
-}
\ No newline at end of file
+}
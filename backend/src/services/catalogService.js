@@ -0,0 +1,286 @@
+import mongoose from "mongoose";
+import Work from "../models/Work.js";
+import Edition from "../models/Edition.js";
+import { isbnForms } from "../utils/isbn.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+const MAX_EDITIONS_LISTED = 20;
+
+const stripDiacritics = (value) => value.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+
+/**
+ * Normalize a title for work matching: lowercase, no diacritics, no
+ * bracketed edition/series notes ("(Penguin Classics)", "[Paperback]",
+ * "(Dune, #1)"), no punctuation or leading article.
+ */
+export const normalizeTitle = (title) =>
+  stripDiacritics(String(title || ""))
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9\s]/g, "")
+    .replace(/^\s*(the|a|an)\s+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Normalize the primary author to a surname so "Frank Herbert",
+ * "F. Herbert" and "Herbert, Frank" all match.
+ */
+export const authorKeyOf = (authors) => {
+  const primary = stripDiacritics(String((Array.isArray(authors) ? authors[0] : authors) || ""))
+    .toLowerCase()
+    .trim();
+  if (!primary) return "";
+  const surname = primary.includes(",")
+    ? primary.split(",")[0]
+    : primary
+        .replace(/,?\s+(jr|sr|ii|iii|iv)\.?$/, "")
+        .split(/\s+/)
+        .pop();
+  return surname.replace(/[^a-z]/g, "");
+};
+
+const isWorkKey = (id) => typeof id === "string" && id.startsWith("/works/");
+
+function sourceOf(record, fallback) {
+  if (record.source === "google-books" || record.id?.startsWith("google-")) return "google-books";
+  if (record.openLibraryKey || isWorkKey(record.id)) return "open-library";
+  return fallback;
+}
+
+/**
+ * CatalogService — the canonical Work/Edition catalog.
+ *
+ * Provider records (Google Books volumes, Open Library works, library
+ * entries) are resolved to a Work by, in order: known external ID, ISBN-10/13,
+ * Open Library work key, then normalized title + primary author surname.
+ * Each distinct Google volume or ISBN becomes an Edition of that Work.
+ */
+class CatalogService {
+  /**
+   * Fill gaps in a work from a provider record. Returns true if changed.
+   */
+  _fillWork(work, record, openLibraryKey) {
+    let changed = false;
+    const fill = (field, value) => {
+      const empty = Array.isArray(work[field]) ? work[field].length === 0 : !work[field];
+      if (empty && value && (!Array.isArray(value) || value.length > 0)) {
+        work[field] = value;
+        changed = true;
+      }
+    };
+
+    fill("authors", record.authors);
+    fill("description", record.description?.slice(0, 5000));
+    fill("coverImage", record.coverImage);
+    fill("subjects", (record.subjects || record.genres || record.categories || []).slice(0, 20));
+    fill("openLibraryKey", openLibraryKey);
+
+    const year = record.firstPublishYear || parseInt(record.publishDate || record.publishedDate, 10);
+    if (year && (!work.firstPublishYear || year < work.firstPublishYear)) {
+      work.firstPublishYear = year;
+      changed = true;
+    }
+    return changed;
+  }
+
+  async _findOrCreateWork(record, openLibraryKey) {
+    const key = { normalizedTitle: normalizeTitle(record.title), authorKey: authorKeyOf(record.authors) };
+
+    let work = openLibraryKey ? await Work.findOne({ openLibraryKey }) : null;
+    if (!work) work = await Work.findOne(key);
+    if (work) return work;
+
+    try {
+      return await Work.create({ ...key, title: record.title, authors: record.authors || [] });
+    } catch (error) {
+      // Another request created the same work concurrently
+      if (error.code === 11000) return Work.findOne(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a provider record to its Work (and Edition when the record
+   * identifies one), creating catalog entries as needed.
+   * resolve(record, { source }) -> { work, edition }
+   * record: search-format book ({ id, title, authors, isbn, publisher, ... })
+   */
+  async resolve(record, { source = "library" } = {}) {
+    try {
+      if (!record?.title) {
+        throw new ApiError("A title is required to resolve a catalog record", 400);
+      }
+
+      const { isbn10, isbn13 } = isbnForms(record.isbn);
+      const openLibraryKey =
+        record.openLibraryKey || (isWorkKey(record.id) ? record.id.replace("/works/", "") : null);
+      // Open Library search results identify works, not editions
+      const externalId = record.id && !isWorkKey(record.id) ? String(record.id) : null;
+
+      const byExternalId = externalId ? await Edition.findOne({ externalId }) : null;
+      const byIsbn = !byExternalId && isbn13 ? await Edition.findOne({ isbn13 }) : null;
+
+      // An ISBN-only edition adopts the first external ID seen for it; another
+      // volume sharing the ISBN becomes its own edition of the same work
+      let edition = byExternalId;
+      if (!edition && byIsbn && (!externalId || !byIsbn.externalId)) {
+        edition = byIsbn;
+        if (externalId) {
+          edition.externalId = externalId;
+          await edition.save();
+        }
+      }
+
+      const knownWorkId = (byExternalId || byIsbn)?.work;
+      let work = knownWorkId ? await Work.findById(knownWorkId) : null;
+      if (!work) {
+        work = await this._findOrCreateWork(record, openLibraryKey);
+      }
+
+      if (this._fillWork(work, record, openLibraryKey)) {
+        await work.save();
+      }
+
+      if (!edition && (externalId || isbn13)) {
+        try {
+          edition = await Edition.create({
+            work: work._id,
+            externalId: externalId || undefined,
+            source: sourceOf(record, source),
+            isbn10: isbn10 || undefined,
+            isbn13: isbn13 || undefined,
+            title: record.title,
+            subtitle: record.subtitle || undefined,
+            authors: record.authors || [],
+            description: record.description?.slice(0, 5000) || undefined,
+            publisher: record.publisher || undefined,
+            publishedDate: record.publishDate || record.publishedDate || undefined,
+            publishYear: parseInt(record.publishDate || record.publishedDate, 10) || record.firstPublishYear || undefined,
+            pageCount: record.pageCount || undefined,
+            language: record.language || undefined,
+            categories: record.genres || record.subjects || record.categories || [],
+            coverImage: record.coverImage || undefined,
+            averageRating: record.averageRating || undefined,
+            ratingsCount: record.ratingsCount || undefined,
+          });
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+          edition = await Edition.findOne({ externalId });
+        }
+      }
+
+      return { work, edition };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("Catalog resolve error", { recordId: record?.id, error: error.message });
+      throw new ApiError(`Failed to resolve catalog record: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Resolve a record to a work ID without ever failing the caller.
+   * Returns null when the catalog is unavailable.
+   */
+  async resolveWorkId(record, options) {
+    try {
+      const { work } = await this.resolve(record, options);
+      return work._id;
+    } catch (error) {
+      logger.warn("Could not resolve work for record", { recordId: record?.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Find an edition (with its work) by the app-facing ID, e.g. "google-abc".
+   */
+  async findEditionByExternalId(externalId) {
+    return Edition.findOne({ externalId }).populate("work");
+  }
+
+  /**
+   * Look up known work IDs for a batch of app-facing book IDs.
+   * Returns Map<bookId, workId>; unknown IDs are absent.
+   */
+  async findWorkIds(bookIds) {
+    const ids = [...new Set(bookIds.filter(Boolean))];
+    if (ids.length === 0) return new Map();
+    const editions = await Edition.find({ externalId: { $in: ids } }).select("externalId work").lean();
+    return new Map(editions.map((e) => [e.externalId, e.work]));
+  }
+
+  /**
+   * Find a collection entry by book ID, falling back to the entry for another
+   * edition of the same work.
+   */
+  async findCollectionEntry(collection, bookId) {
+    const direct = collection.books.find((b) => b.bookId === bookId);
+    if (direct) return direct;
+    const workId = (await this.findWorkIds([bookId])).get(bookId);
+    return workId ? collection.findBook(bookId, workId) : undefined;
+  }
+
+  /**
+   * Find the work matching a title and authors without creating anything.
+   */
+  async findWork({ title, authors }) {
+    return Work.findOne({ normalizedTitle: normalizeTitle(title), authorKey: authorKeyOf(authors) });
+  }
+
+  /**
+   * A work with its editions, shaped like a book details response.
+   */
+  async getWork(workId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(workId)) {
+        throw new ApiError("Work not found", 404);
+      }
+
+      const work = await Work.findById(workId).lean();
+      if (!work) {
+        throw new ApiError("Work not found", 404);
+      }
+
+      const editions = await Edition.find({ work: work._id })
+        .sort({ ratingsCount: -1, publishYear: 1 })
+        .limit(MAX_EDITIONS_LISTED)
+        .lean();
+
+      return { work, editions };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("getWork error", { workId, error: error.message });
+      throw new ApiError(`Failed to load work: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Summaries of a work's editions for book detail pages.
+   */
+  async listEditions(workId, { exclude } = {}) {
+    const externalId = exclude ? { $exists: true, $ne: exclude } : { $exists: true };
+    const editions = await Edition.find({ work: workId, externalId })
+      .sort({ ratingsCount: -1, publishYear: 1 })
+      .limit(MAX_EDITIONS_LISTED)
+      .lean();
+    return editions.map((e) => this.toEditionSummary(e));
+  }
+
+  toEditionSummary(edition) {
+    return {
+      id: edition.externalId,
+      title: edition.title,
+      isbn: edition.isbn13 || edition.isbn10 || null,
+      publisher: edition.publisher || null,
+      publishDate: edition.publishedDate || null,
+      pageCount: edition.pageCount || null,
+      language: edition.language || null,
+      coverImage: edition.coverImage || null,
+    };
+  }
+}
+
+export default new CatalogService();
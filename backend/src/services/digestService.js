@@ -0,0 +1,203 @@
+import EmailSubscriber from "../models/EmailSubscriber.js";
+import DigestDelivery from "../models/DigestDelivery.js";
+import analyticsService from "./analyticsService.js";
+import catalogService from "./catalogService.js";
+import priceService from "./priceService.js";
+import amazonAffiliateService from "./amazonAffiliateService.js";
+import BookSearchService from "./bookSearchService.js";
+import emailService from "./emailService.js";
+import subscriberService, { CONSENTED } from "./subscriberService.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+const TRENDING_WINDOW_DAYS = 7;
+// Candidate pool the per-subscriber picks are drawn from
+const TRENDING_POOL = 60;
+const BOOKS_PER_DIGEST = 6;
+// Monthly subscribers get every fourth weekly run
+const MONTHLY_INTERVAL_DAYS = 28;
+
+const categoryNormalizer = new BookSearchService();
+
+/**
+ * ISO-8601 week key ("2026-W42") — one digest per subscriber per key.
+ */
+export function isoWeekKey(date = new Date()) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  // Thursday of this week decides the ISO year
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Pick the books for one subscriber: trending books in their genres, or
+ * overall trending books when they have none. Books with a live price come
+ * first so the digest leads with actual deals.
+ */
+export function pickBooksForGenres(candidates, genres = [], limit = BOOKS_PER_DIGEST) {
+  const wanted = new Set(genres);
+  const matching = wanted.size ? candidates.filter((b) => b.genre && wanted.has(b.genre)) : candidates;
+  return [...matching]
+    .sort((a, b) => Number(Boolean(b.price)) - Number(Boolean(a.price)) || b.clicks - a.clicks)
+    .slice(0, limit);
+}
+
+/**
+ * DigestService — the weekly "deals in your genres" email.
+ *
+ * Run by scripts/sendWeeklyDigest.js (cron). Each send is claimed in
+ * DigestDelivery before it goes out, so re-running the job in the same week
+ * only retries failed sends and never mails a subscriber twice.
+ */
+class DigestService {
+  /**
+   * This week's candidate books: trending clicks with a normalized genre,
+   * a real PA-API price (or null) and an affiliate link.
+   */
+  async buildCandidates({ now = new Date() } = {}) {
+    const since = new Date(now.getTime() - TRENDING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const trending = await analyticsService.getTrending({ limit: TRENDING_POOL, since });
+    const editions = await Promise.all(
+      trending.map((t) => catalogService.findEditionByExternalId(t.bookId).catch(() => null))
+    );
+
+    const candidates = [];
+    for (const [i, book] of trending.entries()) {
+      const edition = editions[i];
+      const genre =
+        categoryNormalizer.normalizeCategory(book.categories) ||
+        categoryNormalizer.normalizeCategory(edition?.categories);
+
+      const isbn = edition?.isbn13 || edition?.isbn10;
+      const price = await priceService.getPrice({ title: book.title, authors: book.authors, isbn });
+
+      const url =
+        price?.detailUrl ||
+        (await amazonAffiliateService.generateAffiliateLink({ title: book.title, authors: book.authors, isbn })) ||
+        `${emailService.config.FRONTEND_URL}/books/${encodeURIComponent(book.bookId)}`;
+
+      candidates.push({
+        bookId: book.bookId,
+        title: book.title,
+        authors: book.authors || [],
+        coverImage: book.coverImage || edition?.coverImage,
+        genre,
+        clicks: book.clicks,
+        price: price ? { amount: price.amount, currency: price.currency, condition: price.condition } : null,
+        url,
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Claim this week's delivery for a subscriber. Returns null when it was
+   * already sent, skipped or is being sent by another run.
+   */
+  async _claimDelivery(subscriber, digestKey) {
+    const retry = await DigestDelivery.findOneAndUpdate(
+      { subscriber: subscriber._id, digestKey, status: "failed" },
+      { status: "pending", $inc: { attempts: 1 }, $unset: { error: 1 } },
+      { new: true }
+    );
+    if (retry) return retry;
+
+    try {
+      return await DigestDelivery.create({
+        subscriber: subscriber._id,
+        email: subscriber.email,
+        digestKey,
+        genres: subscriber.genres,
+        attempts: 1,
+      });
+    } catch (error) {
+      // Duplicate key: this week's digest already exists for the subscriber
+      if (error?.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Send this week's digest to every confirmed subscriber who is due
+   * (weekly, or monthly with no digest in the last four weeks).
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference time (decides the week)
+   * @param {boolean} [options.dryRun] - Only report what would be sent
+   * @returns {Promise<{digestKey: string, sent: number, failed: number, skipped: number, alreadyDone: number}>}
+   */
+  async sendWeeklyDigest({ now = new Date(), dryRun = false } = {}) {
+    const digestKey = isoWeekKey(now);
+    const summary = { digestKey, sent: 0, failed: 0, skipped: 0, alreadyDone: 0 };
+
+    try {
+      const candidates = await this.buildCandidates({ now });
+      logger.info("Weekly digest candidates built", { digestKey, candidates: candidates.length, dryRun });
+
+      const monthlyCutoff = new Date(now.getTime() - MONTHLY_INTERVAL_DAYS * 24 * 60 * 60 * 1000);
+      const cursor = EmailSubscriber.find({
+        ...CONSENTED,
+        $or: [{ frequency: { $ne: "monthly" } }, { lastDigestAt: null }, { lastDigestAt: { $lte: monthlyCutoff } }],
+      }).cursor();
+      for await (const subscriber of cursor) {
+        const books = pickBooksForGenres(candidates, subscriber.genres);
+
+        if (dryRun) {
+          summary[books.length ? "sent" : "skipped"] += 1;
+          continue;
+        }
+
+        const delivery = await this._claimDelivery(subscriber, digestKey);
+        if (!delivery) {
+          summary.alreadyDone += 1;
+          continue;
+        }
+
+        delivery.bookIds = books.map((b) => b.bookId);
+
+        if (books.length === 0) {
+          delivery.status = "skipped";
+          await delivery.save();
+          summary.skipped += 1;
+          continue;
+        }
+
+        // sendEmail reports failures in its result instead of throwing
+        const result = await emailService.sendDealsDigestEmail(subscriber.email, {
+          books,
+          genres: subscriber.genres,
+          weekLabel: digestKey,
+          unsubscribeUrl: subscriberService.unsubscribeUrl(subscriber),
+          preferencesUrl: subscriberService.preferencesUrl(subscriber),
+        });
+
+        if (result.success) {
+          delivery.status = "sent";
+          delivery.messageId = result.messageId;
+          delivery.sentAt = new Date();
+          await delivery.save();
+          await EmailSubscriber.updateOne({ _id: subscriber._id }, { lastDigestAt: delivery.sentAt });
+          summary.sent += 1;
+        } else {
+          delivery.status = "failed";
+          delivery.error = result.error;
+          await delivery.save();
+          summary.failed += 1;
+          logger.warn("Weekly digest send failed", { email: subscriber.email, digestKey, error: result.error });
+        }
+      }
+
+      logger.info("Weekly digest finished", summary);
+
+      return summary;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("sendWeeklyDigest error", { digestKey, error: error.message });
+      throw new ApiError(`Failed to send weekly digest: ${error.message}`, 500);
+    }
+  }
+}
+
+export default new DigestService();
@@ -0,0 +1,93 @@
+import { escapeHtml } from "./seoService.js";
+
+/**
+ * Email templates for the weekly "deals in your genres" digest.
+ *
+ * Books: [{ bookId, title, authors, coverImage, genre, url, price }] where
+ * price is a PA-API offer ({ amount, currency, condition }) or null. Books
+ * without a live price link to Amazon without one; prices are never guessed.
+ */
+
+const formatPrice = (price) =>
+  price ? `${price.amount} ${price.currency}${price.condition === "Used" ? " (used)" : ""}` : null;
+
+const bookLine = (book) => {
+  const authors = book.authors?.length ? ` by ${book.authors.join(", ")}` : "";
+  const price = formatPrice(book.price);
+  return `${book.title}${authors}${price ? ` — ${price}` : ""}`;
+};
+
+function renderBookHtml(book) {
+  const authors = book.authors?.length ? escapeHtml(book.authors.join(", ")) : "";
+  const price = formatPrice(book.price);
+  const cover = book.coverImage
+    ? `<img src="${escapeHtml(book.coverImage)}" alt="" width="64" style="border-radius:4px;display:block" />`
+    : "";
+
+  return `
+        <tr>
+          <td style="padding:10px 12px 10px 0;vertical-align:top;width:64px">${cover}</td>
+          <td style="padding:10px 0;vertical-align:top">
+            <a href="${escapeHtml(book.url)}" style="color:#1f2937;font-weight:600;text-decoration:none">${escapeHtml(book.title)}</a>
+            ${authors ? `<div style="color:#6b7280;font-size:13px">by ${authors}</div>` : ""}
+            ${book.genre ? `<div style="color:#6b7280;font-size:12px">${escapeHtml(book.genre)}</div>` : ""}
+            ${price ? `<div style="color:#047857;font-weight:600;margin-top:4px">${escapeHtml(price)}</div>` : ""}
+            <a href="${escapeHtml(book.url)}" style="color:#4a007f;font-size:13px">${price ? "See the deal" : "Check the price"} &rarr;</a>
+          </td>
+        </tr>`;
+}
+
+/**
+ * Render the digest.
+ * @param {Object} params
+ * @param {Array} params.books - Books to feature (see above)
+ * @param {string[]} params.genres - Subscriber's genres (empty = all)
+ * @param {string} params.weekLabel - e.g. "2026-W42"
+ * @param {string} params.unsubscribeUrl - Signed one-click unsubscribe link
+ * @param {string} [params.preferencesUrl] - Signed link to the preference page
+ * @param {string} params.siteUrl - Frontend URL
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderDealsDigest({ books, genres = [], weekLabel, unsubscribeUrl, preferencesUrl, siteUrl }) {
+  const genreLabel = genres.length ? genres.join(", ") : "books readers love";
+  const subject = genres.length
+    ? `This week's best deals in ${genres.slice(0, 2).join(" & ")}`
+    : "This week's trending books on BookPath";
+
+  const html = `
+    <div style="font-family:Helvetica,Arial,sans-serif;max-width:560px;margin:0 auto;color:#1f2937">
+      <h2 style="margin:0 0 4px">Your weekly BookPath picks 📚</h2>
+      <p style="margin:0 0 16px;color:#6b7280">Trending this week in ${escapeHtml(genreLabel)}</p>
+      <table role="presentation" cellspacing="0" cellpadding="0" style="width:100%;border-collapse:collapse">${books
+        .map(renderBookHtml)
+        .join("")}
+      </table>
+      <p style="margin-top:20px"><a href="${escapeHtml(siteUrl)}" style="color:#4a007f">Find more on BookPath</a></p>
+      <p style="color:#9ca3af;font-size:12px;margin-top:24px">
+        Prices are live Amazon offers at the time of sending and may change. As an Amazon Associate
+        BookPath earns from qualifying purchases.<br />
+        You get this email because you subscribed to BookPath deals (${escapeHtml(weekLabel)}).
+        ${preferencesUrl ? `<a href="${escapeHtml(preferencesUrl)}" style="color:#9ca3af">Change genres or frequency</a> ·` : ""}
+        <a href="${escapeHtml(unsubscribeUrl)}" style="color:#9ca3af">Unsubscribe with one click</a>.
+      </p>
+    </div>
+  `;
+
+  const text = [
+    "Your weekly BookPath picks",
+    `Trending this week in ${genreLabel}`,
+    "",
+    ...books.map((book) => `- ${bookLine(book)}\n  ${book.url}`),
+    "",
+    `Find more on BookPath: ${siteUrl}`,
+    "",
+    "Prices are live Amazon offers at the time of sending and may change.",
+    "As an Amazon Associate BookPath earns from qualifying purchases.",
+    ...(preferencesUrl ? [`Change genres or frequency: ${preferencesUrl}`] : []),
+    `Unsubscribe: ${unsubscribeUrl}`,
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+export default { renderDealsDigest };
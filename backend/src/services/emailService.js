@@ -1,6 +1,8 @@
 // External dependencies
 import nodemailer from "nodemailer";
 import { getEnvConfig } from "../utils/envValidator.js";
+import { renderDealsDigest } from "./digestTemplates.js";
+import gpgService from "./gpgService.js";
 import logger from "../config/logger.js";
 
 //  Load configuration from environment variables using a safe validator
@@ -11,6 +13,8 @@ const emailConfig = getEnvConfig({
   SMTP_PASS: { default: "" },
   EMAIL_FROM: { default: "noreply@bookpath.org" },
   FRONTEND_URL: { default: process.env.FRONTEND_URL || process.env.SITE_URL || "http://localhost:3000" },
+  // Public URL of this API, for links that hit the backend directly (unsubscribe)
+  API_URL: { default: process.env.API_URL || `http://localhost:${process.env.PORT || 3001}` },
   NODE_ENV: { default: "development" },
 });
 
@@ -19,15 +23,16 @@ let transporter;
 
 /**
  * Initialize the email transporter once
- * - In development: disables actual email sending
- * - In production: uses SMTP credentials
+ * - Without SMTP_HOST: disables actual email sending
+ * - With SMTP_HOST: uses SMTP (in development, point it at a local sink such
+ *   as Mailpit on localhost:1025; credentials are optional)
  */
 async function initializeTransporter() {
   try {
-    if (emailConfig.NODE_ENV === "development" || !emailConfig.SMTP_HOST) {
+    if (!emailConfig.SMTP_HOST) {
       // Create a fake transporter that logs instead of sending emails.
-      // Also used in production when SMTP_HOST is unset — avoids creating a
-      // broken transporter (empty host) that would throw on every send.
+      // Avoids creating a broken transporter (empty host) that would throw
+      // on every send.
       transporter = {
         sendMail: () => {
           logger.info("📨 Email sending disabled in development mode");
@@ -48,10 +53,10 @@ async function initializeTransporter() {
         host: emailConfig.SMTP_HOST,
         port: emailConfig.SMTP_PORT,
         secure: emailConfig.SMTP_PORT === 465, // true if port is 465
-        auth: {
-          user: emailConfig.SMTP_USER,
-          pass: emailConfig.SMTP_PASS,
-        },
+        // Local sinks accept mail without authentication
+        auth: emailConfig.SMTP_USER
+          ? { user: emailConfig.SMTP_USER, pass: emailConfig.SMTP_PASS }
+          : undefined,
       });
 
       logger.info("📬 Email transporter initialized with SMTP settings");
@@ -72,11 +77,31 @@ async function initializeTransporter() {
   }
 }
 
+/**
+ *  Notice sent instead of a message that could not be encrypted to the
+ *  recipient's key. Carries nothing from the original besides its subject,
+ *  which is never encrypted anyway.
+ */
+function keyRenewalNotice(subject) {
+  const profileUrl = `${emailConfig.FRONTEND_URL}/profile`;
+  return {
+    subject: "Action needed: renew your GPG key - BookPath",
+    text:
+      `We could not send you "${subject}" because the GPG key on your BookPath account ` +
+      "has expired or was revoked, and we never send account email unencrypted once a key is set up. " +
+      `Upload a renewed public key (or remove the key) on your profile, then try again: ${profileUrl}`,
+  };
+}
+
 /**
  *  Generic method to send an email
  * - Handles fallback, logging and error tracking
+ * - If the recipient's account has a verified GPG key, the text body is sent
+ *   as an inline OpenPGP message and the HTML part is dropped (it would leak
+ *   the content). Encryption failures never fall back to plain text: the
+ *   message is withheld and a key renewal notice is sent in its place.
  */
-async function sendEmail({ to, subject, html, text }) {
+async function sendEmail({ to, subject, html, text, headers }) {
   try {
     if (!transporter) await initializeTransporter();
 
@@ -86,18 +111,43 @@ async function sendEmail({ to, subject, html, text }) {
       subject,
       html,
       text,
+      headers,
     };
 
+    const recipientKey = await gpgService.findRecipientKey(to);
+    if (recipientKey) {
+      try {
+        mailOptions.text = await gpgService.encrypt(text || "", recipientKey.armoredKey);
+        delete mailOptions.html;
+      } catch (error) {
+        await gpgService.reportUnusableKey(recipientKey, subject, error.message);
+        const info = await transporter.sendMail({
+          from: mailOptions.from,
+          to,
+          ...keyRenewalNotice(subject),
+        });
+        logger.warn("📨 Email withheld, key renewal notice sent", { messageId: info.messageId, to });
+        return {
+          success: false,
+          withheld: true,
+          messageId: info.messageId,
+          error: "The recipient's GPG key cannot encrypt",
+        };
+      }
+    }
+
     const info = await transporter.sendMail(mailOptions);
 
     logger.info("📨 Email sent successfully", {
       messageId: info.messageId,
       to,
+      encrypted: Boolean(recipientKey),
     });
 
     return {
       success: true,
       messageId: info.messageId,
+      encrypted: Boolean(recipientKey),
     };
   } catch (error) {
     logger.error("❌ Failed to send email", {
@@ -167,7 +217,7 @@ async function sendPasswordResetEmail(email, token, username) {
  *  Non-critical: callers should fire-and-forget and tolerate failure (no-op
  *  when SMTP is unconfigured — the mock transporter logs instead of sending).
  */
-async function sendWelcomeEmail(email) {
+async function sendWelcomeEmail(email, { preferencesUrl } = {}) {
   const html = `
     <div style="font-family:Helvetica,Arial,sans-serif;max-width:520px;margin:0 auto;color:#1f2937">
       <h2 style="margin:0 0 12px">Welcome to BookPath 📚</h2>
@@ -175,12 +225,14 @@ async function sendWelcomeEmail(email) {
          deals and recommendations in the genres you care about.</p>
       <p>No spam, ever — just curated finds worth your time. You can unsubscribe
          with one click on any email.</p>
+      ${preferencesUrl ? `<p><a href="${preferencesUrl}" style="color:#4a007f">Choose your genres and how often we write</a></p>` : ""}
       <p style="color:#6b7280;font-size:13px">— The BookPath team</p>
     </div>
   `;
   const text =
     "Welcome to BookPath! You're on the list — we'll email you curated book deals " +
-    "and recommendations in the genres you care about. No spam, ever.";
+    "and recommendations in the genres you care about. No spam, ever." +
+    (preferencesUrl ? `\n\nChoose your genres and how often we write: ${preferencesUrl}` : "");
 
   return sendEmail({
     to: email,
@@ -190,6 +242,121 @@ async function sendWelcomeEmail(email) {
   });
 }
 
+/**
+ *  Send the double opt-in confirmation for the deals list
+ * - Nothing else is sent to the address until the link is clicked
+ */
+async function sendSubscriptionConfirmationEmail(email, token) {
+  const confirmUrl = `${emailConfig.API_URL}/api/subscribers/confirm/${token}`;
+
+  const html = `
+    <div style="font-family:Helvetica,Arial,sans-serif;max-width:520px;margin:0 auto;color:#1f2937">
+      <h2 style="margin:0 0 12px">Please confirm your subscription</h2>
+      <p>Someone (hopefully you) asked to get BookPath book deals at this address.
+         Click below to confirm:</p>
+      <p><a href="${confirmUrl}" style="color:#4a007f;font-weight:600">Yes, send me book deals</a></p>
+      <p style="color:#6b7280;font-size:13px">This link expires in 7 days. If you didn't sign up,
+         ignore this email — you won't hear from us again.</p>
+    </div>
+  `;
+
+  const text =
+    `Please confirm your BookPath book deals subscription: ${confirmUrl}\n\n` +
+    "This link expires in 7 days. If you didn't sign up, ignore this email.";
+
+  return sendEmail({
+    to: email,
+    subject: "Confirm your BookPath deals subscription",
+    html,
+    text,
+  });
+}
+
+/**
+ *  Send the preference link to an address that is already on the deals list
+ * - Sent when someone subscribes a confirmed address again; changes are only
+ *   made from the page behind the link
+ */
+async function sendSubscriptionPreferencesEmail(email, { preferencesUrl }) {
+  const html = `
+    <div style="font-family:Helvetica,Arial,sans-serif;max-width:520px;margin:0 auto;color:#1f2937">
+      <h2 style="margin:0 0 12px">You're already on the list</h2>
+      <p>Someone (hopefully you) asked to get BookPath book deals at this address,
+         which is already subscribed. To change your genres or how often we write:</p>
+      <p><a href="${preferencesUrl}" style="color:#4a007f;font-weight:600">Manage your subscription</a></p>
+      <p style="color:#6b7280;font-size:13px">If this wasn't you, ignore this email — nothing has changed.</p>
+    </div>
+  `;
+
+  const text =
+    `This address is already subscribed to BookPath book deals. Manage your subscription: ${preferencesUrl}\n\n` +
+    "If this wasn't you, ignore this email — nothing has changed.";
+
+  return sendEmail({
+    to: email,
+    subject: "Your BookPath deals subscription",
+    html,
+    text,
+  });
+}
+
+/**
+ *  Send the weekly "deals in your genres" digest
+ * - Carries RFC 8058 one-click unsubscribe headers next to the footer link
+ * - unsubscribeUrl / preferencesUrl are built by subscriberService from signed tokens
+ */
+async function sendDealsDigestEmail(email, { books, genres, weekLabel, unsubscribeUrl, preferencesUrl }) {
+  const { subject, html, text } = renderDealsDigest({
+    books,
+    genres,
+    weekLabel,
+    unsubscribeUrl,
+    preferencesUrl,
+    siteUrl: emailConfig.FRONTEND_URL,
+  });
+
+  return sendEmail({
+    to: email,
+    subject,
+    html,
+    text,
+    headers: {
+      "List-Unsubscribe": `<${unsubscribeUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  });
+}
+
+/**
+ *  Confirm a scheduled account deletion
+ * - Signing in and choosing "Keep my account" before the date cancels it
+ */
+async function sendAccountDeletionEmail(email, username, scheduledFor) {
+  const date = new Date(scheduledFor).toUTCString().replace(/ \d{2}:\d{2}:\d{2} GMT$/, "");
+  const profileUrl = `${emailConfig.FRONTEND_URL}/profile`;
+
+  const html = `
+    <h2>Your account will be deleted</h2>
+    <p>Hello ${username},</p>
+    <p>We received a request to delete your BookPath account. It and all of your
+       collections will be permanently deleted on <strong>${date}</strong>.</p>
+    <p>Changed your mind? Sign in before then and choose "Keep my account":</p>
+    <a href="${profileUrl}">${profileUrl}</a>
+    <p>If you didn't ask for this, sign in and change your password right away.</p>
+  `;
+
+  const text =
+    `Hello ${username}, your BookPath account will be permanently deleted on ${date}. ` +
+    `To keep it, sign in before then and choose "Keep my account": ${profileUrl}`;
+
+  return sendEmail({
+    to: email,
+    subject: "Your BookPath account will be deleted",
+    html,
+    text,
+  });
+}
+
 // initialize transporter on import (can be moved to app startup)
 initializeTransporter();
 
@@ -199,4 +366,9 @@ export default {
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendWelcomeEmail,
+  sendSubscriptionConfirmationEmail,
+  sendSubscriptionPreferencesEmail,
+  sendDealsDigestEmail,
+  sendAccountDeletionEmail,
+  config: emailConfig,
 };
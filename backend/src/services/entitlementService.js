@@ -0,0 +1,122 @@
+import redis from "../config/redis.js";
+import User from "../models/User.js";
+import BookCollection from "../models/BookCollection.js";
+import { DEFAULT_LIBRARY_NAME } from "./libraryService.js";
+import { getEntitlements, normalizeTier, upgradeTierFor } from "../config/entitlements.js";
+import { EntitlementError } from "../utils/errors.js";
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const aiRefreshKey = (userId, day = new Date().toISOString().slice(0, 10)) =>
+  `entitlements:ai-refresh:${userId}:${day}`;
+
+const tierLabel = (tier) => tier.charAt(0).toUpperCase() + tier.slice(1);
+
+// Whether `limit` (null = unlimited) is higher than the one that was hit
+const above = (limit, current) => limit === null || limit > current;
+
+/**
+ * EntitlementService — what the user's subscription tier allows, and how
+ * much of it is used. Limits live in config/entitlements.js; the checks are
+ * wired into routes by middleware/entitlements.js.
+ */
+class EntitlementService {
+  async getTier(userId) {
+    const user = await User.findById(userId).select("subscriptionTier");
+    return normalizeTier(user?.subscriptionTier);
+  }
+
+  countCollections(userId) {
+    return BookCollection.countDocuments({ user: userId, name: { $ne: DEFAULT_LIBRARY_NAME } });
+  }
+
+  async aiRefreshesToday(userId) {
+    return Number(await redis.get(aiRefreshKey(userId))) || 0;
+  }
+
+  /**
+   * Tier, limits and current usage (for the plan section of the profile).
+   */
+  async getSummary(userId) {
+    const tier = await this.getTier(userId);
+    return {
+      tier,
+      limits: getEntitlements(tier),
+      usage: {
+        collections: await this.countCollections(userId),
+        aiRefreshesToday: await this.aiRefreshesToday(userId),
+      },
+    };
+  }
+
+  async assertCanCreateCollection(userId, tier) {
+    const { maxCollections } = getEntitlements(tier);
+    if (maxCollections === null) return;
+    if ((await this.countCollections(userId)) >= maxCollections) {
+      this._deny(tier, {
+        entitlement: "maxCollections",
+        limit: maxCollections,
+        allows: (limits) => above(limits.maxCollections, maxCollections),
+        message: `${tierLabel(tier)} accounts can have up to ${maxCollections} collections.`,
+      });
+    }
+  }
+
+  /**
+   * Counts the refresh against today's allowance (UTC day).
+   */
+  async consumeAiRefresh(userId, tier) {
+    const { aiRefreshesPerDay } = getEntitlements(tier);
+    if (aiRefreshesPerDay === null) return;
+
+    const key = aiRefreshKey(userId);
+    const used = await redis.incr(key);
+    if (used === 1) await redis.expire(key, DAY_SECONDS);
+    if (used > aiRefreshesPerDay) {
+      this._deny(tier, {
+        entitlement: "aiRefreshesPerDay",
+        limit: aiRefreshesPerDay,
+        allows: (limits) => above(limits.aiRefreshesPerDay, aiRefreshesPerDay),
+        message: `${tierLabel(tier)} accounts can refresh recommendations ${aiRefreshesPerDay} times a day.`,
+      });
+    }
+  }
+
+  assertExportFormat(tier, format) {
+    const { exportFormats } = getEntitlements(tier);
+    if (!exportFormats.includes(format)) {
+      this._deny(tier, {
+        entitlement: "exportFormats",
+        limit: exportFormats,
+        allows: (limits) => limits.exportFormats.includes(format),
+        message: `${format} export is not included in ${tierLabel(tier)} accounts.`,
+      });
+    }
+  }
+
+  /**
+   * @param {number} collaborators - Collaborator count the private collection would end up with
+   */
+  assertPrivateCollaborators(tier, collaborators) {
+    const { maxPrivateCollaborators } = getEntitlements(tier);
+    if (maxPrivateCollaborators === null || collaborators <= maxPrivateCollaborators) return;
+    this._deny(tier, {
+      entitlement: "maxPrivateCollaborators",
+      limit: maxPrivateCollaborators,
+      allows: (limits) => above(limits.maxPrivateCollaborators, maxPrivateCollaborators),
+      message: `${tierLabel(tier)} accounts can share a private collection with up to ${maxPrivateCollaborators} people.`,
+    });
+  }
+
+  _deny(tier, { entitlement, limit, allows, message }) {
+    const upgradeTo = upgradeTierFor(tier, allows);
+    throw new EntitlementError(upgradeTo ? `${message} Upgrade to ${tierLabel(upgradeTo)}.` : message, {
+      entitlement,
+      limit,
+      tier,
+      upgradeTo,
+    });
+  }
+}
+
+export default new EntitlementService();
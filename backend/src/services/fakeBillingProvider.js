@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import redis from "../config/redis.js";
+import { ApiError } from "../utils/errors.js";
+
+/**
+ * Local stand-in for a payment provider (development and tests).
+ *
+ * Checkout "pays" as soon as its URL is opened: the fake checkout route asks
+ * for `completeCheckout`, which returns a webhook signed like a real
+ * provider's (`t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">` in the
+ * X-Fake-Billing-Signature header), and feeds it to the normal webhook path.
+ */
+
+export const SIGNATURE_HEADER = "x-fake-billing-signature";
+
+// Signed events older than this are rejected (replays)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const CHECKOUT_TTL_SECONDS = 60 * 60;
+
+const checkoutKey = (sessionId) => `billing:fake:checkout:${sessionId}`;
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+function webhookSecret() {
+  const secret = process.env.BILLING_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new ApiError("BILLING_WEBHOOK_SECRET is not configured", 503);
+  }
+  return secret;
+}
+
+/**
+ * Sign a webhook body the way the fake provider does.
+ * @returns {string} Signature header value
+ */
+export function signPayload(body, timestamp = Math.floor(Date.now() / 1000)) {
+  const hmac = crypto.createHmac("sha256", webhookSecret()).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+function verifySignature(body, header) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) {
+    throw new ApiError("Missing webhook signature", 400);
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new ApiError("Webhook signature has expired", 400);
+  }
+
+  const expected = Buffer.from(signPayload(body, timestamp).split("v1=")[1], "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new ApiError("Invalid webhook signature", 400);
+  }
+}
+
+const fakeBillingProvider = {
+  name: "fake",
+
+  async createCheckout({ userId, tier, successUrl, cancelUrl }) {
+    const sessionId = `cs_fake_${crypto.randomBytes(12).toString("hex")}`;
+    await redis.set(
+      checkoutKey(sessionId),
+      JSON.stringify({ userId: String(userId), tier, successUrl, cancelUrl }),
+      "EX",
+      CHECKOUT_TTL_SECONDS
+    );
+    return { sessionId, url: `${apiUrl()}/api/billing/fake/checkout/${sessionId}` };
+  },
+
+  /**
+   * Finish a checkout: the signed "subscription active" webhook it produces,
+   * and where to send the user afterwards.
+   */
+  async completeCheckout(sessionId) {
+    const raw = await redis.get(checkoutKey(sessionId));
+    if (!raw) {
+      throw new ApiError("Checkout session not found or expired", 404);
+    }
+    await redis.del(checkoutKey(sessionId));
+    const session = JSON.parse(raw);
+
+    const body = JSON.stringify(
+      this.buildEvent({ type: "subscription.updated", userId: session.userId, tier: session.tier, status: "active" })
+    );
+    return { body, headers: { [SIGNATURE_HEADER]: signPayload(body) }, redirectUrl: session.successUrl };
+  },
+
+  /**
+   * Event payload in the provider's format (also used by tests).
+   */
+  buildEvent({ type, userId, tier, status, customerId, subscriptionId, created = Math.floor(Date.now() / 1000) }) {
+    const periodEnd = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    return {
+      id: `evt_fake_${crypto.randomBytes(12).toString("hex")}`,
+      type,
+      created,
+      data: {
+        customer: customerId || `cus_fake_${userId}`,
+        subscription: subscriptionId || `sub_fake_${userId}`,
+        metadata: { userId: String(userId), tier },
+        status,
+        currentPeriodEnd: periodEnd.toISOString(),
+      },
+    };
+  },
+
+  /**
+   * Verify and normalize a webhook.
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @returns {import("./billingService.js").BillingEvent}
+   */
+  parseWebhook(rawBody, headers) {
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody || "");
+    verifySignature(body, headers[SIGNATURE_HEADER]);
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch {
+      throw new ApiError("Invalid webhook payload", 400);
+    }
+    return {
+      id: event.id,
+      type: event.type,
+      createdAt: event.created ? new Date(event.created * 1000) : null,
+      userId: event.data?.metadata?.userId,
+      tier: event.data?.metadata?.tier,
+      status: event.data?.status,
+      customerId: event.data?.customer,
+      subscriptionId: event.data?.subscription,
+      currentPeriodEnd: event.data?.currentPeriodEnd ? new Date(event.data.currentPeriodEnd) : null,
+    };
+  },
+};
+
+export default fakeBillingProvider;
@@ -45,18 +45,24 @@ function cleanDescription(raw) {
  * @param {string} [params.title] - Book title
  * @param {string} [params.author] - Author name
  * @param {string} [params.subject] - Subject/category to search for
+ * @param {string} [params.isbn] - ISBN-10 or ISBN-13 (exact identifier lookup)
+ * @param {string} [params.q] - Raw query, may contain qualifiers (intitle:, inauthor:, ...)
+ * @param {string} [params.langRestrict] - ISO 639-1 language code to restrict results to
  * @param {number} [params.page=1] - Page number
  * @returns {Promise<Array>} Array of book objects
  */
-export async function searchGoogleBooks({ title, author, subject, q, page = 1 }) {
+export async function searchGoogleBooks({ title, author, subject, isbn, q, langRestrict, page = 1 }) {
   try {
-    if (!title && !author && !subject && !q) {
-      throw new ApiError("At least one of title, author, subject, or q is required", 400);
+    if (!title && !author && !subject && !isbn && !q) {
+      throw new ApiError("At least one of title, author, subject, isbn, or q is required", 400);
     }
 
     // Build search query
     let query = "";
-    if (q) {
+    if (isbn) {
+      // Identifier lookup - Google Books uses "isbn:" prefix
+      query = `isbn:${encodeURIComponent(isbn.replace(/[^0-9Xx]/g, ""))}`;
+    } else if (q) {
       // General full-text query (used by SEO landing pages for long-tail
       // keywords like "best science fiction books")
       query = encodeURIComponent(q);
@@ -79,6 +85,10 @@ export async function searchGoogleBooks({ title, author, subject, q, page = 1 })
     const apiKey = process.env.GOOGLE_BOOKS_API_KEY;
     let url = `${GOOGLE_BOOKS_API_BASE_URL}/volumes?q=${query}&maxResults=${maxResults}&startIndex=${startIndex}`;
     
+    if (langRestrict) {
+      url += `&langRestrict=${encodeURIComponent(langRestrict)}`;
+    }
+
     if (apiKey) {
       url += `&key=${apiKey}`;
     }
@@ -136,6 +146,7 @@ export async function searchGoogleBooks({ title, author, subject, q, page = 1 })
       error: error.message,
       title,
       author,
+      isbn,
       page,
     });
 
@@ -0,0 +1,228 @@
+import crypto from "crypto";
+import * as openpgp from "openpgp";
+import redis from "../config/redis.js";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+// An uploaded key waits here until the user proves they hold the private key
+const challengeKey = (userId) => `gpg:challenge:${userId}`;
+const CHALLENGE_TTL_SECONDS = 30 * 60;
+
+const MAX_KEY_LENGTH = 64 * 1024;
+
+/**
+ * Parse an armored public key and check that mail can be encrypted to it.
+ * @returns {Promise<{key: openpgp.PublicKey, fingerprint: string}>}
+ */
+export async function readPublicKey(armoredKey) {
+  if (typeof armoredKey !== "string" || !armoredKey.trim() || armoredKey.length > MAX_KEY_LENGTH) {
+    throw new ApiError("A GPG public key is required", 400);
+  }
+
+  let key;
+  try {
+    key = await openpgp.readKey({ armoredKey: armoredKey.trim() });
+  } catch {
+    throw new ApiError("Invalid GPG public key format", 400);
+  }
+  if (key.isPrivate()) {
+    throw new ApiError("That is a private key. Upload only your public key.", 400);
+  }
+
+  // User.keyFingerprint stores v4 fingerprints (40 hex digits)
+  const fingerprint = key.getFingerprint().toUpperCase();
+  if (!/^[0-9A-F]{40}$/.test(fingerprint)) {
+    throw new ApiError("Only OpenPGP v4 keys are supported", 400);
+  }
+
+  try {
+    await key.getEncryptionKey();
+  } catch {
+    throw new ApiError("This key is expired, revoked or cannot encrypt", 400);
+  }
+
+  return { key, fingerprint };
+}
+
+// Accept both `gpg --clearsign` and `gpg --armor --sign` output
+async function readSignedMessage(armoredMessage) {
+  if (typeof armoredMessage !== "string" || !armoredMessage.trim()) {
+    throw new ApiError("The signed challenge is required", 400);
+  }
+  try {
+    return armoredMessage.includes("BEGIN PGP SIGNED MESSAGE")
+      ? await openpgp.readCleartextMessage({ cleartextMessage: armoredMessage.trim() })
+      : await openpgp.readMessage({ armoredMessage: armoredMessage.trim() });
+  } catch {
+    throw new ApiError("Could not read the signed message", 400);
+  }
+}
+
+/**
+ * GpgService — users' OpenPGP public keys for encrypted account email.
+ *
+ * A key is added in two steps: upload returns a challenge text, and the key
+ * is only stored once the user sends that text back signed with it. From
+ * then on emailService encrypts mail to the user's address with the key.
+ */
+class GpgService {
+  async getStatus(userId) {
+    const user = await User.findById(userId).select("+gpgPublicKey");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+
+    const pending = await this._getChallenge(userId);
+    return {
+      enabled: Boolean(user.gpgPublicKey && user.keyFingerprint),
+      fingerprint: user.keyFingerprint || null,
+      pending: pending ? { fingerprint: pending.fingerprint, challenge: pending.challenge, expiresAt: pending.expiresAt } : null,
+    };
+  }
+
+  /**
+   * Upload step: validate the key and hand out a challenge to sign with it.
+   */
+  async startVerification(userId, armoredKey) {
+    const { fingerprint } = await readPublicKey(armoredKey);
+
+    const owner = await User.findOne({ keyFingerprint: fingerprint });
+    if (owner && String(owner._id) !== String(userId)) {
+      throw new ApiError("This key is already in use by another account", 409);
+    }
+
+    const challenge = [
+      "BookPath key verification",
+      `Account: ${userId}`,
+      `Fingerprint: ${fingerprint}`,
+      `Nonce: ${crypto.randomBytes(16).toString("hex")}`,
+    ].join("\n");
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000).toISOString();
+
+    await redis.set(
+      challengeKey(userId),
+      JSON.stringify({ armoredKey: armoredKey.trim(), fingerprint, challenge, expiresAt }),
+      "EX",
+      CHALLENGE_TTL_SECONDS
+    );
+
+    return { fingerprint, challenge, expiresAt };
+  }
+
+  /**
+   * Verify step: the challenge must be signed by the uploaded key. Stores
+   * the key (replacing any previous one) and returns its fingerprint.
+   */
+  async verify(userId, signedMessage, req) {
+    const pending = await this._getChallenge(userId);
+    if (!pending) {
+      throw new ApiError("No key is waiting for verification. Upload it again.", 400);
+    }
+
+    const message = await readSignedMessage(signedMessage);
+    const { key } = await readPublicKey(pending.armoredKey);
+
+    let data;
+    try {
+      const result = await openpgp.verify({ message, verificationKeys: key, expectSigned: true });
+      data = result.data;
+    } catch {
+      throw new ApiError("The signature was not made with this key", 400);
+    }
+    if (typeof data !== "string" || data.replace(/\r\n/g, "\n").trim() !== pending.challenge) {
+      throw new ApiError("The signed text does not match the challenge", 400);
+    }
+
+    const user = await User.findById(userId).select("+gpgPublicKey");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    const previous = user.keyFingerprint;
+    user.gpgPublicKey = pending.armoredKey;
+    user.keyFingerprint = pending.fingerprint;
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError("This key is already in use by another account", 409);
+      }
+      throw error;
+    }
+    await redis.del(challengeKey(userId));
+
+    await AuditLog.logAction(userId, "gpg_key_added", { fingerprint: pending.fingerprint, replaced: previous || null }, req);
+    logger.info("GPG key verified", { userId, fingerprint: pending.fingerprint });
+    return pending.fingerprint;
+  }
+
+  /**
+   * Remove the stored key (and any upload waiting for verification).
+   */
+  async remove(userId, req) {
+    await redis.del(challengeKey(userId));
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    if (!user.keyFingerprint) {
+      throw new ApiError("No GPG key is set up", 404);
+    }
+
+    const fingerprint = user.keyFingerprint;
+    await User.updateOne({ _id: user._id }, { $unset: { gpgPublicKey: 1, keyFingerprint: 1 } });
+    await AuditLog.logAction(userId, "gpg_key_removed", { fingerprint }, req);
+    logger.info("GPG key removed", { userId, fingerprint });
+  }
+
+  /**
+   * The verified key of the account registered with this address, if any.
+   * @returns {Promise<{userId: string, armoredKey: string, fingerprint: string}|null>}
+   */
+  async findRecipientKey(email) {
+    if (!email) return null;
+    const user = await User.findOne({
+      email: String(email).toLowerCase().trim(),
+      keyFingerprint: { $exists: true },
+    }).select("+gpgPublicKey");
+    if (!user?.gpgPublicKey) return null;
+    return { userId: String(user._id), armoredKey: user.gpgPublicKey, fingerprint: user.keyFingerprint };
+  }
+
+  /**
+   * Encrypt a plain-text body to an armored key.
+   * @returns {Promise<string>} ASCII-armored PGP message
+   */
+  async encrypt(text, armoredKey) {
+    const { key } = await readPublicKey(armoredKey);
+    return openpgp.encrypt({
+      message: await openpgp.createMessage({ text }),
+      encryptionKeys: key,
+    });
+  }
+
+  /**
+   * Record that mail could not be encrypted to a stored key (it expired or
+   * was revoked after verification). The key is kept so nothing is ever sent
+   * in plain text; the user has to upload a renewed one.
+   */
+  async reportUnusableKey(recipientKey, subject, reason) {
+    const { userId, fingerprint } = recipientKey;
+    logger.warn("GPG key cannot encrypt, message withheld", { userId, fingerprint, reason });
+    await AuditLog.logAction(userId, "gpg_key_unusable", { fingerprint, subject, reason });
+  }
+
+  async _getChallenge(userId) {
+    const raw = await redis.get(challengeKey(userId));
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default new GpgService();
@@ -0,0 +1,277 @@
+import { Readable } from "stream";
+import BookCollection from "../models/BookCollection.js";
+import { toCsvRow } from "../utils/csv.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+export const EXPORT_FORMATS = ["json", "csv", "goodreads"];
+
+const CSV_COLUMNS = [
+  "collectionId",
+  "collectionName",
+  "collectionDescription",
+  "collectionCategory",
+  "collectionIsPublic",
+  "collectionTags",
+  "bookId",
+  "title",
+  "authors",
+  "isbn",
+  "publisher",
+  "publishedDate",
+  "pageCount",
+  "language",
+  "genres",
+  "readStatus",
+  "rating",
+  "progress",
+  "favorite",
+  "dateStarted",
+  "dateFinished",
+  "addedAt",
+  "notes",
+  "personalTags",
+];
+
+// Columns accepted by the Goodreads "Import books" CSV tool
+const GOODREADS_COLUMNS = [
+  "Title",
+  "Author",
+  "Additional Authors",
+  "ISBN",
+  "ISBN13",
+  "My Rating",
+  "Publisher",
+  "Number of Pages",
+  "Year Published",
+  "Date Read",
+  "Date Added",
+  "Bookshelves",
+  "Exclusive Shelf",
+  "My Review",
+];
+
+const STATUS_TO_GOODREADS_SHELF = {
+  "to-read": "to-read",
+  reading: "currently-reading",
+  completed: "read",
+  abandoned: "abandoned",
+  dnf: "did-not-finish",
+};
+
+const CONTENT_TYPES = {
+  json: "application/json; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  goodreads: "text/csv; charset=utf-8",
+};
+
+// Goodreads expects YYYY/MM/DD
+function goodreadsDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10).replace(/-/g, "/") : "";
+}
+
+function collectionMetadata(collection) {
+  return {
+    id: collection._id,
+    name: collection.name,
+    description: collection.description,
+    category: collection.category,
+    isPublic: collection.isPublic,
+    tags: collection.tags,
+    color: collection.color,
+    sortBy: collection.sortBy,
+    sortOrder: collection.sortOrder,
+    stats: collection.stats,
+    createdAt: collection.createdAt,
+    updatedAt: collection.updatedAt,
+  };
+}
+
+function bookRecord(book) {
+  return {
+    bookId: book.bookId,
+    title: book.title,
+    authors: book.authors,
+    coverImage: book.coverImage,
+    publisher: book.publisher,
+    publishedDate: book.publishedDate,
+    pageCount: book.pageCount,
+    isbn: book.isbn,
+    language: book.language,
+    genres: book.genres,
+    readStatus: book.readStatus,
+    rating: book.rating,
+    progress: book.progress,
+    favorite: book.favorite,
+    dateStarted: book.dateStarted,
+    dateFinished: book.dateFinished,
+    addedAt: book.addedAt,
+    notes: book.notes,
+    personalTags: book.personalTags,
+  };
+}
+
+/**
+ * LibraryExportService — streams a user's collections out as JSON, a flat
+ * CSV (one row per collection/book pair) or a Goodreads-importable CSV.
+ *
+ * Collections are read through a cursor and written one book at a time, so
+ * memory use stays flat no matter how large the library is.
+ */
+class LibraryExportService {
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  getFilename(format, label = "library") {
+    const date = new Date().toISOString().slice(0, 10);
+    const extension = format === "json" ? "json" : "csv";
+    const suffix = format === "goodreads" ? "-goodreads" : "";
+    return `bookpath-${label}${suffix}-${date}.${extension}`;
+  }
+
+  /**
+   * Stream an export to an Express response as a file download.
+   * Errors after headers are sent abort the response (the file is truncated).
+   */
+  sendExport(res, { userId, collectionId, format, label }) {
+    res.setHeader("Content-Type", this.getContentType(format));
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${this.getFilename(format, label)}"`
+    );
+
+    const stream = Readable.from(this.generate({ userId, collectionId, format }));
+    stream.on("error", (error) => {
+      logger.error("Library export stream error", {
+        userId,
+        collectionId,
+        format,
+        error: error.message,
+      });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  }
+
+  /**
+   * Find a single collection the user may export (owner or accepted collaborator).
+   */
+  async getExportableCollection(userId, collectionId) {
+    const collection = await BookCollection.findOne({
+      _id: collectionId,
+      ...BookCollection.accessFilter(userId, "member"),
+    }).select("_id name");
+    if (!collection) {
+      throw new ApiError("Collection not found or access denied", 404);
+    }
+    return collection;
+  }
+
+  /**
+   * Async generator yielding the export in chunks.
+   * generate({ userId, collectionId, format })
+   */
+  async *generate({ userId, collectionId, format }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ApiError(`Unsupported export format: ${format}`, 400);
+    }
+
+    const filter = collectionId ? { _id: collectionId } : { user: userId };
+    const cursor = BookCollection.find(filter).sort({ createdAt: 1 }).cursor();
+
+    let collectionCount = 0;
+    let bookCount = 0;
+
+    try {
+      if (format === "json") {
+        yield `{"exportedAt":${JSON.stringify(new Date())},"collections":[`;
+        for await (const collection of cursor) {
+          const meta = JSON.stringify(collectionMetadata(collection));
+          yield `${collectionCount > 0 ? "," : ""}${meta.slice(0, -1)},"books":[`;
+          let index = 0;
+          for (const book of collection.books) {
+            yield `${index++ > 0 ? "," : ""}${JSON.stringify(bookRecord(book))}`;
+            bookCount++;
+          }
+          yield "]}";
+          collectionCount++;
+        }
+        yield "]}";
+      } else if (format === "csv") {
+        yield toCsvRow(CSV_COLUMNS);
+        for await (const collection of cursor) {
+          const meta = [
+            collection._id,
+            collection.name,
+            collection.description,
+            collection.category,
+            collection.isPublic,
+            collection.tags,
+          ];
+          for (const book of collection.books) {
+            bookCount++;
+            const record = bookRecord(book);
+            yield toCsvRow([...meta, ...CSV_COLUMNS.slice(meta.length).map((c) => record[c])]);
+          }
+          collectionCount++;
+        }
+      } else {
+        // Goodreads has no concept of collections: one row per distinct book,
+        // with every collection it appears in listed as a shelf. A first light
+        // pass (names and bookIds only) collects the shelves per book.
+        const shelvesByBook = new Map();
+        const shelfCursor = BookCollection.find(filter).select("name books.bookId").lean().cursor();
+        for await (const collection of shelfCursor) {
+          const shelfName = collection.name.toLowerCase().replace(/\s+/g, "-");
+          for (const { bookId } of collection.books) {
+            if (!shelvesByBook.has(bookId)) shelvesByBook.set(bookId, new Set());
+            shelvesByBook.get(bookId).add(shelfName);
+          }
+        }
+
+        yield toCsvRow(GOODREADS_COLUMNS);
+        const written = new Set();
+        for await (const collection of cursor) {
+          for (const book of collection.books) {
+            if (written.has(book.bookId)) continue;
+            written.add(book.bookId);
+            bookCount++;
+
+            const isbn = (book.isbn || "").replace(/[^0-9X]/gi, "");
+            const tags = [...(shelvesByBook.get(book.bookId) || []), ...(book.personalTags || [])];
+            if (book.favorite) tags.push("favorites");
+            yield toCsvRow([
+              book.title,
+              book.authors?.[0],
+              (book.authors || []).slice(1).join(", "),
+              isbn.length === 10 ? isbn : "",
+              isbn.length === 13 ? isbn : "",
+              book.rating || 0,
+              book.publisher,
+              book.pageCount,
+              (book.publishedDate || "").slice(0, 4),
+              goodreadsDate(book.dateFinished),
+              goodreadsDate(book.addedAt),
+              [...new Set(tags)].join(", "),
+              STATUS_TO_GOODREADS_SHELF[book.readStatus] || "to-read",
+              book.notes,
+            ]);
+          }
+          collectionCount++;
+        }
+      }
+    } finally {
+      await cursor.close();
+      logger.info("Library export streamed", {
+        userId,
+        collectionId,
+        format,
+        collectionCount,
+        bookCount,
+      });
+    }
+  }
+}
+
+export default new LibraryExportService();
@@ -0,0 +1,473 @@
+import crypto from "crypto";
+import libraryService, { SHELF_TO_STATUS } from "./libraryService.js";
+import { searchGoogleBooks } from "./googleBooksService.js";
+import catalogService from "./catalogService.js";
+import { parseCsv } from "../utils/csv.js";
+import { ApiError } from "../utils/errors.js";
+import redis from "../config/redis.js";
+import logger from "../config/logger.js";
+
+// Every row costs one or two Google Books lookups. Up to this many rows are
+// imported inside the request; larger exports run as a background job that
+// saves and reports progress after each chunk of this size.
+const IMPORT_CHUNK_ROWS = 150;
+const MAX_IMPORT_ROWS = 10000;
+// How long a finished (or abandoned) job's report stays available
+const IMPORT_JOB_TTL_SECONDS = 24 * 60 * 60;
+// Google Books lookups in flight at once
+const MATCH_CONCURRENCY = 5;
+const MAX_CANDIDATES = 3;
+const NOTES_MAX_LENGTH = 1000;
+
+// Goodreads shelves that are statuses or flags rather than personal tags
+const RESERVED_SHELVES = new Set(["to-read", "currently-reading", "read", "favorites"]);
+
+/**
+ * Column layouts of the supported export formats.
+ */
+const FORMATS = {
+  goodreads: {
+    detect: (headers) => headers.includes("Exclusive Shelf") && headers.includes("Book Id"),
+    normalize: (r) => ({
+      title: r["Title"],
+      authors: [r["Author"], ...splitList(r["Additional Authors"])].filter(Boolean),
+      isbn: cleanIsbn(r["ISBN13"]) || cleanIsbn(r["ISBN"]),
+      shelf: r["Exclusive Shelf"],
+      rating: parseRating(r["My Rating"]),
+      dateFinished: parseDate(r["Date Read"]),
+      dateAdded: parseDate(r["Date Added"]),
+      review: (r["My Review"] || r["Private Notes"] || "").replace(/<br\s*\/?>/gi, "\n"),
+      pageCount: parseInt(r["Number of Pages"], 10) || undefined,
+      tags: splitList(r["Bookshelves"]),
+    }),
+  },
+  storygraph: {
+    detect: (headers) => headers.includes("Read Status") && headers.includes("Star Rating"),
+    normalize: (r) => {
+      const readDates = (r["Dates Read"] || "").split("-").map((d) => d.trim());
+      return {
+        title: r["Title"],
+        authors: splitList(r["Authors"]),
+        isbn: cleanIsbn(r["ISBN/UID"]),
+        shelf: r["Read Status"],
+        rating: parseRating(r["Star Rating"]),
+        dateStarted: readDates.length > 1 ? parseDate(readDates[0]) : undefined,
+        dateFinished: parseDate(r["Last Date Read"]) || parseDate(readDates[readDates.length - 1]),
+        dateAdded: parseDate(r["Date Added"]),
+        review: r["Review"],
+        tags: splitList(r["Tags"]),
+      };
+    },
+  },
+};
+
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// Goodreads wraps ISBNs as ="9780439023481"; StoryGraph may put a non-ISBN UID in the column
+function cleanIsbn(value) {
+  const digits = (value || "").replace(/[^0-9Xx]/g, "").toUpperCase();
+  return /^(\d{9}[\dX]|\d{13})$/.test(digits) ? digits : null;
+}
+
+// Goodreads uses 0 for "not rated"; StoryGraph allows quarter stars
+function parseRating(value) {
+  const rating = parseFloat(value);
+  if (!rating || rating <= 0) return undefined;
+  return Math.min(5, Math.max(1, Math.round(rating)));
+}
+
+function parseDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value.replace(/\//g, "-"));
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Lowercase, drop series suffixes like "(The Hunger Games, #1)" and punctuation
+function normalizeTitle(title) {
+  return (title || "")
+    .toLowerCase()
+    .replace(/\([^)]*#\d+[^)]*\)/g, "")
+    .replace(/[^a-z0-9\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function sameAuthor(a, b) {
+  const last = (name) => (name || "").toLowerCase().trim().split(/\s+/).pop();
+  return last(a) === last(b);
+}
+
+// A job as its owner sees it
+function jobView(job) {
+  const view = { ...job };
+  delete view.userId;
+  return view;
+}
+
+function toCandidate(book) {
+  return {
+    bookId: book.id,
+    title: book.title,
+    authors: book.authors,
+    isbn: book.isbn,
+    publishDate: book.publishDate,
+  };
+}
+
+/**
+ * LibraryImportService — bulk import of Goodreads / StoryGraph CSV exports
+ * into the user's default library.
+ *
+ * Each row is resolved to a Google Books volume (by ISBN first, then by
+ * title + author). Rows with a single confident match are imported; rows with
+ * several plausible editions are reported as "ambiguous" with candidates, and
+ * rows that cannot be resolved are reported as "failed". Imports are
+ * idempotent: a book already in the library (same bookId, ISBN or catalog
+ * work) is updated in place instead of being added again.
+ */
+class LibraryImportService {
+  detectFormat(headers) {
+    return Object.keys(FORMATS).find((name) => FORMATS[name].detect(headers)) || null;
+  }
+
+  /**
+   * Resolve a normalized row to a Google Books volume.
+   * Returns { status: "matched" | "ambiguous" | "failed", book?, candidates?, reason? }
+   */
+  async _resolveRow(row) {
+    const wantedTitle = normalizeTitle(row.title);
+
+    if (row.isbn) {
+      const results = await searchGoogleBooks({ isbn: row.isbn });
+      if (results.length === 1) {
+        return { status: "matched", matchedBy: "isbn", book: results[0] };
+      }
+      if (results.length > 1) {
+        const sameTitle = results.filter((b) => normalizeTitle(b.title) === wantedTitle);
+        if (sameTitle.length === 1) {
+          return { status: "matched", matchedBy: "isbn", book: sameTitle[0] };
+        }
+        return {
+          status: "ambiguous",
+          reason: "Several volumes share this ISBN",
+          candidates: results.slice(0, MAX_CANDIDATES).map(toCandidate),
+        };
+      }
+    }
+
+    if (!row.title) {
+      return { status: "failed", reason: "Row has neither a usable ISBN nor a title" };
+    }
+
+    const results = await searchGoogleBooks({
+      title: row.title.replace(/\([^)]*#\d+[^)]*\)/g, "").trim(),
+      author: row.authors[0],
+    });
+    const matches = results.filter(
+      (b) =>
+        normalizeTitle(b.title) === wantedTitle &&
+        (!row.authors[0] || (b.authors || []).some((a) => sameAuthor(a, row.authors[0])))
+    );
+
+    if (matches.length === 1) {
+      return { status: "matched", matchedBy: "title", book: matches[0] };
+    }
+    if (matches.length > 1) {
+      return {
+        status: "ambiguous",
+        reason: row.isbn ? "ISBN not found; several editions match the title" : "Several editions match the title",
+        candidates: matches.slice(0, MAX_CANDIDATES).map(toCandidate),
+      };
+    }
+    return {
+      status: "failed",
+      reason: row.isbn ? "No Google Books volume found for ISBN or title" : "No Google Books volume found for title",
+    };
+  }
+
+  /**
+   * Resolve rows with at most MATCH_CONCURRENCY lookups at a time.
+   * A row whose lookup throws is reported as failed.
+   */
+  async _resolveRows(rows) {
+    const results = new Array(rows.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < rows.length) {
+        const i = next++;
+        try {
+          results[i] = await this._resolveRow(rows[i]);
+        } catch (error) {
+          results[i] = { status: "failed", reason: error.message };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(MATCH_CONCURRENCY, rows.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Merge imported reading data into an existing library entry.
+   * Returns true when anything changed.
+   */
+  _mergeIntoExisting(existing, entry) {
+    let changed = false;
+    const assign = (field, value) => {
+      if (value === undefined || value === null || value === "") return;
+      const current = existing[field] instanceof Date ? existing[field].getTime() : existing[field];
+      const next = value instanceof Date ? value.getTime() : value;
+      if (current !== next) {
+        existing[field] = value;
+        changed = true;
+      }
+    };
+
+    assign("readStatus", entry.readStatus);
+    assign("rating", entry.rating);
+    assign("dateStarted", entry.dateStarted);
+    assign("dateFinished", entry.dateFinished);
+    assign("notes", entry.notes);
+
+    const tags = new Set(existing.personalTags || []);
+    for (const tag of entry.personalTags) {
+      if (!tags.has(tag)) {
+        tags.add(tag);
+        changed = true;
+      }
+    }
+    existing.personalTags = [...tags];
+
+    if (entry.favorite && !existing.favorite) {
+      existing.favorite = true;
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Import a Goodreads or StoryGraph CSV export.
+   * importCsv(userId, csvText, { format, dryRun }) -> per-row report, or for
+   * exports over IMPORT_CHUNK_ROWS rows a queued job ({ jobId, status, ... })
+   * whose report is read with getJob().
+   */
+  async importCsv(userId, csvText, { format, dryRun = false } = {}) {
+    try {
+      const { headers, records } = parseCsv(csvText);
+      if (records.length === 0) {
+        throw new ApiError("CSV file is empty or has no data rows", 400);
+      }
+      if (records.length > MAX_IMPORT_ROWS) {
+        throw new ApiError(`CSV has ${records.length} rows; the maximum per import is ${MAX_IMPORT_ROWS}.`, 400);
+      }
+
+      const detected = format || this.detectFormat(headers);
+      if (!detected || !FORMATS[detected]) {
+        throw new ApiError("Unrecognized CSV format. Upload a Goodreads or StoryGraph export.", 400);
+      }
+
+      const rows = records.map((record) => FORMATS[detected].normalize(record));
+      if (rows.length <= IMPORT_CHUNK_ROWS) {
+        return await this._runImport(userId, rows, { format: detected, dryRun });
+      }
+      return await this._startJob(userId, rows, { format: detected, dryRun });
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("importCsv error", { userId, error: error.message });
+      throw new ApiError(`Library import failed: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Progress of a background import; the report once it has completed.
+   * Jobs of other users are not found.
+   */
+  async getJob(userId, jobId) {
+    const job = JSON.parse((await redis.get(this._jobKey(jobId))) || "null");
+    if (!job || job.userId !== String(userId)) {
+      throw new ApiError("Import job not found", 404);
+    }
+    return jobView(job);
+  }
+
+  _jobKey(jobId) {
+    return `library:import:job:${jobId}`;
+  }
+
+  _activeJobKey(userId) {
+    return `library:import:active:${userId}`;
+  }
+
+  async _saveJob(job) {
+    await redis.set(this._jobKey(job.jobId), JSON.stringify(job), "EX", IMPORT_JOB_TTL_SECONDS);
+  }
+
+  /**
+   * Queue a large import and run it after the response. One job per user at
+   * a time, so two jobs never save the same library concurrently.
+   */
+  async _startJob(userId, rows, { format, dryRun }) {
+    const activeJobId = await redis.get(this._activeJobKey(userId));
+    const active = activeJobId && JSON.parse((await redis.get(this._jobKey(activeJobId))) || "null");
+    if (active && (active.status === "queued" || active.status === "running")) {
+      throw new ApiError("An import is already running. Wait for it to finish before starting another.", 409);
+    }
+
+    const job = {
+      jobId: crypto.randomUUID(),
+      userId: String(userId),
+      status: "queued",
+      format,
+      dryRun,
+      totalRows: rows.length,
+      processedRows: 0,
+      createdAt: new Date().toISOString(),
+    };
+    await this._saveJob(job);
+    await redis.set(this._activeJobKey(userId), job.jobId, "EX", IMPORT_JOB_TTL_SECONDS);
+
+    setImmediate(() => this._runJob(job, rows));
+
+    logger.info("Library CSV import queued", { userId, jobId: job.jobId, rows: rows.length, format, dryRun });
+    return jobView(job);
+  }
+
+  async _runJob(job, rows) {
+    const progress = async (processedRows, summary) => {
+      Object.assign(job, { status: "running", processedRows, summary });
+      await this._saveJob(job);
+    };
+
+    try {
+      const result = await this._runImport(job.userId, rows, job, progress);
+      Object.assign(job, { status: "completed", completedAt: new Date().toISOString(), result });
+    } catch (error) {
+      logger.error("Library CSV import job failed", { userId: job.userId, jobId: job.jobId, error: error.message });
+      Object.assign(job, { status: "failed", error: error.message });
+    }
+
+    try {
+      await this._saveJob(job);
+      await redis.del(this._activeJobKey(job.userId));
+    } catch (error) {
+      logger.error("Failed to store library import job", { jobId: job.jobId, error: error.message });
+    }
+  }
+
+  /**
+   * Resolve and apply normalized rows chunk by chunk. A real import saves
+   * the library after every chunk that changed it, so a job that dies
+   * half-way keeps what it had imported (re-running it is safe).
+   */
+  async _runImport(userId, rows, { format, dryRun }, onProgress) {
+    const collection = await libraryService._getOrCreateDefaultCollection(userId);
+    const report = [];
+    const summary = { matched: 0, ambiguous: 0, failed: 0, added: 0, updated: 0, unchanged: 0 };
+
+    for (let start = 0; start < rows.length; start += IMPORT_CHUNK_ROWS) {
+      const chunk = rows.slice(start, start + IMPORT_CHUNK_ROWS);
+      const before = summary.added + summary.updated;
+
+      // Lookups run concurrently; rows are applied to the library in file order
+      const resolvedRows = await this._resolveRows(chunk);
+      for (let i = 0; i < chunk.length; i++) {
+        report.push(await this._applyRow(collection, chunk[i], resolvedRows[i], start + i, { dryRun, summary }));
+      }
+
+      if (!dryRun && summary.added + summary.updated > before) {
+        collection.updateStats();
+        await collection.save();
+      }
+      if (onProgress) await onProgress(start + chunk.length, { ...summary });
+    }
+
+    logger.info("Library CSV import finished", {
+      userId,
+      format,
+      dryRun,
+      rows: rows.length,
+      ...summary,
+    });
+
+    return {
+      format,
+      dryRun,
+      totalRows: rows.length,
+      summary,
+      rows: report,
+    };
+  }
+
+  /**
+   * Add or merge one resolved row into the library; returns its report line.
+   */
+  async _applyRow(collection, row, resolved, index, { dryRun, summary }) {
+    const rowReport = {
+      row: index + 2, // 1-based line number including the header
+      title: row.title,
+      authors: row.authors,
+      isbn: row.isbn,
+    };
+
+    rowReport.status = resolved.status;
+    summary[resolved.status]++;
+
+    if (resolved.status !== "matched") {
+      return { ...rowReport, reason: resolved.reason, candidates: resolved.candidates };
+    }
+
+    const book = resolved.book;
+    const readStatus = SHELF_TO_STATUS[row.shelf] || "to-read";
+    const entry = {
+      readStatus,
+      rating: row.rating,
+      dateStarted: row.dateStarted,
+      dateFinished: readStatus === "completed" ? row.dateFinished : undefined,
+      notes: row.review ? row.review.slice(0, NOTES_MAX_LENGTH) : undefined,
+      favorite: row.tags.includes("favorites"),
+      personalTags: row.tags.filter((t) => !RESERVED_SHELVES.has(t)).map((t) => t.slice(0, 30)),
+    };
+
+    // A dry run only looks the work up; a real import adds it to the catalog
+    const workId = dryRun
+      ? (await catalogService.findWorkIds([book.id])).get(book.id)
+      : await catalogService.resolveWorkId(book, { source: "import" });
+    const existing = collection.books.find(
+      (b) => b.bookId === book.id || (book.isbn && b.isbn === book.isbn)
+    ) || collection.findBook(book.id, workId);
+
+    rowReport.bookId = existing ? existing.bookId : book.id;
+    rowReport.matchedBy = resolved.matchedBy;
+
+    if (existing) {
+      const changed = this._mergeIntoExisting(existing, entry);
+      rowReport.action = changed ? "updated" : "unchanged";
+    } else {
+      collection.books.push({
+        bookId: book.id,
+        workId: workId || undefined,
+        title: book.title,
+        authors: book.authors || [],
+        coverImage: book.coverImage || undefined,
+        publisher: book.publisher || undefined,
+        publishedDate: book.publishDate || undefined,
+        pageCount: book.pageCount || row.pageCount || undefined,
+        isbn: book.isbn || row.isbn || undefined,
+        language: book.language || undefined,
+        genres: book.genres || [],
+        addedAt: row.dateAdded || new Date(),
+        ...entry,
+      });
+      rowReport.action = "added";
+    }
+    summary[rowReport.action]++;
+    return rowReport;
+  }
+}
+
+export default new LibraryImportService();
@@ -1,16 +1,25 @@
+import mongoose from "mongoose";
 import BookCollection from "../models/BookCollection.js";
+import ReadingSession from "../models/ReadingSession.js";
+import catalogService from "./catalogService.js";
 import { ApiError } from "../utils/errors.js";
 import logger from "../config/logger.js";
 
-const DEFAULT_LIBRARY_NAME = "My Library";
+export const DEFAULT_LIBRARY_NAME = "My Library";
 
-// Map shelf names to model readStatus values
-const SHELF_TO_STATUS = {
+// Map shelf names to model readStatus values. The hyphenated keys are the
+// exclusive shelves / read statuses used by Goodreads and StoryGraph exports.
+export const SHELF_TO_STATUS = {
   wantToRead: "to-read",
   reading: "reading",
   currentlyReading: "reading",
   completed: "completed",
   abandoned: "abandoned",
+  "to-read": "to-read",
+  "currently-reading": "reading",
+  read: "completed",
+  paused: "reading",
+  "did-not-finish": "dnf",
 };
 
 const STATUS_TO_SHELF = {
@@ -91,13 +100,17 @@ class LibraryService {
   }
 
   /**
-   * Compute reading streak — consecutive days with at least one book
-   * completed or being read, looking back from today.
+   * Compute reading streak — consecutive days with at least one logged
+   * reading session (or a book started/finished), looking back from today.
    */
-  _computeReadingStreak(books) {
-    // Collect all dates where user was actively reading or completed a book
+  _computeReadingStreak(books, sessionDates = []) {
+    // Collect all dates where user actually read, started or completed a book
     const activeDates = new Set();
 
+    for (const date of sessionDates) {
+      activeDates.add(new Date(date).toISOString().slice(0, 10));
+    }
+
     for (const book of books) {
       if (book.dateFinished) {
         const d = new Date(book.dateFinished);
@@ -107,10 +120,6 @@ class LibraryService {
         const d = new Date(book.dateStarted);
         activeDates.add(d.toISOString().slice(0, 10));
       }
-      if (book.addedAt) {
-        const d = new Date(book.addedAt);
-        activeDates.add(d.toISOString().slice(0, 10));
-      }
     }
 
     if (activeDates.size === 0) return 0;
@@ -146,6 +155,35 @@ class LibraryService {
     return streak;
   }
 
+  /**
+   * Dates of the user's reading sessions within the streak window (last year).
+   */
+  async _getRecentSessionDates(userId) {
+    const since = new Date();
+    since.setDate(since.getDate() - 366);
+    return ReadingSession.distinct("date", {
+      user: userId,
+      date: { $gte: since },
+    });
+  }
+
+  /**
+   * Derive a progress percentage from the most recent reading session.
+   * Returns null when there is no session or the page count is unknown.
+   */
+  async _deriveProgressFromSessions(userId, book) {
+    if (!book.pageCount) return null;
+
+    const latest = await ReadingSession.findOne({
+      user: userId,
+      bookId: book.bookId,
+    }).sort({ date: -1, createdAt: -1 });
+
+    if (!latest) return null;
+
+    return Math.min(100, Math.round((latest.endPage / book.pageCount) * 100));
+  }
+
   /**
    * Aggregate all user books into shelves and compute stats.
    * getLibrary(userId) -> { shelves, stats }
@@ -191,7 +229,8 @@ class LibraryService {
 
       const topAuthors = this._computeTopAuthors(books);
       const topGenres = this._computeTopGenres(books);
-      const readingStreak = this._computeReadingStreak(books);
+      const sessionDates = await this._getRecentSessionDates(userId);
+      const readingStreak = this._computeReadingStreak(books, sessionDates);
 
       const stats = {
         totalBooks,
@@ -227,9 +266,9 @@ class LibraryService {
 
       const collection = await this._getOrCreateDefaultCollection(userId);
 
-      // Check if book already exists
-      const exists = collection.books.some((b) => b.bookId === book.bookId);
-      if (exists) {
+      // Check if book (or another edition of it) already exists
+      const workId = await catalogService.resolveWorkId({ ...book, id: book.bookId });
+      if (collection.findBook(book.bookId, workId)) {
         throw new ApiError("Book already exists in your library", 400);
       }
 
@@ -247,6 +286,7 @@ class LibraryService {
 
       const bookData = {
         bookId: book.bookId,
+        workId: workId || undefined,
         title: book.title,
         authors: book.authors || [],
         coverImage: book.coverImage || undefined,
@@ -297,15 +337,12 @@ class LibraryService {
 
       const collection = await this._getOrCreateDefaultCollection(userId);
 
-      const bookIndex = collection.books.findIndex(
-        (b) => b.bookId === bookId
-      );
-      if (bookIndex === -1) {
+      // Another edition of the same work resolves to the library entry
+      const book = await catalogService.findCollectionEntry(collection, bookId);
+      if (!book) {
         throw new ApiError("Book not found in your library", 404);
       }
 
-      const book = collection.books[bookIndex];
-
       // Map shelf name to readStatus if provided
       if (updates.readStatus !== undefined) {
         const mapped = SHELF_TO_STATUS[updates.readStatus] || updates.readStatus;
@@ -317,10 +354,20 @@ class LibraryService {
         if (mapped === "completed" && !book.dateFinished) {
           book.dateFinished = new Date();
         }
+        if (mapped === "completed" && updates.progress === undefined) {
+          book.progress = 100;
+        }
       }
 
       if (updates.progress !== undefined) {
         book.progress = Math.min(100, Math.max(0, updates.progress));
+      } else if (book.readStatus !== "completed") {
+        // No explicit progress — follow the latest logged reading session.
+        // Finished books stay where they were marked finished.
+        const derived = await this._deriveProgressFromSessions(userId, book);
+        if (derived !== null) {
+          book.progress = derived;
+        }
       }
 
       if (updates.rating !== undefined) {
@@ -379,7 +426,8 @@ class LibraryService {
 
       let removed = false;
       for (const collection of collections) {
-        const idx = collection.books.findIndex((b) => b.bookId === bookId);
+        const entry = await catalogService.findCollectionEntry(collection, bookId);
+        const idx = collection.books.indexOf(entry);
         if (idx !== -1) {
           collection.books.splice(idx, 1);
           collection.updateStats();
@@ -405,6 +453,126 @@ class LibraryService {
     }
   }
 
+  /**
+   * Log a reading session for a book in the user's library and refresh the
+   * book's progress from it. A "to-read" book moves to "reading".
+   * addReadingSession(userId, bookId, { startPage, endPage, minutes, date, notes })
+   */
+  async addReadingSession(userId, bookId, session) {
+    try {
+      if (!bookId) {
+        throw new ApiError("bookId is required", 400);
+      }
+
+      const { startPage, endPage, minutes, date, notes } = session || {};
+      if (!Number.isInteger(startPage) || !Number.isInteger(endPage)) {
+        throw new ApiError("startPage and endPage are required", 400);
+      }
+      if (startPage < 0 || endPage < startPage) {
+        throw new ApiError("endPage must be greater than or equal to startPage", 400);
+      }
+
+      const collection = await this._getOrCreateDefaultCollection(userId);
+      const book = await catalogService.findCollectionEntry(collection, bookId);
+      if (!book) {
+        throw new ApiError("Book not found in your library", 404);
+      }
+      if (book.pageCount && endPage > book.pageCount) {
+        throw new ApiError(`endPage cannot exceed the book's ${book.pageCount} pages`, 400);
+      }
+
+      // Sessions are kept under the edition that is in the library
+      const created = await ReadingSession.create({
+        user: userId,
+        bookId: book.bookId,
+        startPage,
+        endPage,
+        minutes,
+        date: date || new Date(),
+        notes,
+      });
+
+      const updates = {};
+      if (book.readStatus === "to-read") {
+        updates.readStatus = "reading";
+      }
+      const updatedBook = await this.updateBookStatus(userId, book.bookId, updates);
+
+      logger.info("Reading session logged", {
+        userId,
+        bookId,
+        sessionId: created._id,
+        pages: created.pagesRead,
+      });
+
+      return { session: created, book: updatedBook };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("addReadingSession error", { userId, bookId, error: error.message });
+      throw new ApiError(`Failed to log reading session: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * List a book's reading sessions (newest first) with totals. Any edition of
+   * the work finds the sessions logged under the library entry's edition.
+   */
+  async getReadingSessions(userId, bookId) {
+    try {
+      const collection = await this._getOrCreateDefaultCollection(userId);
+      const entry = await catalogService.findCollectionEntry(collection, bookId);
+      const sessions = await ReadingSession.find({ user: userId, bookId: entry ? entry.bookId : bookId }).sort({
+        date: -1,
+        createdAt: -1,
+      });
+
+      const summary = {
+        sessionCount: sessions.length,
+        totalPages: sessions.reduce((sum, s) => sum + s.pagesRead, 0),
+        totalMinutes: sessions.reduce((sum, s) => sum + (s.minutes || 0), 0),
+        lastPage: sessions.length > 0 ? sessions[0].endPage : null,
+      };
+
+      return { sessions, summary };
+    } catch (error) {
+      logger.error("getReadingSessions error", { userId, bookId, error: error.message });
+      throw new ApiError(`Failed to load reading sessions: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Delete a reading session and re-derive the book's progress.
+   */
+  async deleteReadingSession(userId, bookId, sessionId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        throw new ApiError("Reading session not found", 404);
+      }
+
+      const collection = await this._getOrCreateDefaultCollection(userId);
+      const entry = await catalogService.findCollectionEntry(collection, bookId);
+
+      const deleted = await ReadingSession.findOneAndDelete({
+        _id: sessionId,
+        user: userId,
+        bookId: entry ? entry.bookId : bookId,
+      });
+      if (!deleted) {
+        throw new ApiError("Reading session not found", 404);
+      }
+
+      logger.info("Reading session deleted", { userId, bookId, sessionId });
+
+      const book = entry ? await this.updateBookStatus(userId, entry.bookId, {}) : null;
+
+      return { deleted: true, sessionId, book };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("deleteReadingSession error", { userId, bookId, sessionId, error: error.message });
+      throw new ApiError(`Failed to delete reading session: ${error.message}`, 500);
+    }
+  }
+
   /**
    * Get just the library stats without full shelves.
    */
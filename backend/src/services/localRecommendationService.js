@@ -0,0 +1,411 @@
+import mongoose from "mongoose";
+import BookCollection from "../models/BookCollection.js";
+import Edition from "../models/Edition.js";
+import { normalizeTitle, authorKeyOf } from "./catalogService.js";
+import { ApiError } from "../utils/errors.js";
+import { cache } from "../utils/cache.js";
+import logger from "../config/logger.js";
+
+// Upper bounds on what one request reads from MongoDB
+const MAX_NEIGHBOR_COLLECTIONS = 500;
+const MAX_CATALOG_CANDIDATES = 200;
+const TOP_FEATURES = 10;
+
+// Most-collected books for users with nothing liked yet, shared by everyone
+const POPULAR_CACHE_KEY = "recommendations:most-collected";
+const POPULAR_CACHE_TTL = 60 * 60; // 1 hour
+const POPULAR_POOL_SIZE = 100;
+
+// Share of the final score that comes from co-occurrence ("readers who
+// liked X also have Y"); the rest is content similarity
+const COOCCURRENCE_WEIGHT = 0.55;
+
+const RATING_WEIGHTS = { 1: -0.5, 2: 0.2, 3: 0.7, 4: 1.2, 5: 1.5 };
+const STATUS_WEIGHTS = { "to-read": 0.4, reading: 0.7, completed: 1 };
+// Recommendation feedback as a taste signal ("read" says nothing about liking it)
+const FEEDBACK_WEIGHTS = { up: 1, down: -1, dismissed: -0.5, read: 0.3 };
+// Feedback types that remove a title from future recommendations
+export const EXCLUDING_FEEDBACK = ["down", "dismissed", "read"];
+
+const lower = (values) => (values || []).map((v) => String(v).toLowerCase().trim()).filter(Boolean);
+
+/**
+ * Identity of a book across editions and providers: normalized title +
+ * primary author surname, the same key the catalog matches works by.
+ */
+export const bookKey = (book) => `${normalizeTitle(book.title)}|${authorKeyOf(book.authors)}`;
+
+/**
+ * How strongly a library entry says "more like this": rating first, then
+ * read status, with a bonus for favorites. DNF/abandoned books count against.
+ */
+export const seedWeight = (book) => {
+  if (book.readStatus === "dnf" || book.readStatus === "abandoned") return -1;
+  const weight = book.rating ? RATING_WEIGHTS[book.rating] : STATUS_WEIGHTS[book.readStatus] ?? 0.4;
+  return weight + (book.favorite ? 0.5 : 0);
+};
+
+/**
+ * Weighted genre, author and tag preferences from a user's library entries
+ * and recommendation feedback. Library books and titles the user dismissed,
+ * disliked or already read are excluded from candidates.
+ * @returns {{ genres: Map, authors: Map, tags: Map, seeds: Array, excludedKeys: Set, excludedWorkIds: Set }}
+ */
+export function buildTasteProfile(books, feedback = []) {
+  const genres = new Map();
+  const authors = new Map();
+  const tags = new Map();
+  const add = (map, key, weight) => map.set(key, (map.get(key) || 0) + weight);
+
+  const toSeed = (book, weight) => ({
+    key: bookKey(book),
+    title: book.title,
+    authors: book.authors || [],
+    genres: lower(book.genres),
+    authorKeys: (book.authors || []).map((a) => authorKeyOf([a])).filter(Boolean),
+    tags: lower(book.personalTags),
+    weight,
+  });
+
+  const seeds = [
+    ...books.map((book) => toSeed(book, seedWeight(book))),
+    ...feedback.map((entry) => toSeed(entry, FEEDBACK_WEIGHTS[entry.feedback] || 0)),
+  ];
+  seeds.forEach((seed) => {
+    seed.genres.forEach((g) => add(genres, g, seed.weight));
+    seed.authorKeys.forEach((a) => add(authors, a, seed.weight));
+    seed.tags.forEach((t) => add(tags, t, seed.weight));
+  });
+
+  const excluded = [...books, ...feedback.filter((f) => EXCLUDING_FEEDBACK.includes(f.feedback))];
+  return {
+    genres,
+    authors,
+    tags,
+    seeds,
+    excludedKeys: new Set(excluded.map(bookKey)),
+    excludedWorkIds: new Set(excluded.filter((b) => b.workId).map((b) => String(b.workId))),
+  };
+}
+
+// Strongest positive preferences in a feature map
+const topFeatures = (map, count = TOP_FEATURES) =>
+  [...map.entries()]
+    .filter(([, weight]) => weight > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([feature]) => feature);
+
+const maxWeight = (map) => Math.max(0, ...map.values());
+
+/**
+ * Content similarity of a candidate to the taste profile, in [-1, 1].
+ * Genres count 50%, authors 35% and tags 15%; each is scaled by the user's
+ * strongest preference of that kind.
+ * @returns {{ score: number, seed: Object|null, sharedAuthor: string|null, sharedGenres: string[] }}
+ */
+export function contentScore(candidate, taste) {
+  const scaled = (map, features, combine) => {
+    const max = maxWeight(map);
+    if (!max || features.length === 0) return 0;
+    const values = features.map((f) => Math.max(-max, map.get(f) || 0) / max);
+    return combine(values);
+  };
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  const genres = lower(candidate.genres);
+  const authorKeys = (candidate.authors || []).map((a) => authorKeyOf([a])).filter(Boolean);
+
+  const score =
+    0.5 * scaled(taste.genres, genres, mean) +
+    0.35 * scaled(taste.authors, authorKeys, (values) => Math.max(...values)) +
+    0.15 * scaled(taste.tags, lower(candidate.tags), mean);
+
+  // The liked library book this candidate resembles most, for the explanation
+  let best = null;
+  for (const seed of taste.seeds) {
+    if (seed.weight <= 0) continue;
+    const authorMatch = seed.authorKeys.some((a) => authorKeys.includes(a));
+    const sharedGenres = seed.genres.filter((g) => genres.includes(g));
+    const overlap = (authorMatch ? 3 : 0) + sharedGenres.length;
+    if (overlap > 0 && (!best || overlap * seed.weight > best.overlap * best.seed.weight)) {
+      best = { seed, overlap, authorMatch, sharedGenres };
+    }
+  }
+
+  return {
+    score,
+    seed: best?.seed || null,
+    sharedAuthor: best?.authorMatch ? candidate.authors.find((a) => best.seed.authorKeys.includes(authorKeyOf([a]))) : null,
+    sharedGenres: best?.sharedGenres || [],
+  };
+}
+
+/**
+ * Item-to-item co-occurrence: every other reader who has one of the user's
+ * books votes for the rest of their library, weighted by how much the user
+ * liked the shared book and how much that reader liked the candidate.
+ * Large libraries are damped so one heavy user does not dominate.
+ * @param {Array<Array>} neighborLibraries - Other users' library entries
+ * @returns {Map<string, { score: number, readers: number, seed: Object }>}
+ */
+export function coOccurrenceScores(neighborLibraries, taste) {
+  const seedsByKey = new Map(taste.seeds.map((s) => [s.key, s]));
+  const scores = new Map();
+
+  for (const library of neighborLibraries) {
+    const keys = library.map(bookKey);
+    const shared = keys.map((k) => seedsByKey.get(k)).filter((s) => s && s.weight !== 0);
+    if (shared.length === 0) continue;
+
+    const strongest = shared.reduce((a, b) => (b.weight > a.weight ? b : a));
+    const affinity = shared.reduce((sum, s) => sum + s.weight, 0) / Math.sqrt(library.length);
+
+    library.forEach((book, index) => {
+      const key = keys[index];
+      if (taste.excludedKeys.has(key)) return;
+      const entry = scores.get(key) || { score: 0, readers: 0, seed: strongest };
+      entry.score += affinity * Math.max(-1, Math.min(1.5, seedWeight(book)));
+      entry.readers += 1;
+      if (strongest.weight > entry.seed.weight) entry.seed = strongest;
+      scores.set(key, entry);
+    });
+  }
+
+  return scores;
+}
+
+function explain({ cooccurrence, content, popularity }) {
+  if (cooccurrence && cooccurrence.score > 0 && cooccurrence.seed) {
+    const others = cooccurrence.readers > 1 ? `${cooccurrence.readers} readers` : "A reader";
+    return {
+      reason: `${others} who enjoyed "${cooccurrence.seed.title}" also added this book to their library.`,
+      similarTo: cooccurrence.seed.title,
+    };
+  }
+  if (content?.sharedAuthor) {
+    return {
+      reason: `Another book by ${content.sharedAuthor}, the author of "${content.seed.title}" in your library.`,
+      similarTo: content.seed.title,
+    };
+  }
+  if (content?.seed && content.sharedGenres.length > 0) {
+    return {
+      reason: `Matches your interest in ${content.sharedGenres.slice(0, 2).join(" and ")}, like "${content.seed.title}".`,
+      similarTo: content.seed.title,
+    };
+  }
+  return {
+    reason: `Popular with BookPath readers${popularity > 1 ? ` (in ${popularity} libraries)` : ""}.`,
+    similarTo: "N/A",
+  };
+}
+
+/**
+ * LocalRecommendationService — recommendations without any external service.
+ *
+ * Candidates come from other users' public collections and the local
+ * catalog; private libraries never feed another user's recommendations or
+ * their explanations. Each is
+ * scored by content similarity (genres, authors, personal tags) to the
+ * user's library and by item-to-item co-occurrence across all libraries.
+ * Users with an empty library get the most-collected books.
+ */
+class LocalRecommendationService {
+  async _loadUserBooks(userId) {
+    const collections = await BookCollection.find({ user: userId }).select("books").lean();
+    const byKey = new Map();
+    for (const book of collections.flatMap((c) => c.books)) {
+      const key = bookKey(book);
+      // Keep the entry with the strongest signal when a book is in several collections
+      if (!byKey.has(key) || Math.abs(seedWeight(book)) > Math.abs(seedWeight(byKey.get(key)))) {
+        byKey.set(key, book);
+      }
+    }
+    return [...byKey.values()];
+  }
+
+  /**
+   * Other users' public collections that share a book with this user (library
+   * or feedback), or match the user's liked genres. Returns one array of
+   * entries per user.
+   */
+  async _loadNeighborLibraries(userId, books, taste) {
+    const or = [{ "books.bookId": { $in: books.map((b) => b.bookId).filter(Boolean) } }];
+    const workIds = books.filter((b) => b.workId).map((b) => b.workId);
+    if (workIds.length) or.push({ "books.workId": { $in: workIds } });
+    const genres = books.flatMap((b) => b.genres || []).filter((g) => taste.genres.get(g.toLowerCase()) > 0);
+    if (genres.length) or.push({ "books.genres": { $in: [...new Set(genres)] } });
+
+    const collections = await BookCollection.find({ user: { $ne: userId }, isPublic: true, $or: or })
+      .select("user books")
+      .limit(MAX_NEIGHBOR_COLLECTIONS)
+      .lean();
+
+    // One library per user, each book once
+    const byUser = new Map();
+    for (const collection of collections) {
+      const library = byUser.get(String(collection.user)) || new Map();
+      collection.books.forEach((book) => library.set(bookKey(book), library.get(bookKey(book)) || book));
+      byUser.set(String(collection.user), library);
+    }
+    return [...byUser.values()].map((library) => [...library.values()]);
+  }
+
+  async _loadCatalogCandidates(taste) {
+    const genres = topFeatures(taste.genres);
+    const authorNames = taste.seeds
+      .filter((s) => s.weight > 0)
+      .flatMap((s) => s.authors)
+      .slice(0, TOP_FEATURES * 2);
+    if (genres.length === 0 && authorNames.length === 0) return [];
+
+    const pattern = (values) => values.map((v) => new RegExp(`^${v.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i"));
+    return Edition.find({
+      $or: [{ categories: { $in: pattern(genres) } }, { authors: { $in: authorNames } }],
+    })
+      .sort({ ratingsCount: -1 })
+      .limit(MAX_CATALOG_CANDIDATES)
+      .lean();
+  }
+
+  /**
+   * Books in the most public collections. The ranking is the same for every
+   * user, so it is computed once an hour rather than per request.
+   */
+  async _mostCollected(limit) {
+    const cached = await cache.get(POPULAR_CACHE_KEY);
+    if (cached) return cached.slice(0, limit);
+
+    const popular = await BookCollection.aggregate([
+      { $match: { isPublic: true } },
+      { $unwind: "$books" },
+      { $match: { "books.readStatus": { $nin: ["dnf", "abandoned"] } } },
+      {
+        $group: {
+          _id: "$books.bookId",
+          book: { $first: "$books" },
+          users: { $addToSet: "$user" },
+        },
+      },
+      { $project: { book: 1, readers: { $size: "$users" } } },
+      { $sort: { readers: -1 } },
+      { $limit: POPULAR_POOL_SIZE },
+    ]);
+    await cache.set(POPULAR_CACHE_KEY, popular, POPULAR_CACHE_TTL);
+    return popular.slice(0, limit);
+  }
+
+  /**
+   * Recommend books for a user.
+   * recommend(userId, { limit, feedback }) -> [{ title, authors, reason, matchScore,
+   *   similarTo, bookId, workId, coverImage, source: "local" }]
+   * feedback: the user's RecommendationFeedback entries
+   */
+  async recommend(userId, { limit = 5, feedback = [] } = {}) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError("Invalid user ID", 400);
+      }
+
+      const books = await this._loadUserBooks(userId);
+      const taste = buildTasteProfile(books, feedback);
+      const isExcluded = (book) =>
+        taste.excludedKeys.has(bookKey(book)) ||
+        Boolean(book.workId && taste.excludedWorkIds.has(String(book.workId)));
+
+      // Nothing liked yet: fall back to what other readers collect most
+      if (!taste.seeds.some((seed) => seed.weight > 0)) {
+        const popular = await this._mostCollected(limit + taste.excludedKeys.size);
+        return popular
+          .filter(({ book }) => !isExcluded(book))
+          .slice(0, limit)
+          .map(({ book, readers }) => ({
+            ...this._toRecommendation(book),
+            ...explain({ popularity: readers }),
+            matchScore: Math.min(60, 30 + readers * 5),
+          }));
+      }
+
+      const [neighborLibraries, catalogEditions] = await Promise.all([
+        this._loadNeighborLibraries(userId, [...books, ...feedback], taste),
+        this._loadCatalogCandidates(taste),
+      ]);
+
+      // One candidate per book across editions and sources
+      const candidates = new Map();
+      const addCandidate = (book) => {
+        if (isExcluded(book)) return;
+        const key = bookKey(book);
+        const existing = candidates.get(key);
+        if (!existing) {
+          candidates.set(key, { ...book, tags: lower(book.personalTags) });
+        } else {
+          existing.genres = [...new Set([...(existing.genres || []), ...(book.genres || [])])];
+          existing.tags = [...new Set([...existing.tags, ...lower(book.personalTags)])];
+          existing.coverImage = existing.coverImage || book.coverImage;
+          existing.workId = existing.workId || book.workId;
+        }
+      };
+      neighborLibraries.flat().forEach(addCandidate);
+      catalogEditions.forEach((edition) =>
+        addCandidate({
+          bookId: edition.externalId || String(edition.work),
+          workId: edition.work,
+          title: edition.title,
+          authors: edition.authors,
+          genres: edition.categories,
+          coverImage: edition.coverImage,
+        })
+      );
+
+      const cooccurrence = coOccurrenceScores(neighborLibraries, taste);
+      const maxCooccurrence = Math.max(0, ...[...cooccurrence.values()].map((c) => c.score));
+
+      const scored = [...candidates.entries()].map(([key, candidate]) => {
+        const content = contentScore(candidate, taste);
+        const co = cooccurrence.get(key);
+        const coScore = co && maxCooccurrence > 0 ? co.score / maxCooccurrence : 0;
+        const score = COOCCURRENCE_WEIGHT * coScore + (1 - COOCCURRENCE_WEIGHT) * content.score;
+        return { candidate, score, ...explain({ cooccurrence: co, content }) };
+      });
+
+      const recommendations = scored
+        .filter((s) => s.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ candidate, score, reason, similarTo }) => ({
+          ...this._toRecommendation(candidate),
+          reason,
+          similarTo,
+          matchScore: Math.min(100, Math.max(1, Math.round(score * 100))),
+        }));
+
+      logger.info("Local recommendations generated", {
+        userId,
+        candidates: candidates.size,
+        neighbors: neighborLibraries.length,
+        count: recommendations.length,
+      });
+
+      return recommendations;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("Local recommendation error", { userId, error: error.message });
+      throw new ApiError(`Failed to generate recommendations: ${error.message}`, 500);
+    }
+  }
+
+  _toRecommendation(book) {
+    return {
+      title: book.title,
+      authors: book.authors || [],
+      bookId: book.bookId || null,
+      workId: book.workId || null,
+      coverImage: book.coverImage || null,
+      source: "local",
+    };
+  }
+}
+
+export default new LocalRecommendationService();
@@ -0,0 +1,249 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import redis from "../config/redis.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+export const OAUTH_PROVIDERS = ["google", "github"];
+
+// One-time login code handed to the frontend instead of tokens in the URL
+const LOGIN_CODE_TTL_SECONDS = 60;
+const STATE_TTL = "10m";
+const LINK_TOKEN_TTL = "5m";
+
+const stateSecret = () => process.env.JWT_SECRET;
+
+/**
+ * Verified email addresses from a passport profile. Google marks the
+ * address with `verified`; GitHub (allRawEmails) lists all addresses with
+ * `verified` and `primary`.
+ */
+export function verifiedEmails(profile) {
+  return (profile.emails || [])
+    .filter((e) => e.value && (e.verified === true || e.verified === "true"))
+    .sort((a, b) => Number(Boolean(b.primary)) - Number(Boolean(a.primary)))
+    .map((e) => e.value.toLowerCase().trim());
+}
+
+const usernameBase = (profile, email) =>
+  (profile.username || email.split("@")[0] || profile.displayName || "reader")
+    .replace(/[^a-zA-Z0-9]/g, "")
+    .slice(0, 24)
+    .padEnd(3, "0");
+
+/**
+ * OAuthService — Google / GitHub sign-in and account linking.
+ *
+ * Sign-in resolves the provider identity to a local user: an already linked
+ * account, else an existing account with the same (provider-verified)
+ * email, else a new passwordless account. Linking by email requires the
+ * existing account to have verified that address itself; otherwise whoever
+ * registered it could be someone else, who would keep their password access
+ * (account pre-hijacking), so the owner has to sign in and link instead. The callback never puts tokens in
+ * the redirect URL; it hands the frontend a one-time code (Redis, 60s) that
+ * is exchanged for tokens with a POST.
+ */
+class OAuthService {
+  /**
+   * Signed `state` for the authorize redirect. Carries the provider, the
+   * user to link (link flow only) and a nonce that must match the cookie set
+   * on the same browser (login CSRF protection).
+   */
+  createState(provider, { userId } = {}) {
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const state = jwt.sign(
+      { purpose: "oauth-state", provider, nonce, ...(userId ? { userId: String(userId) } : {}) },
+      stateSecret(),
+      { algorithm: "HS256", expiresIn: STATE_TTL }
+    );
+    return { state, nonce };
+  }
+
+  verifyState(state, provider, nonce) {
+    try {
+      const decoded = jwt.verify(state, stateSecret(), { algorithms: ["HS256"] });
+      if (decoded.purpose !== "oauth-state" || decoded.provider !== provider || !nonce || decoded.nonce !== nonce) {
+        throw new Error("state mismatch");
+      }
+      return decoded;
+    } catch (error) {
+      logger.warn("OAuth state rejected", { provider, error: error.message });
+      throw new ApiError("Invalid or expired OAuth state", 400);
+    }
+  }
+
+  /**
+   * Short-lived token that lets the (authenticated) profile page start a
+   * link flow with a plain browser redirect.
+   */
+  createLinkToken(userId, provider) {
+    return jwt.sign({ purpose: "oauth-link", provider, sub: String(userId) }, stateSecret(), {
+      algorithm: "HS256",
+      expiresIn: LINK_TOKEN_TTL,
+    });
+  }
+
+  verifyLinkToken(token, provider) {
+    try {
+      const decoded = jwt.verify(token, stateSecret(), { algorithms: ["HS256"] });
+      if (decoded.purpose !== "oauth-link" || decoded.provider !== provider) {
+        throw new Error("purpose mismatch");
+      }
+      return decoded.sub;
+    } catch (error) {
+      logger.warn("OAuth link token rejected", { provider, error: error.message });
+      throw new ApiError("Invalid or expired link request", 400);
+    }
+  }
+
+  /**
+   * Find, link or create the local user for a provider profile.
+   * @param {string} provider - "google" | "github"
+   * @param {Object} profile - passport profile
+   * @param {Object} [options]
+   * @param {string} [options.linkUserId] - Link to this signed-in user instead of signing in
+   */
+  async resolveUser(provider, profile, { linkUserId } = {}) {
+    const providerId = String(profile.id);
+    const field = `oauth.${provider}`;
+
+    const linked = await User.findOne({ [field]: providerId });
+
+    if (linkUserId) {
+      if (linked && String(linked._id) !== String(linkUserId)) {
+        throw new ApiError(`This ${provider} account is linked to another BookPath account`, 409);
+      }
+      const user = await User.findById(linkUserId);
+      if (!user) {
+        throw new ApiError("User not found", 404);
+      }
+      if (!linked) {
+        user.set(field, providerId);
+        await user.save();
+        await AuditLog.logAction(user._id, "oauth_linked", { provider });
+        logger.info("OAuth account linked", { userId: user._id, provider });
+      }
+      return user;
+    }
+
+    if (linked) return linked;
+
+    const emails = verifiedEmails(profile);
+    if (emails.length === 0) {
+      throw new ApiError(`Your ${provider} account has no verified email address`, 403);
+    }
+
+    // Link to an existing account by verified email
+    const existing = await User.findOne({ email: { $in: emails } });
+    if (existing) {
+      if (!existing.emailVerified) {
+        logger.warn("OAuth sign-in matches an unverified account, not linking", { userId: existing._id, provider });
+        const error = new ApiError(
+          `An account with this email already exists. Sign in with your password and link ${provider} from your profile.`,
+          409
+        );
+        error.oauthError = "oauth_account_exists";
+        throw error;
+      }
+      existing.set(field, providerId);
+      await existing.save();
+      await AuditLog.logAction(existing._id, "oauth_linked", { provider, byEmail: true });
+      logger.info("OAuth account linked by verified email", { userId: existing._id, provider });
+      return existing;
+    }
+
+    const base = usernameBase(profile, emails[0]);
+    let username = base;
+    for (let attempt = 0; await User.exists({ username }); attempt++) {
+      if (attempt >= 5) throw new ApiError("Could not pick a username, please register manually", 409);
+      username = `${base.slice(0, 24)}${crypto.randomInt(1000, 9999)}`;
+    }
+
+    const user = await User.create({
+      username,
+      email: emails[0],
+      emailVerified: true,
+      role: "user",
+      oauth: { [provider]: providerId },
+    });
+    await AuditLog.logAction(user._id, "user_created", { provider });
+    logger.info("User registered via OAuth", { userId: user._id, provider });
+    return user;
+  }
+
+  async issueLoginCode(userId, provider) {
+    const code = crypto.randomBytes(32).toString("hex");
+    await redis.set(
+      `oauth:code:${code}`,
+      JSON.stringify({ userId: String(userId), provider }),
+      "EX",
+      LOGIN_CODE_TTL_SECONDS
+    );
+    return code;
+  }
+
+  /**
+   * Redeem a one-time login code. The code is deleted on first use.
+   * @returns {Promise<{user: Object, provider: string}>}
+   */
+  async exchangeCode(code) {
+    const key = `oauth:code:${code}`;
+    const stored = await redis.get(key);
+    // Only the request that actually deletes the key may use it
+    if (!stored || !(await redis.del(key))) {
+      throw new ApiError("Invalid or expired login code", 400);
+    }
+
+    const { userId, provider } = JSON.parse(stored);
+    const user = await User.findById(userId).select("+accountLockedUntil");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    if (user.accountLockedUntil && user.accountLockedUntil > new Date()) {
+      throw new ApiError("Account is locked. Try again later.", 403);
+    }
+    return { user, provider };
+  }
+
+  /**
+   * Linked providers and whether the account has a password.
+   */
+  async getAccounts(userId) {
+    const user = await User.findById(userId).select("+password");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    return {
+      hasPassword: Boolean(user.password),
+      linked: Object.fromEntries(OAUTH_PROVIDERS.map((p) => [p, Boolean(user.oauth?.[p])])),
+    };
+  }
+
+  /**
+   * Unlink a provider. Refused when it is the account's only way to sign in.
+   */
+  async unlink(userId, provider) {
+    const user = await User.findById(userId).select("+password");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    if (!user.oauth?.[provider]) {
+      throw new ApiError(`No ${provider} account is linked`, 404);
+    }
+
+    const otherProviders = OAUTH_PROVIDERS.filter((p) => p !== provider && user.oauth?.[p]);
+    if (!user.password && otherProviders.length === 0) {
+      throw new ApiError("Set a password or link another account before unlinking your only sign-in method", 400);
+    }
+
+    await User.updateOne({ _id: userId }, { $unset: { [`oauth.${provider}`]: 1 } });
+    await AuditLog.logAction(user._id, "oauth_unlinked", { provider });
+    logger.info("OAuth account unlinked", { userId, provider });
+
+    return this.getAccounts(userId);
+  }
+}
+
+export default new OAuthService();
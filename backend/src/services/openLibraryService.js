@@ -11,18 +11,24 @@ class OpenLibraryService {
    * @param {string} [params.title] - Book title
    * @param {string} [params.author] - Author name
    * @param {string} [params.subject] - Subject/category to search for
+   * @param {string} [params.isbn] - ISBN-10 or ISBN-13 (exact identifier lookup)
+   * @param {string} [params.q] - Raw Solr query (field:value, AND/OR/NOT, ranges)
    * @param {number} [params.page=1] - Page number
    * @returns {Promise<Object>} Search results with data and pagination
    */
-  async search({ title, author, subject, page = 1 }) {
+  async search({ title, author, subject, isbn, q, page = 1 }) {
     try {
-      if (!title && !author && !subject) {
-        throw new ApiError("At least one of title, author, or subject is required", 400);
+      if (!title && !author && !subject && !isbn && !q) {
+        throw new ApiError("At least one of title, author, subject, isbn, or q is required", 400);
       }
 
       // Build search query
       let query = "";
-      if (subject) {
+      if (q) {
+        query = encodeURIComponent(q);
+      } else if (isbn) {
+        query = `isbn:${encodeURIComponent(isbn.replace(/[^0-9Xx]/g, ""))}`;
+      } else if (subject) {
         // Subject search - Open Library uses "subject:" prefix
         query = `subject:${encodeURIComponent(subject)}`;
       } else if (title && author) {
@@ -430,6 +436,8 @@ class OpenLibraryService {
       publishDate: doc.publish_date?.[0] || null,
       pageCount: doc.number_of_pages_median || null,
       language: doc.language?.[0] || null,
+      averageRating: doc.ratings_average || null,
+      ratingsCount: doc.ratings_count || 0,
       // Additional fields for compatibility
       genres: normalizedSubjects,
       category: normalizedSubjects[0] || null,
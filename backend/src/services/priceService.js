@@ -0,0 +1,167 @@
+import crypto from "crypto";
+import redis from "../config/redis.js";
+import logger from "../config/logger.js";
+import amazonPaApiService from "./amazonPaApiService.js";
+import { normalizeIsbn, isbn13To10 } from "../utils/isbn.js";
+
+// PA-API terms: show prices no older than about an hour
+const CACHE_TTL_SECONDS = 60 * 60;
+// Stored for items without an offer, so they are not looked up again every search
+const NO_OFFER = "null";
+
+const cacheKey = (id) => `price:amazon:${amazonPaApiService.config.marketplace}:${id}`;
+
+/**
+ * The PA-API item ID for a book: its ASIN, or the ISBN-10 (the ASIN of
+ * print editions). 979 ISBNs have no ISBN-10 and need a keyword search.
+ */
+export const itemIdFor = (book = {}) => {
+  if (book.asin) return String(book.asin).toUpperCase();
+  const isbn = normalizeIsbn(book.isbn);
+  if (!isbn) return null;
+  return isbn.length === 10 ? isbn : isbn13To10(isbn);
+};
+
+const searchIdFor = (book) =>
+  `q:${crypto
+    .createHash("sha1")
+    .update(`${book.title || ""}|${book.authors?.[0] || ""}`.toLowerCase())
+    .digest("hex")}`;
+
+/**
+ * PriceService — real Amazon prices for books, in front of amazonPaApiService.
+ *
+ * Lookups are cached in Redis for an hour (offers and "no offer" alike),
+ * batched into GetItems calls of up to 10 IDs and held to the PA-API quota
+ * (1 request per second by default) by the client's token bucket. Anything
+ * without a real offer gets `price: null` — prices are never estimated.
+ */
+class PriceService {
+  /**
+   * Offers for several books, in the same order (null where there is none)
+   * @param {Array<Object>} books - Books with asin/isbn (title/authors for the keyword search)
+   * @param {Object} [options]
+   * @param {number} [options.maxWaitMs=Infinity] - Longest total wait for the rate limit, across
+   *   all lookups; IDs still waiting after that get null (not cached, so a later request looks them up)
+   * @param {boolean} [options.search=false] - Keyword-search books without an item ID
+   *   (one request per book, so not for search result pages)
+   * @param {string} [options.marketplace] - Marketplace ID the prices are for; only
+   *   the PA-API marketplace (PA_API_MARKETPLACE) has prices
+   * @returns {Promise<Array<Object|null>>}
+   */
+  async getPrices(books, { maxWaitMs = Infinity, search = false, marketplace } = {}) {
+    if (!this.servesMarketplace(marketplace)) return books.map(() => null);
+    const deadline = Date.now() + maxWaitMs;
+
+    const ids = books.map((book) => itemIdFor(book) || (search && book.title ? searchIdFor(book) : null));
+    const offers = await this.readCache([...new Set(ids.filter(Boolean))]);
+
+    const missing = [...offers.keys()].filter((id) => offers.get(id) === undefined);
+    const itemIds = missing.filter((id) => !id.startsWith("q:"));
+    for (let i = 0; i < itemIds.length; i += amazonPaApiService.GET_ITEMS_MAX_IDS) {
+      const batch = itemIds.slice(i, i + amazonPaApiService.GET_ITEMS_MAX_IDS);
+      for (const [id, offer] of await this.fetchItems(batch, deadline)) offers.set(id, offer);
+    }
+
+    for (const [index, id] of ids.entries()) {
+      if (id?.startsWith("q:") && offers.get(id) === undefined) {
+        offers.set(id, await this.fetchBySearch(id, books[index], deadline));
+      }
+    }
+
+    return ids.map((id) => (id && offers.get(id)) || null);
+  }
+
+  /**
+   * Whether prices can be looked up for a marketplace (any, when omitted)
+   * @param {string} [marketplace] - Marketplace ID
+   * @returns {boolean}
+   */
+  servesMarketplace(marketplace) {
+    return amazonPaApiService.servesMarketplace(marketplace);
+  }
+
+  /**
+   * Offer for one book, keyword search included
+   * @param {Object} book
+   * @returns {Promise<Object|null>}
+   */
+  async getPrice(book) {
+    const [offer] = await this.getPrices([book], { search: true });
+    return offer;
+  }
+
+  /**
+   * Set `price` (offer or null) on each book, and link books with an offer
+   * to their Amazon product page
+   * @param {Array<Object>} books
+   * @param {Object} [options] - See getPrices
+   * @returns {Promise<Array<Object>>}
+   */
+  async enrichBooks(books, options) {
+    if (!Array.isArray(books) || books.length === 0) return books;
+
+    const offers = await this.getPrices(books, options);
+    return books.map((book, i) => ({
+      ...book,
+      price: offers[i],
+      amazonLink: offers[i]?.detailUrl || book.amazonLink || null,
+    }));
+  }
+
+  /**
+   * Cached offers by ID: an offer, null (no offer) or undefined (not cached)
+   */
+  async readCache(ids) {
+    const values = await Promise.all(ids.map((id) => redis.get(cacheKey(id)).catch(() => null)));
+    return new Map(ids.map((id, i) => [id, values[i] == null ? undefined : JSON.parse(values[i])]));
+  }
+
+  async writeCache(id, offer) {
+    try {
+      await redis.set(cacheKey(id), offer ? JSON.stringify(offer) : NO_OFFER, "EX", CACHE_TTL_SECONDS);
+    } catch (error) {
+      logger.warn("Failed to cache price", { id, error: error.message });
+    }
+  }
+
+  /**
+   * One GetItems call. Failed lookups give null without being cached.
+   * @param {string[]} ids
+   * @param {number} deadline - Time (ms) after which the rate limit is no longer waited for
+   * @returns {Promise<Map<string, Object|null>>}
+   */
+  async fetchItems(ids, deadline) {
+    const offers = new Map(ids.map((id) => [id, null]));
+    if (!(await this.takeToken(deadline))) {
+      logger.debug("PA-API rate limit reached, skipping price lookup", { count: ids.length });
+      return offers;
+    }
+
+    try {
+      const items = await amazonPaApiService.getItems(ids);
+      for (const item of items) offers.set(item.ASIN, amazonPaApiService.bestOffer(item));
+      await Promise.all(ids.map((id) => this.writeCache(id, offers.get(id))));
+    } catch (error) {
+      logger.warn("PA-API GetItems failed", { count: ids.length, error: error.message });
+    }
+    return offers;
+  }
+
+  async fetchBySearch(id, book, deadline) {
+    if (!(await this.takeToken(deadline))) return null;
+
+    // getBookPrice logs and swallows PA-API errors; an error then caches as
+    // "no offer" for an hour, which also keeps a failing search off the quota
+    const offer = await amazonPaApiService.getBookPrice({ title: book.title, authors: book.authors });
+    await this.writeCache(id, offer);
+    return offer;
+  }
+
+  // A PA-API request slot, if one frees up before the deadline
+  takeToken(deadline) {
+    return amazonPaApiService.bucket.take({ maxWaitMs: Math.max(0, deadline - Date.now()) });
+  }
+}
+
+export default new PriceService();
@@ -0,0 +1,223 @@
+import BookCollection from "../models/BookCollection.js";
+import ReadingGoal from "../models/ReadingGoal.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// How far from the expected pace (as a share of the target) still counts as "on-track"
+const ON_TRACK_TOLERANCE = 0.02;
+
+/**
+ * ReadingGoalService — yearly/monthly reading targets and pace tracking.
+ *
+ * Goals only store the target. Progress is derived from books with
+ * readStatus "completed" and a `dateFinished` inside the goal's period,
+ * de-duplicated by bookId across all of the user's collections.
+ */
+class ReadingGoalService {
+  /**
+   * Load every completed book the user finished within [start, end).
+   */
+  async _getFinishedBooks(userId, start, end) {
+    const collections = await BookCollection.find({
+      user: userId,
+      "books.readStatus": "completed",
+    }).select("books");
+
+    const finished = new Map();
+    for (const collection of collections) {
+      for (const book of collection.books) {
+        if (book.readStatus !== "completed" || !book.dateFinished) continue;
+        const finishedAt = new Date(book.dateFinished);
+        if (finishedAt < start || finishedAt >= end) continue;
+        if (!finished.has(book.bookId)) {
+          finished.set(book.bookId, book);
+        }
+      }
+    }
+    return [...finished.values()];
+  }
+
+  /**
+   * Compute progress and pace for a goal given the books finished in its period.
+   */
+  _computeProgress(goal, finishedBooks, now = new Date()) {
+    const { start, end } = goal.getPeriodRange();
+
+    const current =
+      goal.metric === "pages"
+        ? finishedBooks.reduce((sum, b) => sum + (b.pageCount || 0), 0)
+        : finishedBooks.length;
+
+    const totalMs = end - start;
+    const elapsedMs = Math.min(totalMs, Math.max(0, now - start));
+    const elapsedFraction = elapsedMs / totalMs;
+    const expected = goal.target * elapsedFraction;
+    const remaining = Math.max(0, goal.target - current);
+    const weeksLeft = Math.max(0, end - Math.max(now, start)) / WEEK_MS;
+
+    let status;
+    if (current >= goal.target) {
+      status = "completed";
+    } else if (now >= end) {
+      status = "missed";
+    } else if (now < start) {
+      status = "not-started";
+    } else if (current - expected > goal.target * ON_TRACK_TOLERANCE) {
+      status = "ahead";
+    } else if (expected - current > goal.target * ON_TRACK_TOLERANCE) {
+      status = "behind";
+    } else {
+      status = "on-track";
+    }
+
+    const round = (n) => Math.round(n * 100) / 100;
+
+    return {
+      current,
+      target: goal.target,
+      remaining,
+      percentComplete: Math.min(100, Math.round((current / goal.target) * 100)),
+      expectedByNow: round(expected),
+      // Positive = ahead of schedule, negative = behind
+      difference: round(current - expected),
+      status,
+      weeksLeft: round(weeksLeft),
+      requiredPerWeek:
+        remaining === 0 ? 0 : weeksLeft > 0 ? round(remaining / weeksLeft) : null,
+      projectedTotal:
+        elapsedFraction > 0 ? Math.round(current / elapsedFraction) : null,
+      periodStart: start,
+      periodEnd: end,
+    };
+  }
+
+  async _withProgress(userId, goal) {
+    const { start, end } = goal.getPeriodRange();
+    const finishedBooks = await this._getFinishedBooks(userId, start, end);
+    return {
+      ...goal.toObject(),
+      progress: this._computeProgress(goal, finishedBooks),
+    };
+  }
+
+  /**
+   * List the user's goals with computed progress.
+   * listGoals(userId, { year, period })
+   */
+  async listGoals(userId, { year, period } = {}) {
+    try {
+      const filter = { user: userId };
+      if (year) filter.year = year;
+      if (period) filter.period = period;
+
+      const goals = await ReadingGoal.find(filter).sort({ year: -1, month: -1 });
+      return Promise.all(goals.map((goal) => this._withProgress(userId, goal)));
+    } catch (error) {
+      logger.error("listGoals error", { userId, error: error.message });
+      throw new ApiError(`Failed to load reading goals: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Get a single goal with progress.
+   */
+  async getGoal(userId, goalId) {
+    try {
+      const goal = await ReadingGoal.findOne({ _id: goalId, user: userId });
+      if (!goal) {
+        throw new ApiError("Reading goal not found", 404);
+      }
+      return this._withProgress(userId, goal);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("getGoal error", { userId, goalId, error: error.message });
+      throw new ApiError(`Failed to load reading goal: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Create a goal. A user can only have one goal per period/metric/slot.
+   * createGoal(userId, { period, metric, target, year, month })
+   */
+  async createGoal(userId, { period, metric = "books", target, year, month }) {
+    try {
+      const slot = { user: userId, period, metric, year };
+      if (period === "monthly") {
+        slot.month = month;
+      }
+
+      const existing = await ReadingGoal.findOne(slot);
+      if (existing) {
+        throw new ApiError("A goal for this period and metric already exists", 409);
+      }
+
+      const goal = await ReadingGoal.create({ ...slot, target });
+
+      logger.info("Reading goal created", {
+        userId,
+        goalId: goal._id,
+        period,
+        metric,
+        target,
+      });
+
+      return this._withProgress(userId, goal);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      // A concurrent create for the same slot lost the race on the unique index
+      if (error?.code === 11000) {
+        throw new ApiError("A goal for this period and metric already exists", 409);
+      }
+      logger.error("createGoal error", { userId, error: error.message });
+      throw new ApiError(`Failed to create reading goal: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Change a goal's target.
+   */
+  async updateGoal(userId, goalId, { target }) {
+    try {
+      const goal = await ReadingGoal.findOne({ _id: goalId, user: userId });
+      if (!goal) {
+        throw new ApiError("Reading goal not found", 404);
+      }
+
+      goal.target = target;
+      await goal.save();
+
+      logger.info("Reading goal updated", { userId, goalId, target });
+
+      return this._withProgress(userId, goal);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("updateGoal error", { userId, goalId, error: error.message });
+      throw new ApiError(`Failed to update reading goal: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Delete a goal.
+   */
+  async deleteGoal(userId, goalId) {
+    try {
+      const deleted = await ReadingGoal.findOneAndDelete({ _id: goalId, user: userId });
+      if (!deleted) {
+        throw new ApiError("Reading goal not found", 404);
+      }
+
+      logger.info("Reading goal deleted", { userId, goalId });
+
+      return { deleted: true, goalId };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("deleteGoal error", { userId, goalId, error: error.message });
+      throw new ApiError(`Failed to delete reading goal: ${error.message}`, 500);
+    }
+  }
+}
+
+export default new ReadingGoalService();
@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+import RecommendationFeedback from "../models/RecommendationFeedback.js";
+import catalogService from "./catalogService.js";
+import { bookKey, EXCLUDING_FEEDBACK } from "./localRecommendationService.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+const MAX_FEEDBACK_LOADED = 500;
+
+/**
+ * RecommendationFeedbackService — thumbs up/down, "not interested" and
+ * "already read" on recommended titles.
+ */
+class RecommendationFeedbackService {
+  /**
+   * Store (or replace) the user's feedback on a title.
+   * record(userId, { title, authors, genres, bookId, workId, feedback })
+   */
+  async record(userId, { title, authors = [], genres = [], bookId, workId, feedback }) {
+    try {
+      if (!title) {
+        throw new ApiError("title is required", 400);
+      }
+
+      // Tie the feedback to the catalog work when the title is known there
+      const resolvedWorkId =
+        workId && mongoose.Types.ObjectId.isValid(workId)
+          ? workId
+          : (await catalogService.findWork({ title, authors }).catch(() => null))?._id;
+
+      const entry = await RecommendationFeedback.findOneAndUpdate(
+        { user: userId, key: bookKey({ title, authors }) },
+        {
+          feedback,
+          title,
+          authors,
+          genres,
+          bookId: bookId || undefined,
+          workId: resolvedWorkId || undefined,
+        },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+
+      logger.info("Recommendation feedback recorded", { userId, title, feedback });
+
+      return entry;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("record feedback error", { userId, title, error: error.message });
+      throw new ApiError(`Failed to record feedback: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * The user's feedback, newest first, optionally of one type.
+   */
+  async list(userId, { feedback } = {}) {
+    try {
+      const filter = { user: userId };
+      if (feedback) filter.feedback = feedback;
+      return await RecommendationFeedback.find(filter)
+        .sort({ updatedAt: -1 })
+        .limit(MAX_FEEDBACK_LOADED)
+        .lean();
+    } catch (error) {
+      logger.error("list feedback error", { userId, error: error.message });
+      throw new ApiError(`Failed to load feedback: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Withdraw a piece of feedback so the title can be recommended again.
+   */
+  async remove(userId, feedbackId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(feedbackId)) {
+        throw new ApiError("Feedback not found", 404);
+      }
+
+      const deleted = await RecommendationFeedback.findOneAndDelete({ _id: feedbackId, user: userId });
+      if (!deleted) {
+        throw new ApiError("Feedback not found", 404);
+      }
+
+      logger.info("Recommendation feedback removed", { userId, feedbackId });
+
+      return { deleted: true, feedbackId };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("remove feedback error", { userId, feedbackId, error: error.message });
+      throw new ApiError(`Failed to remove feedback: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Keys and work IDs of titles that must not be recommended again.
+   */
+  exclusions(feedback) {
+    const excluded = feedback.filter((f) => EXCLUDING_FEEDBACK.includes(f.feedback));
+    return {
+      keys: new Set(excluded.map((f) => f.key)),
+      workIds: new Set(excluded.filter((f) => f.workId).map((f) => String(f.workId))),
+    };
+  }
+}
+
+export default new RecommendationFeedbackService();
@@ -0,0 +1,195 @@
+import amazonAffiliateService from "./amazonAffiliateService.js";
+import asinService from "./asinService.js";
+import { toIsbn13 } from "../utils/isbn.js";
+import logger from "../config/logger.js";
+
+// Kobo store paths by region (kobo.com/<country>/<language>)
+const KOBO_LOCALES = {
+  us: "us/en",
+  uk: "gb/en",
+  ca: "ca/en",
+  de: "de/de",
+  fr: "fr/fr",
+  it: "it/it",
+  es: "es/es",
+  nl: "nl/nl",
+};
+
+const searchQuery = (book) => [book.title, book.authors?.[0]].filter(Boolean).join(" ");
+
+// Awin (Thalia) and Rakuten (Kobo) wrap the store URL in their click tracker
+const awinLink = (url, { advertiserId, publisherId }) =>
+  `https://www.awin1.com/cread.php?awinmid=${advertiserId}&awinaffid=${publisherId}&ued=${encodeURIComponent(url)}`;
+
+const rakutenLink = (url, { publisherId, merchantId }) =>
+  `https://click.linksynergy.com/deeplink?id=${publisherId}&mid=${merchantId}&murl=${encodeURIComponent(url)}`;
+
+/**
+ * RetailerLinkService — the places a book can be bought or borrowed, for
+ * the "where to buy" list and the affiliate click redirect.
+ *
+ * Each provider builds a link from the book's ISBN (a deep link to that
+ * edition), or a title/author search when there is none. `affiliate` holds
+ * the provider's affiliate parameters from the environment; without them
+ * links are still offered, just untracked. `regions` limits a provider to
+ * readers in those marketplaces (config/marketplaces.js IDs).
+ */
+class RetailerLinkService {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider.
+   * register({ name, label, type, regions, affiliate, link })
+   * `link(book, { marketplace, region, isbn13 })` resolves to
+   * `{ url, deepLink }` or null when the provider has no link for the book.
+   * `type` is "buy", "ebook" or "borrow".
+   */
+  register({ name, label, type = "buy", regions = null, affiliate = null, link }) {
+    this.providers.set(name, { name, label: label || name, type, regions, affiliate, link });
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * Providers enabled through RETAILERS (comma-separated names), or all of them.
+   * Amazon is always enabled.
+   */
+  enabled() {
+    const configured = (process.env.RETAILERS || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    const all = [...this.providers.values()];
+    return configured.length ? all.filter((p) => p.name === "amazon" || configured.includes(p.name)) : all;
+  }
+
+  /**
+   * One provider's link for a book
+   * @param {string} name - Provider name
+   * @param {Object} book - title, authors, isbn (asin and _id for local books)
+   * @param {Object} [context]
+   * @param {string} [context.marketplace] - Amazon marketplace (tagged) for the reader
+   * @param {string} [context.region] - The reader's region, any marketplace ID
+   * @returns {Promise<Object|null>} Offer ({ retailer, label, type, url, deepLink, affiliate }) or null
+   */
+  async linkFor(name, book, { marketplace, region } = {}) {
+    const provider = this.enabled().find((p) => p.name === name);
+    if (!provider || (provider.regions && !provider.regions.includes(region))) return null;
+
+    try {
+      const link = await provider.link(book, { marketplace, region, isbn13: toIsbn13(book.isbn) });
+      if (!link?.url) return null;
+      return {
+        retailer: provider.name,
+        label: provider.label,
+        type: provider.type,
+        url: link.url,
+        deepLink: link.deepLink,
+        affiliate: Boolean(provider.affiliate),
+      };
+    } catch (error) {
+      logger.warn("Retailer link failed", { retailer: name, title: book.title, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Every enabled provider's link for a book, in registration order
+   * @param {Object} book
+   * @param {Object} [context] - See linkFor
+   * @returns {Promise<Array<Object>>}
+   */
+  async offersFor(book, context) {
+    const offers = await Promise.all(this.enabled().map((p) => this.linkFor(p.name, book, context)));
+    return offers.filter(Boolean);
+  }
+}
+
+const bookshopAffiliate = {
+  us: process.env.BOOKSHOP_AFFILIATE_ID || null,
+  uk: process.env.BOOKSHOP_UK_AFFILIATE_ID || null,
+};
+const thaliaAffiliate =
+  process.env.THALIA_AWIN_ADVERTISER_ID && process.env.THALIA_AWIN_PUBLISHER_ID
+    ? { advertiserId: process.env.THALIA_AWIN_ADVERTISER_ID, publisherId: process.env.THALIA_AWIN_PUBLISHER_ID }
+    : null;
+const koboAffiliate =
+  process.env.KOBO_RAKUTEN_PUBLISHER_ID && process.env.KOBO_RAKUTEN_MERCHANT_ID
+    ? { publisherId: process.env.KOBO_RAKUTEN_PUBLISHER_ID, merchantId: process.env.KOBO_RAKUTEN_MERCHANT_ID }
+    : null;
+
+const registry = new RetailerLinkService();
+
+registry
+  .register({
+    name: "amazon",
+    label: "Amazon",
+    affiliate: amazonAffiliateService.isConfigured() ? { tags: amazonAffiliateService.tags } : null,
+    link: async (book, { marketplace }) => {
+      // Local books keep their resolved ASIN (asinService)
+      const asin = book._id ? await asinService.resolveForBook(book, { marketplace }) : book.asin;
+      const url = await amazonAffiliateService.generateAffiliateLink({
+        title: book.title,
+        authors: book.authors || [],
+        marketplace,
+        asin,
+        isbn: book.isbn,
+        lookup: true,
+      });
+      return url && { url, deepLink: url.includes("/dp/") };
+    },
+  })
+  .register({
+    name: "bookshop",
+    label: "Bookshop.org",
+    regions: ["us", "uk"],
+    affiliate: bookshopAffiliate.us || bookshopAffiliate.uk ? bookshopAffiliate : null,
+    link: (book, { region, isbn13 }) => {
+      const host = region === "uk" ? "uk.bookshop.org" : "bookshop.org";
+      const affiliateId = bookshopAffiliate[region];
+      if (!isbn13) {
+        return { url: `https://${host}/search?keywords=${encodeURIComponent(searchQuery(book))}`, deepLink: false };
+      }
+      const url = affiliateId ? `https://${host}/a/${affiliateId}/${isbn13}` : `https://${host}/book/${isbn13}`;
+      return { url, deepLink: true };
+    },
+  })
+  .register({
+    name: "thalia",
+    label: "Thalia",
+    regions: ["de"],
+    affiliate: thaliaAffiliate,
+    link: (book, { isbn13 }) => {
+      const url = `https://www.thalia.de/suche?sq=${encodeURIComponent(isbn13 || searchQuery(book))}`;
+      return { url: thaliaAffiliate ? awinLink(url, thaliaAffiliate) : url, deepLink: Boolean(isbn13) };
+    },
+  })
+  .register({
+    name: "kobo",
+    label: "Kobo",
+    type: "ebook",
+    affiliate: koboAffiliate,
+    link: (book, { region, isbn13 }) => {
+      const locale = KOBO_LOCALES[region] || "us/en";
+      const url = `https://www.kobo.com/${locale}/search?query=${encodeURIComponent(isbn13 || searchQuery(book))}`;
+      return { url: koboAffiliate ? rakutenLink(url, koboAffiliate) : url, deepLink: Boolean(isbn13) };
+    },
+  })
+  .register({
+    // WorldCat lists the libraries near the reader that hold the edition
+    name: "library",
+    label: "Borrow from your library",
+    type: "borrow",
+    link: (book, { isbn13 }) =>
+      isbn13
+        ? { url: `https://search.worldcat.org/isbn/${isbn13}`, deepLink: true }
+        : { url: `https://search.worldcat.org/search?q=${encodeURIComponent(searchQuery(book))}`, deepLink: false },
+  });
+
+export { RetailerLinkService };
+export default registry;
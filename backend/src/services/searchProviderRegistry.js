@@ -0,0 +1,229 @@
+import Edition from "../models/Edition.js";
+import openLibraryService from "./openLibraryService.js";
+import { searchGoogleBooks } from "./googleBooksService.js";
+import { toGoogleQuery, toOpenLibraryQuery, toLocalFilter } from "./searchQueryBuilder.js";
+import { CircuitBreaker } from "../utils/circuitBreaker.js";
+import { toIsbn13 } from "../utils/isbn.js";
+import logger from "../config/logger.js";
+
+const LOCAL_PAGE_SIZE = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Search the local catalog editions (books resolved from provider detail
+ * pages, libraries and imports) and shape them like provider results.
+ */
+async function searchLocalBooks({ title, author, subject, isbn, page = 1 }) {
+  const filter = {};
+  if (isbn) {
+    // Catalog editions always carry the ISBN-13 form
+    filter.isbn13 = toIsbn13(isbn);
+    if (!filter.isbn13) return [];
+  } else {
+    if (title) filter.title = new RegExp(escapeRegex(title), "i");
+    if (author) filter.authors = new RegExp(escapeRegex(author), "i");
+    if (subject) filter.categories = new RegExp(escapeRegex(subject), "i");
+  }
+  return findLocalBooks(filter, page);
+}
+
+async function findLocalBooks(filter, page = 1) {
+  const books = await Edition.find(filter)
+    .sort({ ratingsCount: -1, createdAt: -1 })
+    .skip((page - 1) * LOCAL_PAGE_SIZE)
+    .limit(LOCAL_PAGE_SIZE)
+    .lean();
+
+  return books.map((book) => ({
+    // ISBN-only editions open as their work
+    id: book.externalId || String(book.work),
+    workId: book.work,
+    title: book.title,
+    authors: book.authors || [],
+    authorNames: book.authors || [],
+    description: book.description || null,
+    coverImage: book.coverImage || null,
+    firstPublishYear: book.publishYear || null,
+    subjects: book.categories || [],
+    genres: book.categories || [],
+    isbn: book.isbn13 || book.isbn10 || null,
+    publisher: book.publisher || null,
+    pageCount: book.pageCount || null,
+    language: book.language || null,
+    averageRating: book.averageRating || null,
+    ratingsCount: book.ratingsCount || 0,
+    source: "local",
+  }));
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.name = "TimeoutError";
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * SearchProviderRegistry — the set of book sources queried by BookSearchService.
+ *
+ * Each provider has its own timeout, circuit breaker and weight. The weight
+ * is used by the search service when ranking and merging federated results
+ * (higher = more trusted). A provider whose circuit is open is skipped
+ * without being called until its reset timeout passes.
+ */
+class SearchProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider.
+   * register({ name, label, weight, timeoutMs, failureThreshold, resetTimeoutMs, search, advancedSearch })
+   * `search(params)` and `advancedSearch(criteria)` must resolve to an array of
+   * books in the common search format. `advancedSearch` is optional; providers
+   * without it are left out of advanced searches.
+   */
+  register({ name, label, weight = 1, timeoutMs = 8000, failureThreshold = 3, resetTimeoutMs = 30000, search, advancedSearch }) {
+    this.providers.set(name, {
+      name,
+      label: label || name,
+      weight,
+      timeoutMs,
+      search,
+      advancedSearch,
+      breaker: new CircuitBreaker(`search:${name}`, { failureThreshold, resetTimeoutMs }),
+    });
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * Providers enabled through SEARCH_PROVIDERS (comma-separated names), or all of them.
+   */
+  enabled() {
+    const configured = (process.env.SEARCH_PROVIDERS || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    const all = [...this.providers.values()];
+    return configured.length ? all.filter((p) => configured.includes(p.name)) : all;
+  }
+
+  /**
+   * Query every enabled provider in parallel.
+   * With { advanced: true } the params are advanced-search criteria and each
+   * provider's `advancedSearch` is used instead of `search`.
+   * Never throws for a provider failure; failures are reported per source.
+   * Returns { results: [{ provider, weight, books }], sources: { [name]: status } }
+   */
+  async searchAll(params, { advanced = false } = {}) {
+    const providers = this.enabled().filter((p) => !advanced || p.advancedSearch);
+
+    const outcomes = await Promise.all(
+      providers.map(async (provider) => {
+        const status = {
+          label: provider.label,
+          weight: provider.weight,
+          status: "ok",
+          latencyMs: 0,
+          resultCount: 0,
+        };
+
+        if (!provider.breaker.canRequest()) {
+          status.status = "circuit-open";
+          status.circuit = provider.breaker.getState().state;
+          return { provider, books: [], status };
+        }
+
+        const startedAt = Date.now();
+        try {
+          const run = advanced ? provider.advancedSearch(params) : provider.search(params);
+          const books = await withTimeout(run, provider.timeoutMs);
+          provider.breaker.recordSuccess();
+          status.resultCount = books.length;
+          return { provider, books, status };
+        } catch (error) {
+          // A rejected query (bad parameters) says nothing about provider health
+          if (error.statusCode === 400) {
+            provider.breaker.recordNeutral();
+          } else {
+            provider.breaker.recordFailure();
+          }
+          status.status = error.name === "TimeoutError" ? "timeout" : "error";
+          status.error = error.message;
+          logger.warn("Search provider failed", {
+            provider: provider.name,
+            status: status.status,
+            error: error.message,
+          });
+          return { provider, books: [], status };
+        } finally {
+          status.latencyMs = Date.now() - startedAt;
+          status.circuit = provider.breaker.getState().state;
+        }
+      })
+    );
+
+    const sources = {};
+    for (const { provider, status } of outcomes) {
+      sources[provider.name] = status;
+    }
+
+    return {
+      results: outcomes
+        .filter(({ status }) => status.status === "ok")
+        .map(({ provider, books }) => ({ provider: provider.name, weight: provider.weight, books })),
+      sources,
+    };
+  }
+}
+
+const registry = new SearchProviderRegistry();
+
+registry
+  .register({
+    name: "googleBooks",
+    label: "Google Books",
+    weight: 1,
+    timeoutMs: 8000,
+    search: (params) => searchGoogleBooks(params),
+    advancedSearch: (criteria) =>
+      searchGoogleBooks({ ...toGoogleQuery(criteria), page: criteria.page }),
+  })
+  .register({
+    name: "openLibrary",
+    label: "Open Library",
+    weight: 0.6,
+    timeoutMs: 6000,
+    search: async (params) => {
+      const result = await openLibraryService.search(params);
+      return result.data || [];
+    },
+    advancedSearch: async (criteria) => {
+      const result = await openLibraryService.search({
+        q: toOpenLibraryQuery(criteria),
+        page: criteria.page,
+      });
+      return result.data || [];
+    },
+  })
+  .register({
+    name: "local",
+    label: "BookPath catalog",
+    weight: 0.8,
+    timeoutMs: 2000,
+    search: searchLocalBooks,
+    advancedSearch: (criteria) => findLocalBooks(toLocalFilter(criteria), criteria.page),
+  });
+
+export { SearchProviderRegistry };
+export default registry;
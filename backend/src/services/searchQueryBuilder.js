@@ -0,0 +1,218 @@
+import { normalizeIsbn, toIsbn13 } from "../utils/isbn.js";
+
+/**
+ * Translation of advanced-search criteria into each provider's query syntax.
+ *
+ * Criteria: { q, title, author, isbn, publisher, language, subject,
+ *             yearFrom, yearTo, pagesMin, pagesMax, minRating }
+ *
+ * `q` is a free-text boolean query: terms are ANDed by default, `OR` joins
+ * alternatives, `NOT term` or `-term` excludes, and "double quotes" make a
+ * phrase. AND binds tighter than OR, so `a b OR c` means (a AND b) OR c.
+ */
+
+// ISO 639-1 (used by Google Books and our catalog) -> MARC codes (Open Library)
+const MARC_LANGUAGES = {
+  en: "eng",
+  es: "spa",
+  fr: "fre",
+  de: "ger",
+  it: "ita",
+  pt: "por",
+  nl: "dut",
+  sv: "swe",
+  pl: "pol",
+  ru: "rus",
+  zh: "chi",
+  ja: "jpn",
+  ko: "kor",
+  ar: "ara",
+  tr: "tur",
+};
+
+const ISO_LANGUAGES = Object.fromEntries(
+  Object.entries(MARC_LANGUAGES).map(([iso, marc]) => [marc, iso])
+);
+
+/**
+ * Normalize a provider language code ("en", "eng", "en-US") to ISO 639-1
+ */
+export const toIsoLanguage = (code) => {
+  if (!code) return null;
+  const lower = String(code).toLowerCase();
+  return ISO_LANGUAGES[lower] || lower.slice(0, 2);
+};
+
+/**
+ * Parse a boolean query into groups: an OR of ANDed clauses.
+ * @param {string} input - e.g. `"the dark tower" king -movie OR tolkien`
+ * @returns {Array<Array<{ text: string, phrase: boolean, negated: boolean }>>}
+ */
+export const parseBooleanQuery = (input) => {
+  const groups = [[]];
+  const tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+  let negateNext = false;
+  let match;
+
+  while ((match = tokenPattern.exec(input || ""))) {
+    const [, minus, quoted, word] = match;
+
+    if (word === "AND") continue;
+    if (word === "OR") {
+      if (groups[groups.length - 1].length > 0) groups.push([]);
+      continue;
+    }
+    if (word === "NOT") {
+      negateNext = true;
+      continue;
+    }
+
+    let text = quoted !== undefined ? quoted.trim() : word;
+    let negated = negateNext || minus === "-";
+    if (quoted === undefined && text.startsWith("-") && text.length > 1) {
+      negated = true;
+      text = text.slice(1);
+    }
+    negateNext = false;
+    if (!text) continue;
+
+    groups[groups.length - 1].push({ text, phrase: quoted !== undefined, negated });
+  }
+
+  return groups.filter((group) => group.length > 0);
+};
+
+const quote = (value) => (/\s/.test(value) ? `"${value.replace(/"/g, "")}"` : value);
+
+/**
+ * Google Books `q` string plus request parameters.
+ * @returns {{ q: string, langRestrict?: string }}
+ */
+export const toGoogleQuery = (criteria) => {
+  const parts = [];
+
+  const keywords = parseBooleanQuery(criteria.q)
+    .map((group) =>
+      group
+        .map((c) => `${c.negated ? "-" : ""}${c.phrase ? `"${c.text}"` : c.text}`)
+        .join(" ")
+    )
+    .join(" OR ");
+  if (keywords) parts.push(keywords);
+
+  const isbn = normalizeIsbn(criteria.isbn);
+  if (isbn) parts.push(`isbn:${isbn}`);
+  if (criteria.title) parts.push(`intitle:${quote(criteria.title)}`);
+  if (criteria.author) parts.push(`inauthor:${quote(criteria.author)}`);
+  if (criteria.publisher) parts.push(`inpublisher:${quote(criteria.publisher)}`);
+  if (criteria.subject) parts.push(`subject:${quote(criteria.subject)}`);
+
+  return {
+    q: parts.join(" "),
+    langRestrict: criteria.language || undefined,
+  };
+};
+
+// Characters with a meaning in Solr query syntax
+const solrTerm = (text) => text.replace(/[\\+\-!():^[\]{}~*?|&/"]/g, " ").trim();
+const solrValue = (text) => `"${text.replace(/[\\"]/g, " ").trim()}"`;
+const solrRange = (from, to) => `[${from ?? "*"} TO ${to ?? "*"}]`;
+
+/**
+ * Open Library search `q` string (Solr syntax).
+ * @returns {string}
+ */
+export const toOpenLibraryQuery = (criteria) => {
+  const parts = [];
+
+  const groups = parseBooleanQuery(criteria.q)
+    .map((group) => {
+      const clauses = group
+        .map((c) => {
+          const text = c.phrase ? solrValue(c.text) : solrTerm(c.text);
+          return text ? `${c.negated ? "NOT " : ""}${text}` : null;
+        })
+        .filter(Boolean);
+      if (clauses.length === 0) return null;
+      // A purely negative group needs something to subtract from
+      if (group.every((c) => c.negated)) clauses.unshift("*:*");
+      return `(${clauses.join(" AND ")})`;
+    })
+    .filter(Boolean);
+  if (groups.length) parts.push(groups.length > 1 ? `(${groups.join(" OR ")})` : groups[0]);
+
+  const isbn = normalizeIsbn(criteria.isbn);
+  if (isbn) parts.push(`isbn:${isbn}`);
+  if (criteria.title) parts.push(`title:${solrValue(criteria.title)}`);
+  if (criteria.author) parts.push(`author:${solrValue(criteria.author)}`);
+  if (criteria.publisher) parts.push(`publisher:${solrValue(criteria.publisher)}`);
+  if (criteria.subject) parts.push(`subject:${solrValue(criteria.subject)}`);
+  if (criteria.language && MARC_LANGUAGES[criteria.language]) {
+    parts.push(`language:${MARC_LANGUAGES[criteria.language]}`);
+  }
+  if (criteria.yearFrom || criteria.yearTo) {
+    parts.push(`first_publish_year:${solrRange(criteria.yearFrom, criteria.yearTo)}`);
+  }
+  if (criteria.pagesMin || criteria.pagesMax) {
+    parts.push(`number_of_pages_median:${solrRange(criteria.pagesMin, criteria.pagesMax)}`);
+  }
+  if (criteria.minRating) {
+    parts.push(`ratings_average:${solrRange(criteria.minRating)}`);
+  }
+
+  return parts.join(" AND ");
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * MongoDB filter for the local catalog editions.
+ * @returns {Object}
+ */
+export const toLocalFilter = (criteria) => {
+  const and = [];
+
+  const groups = parseBooleanQuery(criteria.q);
+  if (groups.length) {
+    const matchText = (text) => {
+      const pattern = new RegExp(escapeRegex(text), "i");
+      return { $or: [{ title: pattern }, { authors: pattern }, { description: pattern }] };
+    };
+    and.push({
+      $or: groups.map((group) => ({
+        $and: group.map((c) => (c.negated ? { $nor: [matchText(c.text)] } : matchText(c.text))),
+      })),
+    });
+  }
+
+  const isbn13 = toIsbn13(criteria.isbn);
+  if (isbn13) and.push({ isbn13 });
+  if (criteria.title) and.push({ title: new RegExp(escapeRegex(criteria.title), "i") });
+  if (criteria.author) and.push({ authors: new RegExp(escapeRegex(criteria.author), "i") });
+  if (criteria.publisher) and.push({ publisher: new RegExp(escapeRegex(criteria.publisher), "i") });
+  if (criteria.subject) and.push({ categories: new RegExp(escapeRegex(criteria.subject), "i") });
+  if (criteria.language) and.push({ language: criteria.language });
+  if (criteria.yearFrom || criteria.yearTo) {
+    const publishYear = {};
+    if (criteria.yearFrom) publishYear.$gte = criteria.yearFrom;
+    if (criteria.yearTo) publishYear.$lte = criteria.yearTo;
+    and.push({ publishYear });
+  }
+  if (criteria.pagesMin || criteria.pagesMax) {
+    const pageCount = {};
+    if (criteria.pagesMin) pageCount.$gte = criteria.pagesMin;
+    if (criteria.pagesMax) pageCount.$lte = criteria.pagesMax;
+    and.push({ pageCount });
+  }
+  if (criteria.minRating) and.push({ averageRating: { $gte: criteria.minRating } });
+
+  return and.length ? { $and: and } : {};
+};
+
+export default {
+  parseBooleanQuery,
+  toGoogleQuery,
+  toOpenLibraryQuery,
+  toLocalFilter,
+  toIsoLanguage,
+};
@@ -22,17 +22,30 @@ export function cacheKeyForEntry(entry, type) {
 }
 
 /**
- * Fetch (or return cached) books for a landing page. Upstream failures are
- * swallowed and return [] so one bad entry never kills a batch job or a page.
+ * Affiliate links depend on the visitor's marketplace, so the cache holds
+ * the books without them and links are added per request. (Entries cached
+ * before that carried default-marketplace links; the reset replaces them.)
  */
-export async function fetchBooksForEntry(entry, type) {
+function withAffiliateLinks(books, marketplace) {
+  return amazonAffiliateService.addAffiliateLinksToBooks(
+    books.map((book) => ({ ...book, amazonLink: null })),
+    { marketplace }
+  );
+}
+
+/**
+ * Fetch (or return cached) books for a landing page, linked to `marketplace`
+ * (default marketplace when omitted). Upstream failures are swallowed and
+ * return [] so one bad entry never kills a batch job or a page.
+ */
+export async function fetchBooksForEntry(entry, type, { marketplace } = {}) {
   const cacheKey = cacheKeyForEntry(entry, type);
   try {
     const cached = await redis.get(cacheKey);
     if (cached) {
       const books = JSON.parse(cached);
       logger.debug("SEO book cache hit", { type, slug: entry.slug, count: books.length });
-      return books;
+      return withAffiliateLinks(books, marketplace);
     }
   } catch (err) {
     logger.warn("SEO cache read failed", { type, slug: entry.slug, error: err.message });
@@ -41,14 +54,13 @@ export async function fetchBooksForEntry(entry, type) {
   try {
     const books = await searchGoogleBooks(searchParamsForEntry(entry, type));
     const trimmed = (books || []).slice(0, MAX_BOOKS);
-    const enriched = await amazonAffiliateService.addAffiliateLinksToBooks(trimmed);
 
     try {
-      await redis.set(cacheKey, JSON.stringify(enriched), "EX", CACHE_TTL);
+      await redis.set(cacheKey, JSON.stringify(trimmed), "EX", CACHE_TTL);
     } catch (err) {
       logger.warn("SEO cache write failed", { type, slug: entry.slug, error: err.message });
     }
-    return enriched;
+    return withAffiliateLinks(trimmed, marketplace);
   } catch (err) {
     logger.error("SEO book fetch failed", { type, slug: entry.slug, error: err.message });
     return [];
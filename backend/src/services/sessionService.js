@@ -0,0 +1,301 @@
+import crypto from "crypto";
+import redis from "../config/redis.js";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import { generateTokens, verifyToken } from "../utils/jwtUtils.js";
+import { blacklistJwt } from "../utils/authRedisUtils.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+// Session metadata lives next to the JWT whitelist/blacklist keys
+const sessionKey = (userId, sessionId) => `jwt:session:${userId}:${sessionId}`;
+const indexKey = (userId) => `jwt:sessions:${userId}`;
+
+// Compare-and-swap on a session: replace it only while it still holds the
+// refresh token the caller read. 1 = swapped, 0 = session gone, -1 = another
+// request rotated it first.
+const SWAP_SESSION_SCRIPT = `
+local raw = redis.call("GET", KEYS[1])
+if not raw then return 0 end
+if cjson.decode(raw).refreshJti ~= ARGV[1] then return -1 end
+redis.call("SET", KEYS[1], ARGV[2], "EX", ARGV[3])
+return 1
+`;
+
+// ioredis runs the script with EVALSHA; the development MockRedis implements swapSession itself
+if (typeof redis.defineCommand === "function" && !redis.swapSession) {
+  redis.defineCommand("swapSession", { numberOfKeys: 1, lua: SWAP_SESSION_SCRIPT });
+}
+
+// lastUsedAt is refreshed at most this often by authenticated requests
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * "15m" / "7d" / "3600" → seconds (the formats JWT_*_EXPIRES_IN use)
+ */
+export function durationToSeconds(value, fallback) {
+  const match = /^(\d+)\s*([smhd])?$/.exec(String(value ?? "").trim());
+  return match ? Number(match[1]) * UNITS[match[2] || "s"] : fallback;
+}
+
+const accessTtl = () => durationToSeconds(process.env.JWT_EXPIRES_IN, 15 * 60);
+const refreshTtl = () => durationToSeconds(process.env.JWT_REFRESH_EXPIRES_IN, 7 * 86400);
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Firefox", /Firefox\//],
+  ["Chrome", /Chrome\//],
+  ["Safari", /Safari\//],
+];
+const SYSTEMS = [
+  ["iOS", /iPhone|iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * Short human label for a User-Agent, e.g. "Firefox on Windows".
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) return "Unknown device";
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (!browser && !system) return userAgent.split(/[\s(]/)[0].slice(0, 40); // e.g. "curl/8.5.0"
+  return [browser, system].filter(Boolean).join(" on ");
+}
+
+const publicView = (session, currentSessionId) => ({
+  id: session.id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  current: session.id === currentSessionId,
+});
+
+/**
+ * SessionService — one session per sign-in (device).
+ *
+ * A session is a refresh token family: every refresh rotates the refresh
+ * token, and only the newest one is accepted. If an older refresh token of
+ * the family comes back, it was copied, so the whole session is revoked.
+ * Both tokens carry the session ID (`sid`); revoking a session blacklists its
+ * current access token and deletes the metadata, so its refresh token stops
+ * working too. Rotation is a compare-and-swap on the stored refresh token ID,
+ * so of two concurrent refreshes with the same token only one wins; the
+ * other counts as reuse.
+ */
+class SessionService {
+  /**
+   * Start a session and issue its first token pair.
+   * @returns {Promise<{accessToken: string, refreshToken: string, sessionId: string}>}
+   */
+  async issueTokens(user, req) {
+    const sessionId = crypto.randomUUID();
+    const { accessToken, refreshToken, jti, refreshJti } = await generateTokens(
+      user._id,
+      user.role || "user",
+      user.tokenVersion || 0,
+      { sessionId }
+    );
+
+    const now = new Date();
+    const userAgent = (req?.get?.("user-agent") || "").slice(0, 256);
+    await this._save(user._id, {
+      id: sessionId,
+      device: describeDevice(userAgent),
+      userAgent,
+      ip: req?.ip,
+      createdAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + refreshTtl() * 1000).toISOString(),
+      accessJti: jti,
+      refreshJti,
+    });
+    await redis.sadd(indexKey(user._id), sessionId);
+    await redis.expire(indexKey(user._id), refreshTtl());
+
+    return { accessToken, refreshToken, sessionId };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair (rotation with reuse detection).
+   */
+  async rotate(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = await verifyToken(refreshToken, true);
+    } catch (error) {
+      throw new ApiError(error.name === "TokenExpiredError" ? "Refresh token expired" : "Invalid refresh token", 401);
+    }
+    if (decoded.type !== "refresh" || !decoded.sid) {
+      throw new ApiError("Invalid refresh token", 401);
+    }
+
+    const userId = decoded.sub;
+    const session = await this._get(userId, decoded.sid);
+    if (!session) {
+      throw new ApiError("Session expired or revoked", 401);
+    }
+
+    if (session.refreshJti !== decoded.jti) {
+      // An already rotated refresh token came back — someone else has a copy
+      await this._revoke(userId, session);
+      await AuditLog.logAction(userId, "refresh_token_reused", { sessionId: session.id, device: session.device }, req);
+      logger.warn("Refresh token reuse detected, session revoked", { userId, sessionId: session.id });
+      throw new ApiError("Refresh token has already been used. Please sign in again.", 401);
+    }
+
+    const user = await User.findById(userId).select("+accountLockedUntil");
+    if (!user) {
+      await this._revoke(userId, session);
+      throw new ApiError("User not found", 401);
+    }
+    if (user.accountLockedUntil && user.accountLockedUntil > new Date()) {
+      throw new ApiError("Account is locked. Try again later.", 403);
+    }
+
+    const tokens = await generateTokens(user._id, user.role || "user", user.tokenVersion || 0, {
+      sessionId: session.id,
+    });
+    const now = new Date();
+    const swapped = await this._swap(userId, decoded.jti, {
+      ...session,
+      ip: req?.ip || session.ip,
+      lastUsedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + refreshTtl() * 1000).toISOString(),
+      accessJti: tokens.jti,
+      refreshJti: tokens.refreshJti,
+    });
+    if (swapped === 0) {
+      throw new ApiError("Session expired or revoked", 401);
+    }
+    if (swapped !== 1) {
+      // Rotated by a concurrent request with the same refresh token
+      const current = await this._get(userId, session.id);
+      if (current) await this._revoke(userId, current);
+      await AuditLog.logAction(userId, "refresh_token_reused", { sessionId: session.id, device: session.device }, req);
+      logger.warn("Concurrent refresh token reuse detected, session revoked", { userId, sessionId: session.id });
+      throw new ApiError("Refresh token has already been used. Please sign in again.", 401);
+    }
+    await redis.expire(indexKey(userId), refreshTtl());
+
+    logger.info("Tokens refreshed", { userId, sessionId: session.id });
+    return { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+  }
+
+  /**
+   * Called by authMiddleware for tokens that carry a session ID. Returns
+   * false when the session no longer exists (revoked or expired).
+   */
+  async touch(userId, sessionId, req) {
+    const session = await this._get(userId, sessionId);
+    if (!session) return false;
+
+    if (Date.now() - new Date(session.lastUsedAt).getTime() > TOUCH_INTERVAL_MS) {
+      // Skipped if a refresh rotated the session meanwhile; never write back an old refresh token
+      await this._swap(userId, session.refreshJti, {
+        ...session,
+        ip: req?.ip || session.ip,
+        lastUsedAt: new Date().toISOString(),
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Active sessions, most recently used first.
+   */
+  async list(userId, currentSessionId) {
+    const ids = await redis.smembers(indexKey(userId));
+    const sessions = [];
+    for (const id of ids) {
+      const session = await this._get(userId, id);
+      if (session) sessions.push(session);
+      else await redis.srem(indexKey(userId), id); // expired
+    }
+    return sessions
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+      .map((session) => publicView(session, currentSessionId));
+  }
+
+  /**
+   * Revoke one of the user's sessions ("sign out that device").
+   */
+  async revoke(userId, sessionId, req) {
+    const session = await this._get(userId, sessionId);
+    if (!session) {
+      throw new ApiError("Session not found", 404);
+    }
+    await this._revoke(userId, session);
+    await AuditLog.logAction(userId, "session_revoked", { sessionId, device: session.device }, req);
+    logger.info("Session revoked", { userId, sessionId });
+  }
+
+  /**
+   * End the current session on logout (no error if it is already gone).
+   */
+  async endSession(userId, sessionId) {
+    const session = sessionId ? await this._get(userId, sessionId) : null;
+    if (session) await this._revoke(userId, session);
+  }
+
+  /**
+   * Revoke every session, optionally keeping one (e.g. the current one).
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAll(userId, { except } = {}) {
+    let revoked = 0;
+    for (const id of await redis.smembers(indexKey(userId))) {
+      if (id === except) continue;
+      const session = await this._get(userId, id);
+      if (session) {
+        await this._revoke(userId, session);
+        revoked++;
+      } else {
+        await redis.srem(indexKey(userId), id);
+      }
+    }
+    return revoked;
+  }
+
+  async _get(userId, sessionId) {
+    const raw = await redis.get(sessionKey(userId, sessionId));
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  // The key lives exactly as long as the session's current refresh token
+  async _save(userId, session) {
+    await redis.set(sessionKey(userId, session.id), JSON.stringify(session), "EX", this._ttl(session));
+  }
+
+  // Save only if the stored session still has `expectedRefreshJti` (see SWAP_SESSION_SCRIPT)
+  async _swap(userId, expectedRefreshJti, session) {
+    return Number(
+      await redis.swapSession(sessionKey(userId, session.id), expectedRefreshJti, JSON.stringify(session), this._ttl(session))
+    );
+  }
+
+  _ttl(session) {
+    return Math.max(1, Math.ceil((new Date(session.expiresAt).getTime() - Date.now()) / 1000));
+  }
+
+  async _revoke(userId, session) {
+    await blacklistJwt(session.accessJti, accessTtl());
+    await redis.del(sessionKey(userId, session.id));
+    await redis.srem(indexKey(userId), session.id);
+  }
+}
+
+export default new SessionService();
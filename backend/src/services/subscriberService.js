@@ -0,0 +1,282 @@
+import crypto from "crypto";
+import { Readable } from "stream";
+import EmailSubscriber from "../models/EmailSubscriber.js";
+import emailService from "./emailService.js";
+import { generateEmailActionToken, verifyEmailActionToken } from "../utils/jwtUtils.js";
+import { toCsvRow } from "../utils/csv.js";
+import { ApiError } from "../utils/errors.js";
+import logger from "../config/logger.js";
+
+const CONFIRMATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Don't re-send the confirmation email more often than this
+const CONFIRMATION_RESEND_MS = 15 * 60 * 1000;
+
+export const EXPORT_FORMATS = ["csv", "json"];
+
+const EXPORT_COLUMNS = [
+  "email",
+  "genres",
+  "frequency",
+  "consentSource",
+  "consentRequestedAt",
+  "confirmedAt",
+  "lastDigestAt",
+];
+
+// Confirmed and not unsubscribed — the only addresses we may email
+export const CONSENTED = { confirmedAt: { $ne: null }, unsubscribedAt: null };
+
+const preferencesView = (subscriber) => ({
+  email: subscriber.email,
+  genres: subscriber.genres,
+  frequency: subscriber.frequency,
+  confirmed: Boolean(subscriber.confirmedAt),
+  subscribed: Boolean(subscriber.confirmedAt) && !subscriber.unsubscribedAt,
+});
+
+/**
+ * SubscriberService — lifecycle of the deals list: double opt-in, signed
+ * unsubscribe / preference links and the admin export.
+ *
+ * Confirmation links use a random token stored on the subscriber (like
+ * email verification). Unsubscribe and preference links are signed email
+ * action tokens without expiry, so links in old emails keep working.
+ */
+class SubscriberService {
+  unsubscribeUrl(subscriber) {
+    const token = generateEmailActionToken(subscriber._id, "unsubscribe");
+    return `${emailService.config.API_URL}/api/subscribers/unsubscribe?token=${encodeURIComponent(token)}`;
+  }
+
+  preferencesUrl(subscriber) {
+    const token = generateEmailActionToken(subscriber._id, "preferences");
+    return `${emailService.config.FRONTEND_URL}/subscription?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Request a subscription. New (or unsubscribed / unconfirmed) addresses
+   * get a confirmation email. Confirmed ones are left unchanged and get an
+   * email with their preference link instead, so changes need a link from
+   * the inbox. Always resolves the same way for the caller, so the endpoint
+   * does not reveal who is on the list.
+   */
+  async subscribe({ email, source = "book-details", context, genres, frequency }) {
+    try {
+      const subscriber =
+        (await EmailSubscriber.findOne({ email }).select(
+          "+confirmationToken +confirmationExpires +preferencesLinkSentAt"
+        )) || new EmailSubscriber({ email, source, context: context || null });
+
+      if (subscriber.confirmedAt && !subscriber.unsubscribedAt) {
+        await this._sendPreferencesLink(subscriber);
+        return { pending: true };
+      }
+
+      if (genres) subscriber.genres = [...new Set(genres)];
+      if (frequency) subscriber.frequency = frequency;
+
+      const sentRecently =
+        subscriber.confirmationExpires &&
+        subscriber.confirmationExpires > new Date(Date.now() + CONFIRMATION_TTL_MS - CONFIRMATION_RESEND_MS);
+
+      if (!sentRecently) {
+        subscriber.confirmationToken = crypto.randomBytes(32).toString("hex");
+        subscriber.confirmationExpires = new Date(Date.now() + CONFIRMATION_TTL_MS);
+        subscriber.consentRequestedAt = new Date();
+        subscriber.consentSource = context ? `${source}: ${context}` : source;
+      }
+      await subscriber.save();
+
+      if (!sentRecently) {
+        const result = await emailService.sendSubscriptionConfirmationEmail(email, subscriber.confirmationToken);
+        if (!result.success) {
+          logger.error("Failed to send subscription confirmation", { email, error: result.error });
+        }
+      }
+
+      logger.info("Subscription requested", { email, source, resent: !sentRecently });
+
+      return { pending: true };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      // Duplicate-key race on a concurrent first subscribe — the other request wins
+      if (error?.code === 11000) return { pending: true };
+      logger.error("subscribe error", { email, error: error.message });
+      throw new ApiError(`Failed to subscribe: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Mail a confirmed subscriber the link to their preference page, at most
+   * once per resend window.
+   */
+  async _sendPreferencesLink(subscriber) {
+    if (subscriber.preferencesLinkSentAt > new Date(Date.now() - CONFIRMATION_RESEND_MS)) {
+      return;
+    }
+
+    subscriber.preferencesLinkSentAt = new Date();
+    await subscriber.save();
+
+    const result = await emailService.sendSubscriptionPreferencesEmail(subscriber.email, {
+      preferencesUrl: this.preferencesUrl(subscriber),
+    });
+    if (!result.success) {
+      logger.error("Failed to send subscription preferences link", { email: subscriber.email, error: result.error });
+    }
+    logger.info("Subscription requested for a confirmed address", { subscriberId: subscriber._id });
+  }
+
+  /**
+   * Confirm the opt-in from the emailed link; records the consent time and
+   * sends the welcome email.
+   */
+  async confirm(token) {
+    try {
+      const subscriber = await EmailSubscriber.findOne({
+        confirmationToken: token,
+        confirmationExpires: { $gt: Date.now() },
+      });
+
+      if (!subscriber) {
+        throw new ApiError("Invalid or expired confirmation link", 400);
+      }
+
+      subscriber.confirmedAt = new Date();
+      subscriber.unsubscribedAt = null;
+      subscriber.confirmationToken = undefined;
+      subscriber.confirmationExpires = undefined;
+      await subscriber.save();
+
+      logger.info("Subscription confirmed", { email: subscriber.email, consentSource: subscriber.consentSource });
+
+      // A send failure must never fail the confirmation
+      emailService
+        .sendWelcomeEmail(subscriber.email, { preferencesUrl: this.preferencesUrl(subscriber) })
+        .catch((e) => logger.warn("Welcome email skipped/failed", { email: subscriber.email, error: e?.message }));
+
+      return subscriber;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("confirm subscription error", { error: error.message });
+      throw new ApiError(`Failed to confirm subscription: ${error.message}`, 500);
+    }
+  }
+
+  async _findByActionToken(token, purpose) {
+    const subscriberId = token ? verifyEmailActionToken(token, purpose) : null;
+    if (!subscriberId) {
+      throw new ApiError(`Invalid or expired ${purpose} link`, 400);
+    }
+
+    const subscriber = await EmailSubscriber.findById(subscriberId);
+    if (!subscriber) {
+      throw new ApiError("Subscriber not found", 404);
+    }
+    return subscriber;
+  }
+
+  /**
+   * Unsubscribe the address a signed token was issued for.
+   * Idempotent: an already unsubscribed address stays unsubscribed.
+   */
+  async unsubscribe(token) {
+    try {
+      const subscriber = await this._findByActionToken(token, "unsubscribe");
+
+      if (!subscriber.unsubscribedAt) {
+        subscriber.unsubscribedAt = new Date();
+        await subscriber.save();
+        logger.info("Email subscriber unsubscribed", { subscriberId: subscriber._id });
+      }
+
+      return { unsubscribed: true, email: subscriber.email };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("unsubscribe error", { error: error.message });
+      throw new ApiError(`Failed to unsubscribe: ${error.message}`, 500);
+    }
+  }
+
+  async getPreferences(token) {
+    try {
+      return preferencesView(await this._findByActionToken(token, "preferences"));
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("get subscriber preferences error", { error: error.message });
+      throw new ApiError(`Failed to load preferences: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Update genres / frequency, or leave (subscribed: false) and come back
+   * (subscribed: true) from the preference page. The page is only reachable
+   * through a link emailed to the address, so re-subscribing there counts as
+   * a confirmed opt-in.
+   */
+  async updatePreferences(token, { genres, frequency, subscribed }) {
+    try {
+      const subscriber = await this._findByActionToken(token, "preferences");
+
+      if (genres) subscriber.genres = [...new Set(genres)];
+      if (frequency) subscriber.frequency = frequency;
+
+      if (subscribed === false && !subscriber.unsubscribedAt) {
+        subscriber.unsubscribedAt = new Date();
+      } else if (subscribed === true && (subscriber.unsubscribedAt || !subscriber.confirmedAt)) {
+        subscriber.unsubscribedAt = null;
+        subscriber.confirmedAt = new Date();
+        subscriber.consentSource = "preferences";
+      }
+
+      await subscriber.save();
+
+      logger.info("Subscriber preferences updated", { subscriberId: subscriber._id, subscribed });
+
+      return preferencesView(subscriber);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error("update subscriber preferences error", { error: error.message });
+      throw new ApiError(`Failed to update preferences: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Stream consented subscribers (with consent proof) as a download.
+   */
+  sendExport(res, format = "csv") {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", format === "json" ? "application/json; charset=utf-8" : "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="bookpath-subscribers-${date}.${format}"`);
+
+    const stream = Readable.from(this.generateExport(format));
+    stream.on("error", (error) => {
+      logger.error("Subscriber export stream error", { format, error: error.message });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  }
+
+  async *generateExport(format) {
+    const cursor = EmailSubscriber.find(CONSENTED).sort({ confirmedAt: 1 }).lean().cursor();
+
+    if (format === "json") {
+      yield "[";
+      let first = true;
+      for await (const subscriber of cursor) {
+        const record = Object.fromEntries(EXPORT_COLUMNS.map((c) => [c, subscriber[c] ?? null]));
+        yield `${first ? "" : ","}\n${JSON.stringify(record)}`;
+        first = false;
+      }
+      yield "\n]\n";
+      return;
+    }
+
+    yield toCsvRow(EXPORT_COLUMNS);
+    for await (const subscriber of cursor) {
+      yield toCsvRow(EXPORT_COLUMNS.map((c) => subscriber[c]));
+    }
+  }
+}
+
+export default new SubscriberService();
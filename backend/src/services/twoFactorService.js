@@ -0,0 +1,282 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import speakeasy from "speakeasy";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import { ApiError } from "../utils/errors.js";
+import { incrementLoginAttempts, clearLoginAttempts, lockUserAccount } from "../utils/authRedisUtils.js";
+import logger from "../config/logger.js";
+
+export const RECOVERY_CODE_COUNT = 10;
+const ISSUER = "BookPath";
+// Time to enter the second factor after the password / OAuth step
+const LOGIN_CHALLENGE_TTL = "5m";
+// Wrong second factors (codes of either kind) before the account is locked
+const MAX_SECOND_FACTOR_ATTEMPTS = 5;
+
+/**
+ * Recovery codes are compared without dashes/spaces and case-insensitively,
+ * so "abcd-ef01-…" and "ABCDEF01…" are the same code.
+ */
+export const normalizeRecoveryCode = (code) => String(code || "").replace(/[^a-zA-Z0-9]/g, "").toUpperCase();
+
+// 64 random bits per code — a plain SHA-256 is enough (no dictionary to attack)
+export const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(8).toString("hex").toUpperCase().match(/.{4}/g).join("-")
+  );
+
+/**
+ * TwoFactorService — TOTP setup, recovery codes and the second login step.
+ *
+ * Setup stores a pending secret; 2FA is only enabled once the user proves
+ * their authenticator works, and that is when recovery codes are issued.
+ * Only SHA-256 hashes of recovery codes are stored, and each one is removed
+ * atomically when used. The second login step is bound to a signed
+ * challenge token from the first one, never to a bare user ID.
+ */
+class TwoFactorService {
+  /**
+   * Short-lived token proving the first factor (password or OAuth) passed.
+   * Required by both second-step endpoints.
+   */
+  createLoginChallenge(userId) {
+    return jwt.sign({ purpose: "2fa-challenge", sub: String(userId) }, process.env.JWT_SECRET, {
+      algorithm: "HS256",
+      expiresIn: LOGIN_CHALLENGE_TTL,
+    });
+  }
+
+  /**
+   * @returns {string} The user ID the challenge was issued for
+   */
+  verifyLoginChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(String(challengeToken), process.env.JWT_SECRET, { algorithms: ["HS256"] });
+      if (decoded.purpose !== "2fa-challenge" || !decoded.sub) {
+        throw new Error("purpose mismatch");
+      }
+      return decoded.sub;
+    } catch (error) {
+      logger.warn("2FA login challenge rejected", { error: error.message });
+      throw new ApiError("Your sign-in attempt expired. Sign in again.", 401);
+    }
+  }
+
+  verifyTotp(secret, token) {
+    if (!secret || !token) return false;
+    return speakeasy.totp.verify({
+      secret,
+      encoding: "base32",
+      token: String(token).replace(/\s/g, ""),
+      window: 1, // Allow 1 step (30s) before/after current time
+    });
+  }
+
+  /**
+   * Start setup: new secret + otpauth QR code (PNG data URL).
+   */
+  async setup(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    if (user.twoFactorEnabled) {
+      throw new ApiError("Two-factor authentication is already enabled. Disable it first to set up a new device.", 400);
+    }
+
+    const secret = speakeasy.generateSecret({ length: 20 }).base32;
+    const otpauthUrl = speakeasy.otpauthURL({
+      secret,
+      encoding: "base32",
+      label: `${ISSUER}:${user.email}`,
+      issuer: ISSUER,
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    await User.updateOne({ _id: user._id }, { twoFactorSecret: secret });
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  /**
+   * Finish setup with a code from the authenticator app.
+   * @returns {Promise<string[]>} Recovery codes — shown to the user once
+   */
+  async enable(userId, token, req) {
+    const user = await User.findById(userId).select("+twoFactorSecret");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    if (user.twoFactorEnabled) {
+      throw new ApiError("Two-factor authentication is already enabled", 400);
+    }
+    if (!user.twoFactorSecret) {
+      throw new ApiError("Start two-factor setup first", 400);
+    }
+    if (!this.verifyTotp(user.twoFactorSecret, token)) {
+      logger.warn("Failed 2FA verification attempt", { userId });
+      throw new ApiError("Invalid verification code", 400);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    await AuditLog.logAction(user._id, "two_factor_enabled", {}, req);
+    logger.info("Two-factor authentication enabled", { userId });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Replace all recovery codes (old ones stop working). Needs a current
+   * authenticator code.
+   */
+  async regenerateRecoveryCodes(userId, token, req) {
+    const user = await User.findById(userId).select("+twoFactorSecret");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    if (!user.twoFactorEnabled) {
+      throw new ApiError("Two-factor authentication is not enabled", 400);
+    }
+    if (!this.verifyTotp(user.twoFactorSecret, token)) {
+      throw new ApiError("Invalid verification code", 400);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { recoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+
+    await AuditLog.logAction(user._id, "two_factor_recovery_codes_regenerated", {}, req);
+    logger.info("2FA recovery codes regenerated", { userId });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Second login step with an authenticator code.
+   */
+  async verifyLogin(userId, token) {
+    const user = await User.findById(userId).select("+twoFactorSecret +accountLockedUntil");
+    if (!user || !user.twoFactorEnabled) {
+      throw new ApiError("Invalid verification code", 400);
+    }
+    this._assertNotLocked(user);
+
+    if (!this.verifyTotp(user.twoFactorSecret, token)) {
+      logger.warn("Failed 2FA login attempt", { userId });
+      await this._recordFailedAttempt(userId);
+      throw new ApiError("Invalid verification code", 400);
+    }
+    await clearLoginAttempts(this._attemptsKey(userId));
+    return user;
+  }
+
+  /**
+   * Second login step with a recovery code. The code is consumed — a
+   * concurrent second use of the same code fails.
+   * @returns {Promise<{user: Object, remaining: number}>}
+   */
+  async consumeRecoveryCode(userId, code) {
+    // Check the lock before spending a code on a login that can't succeed
+    const lockState = await User.findById(userId).select("+accountLockedUntil");
+    this._assertNotLocked(lockState);
+
+    const hash = hashRecoveryCode(code);
+    const result = await User.updateOne(
+      { _id: userId, twoFactorEnabled: true, recoveryCodes: hash },
+      { $pull: { recoveryCodes: hash } }
+    );
+    if (result.modifiedCount !== 1) {
+      logger.warn("Failed 2FA recovery code attempt", { userId });
+      await this._recordFailedAttempt(userId);
+      throw new ApiError("Invalid recovery code", 400);
+    }
+    await clearLoginAttempts(this._attemptsKey(userId));
+
+    const user = await User.findById(userId).select("+recoveryCodes");
+    const remaining = user.recoveryCodes?.length || 0;
+    logger.info("2FA recovery code used", { userId, remaining });
+    return { user, remaining };
+  }
+
+  /**
+   * Turn 2FA off. Confirmed with the password or, for accounts without one
+   * (OAuth sign-up), an authenticator code.
+   */
+  async disable(userId, { password, token } = {}, req) {
+    const user = await User.findById(userId).select("+password +twoFactorSecret");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    if (!user.twoFactorEnabled) {
+      throw new ApiError("Two-factor authentication is not enabled", 400);
+    }
+
+    if (password) {
+      if (!(await user.comparePassword(password))) {
+        logger.warn("Failed 2FA disable attempt - incorrect password", { userId });
+        throw new ApiError("Invalid password", 401);
+      }
+    } else if (token) {
+      if (!this.verifyTotp(user.twoFactorSecret, token)) {
+        throw new ApiError("Invalid verification code", 400);
+      }
+    } else {
+      throw new ApiError("Password or authentication code is required to disable 2FA", 400);
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.recoveryCodes = undefined;
+    await user.save();
+
+    await AuditLog.logAction(user._id, "two_factor_disabled", {}, req);
+    logger.info("Two-factor authentication disabled", { userId });
+  }
+
+  async getStatus(userId) {
+    const user = await User.findById(userId).select("+recoveryCodes");
+    if (!user) {
+      throw new ApiError("User not found", 404);
+    }
+    return {
+      enabled: Boolean(user.twoFactorEnabled),
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.recoveryCodes?.length || 0 : 0,
+    };
+  }
+
+  _attemptsKey(userId) {
+    return `2fa:${userId}`;
+  }
+
+  /**
+   * Count a wrong second factor against the account (not the IP, so spreading
+   * guesses over addresses doesn't help) and lock it at the limit.
+   */
+  async _recordFailedAttempt(userId) {
+    const attempts = await incrementLoginAttempts(this._attemptsKey(userId));
+    if (attempts < MAX_SECOND_FACTOR_ATTEMPTS) {
+      return;
+    }
+
+    await clearLoginAttempts(this._attemptsKey(userId));
+    const lockUntil = await lockUserAccount(userId);
+    logger.warn("Account locked after too many failed 2FA attempts", { userId, lockUntil });
+    throw new ApiError("Too many invalid codes. Account is locked. Try again later.", 403);
+  }
+
+  _assertNotLocked(user) {
+    if (user?.accountLockedUntil && user.accountLockedUntil > new Date()) {
+      throw new ApiError("Account is locked. Try again later.", 403);
+    }
+  }
+}
+
+export default new TwoFactorService();
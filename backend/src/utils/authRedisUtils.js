@@ -153,6 +153,22 @@ export async function removeFromWhitelist(jti, userId) {
   }
 }
 
+/**
+ * Remove every whitelisted JWT of a user (account deletion)
+ * @returns {Promise<number>} Number of keys removed
+ */
+export async function removeUserFromWhitelist(userId) {
+  let cursor = "0";
+  let removed = 0;
+  do {
+    const [next, keys] = await redis.scan(cursor, "MATCH", `jwt:whitelist:${userId}:*`, "COUNT", 100);
+    for (const key of keys) removed += await redis.del(key);
+    cursor = next;
+  } while (cursor !== "0");
+  logger.info("JWT whitelist cleared", { userId, removed });
+  return removed;
+}
+
 /**
  * Add a JWT to the blacklist
  */
@@ -100,7 +100,10 @@ export const cache = {
    */
   del: async (key) => {
     try {
-      await redis.del(key);
+      const prefixedKey = key.startsWith(DEFAULT_PREFIX)
+        ? key
+        : `${DEFAULT_PREFIX}${key}`;
+      await redis.del(prefixedKey);
       return true;
     } catch (error) {
       logger.error("Cache delete error", { key, error: error.message });
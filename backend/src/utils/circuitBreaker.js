@@ -0,0 +1,81 @@
+import logger from "../config/logger.js";
+
+/**
+ * Minimal in-process circuit breaker for calls to external services.
+ *
+ * closed    -> calls go through; consecutive failures are counted
+ * open      -> calls are rejected immediately until `resetTimeoutMs` passes
+ * half-open -> a single trial call is let through; success closes the
+ *              circuit, failure opens it again
+ */
+export class CircuitBreaker {
+  constructor(name, { failureThreshold = 3, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may be attempted right now.
+   * Moves an expired open circuit to half-open and reserves the trial call.
+   */
+  canRequest(now = Date.now()) {
+    if (this.state === "closed") return true;
+
+    if (this.state === "open" && now - this.openedAt >= this.resetTimeoutMs) {
+      this.state = "half-open";
+      this.trialInFlight = false;
+    }
+
+    if (this.state === "half-open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== "closed") {
+      logger.info("Circuit closed", { circuit: this.name });
+    }
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * A call finished without saying anything about the service's health
+   * (e.g. it was rejected for bad input). Frees the half-open trial slot.
+   */
+  recordNeutral() {
+    this.trialInFlight = false;
+  }
+
+  recordFailure(now = Date.now()) {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      if (this.state !== "open") {
+        logger.warn("Circuit opened", { circuit: this.name, failures: this.failures });
+      }
+      this.state = "open";
+      this.openedAt = now;
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,104 @@
+/**
+ * Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF and
+ * newlines inside quotes). Used by the library import/export endpoints.
+ */
+
+/**
+ * Serialize one row of values into a CSV line (with trailing CRLF)
+ * @param {Array} values - Cell values; arrays are joined with "; ", dates become ISO strings
+ * @returns {string} CSV line
+ */
+export const toCsvRow = (values) =>
+  values
+    .map((value) => {
+      if (value === undefined || value === null) return "";
+      let text;
+      if (value instanceof Date) {
+        text = value.toISOString();
+      } else if (Array.isArray(value)) {
+        text = value.join("; ");
+      } else {
+        text = String(value);
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",") + "\r\n";
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]} Parsed rows, blank lines skipped
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM (Goodreads exports include one)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - Raw CSV content
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+export const parseCsv = (text) => {
+  const [headerRow, ...dataRows] = parseCsvRows(text || "");
+  if (!headerRow) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = headerRow.map((h) => h.trim());
+  const records = dataRows.map((values) =>
+    headers.reduce((record, header, index) => {
+      record[header] = (values[index] ?? "").trim();
+      return record;
+    }, {})
+  );
+
+  return { headers, records };
+};
+
+export default { parseCsv, parseCsvRows, toCsvRow };
@@ -39,6 +39,17 @@ export class ConflictError extends ApiError {
   }
 }
 
+/**
+ * A subscription limit was reached. 402 when a higher tier lifts the limit
+ * (`upgradeTo`), 403 when no tier does. `details` is sent to the client.
+ */
+export class EntitlementError extends ApiError {
+  constructor(message, { entitlement, limit, tier, upgradeTo = null }) {
+    super(message, upgradeTo ? 402 : 403);
+    this.details = { entitlement, limit, tier, upgradeTo };
+  }
+}
+
 export class ValidationError extends ApiError {
   constructor(message = "Validation error") {
     super(message, 422);
@@ -60,6 +71,7 @@ export const errorHandler = (err, req, res, _next) => {
       status: err.status,
       error: err,
       message: err.message,
+      ...(err.details && { details: err.details }),
       stack: err.stack,
     });
   } else {
@@ -68,6 +80,7 @@ export const errorHandler = (err, req, res, _next) => {
       res.status(err.statusCode).json({
         status: err.status,
         message: err.message,
+        ...(err.details && { details: err.details }),
       });
     } else {
       // Programming or unknown errors
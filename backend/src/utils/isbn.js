@@ -0,0 +1,78 @@
+/**
+ * ISBN helpers shared by search, import and catalog matching.
+ */
+
+/**
+ * Strip separators and validate the shape of an ISBN-10 or ISBN-13
+ * @param {string} value - Raw ISBN (hyphens, spaces, ="..." wrappers allowed)
+ * @returns {string|null} Digits (and trailing X for ISBN-10) or null
+ */
+export const normalizeIsbn = (value) => {
+  const digits = String(value || "").replace(/[^0-9Xx]/g, "").toUpperCase();
+  return /^(\d{9}[\dX]|\d{13})$/.test(digits) ? digits : null;
+};
+
+/**
+ * Whether a value is an ISBN-10 with a correct check digit
+ * @param {string} value - Raw ISBN
+ * @returns {boolean}
+ */
+export const isValidIsbn10 = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (!isbn || isbn.length !== 10) return false;
+  const sum = isbn
+    .split("")
+    .reduce((total, char, index) => total + (char === "X" ? 10 : Number(char)) * (10 - index), 0);
+  return !isbn.slice(0, 9).includes("X") && sum % 11 === 0;
+};
+
+/**
+ * Convert an ISBN-10 to its ISBN-13 form (978 prefix, recomputed check digit)
+ * @param {string} isbn10 - Normalized ISBN-10
+ * @returns {string} ISBN-13
+ */
+export const isbn10To13 = (isbn10) => {
+  const core = `978${isbn10.slice(0, 9)}`;
+  const sum = core
+    .split("")
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return `${core}${(10 - (sum % 10)) % 10}`;
+};
+
+/**
+ * Convert a 978-prefixed ISBN-13 to ISBN-10 (979 ISBNs have no ISBN-10 form)
+ * @param {string} isbn13 - Normalized ISBN-13
+ * @returns {string|null} ISBN-10 or null
+ */
+export const isbn13To10 = (isbn13) => {
+  if (!isbn13.startsWith("978")) return null;
+  const core = isbn13.slice(3, 12);
+  const sum = core
+    .split("")
+    .reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return `${core}${check === 10 ? "X" : check}`;
+};
+
+/**
+ * Normalize any ISBN to ISBN-13 so both forms of the same edition compare equal
+ * @param {string} value - Raw ISBN-10 or ISBN-13
+ * @returns {string|null} ISBN-13 or null if the value is not an ISBN
+ */
+export const toIsbn13 = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (!isbn) return null;
+  return isbn.length === 10 ? isbn10To13(isbn) : isbn;
+};
+
+/**
+ * Both forms of an ISBN, for matching records that store either one
+ * @param {string} value - Raw ISBN-10 or ISBN-13
+ * @returns {{ isbn10: string|null, isbn13: string|null }}
+ */
+export const isbnForms = (value) => {
+  const isbn13 = toIsbn13(value);
+  return { isbn10: isbn13 ? isbn13To10(isbn13) : null, isbn13 };
+};
+
+export default { normalizeIsbn, isValidIsbn10, isbn10To13, isbn13To10, toIsbn13, isbnForms };
@@ -14,19 +14,24 @@ import { isJwtWhitelisted } from "./authRedisUtils.js";
  * Generate access and refresh tokens for a user
  * @param {string} userId - The user ID
  * @param {string} role - The user's role
- * @param {number} [tokenVersion=Date.now()] - Token version for invalidation
- * @returns {Promise<{accessToken: string, refreshToken: string, jti: string}>} Token objects
+ * @param {number} [tokenVersion=0] - The user's tokenVersion; tokens below the stored one are rejected (authMiddleware)
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Session (refresh token family) both tokens belong to, see sessionService
+ * @returns {Promise<{accessToken: string, refreshToken: string, jti: string, refreshJti: string}>} Token objects
  * @throws {Error} If token generation fails
  */
 export const generateTokens = async (
   userId,
   role,
-  tokenVersion = Date.now()
+  tokenVersion = 0,
+  { sessionId } = {}
 ) => {
   try {
     // Ensure role has a default value
     const userRole = role || "user";
     const jti = uuidv4();
+    const refreshJti = uuidv4();
+    const sid = sessionId ? { sid: sessionId } : {};
 
     // Access token with shorter expiry
     const accessToken = jwt.sign(
@@ -35,6 +40,7 @@ export const generateTokens = async (
         role: userRole,
         jti,
         tokenVersion,
+        ...sid,
       },
       process.env.JWT_SECRET,
       {
@@ -52,9 +58,10 @@ export const generateTokens = async (
       {
         sub: userId,
         role: userRole,
-        jti: uuidv4(),
+        jti: refreshJti,
         tokenVersion,
         type: "refresh",
+        ...sid,
       },
       process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
       {
@@ -68,7 +75,7 @@ export const generateTokens = async (
     );
 
     logger.debug("Tokens generated", { userId, role });
-    return { accessToken, refreshToken, jti };
+    return { accessToken, refreshToken, jti, refreshJti };
   } catch (error) {
     logger.error("Token generation error", { userId, error: error.message });
     throw new Error("Failed to generate authentication tokens");
@@ -123,3 +130,38 @@ export const decodeToken = (token) => {
     return null;
   }
 };
+
+/**
+ * Sign a token for a link in an email (e.g. one-click unsubscribe).
+ * Signed with EMAIL_TOKEN_SECRET (falls back to JWT_SECRET) and bound to a
+ * purpose so a token for one action cannot be replayed for another.
+ * @param {string} subject - The ID the action applies to (e.g. subscriber ID)
+ * @param {string} purpose - The action (e.g. "unsubscribe")
+ * @param {Object} [options]
+ * @param {string|number} [options.expiresIn] - Omit for links that must keep working
+ * @returns {string} Signed token
+ */
+export const generateEmailActionToken = (subject, purpose, { expiresIn } = {}) =>
+  jwt.sign(
+    { sub: String(subject), purpose },
+    process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET,
+    { algorithm: "HS256", ...(expiresIn ? { expiresIn } : {}) }
+  );
+
+/**
+ * Verify an email action token
+ * @param {string} token - Token from the email link
+ * @param {string} purpose - The action the token must be for
+ * @returns {string|null} The subject, or null if the token is invalid
+ */
+export const verifyEmailActionToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET, {
+      algorithms: ["HS256"],
+    });
+    return decoded.purpose === purpose ? decoded.sub : null;
+  } catch (error) {
+    logger.warn("Email action token rejected", { purpose, error: error.message });
+    return null;
+  }
+};
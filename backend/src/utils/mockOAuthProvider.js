@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import express from "express";
+
+/**
+ * Local stand-in for the Google and GitHub OAuth endpoints, for development
+ * and tests. Point the strategies at it with OAUTH_MOCK_URL.
+ *
+ * The authorize endpoint approves immediately as the provider's "current"
+ * user (change it with setUser) and redirects back with a code, like the
+ * real consent screen would.
+ */
+const DEFAULT_USERS = {
+  google: { id: "google-1001", name: "Ada Reader", email: "ada@example.com", emailVerified: true },
+  github: { id: 2002, login: "adareads", name: "Ada Reader", email: "ada@example.com", emailVerified: true },
+};
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {Object} [options.users] - Initial user per provider (see DEFAULT_USERS)
+ * @returns {Promise<{url: string, setUser: Function, close: Function}>}
+ */
+export function startMockOAuthProvider({ port = 0, users = {} } = {}) {
+  const current = { ...DEFAULT_USERS, ...users };
+  const codes = new Map(); // code → user
+  const tokens = new Map(); // access token → user
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  // GitHub sends the token as a Bearer header, Google as ?access_token=
+  const bearer = (req, res) => {
+    const token = req.query.access_token || (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    const user = tokens.get(token);
+    if (!user) res.status(401).json({ error: "invalid_token" });
+    return user;
+  };
+
+  app.get("/:provider/authorize", (req, res) => {
+    const user = current[req.params.provider];
+    const { redirect_uri: redirectUri, state } = req.query;
+    if (!user || !redirectUri) return res.status(400).send("unknown provider or missing redirect_uri");
+
+    const code = crypto.randomBytes(8).toString("hex");
+    codes.set(code, user);
+    const target = new URL(redirectUri);
+    target.searchParams.set("code", code);
+    if (state) target.searchParams.set("state", state);
+    res.redirect(target.toString());
+  });
+
+  app.post("/:provider/token", (req, res) => {
+    const user = codes.get(req.body.code);
+    if (!user) return res.status(400).json({ error: "invalid_grant" });
+    codes.delete(req.body.code);
+
+    const accessToken = crypto.randomBytes(16).toString("hex");
+    tokens.set(accessToken, user);
+    res.json({ access_token: accessToken, token_type: "Bearer", expires_in: 3600 });
+  });
+
+  app.get("/google/userinfo", (req, res) => {
+    const user = bearer(req, res);
+    if (!user) return;
+    res.json({ sub: user.id, name: user.name, email: user.email, email_verified: user.emailVerified });
+  });
+
+  app.get("/github/user", (req, res) => {
+    const user = bearer(req, res);
+    if (!user) return;
+    res.json({ id: user.id, login: user.login, name: user.name });
+  });
+
+  app.get("/github/user/emails", (req, res) => {
+    const user = bearer(req, res);
+    if (!user) return;
+    res.json(user.email ? [{ email: user.email, primary: true, verified: user.emailVerified }] : []);
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        setUser: (provider, user) => {
+          current[provider] = { ...DEFAULT_USERS[provider], ...user };
+        },
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+export default startMockOAuthProvider;
@@ -0,0 +1,111 @@
+import express from "express";
+
+/**
+ * Local stand-in for the Amazon Product Advertising API (GetItems and
+ * SearchItems), for development and tests. Point amazonPaApiService at it
+ * with PA_API_ENDPOINT (any non-empty access/secret keys will do — requests
+ * must be signed, but the signature is not checked).
+ *
+ * Items are keyed by ASIN; an item without `price` exists but has no offer.
+ * Books whose ASIN isn't their ISBN-10 (979 ISBNs) carry an `isbn13`.
+ */
+const DEFAULT_ITEMS = {
+  "0441172717": { title: "Dune", price: 999, currency: "EUR" },
+  "0743273567": { title: "The Great Gatsby", price: 1250, currency: "EUR" },
+  "0141439513": { title: "Pride and Prejudice" },
+};
+
+const toItem = (asin, { title, isbn13, price, currency = "EUR", condition = "New" }) => ({
+  ASIN: asin,
+  DetailPageURL: `https://www.amazon.de/dp/${asin}?tag=mock-21`,
+  ItemInfo: {
+    Title: { DisplayValue: title },
+    Classifications: { Binding: { DisplayValue: "Taschenbuch" } },
+    ExternalIds: isbn13 ? { EANs: { DisplayValues: [isbn13] } } : { ISBNs: { DisplayValues: [asin] } },
+  },
+  ...(price != null && {
+    Offers: { Listings: [{ Price: { Amount: price, Currency: currency }, Condition: { Value: condition } }] },
+  }),
+});
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {Object} [options.items] - Items by ASIN (see DEFAULT_ITEMS)
+ * @returns {Promise<{url: string, requests: Array, setItem: Function, close: Function}>}
+ */
+export function startMockPaApi({ port = 0, items = DEFAULT_ITEMS } = {}) {
+  const catalog = { ...items };
+  const requests = []; // { operation, body, at }
+
+  const app = express();
+
+  // PA-API sends `content-encoding: amz-1.0`, which body-parser rejects
+  app.use((req, res, next) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        req.body = raw ? JSON.parse(raw) : {};
+        next();
+      } catch {
+        res.status(400).json({ Errors: [{ Code: "InvalidInput", Message: "Malformed JSON" }] });
+      }
+    });
+  });
+
+  app.use((req, res, next) => {
+    if (!/^AWS4-HMAC-SHA256 Credential=/.test(req.headers.authorization || "")) {
+      return res.status(401).json({ Errors: [{ Code: "IncompleteSignature", Message: "Missing signature" }] });
+    }
+    requests.push({ operation: req.path.split("/").pop(), body: req.body, at: Date.now() });
+    next();
+  });
+
+  app.post("/paapi5/getitems", (req, res) => {
+    const ids = req.body.ItemIds || [];
+    if (!ids.length || ids.length > 10) {
+      return res.status(400).json({ Errors: [{ Code: "InvalidParameterValue", Message: "ItemIds takes 1 to 10 IDs" }] });
+    }
+
+    const found = ids.filter((id) => catalog[id]);
+    const missing = ids.filter((id) => !catalog[id]);
+    res.json({
+      ...(found.length && { ItemsResult: { Items: found.map((id) => toItem(id, catalog[id])) } }),
+      ...(missing.length && {
+        Errors: missing.map((id) => ({
+          Code: "InvalidParameterValue",
+          Message: `The ItemId ${id} provided in the request is invalid.`,
+        })),
+      }),
+    });
+  });
+
+  app.post("/paapi5/searchitems", (req, res) => {
+    const keywords = String(req.body.Keywords || "").toLowerCase();
+    const matches = Object.entries(catalog).filter(
+      ([asin, item]) =>
+        asin.toLowerCase() === keywords || item.isbn13 === keywords || keywords.includes(item.title.toLowerCase())
+    );
+    if (!matches.length) {
+      return res.status(404).json({ Errors: [{ Code: "NoResults", Message: "No results found." }] });
+    }
+    res.json({ SearchResult: { Items: matches.map(([asin, item]) => toItem(asin, item)) } });
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        setItem: (asin, item) => {
+          catalog[asin] = item;
+        },
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+export default startMockPaApi;
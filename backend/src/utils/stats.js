@@ -0,0 +1,42 @@
+/**
+ * Statistics helpers for the analytics dashboard (CTR and A/B tests).
+ */
+
+/**
+ * numerator / denominator, 0 when there is nothing to divide by
+ */
+export const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+
+// Abramowitz & Stegun 7.1.26, absolute error below 1.5e-7
+const erf = (x) => {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-x * x));
+};
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {number} z
+ * @returns {number}
+ */
+export const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+/**
+ * Two-sided two-proportion z-test (pooled variance): is B's rate different from A's?
+ * @param {{successes: number, trials: number}} a - Control
+ * @param {{successes: number, trials: number}} b - Variant
+ * @returns {{z: number, pValue: number}|null} null when a group has no trials or
+ *   neither group differs at all (every trial a success, or none)
+ */
+export const twoProportionZTest = (a, b) => {
+  if (!(a.trials > 0 && b.trials > 0)) return null;
+  const pooled = (a.successes + b.successes) / (a.trials + b.trials);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.trials + 1 / b.trials));
+  if (!standardError) return null;
+
+  const z = (b.successes / b.trials - a.successes / a.trials) / standardError;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+};
+
+export default { ratio, normalCdf, twoProportionZTest };
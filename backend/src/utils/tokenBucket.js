@@ -0,0 +1,49 @@
+/**
+ * Minimal in-process token bucket for calls to rate-limited external APIs.
+ *
+ * Holds up to `capacity` tokens and refills `refillPerSecond` tokens per
+ * second. take() waits its turn when the bucket is empty; waiting callers
+ * are served in order because each one reserves its token up front (the
+ * balance goes negative while callers are queued).
+ *
+ * The budget is per process: with several API instances, divide the
+ * provider's quota between them.
+ */
+export class TokenBucket {
+  constructor(name, { capacity = 1, refillPerSecond = 1 } = {}) {
+    this.name = name;
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now = Date.now()) {
+    const earned = ((now - this.updatedAt) / 1000) * this.refillPerSecond;
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take one token, waiting for it if needed.
+   * @param {Object} [options]
+   * @param {number} [options.maxWaitMs=Infinity] - Give up instead of waiting longer than this
+   * @returns {Promise<boolean>} false when the wait would exceed maxWaitMs (no token taken)
+   */
+  async take({ maxWaitMs = Infinity } = {}) {
+    this.refill();
+    const waitMs = this.tokens >= 1 ? 0 : ((1 - this.tokens) / this.refillPerSecond) * 1000;
+    if (waitMs > maxWaitMs) return false;
+
+    this.tokens -= 1;
+    if (waitMs > 0) await new Promise((resolve) => setTimeout(resolve, waitMs));
+    return true;
+  }
+
+  getState() {
+    this.refill();
+    return { name: this.name, tokens: this.tokens, capacity: this.capacity };
+  }
+}
+
+export default TokenBucket;
@@ -0,0 +1,169 @@
+const users = [];
+
+// find() chains used by the service: .select() / .sort() / .lean()
+function mockQuery(value) {
+  const query = Object.assign(Promise.resolve(value), {
+    select: () => query,
+    sort: () => query,
+    lean: () => query,
+  });
+  return query;
+}
+
+function mockModel(documents = []) {
+  return {
+    __esModule: true,
+    default: {
+      find: jest.fn(() => mockQuery(documents)),
+      deleteMany: jest.fn(async () => ({ deletedCount: documents.length })),
+      updateMany: jest.fn(async () => ({ modifiedCount: documents.length })),
+    },
+  };
+}
+
+jest.mock("../src/models/User.js", () => {
+  const find = (id) => users.find((u) => String(u._id) === String(id)) || null;
+  return {
+    __esModule: true,
+    default: {
+      findById: (id) => mockQuery(find(id)),
+      find: ({ deletionScheduledFor }) =>
+        mockQuery(users.filter((u) => u.deletionScheduledFor && u.deletionScheduledFor <= deletionScheduledFor.$lte)),
+      updateOne: jest.fn(async ({ _id, deletionScheduledFor }, update) => {
+        const user = find(_id);
+        if (!user || (deletionScheduledFor && !(user.deletionScheduledFor > deletionScheduledFor.$gt))) {
+          return { modifiedCount: 0 };
+        }
+        if (update.$unset) for (const field of Object.keys(update.$unset)) delete user[field];
+        else Object.assign(user, update);
+        return { modifiedCount: 1 };
+      }),
+      deleteOne: jest.fn(async ({ _id }) => {
+        users.splice(users.indexOf(find(_id)), 1);
+        return { deletedCount: 1 };
+      }),
+    },
+  };
+});
+
+jest.mock("../src/models/AuditLog.js", () => {
+  const model = mockModel([{ action: "login_success" }]);
+  model.default.logAction = jest.fn().mockResolvedValue(undefined);
+  return model;
+});
+jest.mock("../src/models/AnalyticsEvent.js", () => mockModel([{ type: "click", bookId: "dune-1" }]));
+jest.mock("../src/models/BookCollection.js", () => mockModel([]));
+jest.mock("../src/models/EmailSubscriber.js", () =>
+  mockModel([{ email: "ada@example.com", confirmationToken: "secret-token" }])
+);
+jest.mock("../src/models/DigestDelivery.js", () => mockModel([]));
+jest.mock("../src/models/ReadingGoal.js", () => mockModel([]));
+jest.mock("../src/models/ReadingSession.js", () => mockModel([]));
+jest.mock("../src/models/RecommendationFeedback.js", () => mockModel([]));
+
+jest.mock("../src/services/emailService.js", () => ({
+  __esModule: true,
+  default: { sendAccountDeletionEmail: jest.fn().mockResolvedValue({ success: true }) },
+}));
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+describe("Account deletion and data export", () => {
+  let accountDataService;
+  let sessionService;
+  let AuditLog;
+  let AnalyticsEvent;
+  let BookCollection;
+  let redis;
+  let user;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = "test-secret";
+    ({ default: accountDataService } = await import("../src/services/accountDataService.js"));
+    ({ default: sessionService } = await import("../src/services/sessionService.js"));
+    AuditLog = (await import("../src/models/AuditLog.js")).default;
+    AnalyticsEvent = (await import("../src/models/AnalyticsEvent.js")).default;
+    BookCollection = (await import("../src/models/BookCollection.js")).default;
+    redis = (await import("../src/config/redis.js")).default;
+  });
+
+  beforeEach(() => {
+    users.length = 0;
+    redis.store.clear();
+    user = {
+      _id: "user-1",
+      username: "ada",
+      email: "ada@example.com",
+      password: "$2a$12$hash",
+      twoFactorSecret: "SECRET",
+      passwordHistory: [{ hash: "$2a$12$old" }],
+      comparePassword: async (candidate) => candidate === "Correct-Horse-42!",
+    };
+    users.push(user);
+  });
+
+  it("requires the password, then schedules deletion and signs out every session", async () => {
+    await sessionService.issueTokens(user, { ip: "127.0.0.1" });
+
+    await expect(accountDataService.requestDeletion(user._id, { password: "wrong" })).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    expect(user.deletionScheduledFor).toBeUndefined();
+
+    const scheduledFor = await accountDataService.requestDeletion(user._id, { password: "Correct-Horse-42!" });
+
+    const days = (scheduledFor - user.deletionRequestedAt) / (24 * 60 * 60 * 1000);
+    expect(days).toBe(14);
+    expect(await sessionService.list(user._id)).toEqual([]);
+    expect(AuditLog.logAction).toHaveBeenCalledWith(
+      user._id,
+      "account_deletion_requested",
+      { scheduledFor, sessionsRevoked: 1 },
+      undefined
+    );
+
+    // Cancelable during the grace period, once
+    await accountDataService.cancelDeletion(user._id);
+    expect(user.deletionScheduledFor).toBeUndefined();
+    await expect(accountDataService.cancelDeletion(user._id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("purges only accounts past the grace period and cascades", async () => {
+    users.push({ _id: "user-2", email: "later@example.com", deletionScheduledFor: new Date(Date.now() + 60_000) });
+    user.deletionScheduledFor = new Date(Date.now() - 1000);
+    await redis.set("jwt:whitelist:user-1:some-jti", "1");
+
+    const result = await accountDataService.purgeDue();
+
+    expect(result).toEqual({ due: 1, deleted: 1, failed: 0 });
+    expect(users.map((u) => u._id)).toEqual(["user-2"]);
+    expect(BookCollection.deleteMany).toHaveBeenCalledWith({ user: "user-1" });
+    expect(BookCollection.updateMany).toHaveBeenCalledWith(
+      { "collaborators.user": "user-1" },
+      { $pull: { collaborators: { user: "user-1" } } }
+    );
+    expect(AnalyticsEvent.updateMany).toHaveBeenCalledWith(
+      { userId: "user-1" },
+      { $unset: { userId: 1, ipAddress: 1, userAgent: 1 } }
+    );
+    expect(await redis.get("jwt:whitelist:user-1:some-jti")).toBeNull();
+    expect(AuditLog.logAction).toHaveBeenCalledWith(
+      "user-1",
+      "user_deleted",
+      expect.objectContaining({ emailSubscriptions: 1, analyticsAnonymized: 1, whitelistedTokens: 1 })
+    );
+  });
+
+  it("exports the user's data without credentials or tokens", async () => {
+    const archive = await accountDataService.exportData(user._id);
+
+    expect(archive.profile).toMatchObject({ username: "ada", email: "ada@example.com" });
+    expect(archive.profile).not.toHaveProperty("password");
+    expect(archive.profile).not.toHaveProperty("passwordHistory");
+    expect(archive.profile).not.toHaveProperty("twoFactorSecret");
+    expect(archive.emailSubscriptions).toEqual([{ email: "ada@example.com" }]);
+    expect(archive.auditLog).toEqual([{ action: "login_success" }]);
+    expect(archive.analytics).toEqual([{ type: "click", bookId: "dune-1" }]);
+    expect(JSON.parse(JSON.stringify(archive)).exportedAt).toBe(archive.exportedAt);
+  });
+});
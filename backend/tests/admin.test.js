@@ -0,0 +1,198 @@
+import express from "express";
+import request from "supertest";
+
+const ADMIN_ID = "64b000000000000000000001";
+const USER_ID = "64b000000000000000000002";
+const COLLECTION_ID = "64b0000000000000000000c1";
+
+const mockUsers = [];
+const mockCollections = [];
+
+// find() chains used by the service
+function mockQuery(value) {
+  const query = Object.assign(Promise.resolve(value), {
+    select: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    populate: () => query,
+    lean: () => query,
+  });
+  return query;
+}
+
+// $set-style fields plus the $inc / $unset operators the service uses
+function mockApplyUpdate(doc, { $inc = {}, $unset = {}, ...fields }) {
+  Object.assign(doc, fields);
+  for (const [key, by] of Object.entries($inc)) doc[key] = (doc[key] || 0) + by;
+  for (const key of Object.keys($unset)) delete doc[key];
+  return { modifiedCount: 1 };
+}
+
+jest.mock("../src/models/User.js", () => {
+  const find = (id) => mockUsers.find((u) => u._id === String(id)) || null;
+  return {
+    __esModule: true,
+    default: {
+      find: jest.fn(() => mockQuery(mockUsers)),
+      countDocuments: jest.fn(async () => mockUsers.length),
+      findById: (id) => mockQuery(find(id) && { ...find(id) }),
+      updateOne: jest.fn(async ({ _id }, update) => mockApplyUpdate(find(_id), update)),
+    },
+  };
+});
+
+jest.mock("../src/models/BookCollection.js", () => {
+  const find = (id) => mockCollections.find((c) => c._id === String(id)) || null;
+  return {
+    __esModule: true,
+    default: {
+      find: jest.fn(() => mockQuery(mockCollections)),
+      countDocuments: jest.fn(async () => mockCollections.length),
+      findById: (id) => mockQuery(find(id)),
+      updateOne: jest.fn(async ({ _id }, update) => mockApplyUpdate(find(_id), update)),
+    },
+  };
+});
+
+jest.mock("../src/models/AuditLog.js", () => ({
+  __esModule: true,
+  default: {
+    logAction: jest.fn().mockResolvedValue(undefined),
+    find: jest.fn(() => mockQuery([])),
+    countDocuments: jest.fn().mockResolvedValue(0),
+  },
+}));
+
+jest.mock("../src/services/sessionService.js", () => ({
+  __esModule: true,
+  default: {
+    list: jest.fn().mockResolvedValue([]),
+    revokeAll: jest.fn().mockResolvedValue(2),
+  },
+}));
+
+// Permissions are covered by rbac.test.js
+jest.mock("../src/middleware/authMiddleware.js", () => ({
+  authMiddleware: () => (req, res, next) => {
+    req.user = { id: "64b000000000000000000001", role: "admin" };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+jest.mock("../src/middleware/rateLimiter.js", () => ({
+  rateLimiterMiddleware: (req, res, next) => next(),
+}));
+
+describe("Admin console", () => {
+  let app;
+  let AuditLog;
+  let sessionService;
+
+  const audited = (action) => AuditLog.logAction.mock.calls.filter(([, a]) => a === action);
+
+  beforeAll(async () => {
+    const { default: adminRoutes } = await import("../src/routes/adminRoutes.js");
+    AuditLog = (await import("../src/models/AuditLog.js")).default;
+    sessionService = (await import("../src/services/sessionService.js")).default;
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/admin", adminRoutes);
+    app.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ success: false, message: err.message }));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUsers.length = 0;
+    mockUsers.push(
+      { _id: ADMIN_ID, username: "root", role: "admin", subscriptionTier: "free", tokenVersion: 0 },
+      { _id: USER_ID, username: "ada", role: "user", subscriptionTier: "free", tokenVersion: 3 }
+    );
+    mockCollections.length = 0;
+    mockCollections.push({ _id: COLLECTION_ID, user: USER_ID, name: "Spam", isPublic: true, shareableLink: "abc" });
+  });
+
+  it("locks and unlocks an account, ending its sessions and auditing both", async () => {
+    const lock = await request(app)
+      .post(`/api/admin/users/${USER_ID}/lock`)
+      .send({ reason: "Credential stuffing" });
+    expect(lock.status).toBe(200);
+    expect(lock.body.data.sessionsRevoked).toBe(2);
+    expect(mockUsers[1].accountLockedUntil.getUTCFullYear()).toBe(9999);
+    expect(mockUsers[1].tokenVersion).toBe(4);
+    expect(sessionService.revokeAll).toHaveBeenCalledWith(USER_ID);
+    expect(audited("admin_user_locked")).toEqual([
+      [ADMIN_ID, "admin_user_locked", expect.objectContaining({ targetUserId: USER_ID, reason: "Credential stuffing" }), expect.anything()],
+    ]);
+
+    expect((await request(app).post(`/api/admin/users/${ADMIN_ID}/lock`).send({})).status).toBe(400);
+
+    expect((await request(app).delete(`/api/admin/users/${USER_ID}/lock`)).status).toBe(200);
+    expect(mockUsers[1].accountLockedUntil).toBeUndefined();
+    expect(audited("admin_user_unlocked")).toHaveLength(1);
+  });
+
+  it("changes role and tier, signing the user out when the role changes", async () => {
+    expect((await request(app).patch(`/api/admin/users/${USER_ID}`).send({ tier: "platinum" })).status).toBe(400);
+
+    const res = await request(app).patch(`/api/admin/users/${USER_ID}`).send({ role: "admin", tier: "pro" });
+    expect(res.status).toBe(200);
+    expect(mockUsers[1]).toMatchObject({ role: "admin", subscriptionTier: "pro", tokenVersion: 4 });
+    expect(sessionService.revokeAll).toHaveBeenCalledWith(USER_ID);
+    expect(audited("admin_user_updated")[0][2]).toMatchObject({
+      targetUserId: USER_ID,
+      changes: { role: { from: "user", to: "admin" }, tier: { from: "free", to: "pro" } },
+    });
+
+    expect((await request(app).patch(`/api/admin/users/${ADMIN_ID}`).send({ role: "user" })).status).toBe(400);
+  });
+
+  it("forces a logout", async () => {
+    const res = await request(app).post(`/api/admin/users/${USER_ID}/logout`);
+    expect(res.status).toBe(200);
+    expect(mockUsers[1].tokenVersion).toBe(4);
+    expect(audited("admin_sessions_revoked")[0][2]).toEqual({ targetUserId: USER_ID, sessionsRevoked: 2 });
+  });
+
+  it("filters the audit log by user, action and date range", async () => {
+    const res = await request(app)
+      .get("/api/admin/audit-logs")
+      .query({ userId: USER_ID, action: "login_failed", from: "2026-01-01", to: "2026-02-01" });
+    expect(res.status).toBe(200);
+    expect(AuditLog.find).toHaveBeenCalledWith({
+      $or: [{ userId: USER_ID }, { "metadata.targetUserId": USER_ID }],
+      action: "login_failed",
+      timestamp: { $gte: new Date("2026-01-01"), $lte: new Date("2026-02-01") },
+    });
+
+    const backwards = await request(app).get("/api/admin/audit-logs").query({ from: "2026-02-01", to: "2026-01-01" });
+    expect(backwards.status).toBe(400);
+  });
+
+  it("takes down a public collection and lifts the takedown", async () => {
+    expect((await request(app).post(`/api/admin/collections/${COLLECTION_ID}/takedown`).send({})).status).toBe(400);
+
+    const res = await request(app)
+      .post(`/api/admin/collections/${COLLECTION_ID}/takedown`)
+      .send({ reason: "Spam links in the description" });
+    expect(res.status).toBe(200);
+    expect(mockCollections[0]).toMatchObject({
+      isPublic: false,
+      moderation: { takenDownBy: ADMIN_ID, reason: "Spam links in the description" },
+    });
+    expect(mockCollections[0].shareableLink).toBeUndefined();
+    expect(audited("admin_collection_taken_down")[0][2]).toMatchObject({
+      targetUserId: USER_ID,
+      collectionId: COLLECTION_ID,
+    });
+
+    expect((await request(app).post(`/api/admin/collections/${COLLECTION_ID}/takedown`).send({ reason: "x" })).status).toBe(409);
+
+    expect((await request(app).delete(`/api/admin/collections/${COLLECTION_ID}/takedown`)).status).toBe(200);
+    expect(mockCollections[0].moderation).toBeUndefined();
+    expect(mockCollections[0].isPublic).toBe(false);
+    expect(audited("admin_collection_restored")).toHaveLength(1);
+  });
+});
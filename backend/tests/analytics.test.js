@@ -0,0 +1,122 @@
+import express from "express";
+import request from "supertest";
+
+jest.mock("../src/models/AnalyticsEvent.js", () => ({
+  __esModule: true,
+  default: {
+    aggregate: jest.fn().mockResolvedValue([]),
+    create: jest.fn().mockResolvedValue({}),
+  },
+}));
+
+// Permissions are covered by rbac.test; only the handlers are under test here
+jest.mock("../src/middleware/authMiddleware.js", () => ({
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+describe("CTR, A/B significance and funnel analytics", () => {
+  let app;
+  let AnalyticsEvent;
+  let analyticsService;
+  let stats;
+
+  beforeAll(async () => {
+    AnalyticsEvent = (await import("../src/models/AnalyticsEvent.js")).default;
+    analyticsService = (await import("../src/services/analyticsService.js")).default;
+    stats = await import("../src/utils/stats.js");
+    const analyticsRoutes = (await import("../src/routes/analyticsRoutes.js")).default;
+
+    app = express();
+    app.use("/api/analytics", analyticsRoutes);
+    app.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ success: false, message: err.message }));
+  });
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it("tests two proportions against the normal distribution", () => {
+    expect(stats.normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(stats.normalCdf(1.959964)).toBeCloseTo(0.975, 6);
+
+    // 5% vs 8% over 1000 trials each
+    const { z, pValue } = stats.twoProportionZTest({ successes: 50, trials: 1000 }, { successes: 80, trials: 1000 });
+    expect(z).toBeCloseTo(2.721, 3);
+    expect(pValue).toBeCloseTo(0.0065, 4);
+
+    expect(stats.twoProportionZTest({ successes: 0, trials: 0 }, { successes: 3, trials: 10 })).toBeNull();
+    expect(stats.twoProportionZTest({ successes: 0, trials: 10 }, { successes: 0, trials: 10 })).toBeNull();
+  });
+
+  it("compares CTA variants with the most viewed one, correcting for multiple variants", async () => {
+    AnalyticsEvent.aggregate.mockResolvedValueOnce([
+      { _id: "price", impressions: 0, views: 1000, clicks: 80 },
+      { _id: "get", impressions: 0, views: 1000, clicks: 55 },
+      { _id: "buy", impressions: 0, views: 1200, clicks: 60 },
+    ]);
+
+    const result = await analyticsService.getClicksByVariant({ days: 30 });
+
+    expect(AnalyticsEvent.aggregate.mock.calls[0][0][0].$match).toMatchObject({
+      type: { $in: ["impression", "view", "click"] },
+      variant: { $nin: [null, ""] },
+    });
+    expect(result).toMatchObject({ control: "buy", confidence: 0.95 });
+    expect(result.alpha).toBeCloseTo(0.025);
+
+    const [price, get, buy] = result.variants;
+    expect(buy).toMatchObject({ variant: "buy", ctr: 0.05, lift: null, pValue: null, significant: false });
+    expect(price).toMatchObject({ variant: "price", views: 1000, clicks: 80, ctr: 0.08, significant: true });
+    expect(price.lift).toBeCloseTo(0.6);
+    expect(price.pValue).toBeLessThan(0.025);
+    expect(get.significant).toBe(false);
+    expect(get.pValue).toBeGreaterThan(0.5);
+  });
+
+  it("keeps the click-through a proportion when readers click more than once per view", async () => {
+    AnalyticsEvent.aggregate.mockResolvedValueOnce([
+      { _id: "buy", impressions: 0, views: 200, clicks: 20 },
+      { _id: "price", impressions: 0, views: 40, clicks: 55 },
+    ]);
+
+    const { variants } = await analyticsService.getClicksByVariant();
+
+    expect(variants[1]).toMatchObject({ variant: "price", clicks: 55, ctr: 1, significant: true });
+    expect(variants[1].lift).toBeCloseTo(9);
+    expect(variants[1].pValue).toBeGreaterThanOrEqual(0);
+  });
+
+  it("builds the funnel per surface and in total", async () => {
+    AnalyticsEvent.aggregate.mockResolvedValueOnce([
+      { _id: "search", impressions: 400, views: 100, clicks: 20 },
+      { _id: "book-details", impressions: 0, views: 50, clicks: 5 },
+    ]);
+
+    const funnel = await analyticsService.getFunnel({ days: 7, context: "dune" });
+
+    expect(AnalyticsEvent.aggregate.mock.calls[0][0][0].$match.context).toBe("dune");
+    expect(funnel.total).toEqual({
+      impressions: 400,
+      views: 150,
+      clicks: 25,
+      viewRate: 0.375,
+      clickRate: 25 / 150,
+      conversion: 0.0625,
+    });
+    expect(funnel.bySource[1]).toMatchObject({ source: "book-details", viewRate: 0, clickRate: 0.1, conversion: 0 });
+  });
+
+  it("serves CTR by the requested dimension and rejects unknown ones", async () => {
+    AnalyticsEvent.aggregate.mockResolvedValueOnce([{ _id: "2026-10-18", impressions: 200, views: 40, clicks: 10 }]);
+
+    const res = await request(app).get("/api/analytics/ctr").query({ by: "date", days: 7, source: "search" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([{ date: "2026-10-18", impressions: 200, views: 40, clicks: 10, ctr: 0.05, viewCtr: 0.25 }]);
+    const pipeline = AnalyticsEvent.aggregate.mock.calls[0][0];
+    expect(pipeline[0].$match.source).toBe("search");
+    expect(pipeline.some((stage) => stage.$limit)).toBe(false);
+
+    const bad = await request(app).get("/api/analytics/ctr").query({ by: "bookId" });
+    expect(bad.status).toBe(400);
+    expect(AnalyticsEvent.aggregate).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,163 @@
+import express from "express";
+import request from "supertest";
+import { startMockPaApi } from "../src/utils/mockPaApi.js";
+
+const DUNE = "0441172717";
+const DUNE_13 = "9780441172719";
+const MIDNIGHT_13 = "9791000000015"; // 979: no ISBN-10, needs a lookup
+const MIDNIGHT_ASIN = "B0C1MIDNIT";
+const UNLISTED_13 = "9791000000022";
+const BOOK_ID = "64b0000000000000000000b1";
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+jest.mock("../src/models/Book.js", () => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    lean: async () => [{ title: "Unlisted", isbn: "9791000000022" }],
+  };
+  return {
+    __esModule: true,
+    default: {
+      findById: jest.fn(async (id) => {
+        if (id !== "64b0000000000000000000b1") return null;
+        const book = { _id: id, title: "The Midnight Library", authors: ["Matt Haig"], isbn: "9791000000015" };
+        return { ...book, toObject: () => ({ ...book }) };
+      }),
+      findOne: jest.fn().mockResolvedValue(null),
+      updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+      find: jest.fn(() => query),
+      countDocuments: jest.fn(async (filter) => (filter.isbn === null ? 3 : filter.asinCheckedAt === null ? 5 : 2)),
+    },
+  };
+});
+
+jest.mock("../src/services/analyticsService.js", () => ({
+  __esModule: true,
+  default: { recordClick: jest.fn(), recordImpression: jest.fn(), recordView: jest.fn() },
+}));
+
+jest.mock("../src/middleware/authMiddleware.js", () => ({
+  optionalAuth: () => (req, res, next) => next(),
+}));
+
+jest.mock("../src/middleware/rateLimiter.js", () => ({
+  rateLimiterMiddleware: (req, res, next) => next(),
+}));
+
+describe("ISBN to ASIN resolution", () => {
+  let paApi;
+  let app;
+  let redis;
+  let Book;
+  let asinService;
+  let asinFromIsbn;
+  let amazonAffiliateService;
+
+  const searches = () => paApi.requests.filter((r) => r.operation === "searchitems");
+
+  beforeAll(async () => {
+    paApi = await startMockPaApi();
+    paApi.setItem(MIDNIGHT_ASIN, { title: "The Midnight Library", isbn13: MIDNIGHT_13 });
+    // Services read their config when imported
+    Object.assign(process.env, {
+      PA_API_ENDPOINT: paApi.url,
+      PA_API_ACCESS_KEY: "mock",
+      PA_API_SECRET_KEY: "mock",
+      PA_API_PARTNER_TAG: "bookpath-21",
+      AMAZON_DOMAIN: "amazon.de",
+      AMAZON_ASSOCIATES_TAG: "bookpath-21",
+      AMAZON_ASSOCIATES_TAG_UK: "bookpath-uk-21",
+    });
+    ({ default: asinService, asinFromIsbn } = await import("../src/services/asinService.js"));
+    amazonAffiliateService = (await import("../src/services/amazonAffiliateService.js")).default;
+    redis = (await import("../src/config/redis.js")).default;
+    Book = (await import("../src/models/Book.js")).default;
+    const bookRoutes = (await import("../src/routes/bookRoutes.js")).default;
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/books", bookRoutes);
+    app.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ success: false, message: err.message }));
+  });
+
+  afterAll(() => paApi.close());
+
+  beforeEach(() => {
+    paApi.requests.length = 0;
+    redis.store.clear();
+    jest.clearAllMocks();
+  });
+
+  it("uses valid ISBN-10s directly and links to the product page", async () => {
+    expect(asinFromIsbn(DUNE)).toBe(DUNE);
+    expect(asinFromIsbn(`978-0-441-17271-9`)).toBe(DUNE);
+    expect(asinFromIsbn("0441172718")).toBeNull(); // wrong check digit
+    expect(asinFromIsbn("9780441172710")).toBeNull();
+    expect(asinFromIsbn(MIDNIGHT_13)).toBeNull();
+
+    const link = await amazonAffiliateService.generateAffiliateLink({ title: "Dune", isbn: DUNE_13, marketplace: "uk" });
+    expect(link).toBe(`https://amazon.co.uk/dp/${DUNE}?tag=bookpath-uk-21`);
+    expect(searches()).toHaveLength(0);
+
+    // No ISBN, or none that resolves without a lookup: the search URL as before
+    expect(await amazonAffiliateService.generateAffiliateLink({ title: "Dune", authors: ["Frank Herbert"] })).toBe(
+      "https://amazon.de/s?k=Dune%20Frank%20Herbert&tag=bookpath-21"
+    );
+    expect(await amazonAffiliateService.generateAffiliateLink({ title: "Midnight", isbn: MIDNIGHT_13 })).toMatch(
+      /^https:\/\/amazon\.de\/s\?k=Midnight&tag=bookpath-21$/
+    );
+    expect(searches()).toHaveLength(0);
+  });
+
+  it("looks up other ISBNs with PA-API once, caching hits and misses", async () => {
+    expect(await asinService.resolveIsbn(MIDNIGHT_13)).toEqual({ asin: MIDNIGHT_ASIN, checked: true });
+    expect(await asinService.resolveIsbn(MIDNIGHT_13)).toEqual({ asin: MIDNIGHT_ASIN, checked: true });
+    expect(searches().map((r) => r.body.Keywords)).toEqual([MIDNIGHT_13]);
+    expect(redis.set).toHaveBeenCalledWith(`asin:www.amazon.de:${MIDNIGHT_13}`, MIDNIGHT_ASIN, "EX", 30 * 24 * 60 * 60);
+
+    expect(await asinService.resolveIsbn(UNLISTED_13)).toEqual({ asin: null, checked: true });
+    expect(redis.store.get(`asin:www.amazon.de:${UNLISTED_13}`)).toBe("none");
+
+    // Looked-up ASINs belong to the PA-API marketplace only
+    redis.store.clear();
+    expect(await asinService.resolveIsbn(MIDNIGHT_13, { marketplace: "uk" })).toEqual({ asin: null, checked: false });
+    expect(searches()).toHaveLength(2);
+  });
+
+  it("stores the ASIN on local books and links their details page to it", async () => {
+    const res = await request(app).get(`/api/books/${BOOK_ID}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      asin: MIDNIGHT_ASIN,
+      amazonLink: `https://amazon.de/dp/${MIDNIGHT_ASIN}?tag=bookpath-21`,
+    });
+    expect(Book.updateOne).toHaveBeenCalledWith(
+      { _id: BOOK_ID },
+      { asin: MIDNIGHT_ASIN, asinCheckedAt: expect.any(Date) }
+    );
+
+    const click = await request(app).get(`/api/books/${BOOK_ID}/affiliate`);
+    expect(click.body.data.affiliateUrl).toBe(`https://amazon.de/dp/${MIDNIGHT_ASIN}?tag=bookpath-21`);
+    expect(searches()).toHaveLength(1);
+  });
+
+  it("reports books still without an ASIN, by status", async () => {
+    const adminService = (await import("../src/services/adminService.js")).default;
+
+    const report = await adminService.listMissingAsins({ status: "not_found", limit: 10 });
+
+    expect(Book.find).toHaveBeenCalledWith({ asin: null, isbn: { $ne: null }, asinCheckedAt: { $ne: null } });
+    expect(report).toMatchObject({
+      books: [{ title: "Unlisted", isbn: UNLISTED_13 }],
+      page: 1,
+      limit: 10,
+      total: 2,
+      summary: { unchecked: 5, notFound: 2, noIsbn: 3 },
+    });
+  });
+});
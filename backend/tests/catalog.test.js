@@ -0,0 +1,118 @@
+const mockWorks = [];
+const mockEditions = [];
+
+// findOne / findById / create over an array, with the models' unique indexes
+function mockModel(docs, prefix, uniqueKeys) {
+  const matches = (filter) => (doc) => Object.entries(filter).every(([key, value]) => doc[key] === value);
+  return {
+    findOne: jest.fn(async (filter) => docs.find(matches(filter)) || null),
+    findById: jest.fn(async (id) => docs.find((doc) => doc._id === String(id)) || null),
+    create: jest.fn(async (data) => {
+      const taken = (keys) =>
+        keys.every((key) => data[key] !== undefined) &&
+        docs.some(matches(Object.fromEntries(keys.map((key) => [key, data[key]]))));
+      if (uniqueKeys.some(taken)) {
+        throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+      }
+      const doc = { _id: `${prefix}${docs.length + 1}`, ...data, save: jest.fn().mockResolvedValue(undefined) };
+      docs.push(doc);
+      return doc;
+    }),
+  };
+}
+
+jest.mock("../src/models/Work.js", () => ({
+  __esModule: true,
+  default: mockModel(mockWorks, "work-", [["normalizedTitle", "authorKey"], ["openLibraryKey"]]),
+}));
+
+jest.mock("../src/models/Edition.js", () => ({
+  __esModule: true,
+  default: mockModel(mockEditions, "edition-", [["externalId"]]),
+}));
+
+describe("Work/Edition catalog", () => {
+  let catalogService;
+  let normalizeTitle;
+  let authorKeyOf;
+
+  beforeAll(async () => {
+    ({ default: catalogService, normalizeTitle, authorKeyOf } = await import("../src/services/catalogService.js"));
+  });
+
+  beforeEach(() => {
+    mockWorks.length = 0;
+    mockEditions.length = 0;
+  });
+
+  it("normalizes titles and primary authors for work matching", () => {
+    expect(normalizeTitle("The Lord of the Rings (Penguin Classics) [Paperback]")).toBe("lord of the rings");
+    expect(normalizeTitle("Dune (Dune, #1)")).toBe("dune");
+    expect(normalizeTitle("Les Misérables")).toBe("les miserables");
+    expect(normalizeTitle("Pride & Prejudice")).toBe("pride and prejudice");
+
+    expect(authorKeyOf(["Frank Herbert", "Brian Herbert"])).toBe("herbert");
+    expect(authorKeyOf("Herbert, Frank")).toBe("herbert");
+    expect(authorKeyOf(["Martin Luther King Jr."])).toBe("king");
+    expect(authorKeyOf([])).toBe("");
+  });
+
+  it("resolves editions from different providers to one work", async () => {
+    const google = await catalogService.resolve({
+      id: "google-abc",
+      title: "Dune",
+      authors: ["Frank Herbert"],
+      isbn: "9780441172719",
+      publishedDate: "1990-09-01",
+      source: "google-books",
+    });
+    expect(google.edition).toMatchObject({ externalId: "google-abc", isbn13: "9780441172719", source: "google-books" });
+
+    // Open Library identifies works, not editions: same work, no edition
+    const openLibrary = await catalogService.resolve({
+      id: "/works/OL893415W",
+      title: "Dune (Dune, #1)",
+      authors: ["Herbert, Frank"],
+      firstPublishYear: 1965,
+    });
+    expect(openLibrary.work._id).toBe(google.work._id);
+    expect(openLibrary.edition).toBeFalsy();
+    expect(openLibrary.work).toMatchObject({ openLibraryKey: "OL893415W", firstPublishYear: 1965 });
+
+    // A library entry with the ISBN-10 of the same book finds that edition
+    const library = await catalogService.resolve({ title: "Dune", authors: ["F. Herbert"], isbn: "0-441-17271-7" });
+    expect(library.edition._id).toBe(google.edition._id);
+
+    expect(mockWorks).toHaveLength(1);
+    expect(mockEditions).toHaveLength(1);
+    expect(await catalogService.resolveWorkId({ id: "google-abc", title: "Dune" })).toBe(google.work._id);
+  });
+
+  it("gives an ISBN-only edition the first external ID seen and another volume its own edition", async () => {
+    const emma = { title: "Emma", authors: ["Jane Austen"], isbn: "9780141439587" };
+    const imported = await catalogService.resolve(emma);
+    expect(imported.edition.externalId).toBeUndefined();
+
+    const first = await catalogService.resolve({ ...emma, id: "google-emma-1" });
+    expect(first.edition._id).toBe(imported.edition._id);
+    expect(first.edition.externalId).toBe("google-emma-1");
+    expect(first.edition.save).toHaveBeenCalled();
+
+    const second = await catalogService.resolve({ ...emma, id: "google-emma-2" });
+    expect(second.edition._id).not.toBe(first.edition._id);
+    expect(second.work._id).toBe(first.work._id);
+  });
+
+  it("keeps different books by the same author apart and never fails resolveWorkId callers", async () => {
+    const dune = await catalogService.resolve({ id: "google-dune", title: "Dune", authors: ["Frank Herbert"] });
+    const messiah = await catalogService.resolve({
+      id: "google-messiah",
+      title: "Dune Messiah",
+      authors: ["Frank Herbert"],
+    });
+    expect(messiah.work._id).not.toBe(dune.work._id);
+
+    await expect(catalogService.resolve({ id: "google-x" })).rejects.toMatchObject({ statusCode: 400 });
+    expect(await catalogService.resolveWorkId({ id: "google-x" })).toBeNull();
+  });
+});
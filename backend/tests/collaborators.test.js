@@ -0,0 +1,188 @@
+import express from "express";
+import request from "supertest";
+
+const OWNER = "64b0000000000000000000a1";
+const EDITOR = "64b0000000000000000000a2";
+const VIEWER = "64b0000000000000000000a3";
+const INVITEE = "64b0000000000000000000a4";
+const STRANGER = "64b0000000000000000000a5";
+
+const mockUsers = [
+  { _id: OWNER, email: "owner@example.com", username: "owner" },
+  { _id: EDITOR, email: "editor@example.com", username: "editor" },
+  { _id: VIEWER, email: "viewer@example.com", username: "viewer" },
+  { _id: INVITEE, email: "invitee@example.com", username: "invitee" },
+];
+
+jest.mock("../src/models/User.js", () => ({
+  __esModule: true,
+  default: {
+    findOne: jest.fn(async ({ email, username }) => {
+      const user = mockUsers.find((u) => (email ? u.email === email.$eq : u.username === username.$eq));
+      return user ? { ...user, _id: new (require("mongoose").Types.ObjectId)(user._id) } : null;
+    }),
+  },
+}));
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+// The signed-in user comes from a test header
+jest.mock("../src/middleware/authMiddleware.js", () => ({
+  authMiddleware: () => (req, res, next) => {
+    req.user = { id: req.headers["x-test-user"] };
+    next();
+  },
+}));
+
+jest.mock("../src/middleware/rateLimiter.js", () => ({
+  rateLimiterMiddleware: (req, res, next) => next(),
+}));
+
+// Tier limits are covered by the entitlements suite
+jest.mock("../src/middleware/entitlements.js", () => ({
+  entitlementMiddleware: () => (req, res, next) => next(),
+}));
+
+// Evaluates the subset of MongoDB filters the collaborator endpoints use against a document
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (key === "$or") return value.some((branch) => matches(doc, branch));
+    if (key === "collaborators.user") return doc.collaborators.some((c) => String(c.user) === String(value));
+    if (key === "collaborators") {
+      const expected = Object.entries(value.$elemMatch);
+      return doc.collaborators.some((c) => expected.every(([k, v]) => String(c[k]) === String(v)));
+    }
+    return String(doc[key]) === String(value);
+  });
+}
+
+describe("Collection collaborators", () => {
+  let app;
+  let BookCollection;
+  let AuditLog;
+  let collection;
+
+  const as = (userId) => ({
+    post: (path) => request(app).post(path).set("X-Test-User", userId),
+    put: (path) => request(app).put(path).set("X-Test-User", userId),
+    delete: (path) => request(app).delete(path).set("X-Test-User", userId),
+  });
+  const collaborators = () => `/api/collections/${collection._id}/collaborators`;
+
+  beforeAll(async () => {
+    BookCollection = (await import("../src/models/BookCollection.js")).default;
+    AuditLog = (await import("../src/models/AuditLog.js")).default;
+    const { default: collectionRoutes } = await import("../src/routes/collectionRoutes.js");
+
+    jest.spyOn(BookCollection, "findOne").mockImplementation(async (filter) =>
+      matches(collection, filter) ? collection : null
+    );
+    jest.spyOn(BookCollection.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+    jest.spyOn(AuditLog, "logAction").mockResolvedValue(undefined);
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/collections", collectionRoutes);
+    app.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ message: err.message }));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    collection = new BookCollection({
+      user: OWNER,
+      name: "Book club",
+      isPublic: false,
+      collaborators: [
+        { user: EDITOR, role: "editor", status: "accepted", invitedBy: OWNER },
+        { user: VIEWER, role: "viewer", status: "accepted", invitedBy: OWNER },
+        { user: INVITEE, role: "editor", status: "pending", invitedBy: OWNER },
+      ],
+    });
+  });
+
+  it("builds access filters that only admit accepted collaborators with the required role", () => {
+    const reaches = (userId, level) => matches(collection, BookCollection.accessFilter(userId, level));
+
+    expect([OWNER, EDITOR, VIEWER, INVITEE].map((id) => reaches(id, "owner"))).toEqual([true, false, false, false]);
+    expect([OWNER, EDITOR, VIEWER, INVITEE].map((id) => reaches(id, "edit"))).toEqual([true, true, false, false]);
+    expect([OWNER, EDITOR, VIEWER, INVITEE].map((id) => reaches(id, "member"))).toEqual([true, true, true, false]);
+    expect(reaches(STRANGER, "read")).toBe(false);
+    collection.isPublic = true;
+    expect(reaches(STRANGER, "read")).toBe(true);
+    expect(reaches(STRANGER, "member")).toBe(false);
+
+    expect([OWNER, EDITOR, VIEWER, INVITEE].map((id) => collection.getAccessRole(id))).toEqual([
+      "owner",
+      "editor",
+      "viewer",
+      null,
+    ]);
+  });
+
+  it("lets only the owner invite, and never themselves or an existing collaborator", async () => {
+    const byEditor = await as(EDITOR).post(collaborators()).send({ email: "someone@example.com" });
+    expect(byEditor.status).toBe(404);
+
+    expect((await as(OWNER).post(collaborators()).send({ username: "owner" })).status).toBe(400);
+    expect((await as(OWNER).post(collaborators()).send({ username: "invitee" })).status).toBe(409);
+    expect((await as(OWNER).post(collaborators()).send({ email: "nobody@example.com" })).status).toBe(404);
+
+    collection.collaborators.pull(collection.getCollaborator(INVITEE)._id);
+    const invited = await as(OWNER).post(collaborators()).send({ email: "Invitee@Example.com", role: "editor" });
+    expect(invited.status).toBe(201);
+    expect(invited.body.data).toMatchObject({ user: INVITEE, role: "editor", status: "pending", invitedBy: OWNER });
+    expect(collection.getAccessRole(INVITEE)).toBeNull();
+    expect(AuditLog.logAction).toHaveBeenCalledWith(
+      OWNER,
+      "collaborator_invited",
+      expect.objectContaining({ role: "editor" }),
+      expect.anything()
+    );
+  });
+
+  it("accepts only the signed-in user's own pending invitation", async () => {
+    expect((await as(STRANGER).post(`${collaborators()}/accept`)).status).toBe(404);
+    expect((await as(VIEWER).post(`${collaborators()}/accept`)).status).toBe(404);
+
+    const accepted = await as(INVITEE).post(`${collaborators()}/accept`);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data).toMatchObject({ role: "editor", status: "accepted" });
+    expect(collection.getAccessRole(INVITEE)).toBe("editor");
+
+    expect((await as(INVITEE).post(`${collaborators()}/accept`)).status).toBe(404);
+  });
+
+  it("lets only the owner change roles", async () => {
+    const byEditor = await as(EDITOR).put(`${collaborators()}/${VIEWER}`).send({ role: "editor" });
+    expect(byEditor.status).toBe(404);
+    expect(collection.getAccessRole(VIEWER)).toBe("viewer");
+
+    expect((await as(OWNER).put(`${collaborators()}/${STRANGER}`).send({ role: "editor" })).status).toBe(404);
+    expect((await as(OWNER).put(`${collaborators()}/${VIEWER}`).send({ role: "owner" })).status).toBe(400);
+
+    const promoted = await as(OWNER).put(`${collaborators()}/${VIEWER}`).send({ role: "editor" });
+    expect(promoted.status).toBe(200);
+    expect(collection.getAccessRole(VIEWER)).toBe("editor");
+  });
+
+  it("lets the owner remove anyone and a collaborator only themselves", async () => {
+    expect((await as(VIEWER).delete(`${collaborators()}/${EDITOR}`)).status).toBe(403);
+    expect((await as(STRANGER).delete(`${collaborators()}/${STRANGER}`)).status).toBe(404);
+    expect(collection.getAccessRole(EDITOR)).toBe("editor");
+
+    // Leaving, and declining a pending invitation
+    expect((await as(VIEWER).delete(`${collaborators()}/${VIEWER}`)).status).toBe(200);
+    expect((await as(INVITEE).delete(`${collaborators()}/${INVITEE}`)).status).toBe(200);
+    expect(AuditLog.logAction).toHaveBeenLastCalledWith(
+      INVITEE,
+      "collaborator_removed",
+      expect.objectContaining({ status: "pending", selfRemoved: true }),
+      expect.anything()
+    );
+
+    expect((await as(OWNER).delete(`${collaborators()}/${EDITOR}`)).status).toBe(200);
+    expect(collection.collaborators).toHaveLength(0);
+  });
+});
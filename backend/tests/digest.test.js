@@ -0,0 +1,251 @@
+import net from "net";
+
+// In-memory subscriber list and delivery log
+const subscribers = [];
+const deliveries = [];
+
+jest.mock("../src/models/EmailSubscriber.js", () => {
+  class EmailSubscriber {
+    constructor(doc) {
+      Object.assign(this, { _id: `sub-${subscribers.length + 1}`, genres: [], frequency: "weekly" }, doc);
+    }
+
+    async save() {
+      if (!subscribers.includes(this)) subscribers.push(this);
+      return this;
+    }
+
+    static find() {
+      return { cursor: () => subscribers.filter((s) => s.confirmedAt && !s.unsubscribedAt)[Symbol.iterator]() };
+    }
+
+    static findOne(query) {
+      const match = subscribers.find((s) =>
+        query.email
+          ? s.email === query.email
+          : s.confirmationToken === query.confirmationToken && s.confirmationExpires > query.confirmationExpires.$gt
+      );
+      return Object.assign(Promise.resolve(match || null), { select: () => Promise.resolve(match || null) });
+    }
+
+    static async findById(id) {
+      return subscribers.find((s) => String(s._id) === String(id)) || null;
+    }
+
+    static async updateOne({ _id }, update) {
+      Object.assign(subscribers.find((s) => s._id === _id), update);
+    }
+  }
+  return { __esModule: true, default: EmailSubscriber };
+});
+
+jest.mock("../src/models/DigestDelivery.js", () => ({
+  __esModule: true,
+  default: {
+    findOneAndUpdate: jest.fn().mockResolvedValue(null),
+    create: jest.fn(async (doc) => {
+      if (deliveries.some((d) => d.subscriber === doc.subscriber && d.digestKey === doc.digestKey)) {
+        throw Object.assign(new Error("duplicate key"), { code: 11000 });
+      }
+      const delivery = { ...doc, status: "pending", save: jest.fn().mockResolvedValue(undefined) };
+      deliveries.push(delivery);
+      return delivery;
+    }),
+  },
+}));
+
+jest.mock("../src/services/analyticsService.js", () => ({
+  __esModule: true,
+  default: {
+    getTrending: jest.fn().mockResolvedValue([
+      { bookId: "dune-1", title: "Dune", authors: ["Frank Herbert"], categories: ["Sci-Fi"], clicks: 12 },
+      { bookId: "gatsby-1", title: "The Great Gatsby", authors: ["F. Scott Fitzgerald"], categories: [], clicks: 9 },
+    ]),
+  },
+}));
+
+jest.mock("../src/services/catalogService.js", () => ({
+  __esModule: true,
+  default: {
+    findEditionByExternalId: jest.fn(async (id) =>
+      id === "gatsby-1" ? { categories: ["Fiction / Classics"], isbn13: "9780743273565" } : null
+    ),
+  },
+}));
+
+jest.mock("../src/services/priceService.js", () => ({
+  __esModule: true,
+  default: {
+    getPrice: jest.fn(async ({ title }) =>
+      title === "Dune"
+        ? { amount: "9.99", currency: "EUR", condition: "New", detailUrl: "https://www.amazon.de/dp/0441172717?tag=test-21" }
+        : null
+    ),
+  },
+}));
+
+// No subscriber has an account with a GPG key
+jest.mock("../src/models/User.js", () => ({
+  __esModule: true,
+  default: { findOne: () => ({ select: () => Promise.resolve(null) }) },
+}));
+
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue("OK"),
+    del: jest.fn().mockResolvedValue(1),
+  },
+}));
+
+/**
+ * Minimal SMTP sink: accepts every message and keeps the raw DATA.
+ */
+function startSmtpSink(messages) {
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 sink ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while (inData ? (index = buffer.indexOf("\r\n.\r\n")) !== -1 : (index = buffer.indexOf("\r\n")) !== -1) {
+        if (inData) {
+          // Undo SMTP dot-stuffing
+          messages.push(buffer.slice(0, index).replace(/\r\n\.\./g, "\r\n."));
+          buffer = buffer.slice(index + 5);
+          inData = false;
+          socket.write(`250 OK queued as sink-${messages.length}\r\n`);
+          continue;
+        }
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "EHLO" || command === "HELO") socket.write("250 sink\r\n");
+        else if (command === "DATA") {
+          inData = true;
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (command === "QUIT") socket.end("221 Bye\r\n");
+        else socket.write("250 OK\r\n");
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+describe("Weekly deals digest", () => {
+  const messages = [];
+  let sink;
+  let digestService;
+  let subscriberService;
+
+  beforeAll(async () => {
+    sink = await startSmtpSink(messages);
+    process.env.SMTP_HOST = "127.0.0.1";
+    process.env.SMTP_PORT = String(sink.address().port);
+    process.env.API_URL = "https://api.bookpath.test";
+    process.env.AMAZON_ASSOCIATES_TAG = "test-21";
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "testsecret";
+
+    digestService = (await import("../src/services/digestService.js")).default;
+    subscriberService = (await import("../src/services/subscriberService.js")).default;
+    const EmailSubscriber = (await import("../src/models/EmailSubscriber.js")).default;
+
+    const confirmedAt = new Date("2026-10-01T00:00:00Z");
+    subscribers.push(
+      new EmailSubscriber({ _id: "sub-scifi", email: "scifi@example.com", genres: ["Sci-Fi"], confirmedAt }),
+      new EmailSubscriber({ _id: "sub-romance", email: "romance@example.com", genres: ["Romance"], confirmedAt }),
+      new EmailSubscriber({ _id: "sub-gone", email: "gone@example.com", confirmedAt, unsubscribedAt: new Date() }),
+      new EmailSubscriber({ _id: "sub-pending", email: "pending@example.com", confirmedAt: null })
+    );
+  });
+
+  afterAll(() => new Promise((resolve) => sink.close(resolve)));
+
+  const unfold = (raw) => raw.replace(/\r\n[ \t]+/g, " ").replace(/=\r\n/g, "").replace(/=3D/g, "=");
+
+  it("sends genre picks through SMTP and records each delivery", async () => {
+    const now = new Date("2026-10-15T07:00:00Z");
+    const summary = await digestService.sendWeeklyDigest({ now });
+
+    expect(summary).toMatchObject({ digestKey: "2026-W42", sent: 1, skipped: 1, failed: 0 });
+    expect(messages).toHaveLength(1);
+
+    // Unfold headers and quoted-printable soft line breaks
+    const raw = unfold(messages[0]);
+    expect(raw).toMatch(/To: scifi@example.com/);
+    expect(raw).toMatch(/List-Unsubscribe: <https:\/\/api\.bookpath\.test\/api\/subscribers\/unsubscribe\?token=/);
+    expect(raw).toMatch(/List-Unsubscribe-Post: List-Unsubscribe=One-Click/);
+    expect(raw).toContain("Dune");
+    expect(raw).toContain("9.99 EUR");
+    expect(raw).toMatch(/\/subscription\?token=/);
+    expect(raw).not.toContain("The Great Gatsby");
+
+    const sent = deliveries.find((d) => d.subscriber === "sub-scifi");
+    expect(sent).toMatchObject({ status: "sent", digestKey: "2026-W42", bookIds: ["dune-1"] });
+    expect(sent.messageId).toBeDefined();
+    expect(deliveries.find((d) => d.subscriber === "sub-romance").status).toBe("skipped");
+    expect(subscribers[0].lastDigestAt).toBeInstanceOf(Date);
+
+    // A second run in the same week sends nothing
+    const rerun = await digestService.sendWeeklyDigest({ now });
+    expect(rerun).toMatchObject({ sent: 0, alreadyDone: 2 });
+    expect(messages).toHaveLength(1);
+  });
+
+  it("unsubscribes with the signed link and rejects tampered tokens", async () => {
+    const url = new URL(subscriberService.unsubscribeUrl(subscribers[0]));
+    const token = url.searchParams.get("token");
+
+    await expect(subscriberService.unsubscribe(`${token}x`)).rejects.toMatchObject({ statusCode: 400 });
+    // A preference-page token is not an unsubscribe token
+    const preferencesToken = new URL(subscriberService.preferencesUrl(subscribers[0])).searchParams.get("token");
+    await expect(subscriberService.unsubscribe(preferencesToken)).rejects.toMatchObject({ statusCode: 400 });
+
+    await expect(subscriberService.unsubscribe(token)).resolves.toMatchObject({ unsubscribed: true });
+    expect(subscribers[0].unsubscribedAt).toBeInstanceOf(Date);
+  });
+
+  it("requires the emailed confirmation before an address counts as consented", async () => {
+    const sentBefore = messages.length;
+    await expect(
+      subscriberService.subscribe({ email: "new@example.com", source: "home", genres: ["Fantasy"] })
+    ).resolves.toEqual({ pending: true });
+
+    const subscriber = subscribers.find((s) => s.email === "new@example.com");
+    expect(subscriber).toMatchObject({ consentSource: "home", genres: ["Fantasy"] });
+    expect(subscriber.confirmedAt).toBeFalsy();
+    expect(messages).toHaveLength(sentBefore + 1);
+
+    const confirmation = unfold(messages[sentBefore]);
+    expect(confirmation).toContain(`/api/subscribers/confirm/${subscriber.confirmationToken}`);
+
+    // A second request within the resend window does not mail again
+    await subscriberService.subscribe({ email: "new@example.com", source: "home" });
+    expect(messages).toHaveLength(sentBefore + 1);
+
+    await expect(subscriberService.confirm("not-the-token")).rejects.toMatchObject({ statusCode: 400 });
+    await subscriberService.confirm(subscriber.confirmationToken);
+    expect(subscriber.confirmedAt).toBeInstanceOf(Date);
+    expect(subscriber.confirmationToken).toBeUndefined();
+  });
+
+  it("answers a confirmed address like a new one and mails its preference link instead of changing it", async () => {
+    const romance = subscribers.find((s) => s.email === "romance@example.com");
+    // The welcome email of the previous test may still arrive
+    const mailedTo = () => messages.map(unfold).filter((raw) => /To: romance@example.com/.test(raw));
+
+    await expect(
+      subscriberService.subscribe({ email: "romance@example.com", genres: ["Horror"], frequency: "monthly" })
+    ).resolves.toEqual({ pending: true });
+
+    expect(romance).toMatchObject({ genres: ["Romance"], frequency: "weekly" });
+    expect(mailedTo()).toHaveLength(1);
+    expect(mailedTo()[0]).toMatch(/\/subscription\?token=/);
+
+    // Not mailed again within the resend window
+    await subscriberService.subscribe({ email: "romance@example.com" });
+    expect(mailedTo()).toHaveLength(1);
+  });
+});
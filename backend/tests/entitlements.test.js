@@ -0,0 +1,228 @@
+import express from "express";
+import request from "supertest";
+
+const mockUsers = [];
+let mockCollectionCount = 0;
+let mockCollaboratorCollection = null;
+
+const COLLECTION_ID = "64b0000000000000000000c1";
+
+jest.mock("../src/models/User.js", () => {
+  const find = (id) => mockUsers.find((u) => u._id === String(id)) || null;
+  return {
+    __esModule: true,
+    default: {
+      findById: (id) => ({ select: () => Promise.resolve(find(id)) }),
+      findOne: ({ email }) => ({ select: () => Promise.resolve(mockUsers.find((u) => u.email === email.$eq) || null) }),
+      // Honors billingService's "not older than the last applied event" filter
+      updateOne: jest.fn(async ({ _id, $or }, update) => {
+        const user = find(_id);
+        const since = $or?.[1]["billing.lastEventAt"].$lte;
+        if (!user || (since && user.billing?.lastEventAt > since)) return { matchedCount: 0 };
+        Object.assign(user, update);
+        return { matchedCount: 1 };
+      }),
+    },
+  };
+});
+
+jest.mock("../src/models/BookCollection.js", () => ({
+  __esModule: true,
+  default: {
+    countDocuments: jest.fn(async () => mockCollectionCount),
+    findOne: () => ({ select: () => Promise.resolve(mockCollaboratorCollection) }),
+  },
+}));
+
+jest.mock("../src/models/AuditLog.js", () => ({
+  __esModule: true,
+  default: { logAction: jest.fn().mockResolvedValue(undefined) },
+}));
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+// The signed-in user comes from a test header; the tier is looked up
+jest.mock("../src/middleware/authMiddleware.js", () => ({
+  authMiddleware: () => (req, res, next) => {
+    req.user = { id: req.headers["x-test-user"] };
+    next();
+  },
+}));
+
+jest.mock("../src/middleware/rateLimiter.js", () => ({
+  rateLimiterMiddleware: (req, res, next) => next(),
+}));
+
+describe("Subscription entitlements and billing", () => {
+  let app;
+  let fakeBillingProvider;
+  let signPayload;
+  let redis;
+
+  const webhook = (event, signature) => {
+    const body = JSON.stringify(event);
+    return request(app)
+      .post("/api/billing/webhook")
+      .set("Content-Type", "application/json")
+      .set("X-Fake-Billing-Signature", signature || signPayload(body))
+      .send(body);
+  };
+
+  beforeAll(async () => {
+    process.env.BILLING_WEBHOOK_SECRET = "whsec_test";
+    process.env.BILLING_PROVIDER = "fake";
+    const { entitlementMiddleware } = await import("../src/middleware/entitlements.js");
+    const { default: billingRoutes } = await import("../src/routes/billingRoutes.js");
+    ({ default: fakeBillingProvider, signPayload } = await import("../src/services/fakeBillingProvider.js"));
+    redis = (await import("../src/config/redis.js")).default;
+    const { authMiddleware } = await import("../src/middleware/authMiddleware.js");
+
+    const ok = (req, res) => res.status(200).json({ success: true });
+    app = express();
+    app.use("/api/billing/webhook", express.raw({ type: "*/*" }));
+    app.use(express.json());
+    app.use("/api/billing", billingRoutes);
+    app.post("/collections", authMiddleware(), entitlementMiddleware("maxCollections"), ok);
+    app.post("/refresh", authMiddleware(), entitlementMiddleware("aiRefreshesPerDay"), ok);
+    app.get("/export", authMiddleware(), entitlementMiddleware("exportFormats"), ok);
+    app.post("/collections/:id/collaborators", authMiddleware(), entitlementMiddleware("maxPrivateCollaborators"), ok);
+    app.use((err, req, res, _next) =>
+      res.status(err.statusCode || 500).json({ message: err.message, details: err.details })
+    );
+  });
+
+  beforeEach(() => {
+    mockUsers.length = 0;
+    mockUsers.push({ _id: "user-1", email: "ada@example.com", subscriptionTier: "free" });
+    redis.store.clear();
+    mockCollectionCount = 0;
+    mockCollaboratorCollection = null;
+  });
+
+  it("answers 402 at the free collection limit and lifts it once a signed webhook upgrades the user", async () => {
+    mockCollectionCount = 10;
+
+    const blocked = await request(app).post("/collections").set("X-Test-User", "user-1");
+    expect(blocked.status).toBe(402);
+    expect(blocked.body.details).toEqual({ entitlement: "maxCollections", limit: 10, tier: "free", upgradeTo: "pro" });
+    expect(blocked.body.message).toMatch(/up to 10 collections.*Upgrade to Pro/);
+
+    const event = fakeBillingProvider.buildEvent({
+      type: "subscription.updated",
+      userId: "user-1",
+      tier: "pro",
+      status: "active",
+    });
+    expect((await webhook(event, "t=1,v1=00")).status).toBe(400);
+    expect(mockUsers[0].subscriptionTier).toBe("free");
+
+    expect((await webhook(event)).body).toMatchObject({ received: true, handled: true, tier: "pro" });
+    expect(mockUsers[0].subscriptionTier).toBe("pro");
+    expect(mockUsers[0].billing).toMatchObject({ provider: "fake", status: "active", customerId: "cus_fake_user-1" });
+    // Redelivery is acknowledged but not applied twice
+    expect((await webhook(event)).body).toMatchObject({ received: true, handled: false });
+
+    expect((await request(app).post("/collections").set("X-Test-User", "user-1")).status).toBe(200);
+
+    // Cancellation drops back to free
+    await webhook(
+      fakeBillingProvider.buildEvent({ type: "subscription.deleted", userId: "user-1", tier: "pro", status: "canceled" })
+    );
+    expect(mockUsers[0].subscriptionTier).toBe("free");
+  });
+
+  it("limits AI refreshes per day and export formats by tier", async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await request(app).post("/refresh").set("X-Test-User", "user-1")).status).toBe(200);
+    }
+    const fourth = await request(app).post("/refresh").set("X-Test-User", "user-1");
+    expect(fourth.status).toBe(402);
+    expect(fourth.body.details).toMatchObject({ entitlement: "aiRefreshesPerDay", limit: 3 });
+
+    expect((await request(app).get("/export?format=csv").set("X-Test-User", "user-1")).status).toBe(200);
+    expect((await request(app).get("/export?format=goodreads").set("X-Test-User", "user-1")).status).toBe(402);
+    mockUsers[0].subscriptionTier = "pro";
+    expect((await request(app).get("/export?format=goodreads").set("X-Test-User", "user-1")).status).toBe(200);
+  });
+
+  it("answers 403 when even the highest tier's collaborator limit is reached by a new collaborator", async () => {
+    const invite = (collectionId = COLLECTION_ID, email = "grace@example.com") =>
+      request(app).post(`/collections/${collectionId}/collaborators`).set("X-Test-User", "user-1").send({ email });
+    mockUsers[0].subscriptionTier = "pro";
+    mockUsers.push({ _id: "user-2", email: "grace@example.com" }, { _id: "user-3", email: "alan@example.com" });
+    mockCollaboratorCollection = {
+      isPublic: false,
+      collaborators: [{ user: "user-3" }, ...new Array(24).fill({})],
+    };
+
+    const res = await invite();
+    expect(res.status).toBe(403);
+    expect(res.body.details).toMatchObject({ entitlement: "maxPrivateCollaborators", tier: "pro", upgradeTo: null });
+
+    // Re-inviting someone already on the collection adds no one; the route answers 409
+    expect((await invite(COLLECTION_ID, "alan@example.com")).status).toBe(200);
+    // A malformed id is a missing collection, not a server error
+    expect((await invite("c1")).status).toBe(404);
+
+    // Public collections have no collaborator limit
+    mockCollaboratorCollection.isPublic = true;
+    expect((await invite()).status).toBe(200);
+  });
+
+  it("ignores subscription events older than the last one applied", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const upgraded = fakeBillingProvider.buildEvent({
+      type: "subscription.updated",
+      userId: "user-1",
+      tier: "pro",
+      status: "active",
+      created: now - 60,
+    });
+    const canceled = fakeBillingProvider.buildEvent({
+      type: "subscription.deleted",
+      userId: "user-1",
+      tier: "pro",
+      status: "canceled",
+      created: now,
+    });
+
+    // The cancellation is delivered first, the earlier upgrade afterwards
+    expect((await webhook(canceled)).body).toMatchObject({ handled: true, tier: "free" });
+    expect((await webhook(upgraded)).body).toMatchObject({ received: true, handled: false });
+    expect(mockUsers[0].subscriptionTier).toBe("free");
+    expect(mockUsers[0].billing).toMatchObject({ status: "canceled", lastEventAt: new Date(now * 1000) });
+
+    // Without a creation time there is nothing to order by
+    expect((await webhook({ ...upgraded, id: "evt_undated", created: undefined })).status).toBe(400);
+  });
+
+  it("upgrades through the fake provider's checkout", async () => {
+    const checkout = await request(app).post("/api/billing/checkout").set("X-Test-User", "user-1").send({});
+    expect(checkout.status).toBe(200);
+
+    const path = new URL(checkout.body.data.url).pathname;
+    const completed = await request(app).get(path);
+    expect(completed.status).toBe(303);
+    expect(completed.headers.location).toMatch(/\/profile\?billing=success$/);
+    expect(mockUsers[0].subscriptionTier).toBe("pro");
+
+    // The checkout link works once
+    expect((await request(app).get(path)).status).toBe(404);
+  });
+
+  it("offers neither checkout nor the fake checkout page unless a provider is configured", async () => {
+    delete process.env.BILLING_PROVIDER;
+    try {
+      await jest.isolateModulesAsync(async () => {
+        const { default: billingRoutes } = await import("../src/routes/billingRoutes.js");
+        const bare = express().use(express.json()).use("/api/billing", billingRoutes);
+        bare.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ message: err.message }));
+
+        expect((await request(bare).post("/api/billing/checkout").set("X-Test-User", "user-1").send({})).status).toBe(503);
+        expect((await request(bare).get("/api/billing/fake/checkout/cs_fake_1")).status).toBe(404);
+      });
+    } finally {
+      process.env.BILLING_PROVIDER = "fake";
+    }
+  });
+});
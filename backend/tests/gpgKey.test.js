@@ -0,0 +1,157 @@
+import fs from "fs";
+import path from "path";
+import * as openpgp from "openpgp";
+
+const users = [];
+const mockSendMail = jest.fn(async () => ({ messageId: "test-message" }));
+
+jest.mock("../src/models/User.js", () => {
+  const matches = (user, query) =>
+    Object.entries(query).every(([field, expected]) =>
+      expected?.$exists !== undefined ? (user[field] !== undefined) === expected.$exists : user[field] === expected
+    );
+  const withSelect = (value) => Object.assign(Promise.resolve(value), { select: () => Promise.resolve(value) });
+  return {
+    __esModule: true,
+    default: {
+      findById: (id) => withSelect(users.find((u) => u._id === id) || null),
+      findOne: (query) => withSelect(users.find((u) => matches(u, query)) || null),
+      updateOne: jest.fn(async ({ _id }, update) => {
+        const user = users.find((u) => u._id === _id);
+        for (const field of Object.keys(update.$unset || {})) delete user[field];
+      }),
+    },
+  };
+});
+
+jest.mock("../src/models/AuditLog.js", () => ({
+  __esModule: true,
+  default: { logAction: jest.fn().mockResolvedValue(undefined) },
+}));
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+jest.mock("nodemailer", () => ({
+  __esModule: true,
+  default: { createTransport: () => ({ sendMail: mockSendMail }) },
+}));
+
+const generateKey = (email) =>
+  openpgp.generateKey({ userIDs: [{ name: "Reader", email }], format: "armored" });
+
+const clearsign = async (text, armoredPrivateKey) =>
+  openpgp.sign({
+    message: await openpgp.createCleartextMessage({ text }),
+    signingKeys: await openpgp.readPrivateKey({ armoredKey: armoredPrivateKey }),
+  });
+
+describe("GPG keys for account email", () => {
+  let gpgService;
+  let emailService;
+  let AuditLog;
+  let user;
+  let keys;
+
+  beforeAll(async () => {
+    process.env.SMTP_HOST = "smtp.test";
+    ({ default: gpgService } = await import("../src/services/gpgService.js"));
+    ({ default: emailService } = await import("../src/services/emailService.js"));
+    AuditLog = (await import("../src/models/AuditLog.js")).default;
+    keys = await generateKey("ada@example.com");
+  });
+
+  beforeEach(() => {
+    users.length = 0;
+    user = {
+      _id: "user-1",
+      email: "ada@example.com",
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    users.push(user);
+    mockSendMail.mockClear();
+  });
+
+  it("rejects private keys and hands out a challenge for a public key", async () => {
+    await expect(gpgService.startVerification(user._id, keys.privateKey)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(gpgService.startVerification(user._id, "not a key")).rejects.toMatchObject({ statusCode: 400 });
+
+    const repoKey = fs.readFileSync(path.resolve(__dirname, "../../gpg-public-key.asc"), "utf8");
+    const pending = await gpgService.startVerification(user._id, repoKey);
+
+    expect(pending.fingerprint).toBe("E6B5B374569664036F27F354F5D0AEF693ED3FFA");
+    expect(pending.challenge).toContain(`Fingerprint: ${pending.fingerprint}`);
+    // Nothing is stored until the challenge is signed
+    expect(user.keyFingerprint).toBeUndefined();
+  });
+
+  it("stores the key only after the challenge is signed with it", async () => {
+    const { challenge, fingerprint } = await gpgService.startVerification(user._id, keys.publicKey);
+
+    const other = await generateKey("mallory@example.com");
+    await expect(gpgService.verify(user._id, await clearsign(challenge, other.privateKey))).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    await expect(gpgService.verify(user._id, await clearsign("something else", keys.privateKey))).rejects.toMatchObject({
+      statusCode: 400,
+    });
+
+    await expect(gpgService.verify(user._id, await clearsign(challenge, keys.privateKey))).resolves.toBe(fingerprint);
+    expect(user.keyFingerprint).toBe(fingerprint);
+    expect(user.gpgPublicKey).toBe(keys.publicKey.trim());
+    expect(AuditLog.logAction).toHaveBeenCalledWith(user._id, "gpg_key_added", { fingerprint, replaced: null }, undefined);
+
+    // The challenge is single-use
+    await expect(gpgService.verify(user._id, await clearsign(challenge, keys.privateKey))).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it("encrypts mail to addresses with a verified key and stops after removal", async () => {
+    const { challenge } = await gpgService.startVerification(user._id, keys.publicKey);
+    await gpgService.verify(user._id, await clearsign(challenge, keys.privateKey));
+
+    const result = await emailService.sendPasswordResetEmail("ada@example.com", "reset-token", "ada");
+    expect(result).toMatchObject({ success: true, encrypted: true });
+
+    const sent = mockSendMail.mock.calls[0][0];
+    expect(sent.html).toBeUndefined();
+    expect(sent.text).toMatch(/^-----BEGIN PGP MESSAGE-----/);
+    expect(sent.text).not.toContain("reset-token");
+    const { data } = await openpgp.decrypt({
+      message: await openpgp.readMessage({ armoredMessage: sent.text }),
+      decryptionKeys: await openpgp.readPrivateKey({ armoredKey: keys.privateKey }),
+    });
+    expect(data).toContain("/reset-password/reset-token");
+
+    await gpgService.remove(user._id);
+    await emailService.sendPasswordResetEmail("ada@example.com", "reset-token", "ada");
+    expect(mockSendMail.mock.calls[1][0].html).toContain("/reset-password/reset-token");
+  });
+
+  it("withholds mail for a key revoked since verification and sends a renewal notice instead", async () => {
+    const { challenge, fingerprint } = await gpgService.startVerification(user._id, keys.publicKey);
+    await gpgService.verify(user._id, await clearsign(challenge, keys.privateKey));
+    const { publicKey: revoked } = await openpgp.revokeKey({
+      key: await openpgp.readPrivateKey({ armoredKey: keys.privateKey }),
+      format: "armored",
+    });
+    user.gpgPublicKey = revoked;
+
+    const result = await emailService.sendPasswordResetEmail("ada@example.com", "reset-token", "ada");
+    expect(result).toMatchObject({ success: false, withheld: true });
+
+    expect(mockSendMail).toHaveBeenCalledTimes(1);
+    const notice = mockSendMail.mock.calls[0][0];
+    expect(notice).toMatchObject({ to: "ada@example.com", subject: expect.stringMatching(/renew your GPG key/) });
+    expect(notice.html).toBeUndefined();
+    expect(notice.text).toContain("Reset Your Password");
+    expect(notice.text).not.toContain("reset-token");
+    expect(AuditLog.logAction).toHaveBeenCalledWith(
+      user._id,
+      "gpg_key_unusable",
+      expect.objectContaining({ fingerprint, subject: "Reset Your Password - BookPath" })
+    );
+    // The key stays, so later mail is withheld too rather than sent in plain text
+    expect(user.keyFingerprint).toBe(fingerprint);
+  });
+});
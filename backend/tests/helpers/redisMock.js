@@ -0,0 +1,57 @@
+/**
+ * In-memory stand-in for the Redis client (config/redis.js) for suites that
+ * need keys to round-trip:
+ *
+ *   jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+ *
+ * Every command is a jest.fn. `store` is exposed so tests can inspect or
+ * clear keys; expiry arguments are accepted and ignored.
+ */
+export function createRedisMock() {
+  const store = new Map();
+
+  return {
+    store,
+    get: jest.fn(async (key) => store.get(key) ?? null),
+    set: jest.fn(async (key, value) => {
+      store.set(key, value);
+      return "OK";
+    }),
+    del: jest.fn(async (key) => (store.delete(key) ? 1 : 0)),
+    incr: jest.fn(async (key) => {
+      const next = Number(store.get(key) || 0) + 1;
+      store.set(key, String(next));
+      return next;
+    }),
+    expire: jest.fn().mockResolvedValue(1),
+    sadd: jest.fn(async (key, ...members) => {
+      const set = store.get(key) || new Set();
+      const added = members.filter((member) => !set.has(member) && set.add(member)).length;
+      store.set(key, set);
+      return added;
+    }),
+    smembers: jest.fn(async (key) => [...(store.get(key) || [])]),
+    srem: jest.fn(async (key, ...members) => {
+      const set = store.get(key);
+      return set ? members.filter((member) => set.delete(member)).length : 0;
+    }),
+    // Same contract as the swapSession Lua command (services/sessionService.js)
+    swapSession: jest.fn(async (key, expectedRefreshJti, value) => {
+      if (!store.has(key)) return 0;
+      if (JSON.parse(store.get(key)).refreshJti !== expectedRefreshJti) return -1;
+      store.set(key, value);
+      return 1;
+    }),
+    // One pass over all keys; MATCH patterns support a trailing "*" only
+    scan: jest.fn(async (cursor, ...args) => {
+      const matchIndex = args.findIndex((arg) => String(arg).toUpperCase() === "MATCH");
+      const prefix = matchIndex === -1 ? "" : args[matchIndex + 1].replace(/\*$/, "");
+      return ["0", [...store.keys()].filter((key) => key.startsWith(prefix))];
+    }),
+  };
+}
+
+/**
+ * Module shape for a jest.mock factory
+ */
+export const redisModule = () => ({ __esModule: true, default: createRedisMock() });
@@ -0,0 +1,247 @@
+import express from "express";
+import request from "supertest";
+import { parseCsv } from "../src/utils/csv.js";
+
+const OWNER = "64b0000000000000000000a1";
+const MEMBER = "64b0000000000000000000a2";
+const INVITEE = "64b0000000000000000000a3";
+const STRANGER = "64b0000000000000000000a4";
+
+const NOTES = 'Spice, "must" flow\nsecond line';
+
+const dune = {
+  bookId: "dune",
+  title: "Dune",
+  authors: ["Frank Herbert", "Brian Herbert"],
+  isbn: "978-0-441-17271-9",
+  publishedDate: "1965-08-01",
+  readStatus: "completed",
+  rating: 5,
+  favorite: true,
+  dateFinished: new Date("2024-03-01T00:00:00Z"),
+  addedAt: new Date("2024-01-02T00:00:00Z"),
+  notes: NOTES,
+  personalTags: ["space, opera", 'say "hi"'],
+};
+const emma = { bookId: "emma", title: "Emma", authors: ["Jane Austen"], readStatus: "to-read", addedAt: dune.addedAt };
+
+const mockCollections = [
+  {
+    _id: "64b0000000000000000000c1",
+    user: OWNER,
+    name: "Sci-Fi Shelf",
+    isPublic: false,
+    tags: ["space"],
+    books: [dune],
+    collaborators: [
+      { user: MEMBER, role: "viewer", status: "accepted" },
+      { user: INVITEE, role: "viewer", status: "pending" },
+    ],
+  },
+  {
+    _id: "64b0000000000000000000c2",
+    user: OWNER,
+    name: "Book Club",
+    isPublic: false,
+    books: [dune, emma],
+    collaborators: [],
+  },
+  { _id: "64b0000000000000000000c3", user: STRANGER, name: "Other", isPublic: true, books: [emma], collaborators: [] },
+];
+
+// Evaluates the filters the export uses (owner, _id and the access filter)
+function mockMatches(doc, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (key === "$or") return value.some((branch) => mockMatches(doc, branch));
+    if (key === "collaborators") {
+      const expected = Object.entries(value.$elemMatch);
+      return doc.collaborators.some((c) => expected.every(([k, v]) => String(c[k]) === String(v)));
+    }
+    return String(doc[key]) === String(value);
+  });
+}
+
+// Cursor over the matching collections that records how far it has been read
+const mockCursors = [];
+function mockCursor(docs) {
+  const cursor = {
+    read: 0,
+    close: jest.fn().mockResolvedValue(undefined),
+    async *[Symbol.asyncIterator]() {
+      for (const doc of docs) {
+        cursor.read++;
+        yield doc;
+      }
+    },
+  };
+  mockCursors.push(cursor);
+  return cursor;
+}
+
+jest.mock("../src/models/BookCollection.js", () => {
+  const actual = jest.requireActual("../src/models/BookCollection.js").default;
+  const query = (docs) => {
+    const chain = {
+      sort: () => chain,
+      select: () => chain,
+      lean: () => chain,
+      cursor: () => mockCursor(docs),
+    };
+    return chain;
+  };
+  return {
+    __esModule: true,
+    default: {
+      accessFilter: actual.accessFilter,
+      find: jest.fn((filter) => query(mockCollections.filter((c) => mockMatches(c, filter)))),
+      findOne: jest.fn((filter) => ({
+        select: async () => mockCollections.find((c) => mockMatches(c, filter)) || null,
+      })),
+    },
+  };
+});
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+// The signed-in user comes from a test header
+jest.mock("../src/middleware/authMiddleware.js", () => ({
+  authMiddleware: () => (req, res, next) => {
+    req.user = { id: req.headers["x-test-user"] };
+    next();
+  },
+}));
+
+jest.mock("../src/middleware/rateLimiter.js", () => ({
+  rateLimiterMiddleware: (req, res, next) => next(),
+}));
+
+// Formats per tier are covered by the entitlements suite
+jest.mock("../src/middleware/entitlements.js", () => ({
+  entitlementMiddleware: () => (req, res, next) => next(),
+}));
+
+describe("Library export", () => {
+  let app;
+  let libraryExportService;
+
+  const download = (path, userId = OWNER) => request(app).get(path).set("X-Test-User", userId).buffer(true);
+
+  beforeAll(async () => {
+    libraryExportService = (await import("../src/services/libraryExportService.js")).default;
+    const { default: libraryRoutes } = await import("../src/routes/libraryRoutes.js");
+    const { default: collectionRoutes } = await import("../src/routes/collectionRoutes.js");
+
+    app = express();
+    app.use("/api/library", libraryRoutes);
+    app.use("/api/collections", collectionRoutes);
+    app.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ message: err.message }));
+  });
+
+  beforeEach(() => {
+    mockCursors.length = 0;
+  });
+
+  it("exports every collection of the user as nested JSON", async () => {
+    const res = await download("/api/library/export?format=json");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/json; charset=utf-8");
+    expect(res.headers["content-disposition"]).toMatch(/^attachment; filename="bookpath-library-[\d-]+\.json"$/);
+
+    const body = JSON.parse(res.text);
+    expect(body.collections.map((c) => [c.name, c.books.map((b) => b.bookId)])).toEqual([
+      ["Sci-Fi Shelf", ["dune"]],
+      ["Book Club", ["dune", "emma"]],
+    ]);
+    expect(body.collections[0].books[0]).toMatchObject({
+      notes: NOTES,
+      personalTags: dune.personalTags,
+      rating: 5,
+      favorite: true,
+      dateFinished: "2024-03-01T00:00:00.000Z",
+    });
+  });
+
+  it("exports one CSV row per collection and book, quoting notes and tags", async () => {
+    const res = await download("/api/library/export?format=csv");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("text/csv; charset=utf-8");
+    expect(res.text).toContain('"Spice, ""must"" flow\nsecond line"');
+    expect(res.text).toContain('"space, opera; say ""hi"""');
+
+    const { records } = parseCsv(res.text);
+    expect(records.map((r) => [r.collectionName, r.bookId])).toEqual([
+      ["Sci-Fi Shelf", "dune"],
+      ["Book Club", "dune"],
+      ["Book Club", "emma"],
+    ]);
+    expect(records[0]).toMatchObject({
+      notes: NOTES,
+      authors: "Frank Herbert; Brian Herbert",
+      collectionTags: "space",
+    });
+  });
+
+  it("exports a Goodreads CSV with each book once and its collections as shelves", async () => {
+    const res = await download("/api/library/export?format=goodreads");
+
+    expect(res.headers["content-disposition"]).toMatch(/filename="bookpath-library-goodreads-[\d-]+\.csv"/);
+    const { records } = parseCsv(res.text);
+    expect(records).toHaveLength(2);
+    expect(records[0]).toEqual({
+      Title: "Dune",
+      Author: "Frank Herbert",
+      "Additional Authors": "Brian Herbert",
+      ISBN: "",
+      ISBN13: "9780441172719",
+      "My Rating": "5",
+      Publisher: "",
+      "Number of Pages": "",
+      "Year Published": "1965",
+      "Date Read": "2024/03/01",
+      "Date Added": "2024/01/02",
+      Bookshelves: expect.stringMatching(/^sci-fi-shelf, book-club, .*, favorites$/),
+      "Exclusive Shelf": "read",
+      "My Review": NOTES,
+    });
+    expect(records[1]).toMatchObject({ Title: "Emma", "My Rating": "0", "Exclusive Shelf": "to-read" });
+  });
+
+  it("exports a single collection to its owner and accepted collaborators only", async () => {
+    const path = `/api/collections/${mockCollections[0]._id}/export?format=csv`;
+
+    const owner = await download(path);
+    expect(owner.status).toBe(200);
+    expect(owner.headers["content-disposition"]).toMatch(/filename="bookpath-sci-fi-shelf-[\d-]+\.csv"/);
+    expect(parseCsv(owner.text).records.map((r) => r.collectionName)).toEqual(["Sci-Fi Shelf"]);
+
+    expect((await download(path, MEMBER)).status).toBe(200);
+    expect((await download(path, INVITEE)).status).toBe(404);
+    expect((await download(path, STRANGER)).status).toBe(404);
+    // Public collections of others aren't exportable either
+    expect((await download(`/api/collections/${mockCollections[2]._id}/export`, OWNER)).status).toBe(404);
+    expect((await download(`${path.split("?")[0]}?format=pdf`)).status).toBe(400);
+  });
+
+  it("streams through the cursor one collection at a time and closes it", async () => {
+    const chunks = libraryExportService.generate({ userId: OWNER, format: "json" });
+
+    await chunks.next(); // opening bracket
+    await chunks.next(); // first collection's metadata
+    const [cursor] = mockCursors;
+    expect(cursor.read).toBe(1);
+
+    let rest = "";
+    for await (const chunk of chunks) rest += chunk;
+    expect(rest.endsWith("]}")).toBe(true);
+    expect(cursor.read).toBe(2);
+    expect(cursor.close).toHaveBeenCalled();
+
+    // An aborted download closes the cursor too
+    const aborted = libraryExportService.generate({ userId: OWNER, format: "csv" });
+    await aborted.next();
+    await aborted.return();
+    expect(mockCursors[1].close).toHaveBeenCalled();
+  });
+});
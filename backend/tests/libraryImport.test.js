@@ -0,0 +1,192 @@
+import { parseCsv, parseCsvRows, toCsvRow } from "../src/utils/csv.js";
+
+const HEADER =
+  "Book Id,Title,Author,Additional Authors,ISBN,ISBN13,My Rating,Exclusive Shelf,Bookshelves,Date Read,Date Added,My Review";
+
+const mockLibrary = {
+  books: [],
+  stats: {},
+  updateStats: jest.fn(),
+  save: jest.fn().mockResolvedValue(undefined),
+  findBook(bookId) {
+    return this.books.find((b) => b.bookId === bookId);
+  },
+};
+
+// Lookups in flight, to check the concurrency bound
+const mockLookups = { active: 0, peak: 0, calls: [] };
+
+jest.mock("../src/services/googleBooksService.js", () => ({
+  __esModule: true,
+  searchGoogleBooks: jest.fn(async (params) => {
+    mockLookups.calls.push(params);
+    mockLookups.active++;
+    mockLookups.peak = Math.max(mockLookups.peak, mockLookups.active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    mockLookups.active--;
+
+    if (params.isbn === "9780441172719") {
+      return [{ id: "dune-gb", title: "Dune", authors: ["Frank Herbert"], isbn: "9780441172719" }];
+    }
+    if (params.title === "Emma") {
+      return [
+        { id: "emma-1", title: "Emma", authors: ["Jane Austen"] },
+        { id: "emma-2", title: "Emma", authors: ["Jane Austen"] },
+      ];
+    }
+    if (params.title?.startsWith("Book ")) {
+      return [{ id: params.title, title: params.title, authors: ["Anon"] }];
+    }
+    return [];
+  }),
+}));
+
+jest.mock("../src/services/catalogService.js", () => ({
+  __esModule: true,
+  default: {
+    resolveWorkId: jest.fn().mockResolvedValue(null),
+    findWorkIds: jest.fn().mockResolvedValue(new Map()),
+  },
+}));
+
+jest.mock("../src/models/BookCollection.js", () => ({
+  __esModule: true,
+  default: { findOne: jest.fn(async () => mockLibrary) },
+}));
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+const goodreadsRow = (cells) =>
+  toCsvRow([
+    cells.id,
+    cells.title,
+    cells.author,
+    "",
+    "",
+    cells.isbn13 || "",
+    cells.rating ?? 0,
+    cells.shelf || "to-read",
+    cells.shelves || "",
+    cells.dateRead || "",
+    "2024/01/02",
+    cells.review || "",
+  ]);
+
+describe("Library CSV import", () => {
+  let libraryImportService;
+
+  beforeAll(async () => {
+    libraryImportService = (await import("../src/services/libraryImportService.js")).default;
+  });
+
+  beforeEach(() => {
+    mockLibrary.books = [];
+    mockLookups.peak = 0;
+    mockLookups.calls.length = 0;
+    jest.clearAllMocks();
+  });
+
+  it("parses quoted fields, escaped quotes, CRLF and a BOM", () => {
+    const text = '\uFEFFTitle,Review\r\n"Dune, Messiah","He said ""spice""\nand left"\r\n\r\nEmma,\n';
+
+    expect(parseCsvRows(text)).toEqual([
+      ["Title", "Review"],
+      ["Dune, Messiah", 'He said "spice"\nand left'],
+      ["Emma", ""],
+    ]);
+    expect(parseCsv(text).records[0]).toEqual({ Title: "Dune, Messiah", Review: 'He said "spice"\nand left' });
+    expect(toCsvRow(["a,b", 'say "hi"', ["x", "y"], null])).toBe('"a,b","say ""hi""",x; y,\r\n');
+  });
+
+  it("imports matched rows and reports ambiguous and failed ones", async () => {
+    const csv =
+      HEADER +
+      "\n" +
+      goodreadsRow({
+        id: 1,
+        title: "Dune",
+        author: "Frank Herbert",
+        isbn13: '="9780441172719"',
+        rating: 5,
+        shelf: "read",
+        shelves: "sci-fi, favorites",
+        dateRead: "2024/03/01",
+        review: "Spice<br/>must flow",
+      }) +
+      goodreadsRow({ id: 2, title: "Emma", author: "Jane Austen" }) +
+      goodreadsRow({ id: 3, title: "Nowhere", author: "Nobody" });
+
+    const result = await libraryImportService.importCsv("u1", csv);
+
+    expect(result).toMatchObject({ format: "goodreads", totalRows: 3 });
+    expect(result.summary).toEqual({ matched: 1, ambiguous: 1, failed: 1, added: 1, updated: 0, unchanged: 0 });
+    expect(result.rows.map((r) => [r.row, r.status])).toEqual([
+      [2, "matched"],
+      [3, "ambiguous"],
+      [4, "failed"],
+    ]);
+    expect(result.rows[1].candidates).toHaveLength(2);
+    expect(mockLibrary.books).toEqual([
+      expect.objectContaining({
+        bookId: "dune-gb",
+        readStatus: "completed",
+        rating: 5,
+        favorite: true,
+        personalTags: ["sci-fi"],
+        notes: "Spice\nmust flow",
+      }),
+    ]);
+    expect(mockLibrary.save).toHaveBeenCalledTimes(1);
+
+    // Importing again updates in place instead of adding a duplicate
+    const rerun = HEADER + "\n" + goodreadsRow({ id: 1, title: "Dune", isbn13: "9780441172719", rating: 4, shelf: "read" });
+    const again = await libraryImportService.importCsv("u1", rerun);
+    expect(again.rows[0]).toMatchObject({ bookId: "dune-gb", action: "updated" });
+    expect(mockLibrary.books).toHaveLength(1);
+    expect(mockLibrary.books[0].rating).toBe(4);
+  });
+
+  it("looks rows up a few at a time and keeps the report in file order", async () => {
+    const rows = Array.from({ length: 12 }, (_, i) => goodreadsRow({ id: i, title: `Book ${i}`, author: "Anon" }));
+
+    const result = await libraryImportService.importCsv("u1", HEADER + "\n" + rows.join(""), { dryRun: true });
+
+    expect(mockLookups.calls).toHaveLength(12);
+    expect(mockLookups.peak).toBeGreaterThan(1);
+    expect(mockLookups.peak).toBeLessThanOrEqual(5);
+    expect(result.rows.map((r) => r.bookId)).toEqual(rows.map((_, i) => `Book ${i}`));
+    expect(mockLibrary.save).not.toHaveBeenCalled();
+  });
+
+  it("imports large exports in the background and reports progress per chunk", async () => {
+    const rows = Array.from({ length: 160 }, (_, i) => goodreadsRow({ id: i, title: `Book ${i}`, author: "Anon" }));
+
+    const queued = await libraryImportService.importCsv("u1", HEADER + "\n" + rows.join(""));
+    expect(queued).toMatchObject({ status: "queued", totalRows: 160, processedRows: 0 });
+    expect(queued.userId).toBeUndefined();
+
+    // One job per user at a time; other users don't see it
+    await expect(libraryImportService.importCsv("u1", HEADER + "\n" + rows.join(""))).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    await expect(libraryImportService.getJob("u2", queued.jobId)).rejects.toMatchObject({ statusCode: 404 });
+
+    let job = await libraryImportService.getJob("u1", queued.jobId);
+    const seen = new Set();
+    while (job.status !== "completed") {
+      seen.add(`${job.status}:${job.processedRows}`);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      job = await libraryImportService.getJob("u1", queued.jobId);
+    }
+
+    expect(seen).toContain("running:150");
+    expect(job).toMatchObject({ processedRows: 160, result: { totalRows: 160, summary: { added: 160 } } });
+    expect(job.result.rows[159]).toMatchObject({ row: 161, bookId: "Book 159", action: "added" });
+    expect(mockLibrary.books).toHaveLength(160);
+    expect(mockLibrary.save).toHaveBeenCalledTimes(2);
+
+    // Finished: the next import may start
+    const small = HEADER + "\n" + goodreadsRow({ id: 1, title: "Book 1", author: "Anon" });
+    await expect(libraryImportService.importCsv("u1", small)).resolves.toMatchObject({ totalRows: 1 });
+  });
+});
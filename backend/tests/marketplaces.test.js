@@ -0,0 +1,128 @@
+import express from "express";
+import request from "supertest";
+
+const mockCachedSeoBooks = [
+  { id: "g1", title: "The Hobbit", authors: ["J.R.R. Tolkien"], amazonLink: "https://amazon.de/s?k=old&tag=old-21" },
+];
+
+jest.mock("../src/models/Book.js", () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn().mockResolvedValue(null),
+    findOne: jest.fn(async ({ externalId }) =>
+      externalId === "hobbit" ? { title: "The Hobbit", authors: ["J.R.R. Tolkien"] } : null
+    ),
+  },
+}));
+
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: {
+    get: jest.fn(async (key) => (key.startsWith("seo:") ? JSON.stringify(mockCachedSeoBooks) : null)),
+    set: jest.fn().mockResolvedValue("OK"),
+  },
+}));
+
+jest.mock("../src/services/analyticsService.js", () => ({
+  __esModule: true,
+  default: { recordClick: jest.fn(), recordImpression: jest.fn(), recordView: jest.fn() },
+}));
+
+// Signed-in users come from X-Test-User: "<id>:<saved marketplace>"
+jest.mock("../src/middleware/authMiddleware.js", () => ({
+  optionalAuth: () => (req, res, next) => {
+    const user = req.headers["x-test-user"];
+    if (user) {
+      const [id, marketplace] = user.split(":");
+      req.user = { id, role: "user", marketplace: marketplace || null };
+    }
+    next();
+  },
+}));
+
+jest.mock("../src/middleware/rateLimiter.js", () => ({
+  rateLimiterMiddleware: (req, res, next) => next(),
+}));
+
+describe("Amazon marketplace routing", () => {
+  let app;
+  let amazonAffiliateService;
+  let analyticsService;
+
+  beforeAll(async () => {
+    // amazonAffiliateService reads its tags when imported
+    Object.assign(process.env, {
+      AMAZON_DOMAIN: "amazon.de",
+      AMAZON_ASSOCIATES_TAG: "bookpath-de-21",
+      AMAZON_ASSOCIATES_TAG_US: "bookpath-us-20",
+      AMAZON_ASSOCIATES_TAG_UK: "bookpath-uk-21",
+    });
+    amazonAffiliateService = (await import("../src/services/amazonAffiliateService.js")).default;
+    analyticsService = (await import("../src/services/analyticsService.js")).default;
+    const bookRoutes = (await import("../src/routes/bookRoutes.js")).default;
+    const seoRoutes = (await import("../src/routes/seoRoutes.js")).default;
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/books", bookRoutes);
+    app.use("/", seoRoutes);
+    app.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ success: false, message: err.message }));
+  });
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it("prefers the saved marketplace, then Accept-Language, then geo, then the default", () => {
+    const select = (params) => amazonAffiliateService.selectMarketplace(params);
+
+    expect(select({ preference: "us", acceptLanguage: "en-GB" })).toEqual({ marketplace: "us", source: "preference" });
+    expect(select({ acceptLanguage: "fr-FR,en-GB;q=0.9,de;q=0.8" })).toEqual({ marketplace: "uk", source: "accept-language" });
+    expect(select({ acceptLanguage: "de-CH" })).toEqual({ marketplace: "de", source: "accept-language" });
+    // Bare "en" names no store; the geo header decides
+    expect(select({ acceptLanguage: "en", country: "US" })).toEqual({ marketplace: "us", source: "geo" });
+    // Marketplaces without a tag are skipped
+    expect(select({ preference: "fr", country: "FR" })).toEqual({ marketplace: "de", source: "default" });
+  });
+
+  it("sends affiliate clicks to the selected marketplace and records it", async () => {
+    const res = await request(app).get("/api/books/hobbit/affiliate").set("Accept-Language", "en-GB,en;q=0.9");
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ marketplace: "uk", affiliateUrl: expect.stringMatching(/^https:\/\/amazon\.co\.uk\/s\?.*tag=bookpath-uk-21$/) });
+    expect(analyticsService.recordClick).toHaveBeenCalledWith(
+      expect.objectContaining({ bookId: "hobbit", marketplace: "uk", amazonUrl: res.body.data.affiliateUrl })
+    );
+
+    const saved = await request(app)
+      .get("/api/books/hobbit/affiliate-click")
+      .set("Accept-Language", "en-GB")
+      .set("X-Test-User", "64b000000000000000000001:us");
+    expect(saved.body.data.affiliateUrl).toMatch(/^https:\/\/amazon\.com\/s\?.*tag=bookpath-us-20$/);
+    expect(analyticsService.recordClick.mock.calls[1][0].marketplace).toBe("us");
+  });
+
+  it("lists the marketplaces a reader can save", async () => {
+    const res = await request(app).get("/api/books/marketplaces").set("CF-IPCountry", "US");
+    expect(res.body.data).toEqual({
+      marketplaces: [
+        { id: "us", domain: "amazon.com" },
+        { id: "uk", domain: "amazon.co.uk" },
+        { id: "de", domain: "amazon.de" },
+      ],
+      selected: "us",
+      source: "geo",
+    });
+  });
+
+  it("links SEO pages per visitor, falling back to the page language", async () => {
+    const uk = await request(app).get("/books/genre/fantasy").set("Accept-Language", "en-GB");
+    expect(uk.status).toBe(200);
+    expect(uk.headers.vary).toContain("Accept-Language");
+    expect(uk.text).toContain("https://amazon.co.uk/s?k=The%20Hobbit%20J.R.R.%20Tolkien&amp;tag=bookpath-uk-21");
+    expect(uk.text).not.toContain("old-21");
+
+    const us = await request(app).get("/books/topic/beste-fantasy-buecher").set("X-Country-Code", "US");
+    expect(us.text).toContain("https://amazon.com/s?");
+
+    const german = await request(app).get("/books/topic/beste-fantasy-buecher");
+    expect(german.text).toContain("tag=bookpath-de-21");
+  });
+});
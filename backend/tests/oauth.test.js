@@ -0,0 +1,224 @@
+import request from "supertest";
+import { startMockOAuthProvider } from "../src/utils/mockOAuthProvider.js";
+
+// In-memory users
+const users = [];
+
+jest.mock("../src/models/User.js", () => {
+  const get = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+  const matches = (doc, query) =>
+    Object.entries(query).every(([path, expected]) =>
+      expected?.$in ? expected.$in.includes(get(doc, path)) : get(doc, path) === expected
+    );
+  const withSelect = (value) => Object.assign(Promise.resolve(value), { select: () => Promise.resolve(value) });
+
+  class User {
+    constructor(doc) {
+      Object.assign(this, { _id: `user-${users.length + 1}`, oauth: {}, role: "user", tokenVersion: 0 }, doc);
+    }
+
+    set(path, value) {
+      const [root, key] = path.split(".");
+      this[root] = { ...this[root], [key]: value };
+    }
+
+    async save() {
+      if (!users.includes(this)) users.push(this);
+      return this;
+    }
+
+    static findOne(query) {
+      return withSelect(users.find((u) => matches(u, query)) || null);
+    }
+
+    static findById(id) {
+      return withSelect(users.find((u) => String(u._id) === String(id)) || null);
+    }
+
+    static async exists(query) {
+      return users.some((u) => matches(u, query)) ? { _id: "exists" } : null;
+    }
+
+    static async create(doc) {
+      return new User(doc).save();
+    }
+
+    static async updateOne({ _id }, update) {
+      const user = users.find((u) => u._id === _id);
+      for (const path of Object.keys(update.$unset || {})) {
+        const [root, key] = path.split(".");
+        delete user[root][key];
+      }
+    }
+  }
+  return { __esModule: true, default: User };
+});
+
+jest.mock("../src/models/AuditLog.js", () => ({
+  __esModule: true,
+  default: { logAction: jest.fn().mockResolvedValue(undefined) },
+}));
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+jest.mock("../src/middleware/rateLimiter.js", () => ({
+  __esModule: true,
+  rateLimiterMiddleware: (req, res, next) => next(),
+}));
+
+describe("OAuth sign-in (Google, GitHub)", () => {
+  let provider;
+  let app;
+  let User;
+
+  beforeAll(async () => {
+    provider = await startMockOAuthProvider();
+    // The strategies read their config when passport.js is imported
+    Object.assign(process.env, {
+      JWT_SECRET: process.env.JWT_SECRET || "test-secret",
+      API_URL: "http://api.test",
+      FRONTEND_URL: "http://app.test",
+      OAUTH_MOCK_URL: provider.url,
+      GOOGLE_CLIENT_ID: "mock-google",
+      GOOGLE_CLIENT_SECRET: "mock-google-secret",
+      GITHUB_CLIENT_ID: "mock-github",
+      GITHUB_CLIENT_SECRET: "mock-github-secret",
+    });
+
+    const express = (await import("express")).default;
+    const passport = (await import("../src/config/passport.js")).default;
+    const oauthRoutes = (await import("../src/routes/oauthRoutes.js")).default;
+    User = (await import("../src/models/User.js")).default;
+
+    app = express();
+    app.use(express.json());
+    app.use(passport.initialize());
+    app.use("/api/auth", oauthRoutes);
+    app.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ success: false, error: err.message }));
+  });
+
+  afterAll(() => provider.close());
+
+  beforeEach(() => {
+    users.length = 0;
+  });
+
+  /**
+   * Run the browser part of the flow: start → provider consent → callback.
+   * Returns the final redirect to the frontend.
+   */
+  async function signIn(name, { query = "", cookie } = {}) {
+    const start = await request(app).get(`/api/auth/${name}${query}`);
+    expect(start.status).toBe(302);
+    const nonceCookie = cookie ?? start.headers["set-cookie"][0].split(";")[0];
+
+    // The mock provider approves and redirects to our callbackURL
+    const consent = await fetch(start.headers.location, { redirect: "manual" });
+    const callbackUrl = new URL(consent.headers.get("location"));
+    expect(callbackUrl.origin).toBe("http://api.test");
+
+    const callback = await request(app)
+      .get(callbackUrl.pathname + callbackUrl.search)
+      .set("Cookie", nonceCookie);
+    expect(callback.status).toBe(302);
+    return new URL(callback.headers.location);
+  }
+
+  it("lists the configured providers", async () => {
+    const res = await request(app).get("/api/auth/oauth/providers");
+    expect(res.body.data).toEqual({ google: true, github: true });
+  });
+
+  it("creates an account and hands out a one-time code instead of tokens", async () => {
+    const redirect = await signIn("google");
+
+    expect(redirect.origin + redirect.pathname).toBe("http://app.test/oauth-callback");
+    expect([...redirect.searchParams.keys()]).toEqual(["code"]);
+
+    const code = redirect.searchParams.get("code");
+    const exchange = await request(app).post("/api/auth/oauth/exchange").send({ code });
+    expect(exchange.status).toBe(200);
+    expect(exchange.body).toMatchObject({
+      success: true,
+      accessToken: expect.any(String),
+      refreshToken: expect.any(String),
+      user: { email: "ada@example.com", role: "user" },
+    });
+    expect(users).toHaveLength(1);
+    expect(users[0].oauth.google).toBe("google-1001");
+
+    // Single use
+    const replay = await request(app).post("/api/auth/oauth/exchange").send({ code });
+    expect(replay.status).toBe(400);
+  });
+
+  it("links to an existing account by verified email", async () => {
+    const existing = await User.create({ username: "ada", email: "ada@example.com", password: "hashed", emailVerified: true });
+
+    const redirect = await signIn("github");
+    const exchange = await request(app)
+      .post("/api/auth/oauth/exchange")
+      .send({ code: redirect.searchParams.get("code") });
+
+    expect(exchange.body.user.id).toBe(existing._id);
+    expect(users).toHaveLength(1);
+    expect(existing.oauth.github).toBe("2002");
+  });
+
+  it("does not link to an account that never verified the email", async () => {
+    // Someone registered the address with their own password before its owner signed in
+    const squatter = await User.create({ username: "ada", email: "ada@example.com", password: "hashed" });
+
+    const redirect = await signIn("github");
+
+    expect(redirect.pathname).toBe("/login");
+    expect(redirect.searchParams.get("error")).toBe("oauth_account_exists");
+    expect(squatter.oauth.github).toBeUndefined();
+    expect(squatter.emailVerified).toBeUndefined();
+    expect(users).toHaveLength(1);
+  });
+
+  it("refuses sign-in when the provider email is not verified", async () => {
+    await User.create({ username: "ada", email: "ada@example.com", password: "hashed" });
+    provider.setUser("github", { emailVerified: false });
+
+    const redirect = await signIn("github");
+
+    expect(redirect.pathname).toBe("/login");
+    expect(redirect.searchParams.get("error")).toBe("oauth_email_unverified");
+    expect(users[0].oauth.github).toBeUndefined();
+    provider.setUser("github", {});
+  });
+
+  it("rejects a callback without the matching state cookie", async () => {
+    const redirect = await signIn("google", { cookie: "oauth_nonce=forged" });
+
+    expect(redirect.pathname).toBe("/login");
+    expect(redirect.searchParams.get("error")).toBe("oauth_failed");
+    expect(users).toHaveLength(0);
+  });
+
+  it("links a provider to the signed-in user and unlinks it again", async () => {
+    const oauthService = (await import("../src/services/oauthService.js")).default;
+    const me = await User.create({ username: "reader", email: "other@example.com", password: "hashed" });
+
+    const link = oauthService.createLinkToken(me._id, "google");
+    const redirect = await signIn("google", { query: `?link=${encodeURIComponent(link)}` });
+
+    expect(redirect.pathname).toBe("/profile");
+    expect(redirect.searchParams.get("linked")).toBe("google");
+    expect(me.oauth.google).toBe("google-1001");
+
+    await expect(oauthService.unlink(me._id, "google")).resolves.toEqual({
+      hasPassword: true,
+      linked: { google: false, github: false },
+    });
+  });
+
+  it("will not unlink the only sign-in method", async () => {
+    const oauthService = (await import("../src/services/oauthService.js")).default;
+    const me = await User.create({ username: "ada", email: "ada@example.com", oauth: { google: "google-1001" } });
+
+    await expect(oauthService.unlink(me._id, "google")).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
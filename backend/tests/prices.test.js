@@ -0,0 +1,128 @@
+import { startMockPaApi } from "../src/utils/mockPaApi.js";
+import { isbn10To13 } from "../src/utils/isbn.js";
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+const DUNE = "0441172717";
+const GATSBY = "0743273567";
+const PRIDE = "0141439513"; // listed without an offer
+
+describe("Real prices (PA-API through priceService)", () => {
+  let paApi;
+  let priceService;
+  let amazonPaApiService;
+  let redis;
+  let BookSearchService;
+
+  const lookups = () => paApi.requests.filter((r) => r.operation === "getitems");
+
+  beforeAll(async () => {
+    paApi = await startMockPaApi();
+    // amazonPaApiService reads its config when imported
+    Object.assign(process.env, {
+      PA_API_ENDPOINT: paApi.url,
+      PA_API_ACCESS_KEY: "mock",
+      PA_API_SECRET_KEY: "mock",
+      PA_API_PARTNER_TAG: "test-21",
+      AMAZON_ASSOCIATES_TAG: "test-21",
+    });
+    priceService = (await import("../src/services/priceService.js")).default;
+    amazonPaApiService = (await import("../src/services/amazonPaApiService.js")).default;
+    redis = (await import("../src/config/redis.js")).default;
+    BookSearchService = (await import("../src/services/bookSearchService.js")).default;
+  });
+
+  afterAll(() => paApi.close());
+
+  beforeEach(() => {
+    paApi.requests.length = 0;
+    redis.store.clear();
+    jest.clearAllMocks();
+  });
+
+  it("batches GetItems by ISBN-10/ASIN, 10 IDs per call, one call per second", async () => {
+    const books = [
+      { title: "Dune", isbn: isbn10To13(DUNE) },
+      { title: "Gatsby", isbn: GATSBY },
+      { title: "Pride and Prejudice", isbn: PRIDE },
+      { title: "Dune again", isbn: DUNE },
+      ...Array.from({ length: 9 }, (_, i) => ({ title: `Unknown ${i}`, asin: `B00000000${i}` })),
+      { title: "No identifiers" },
+    ];
+
+    const offers = await priceService.getPrices(books);
+
+    expect(lookups().map((r) => r.body.ItemIds.length)).toEqual([10, 2]);
+    expect(lookups()[0].body).toMatchObject({ ItemIdType: "ASIN", PartnerTag: "test-21" });
+    expect(lookups()[1].at - lookups()[0].at).toBeGreaterThanOrEqual(900);
+
+    expect(offers[0]).toMatchObject({ amount: "9.99", currency: "EUR", asin: DUNE, detailUrl: expect.stringContaining(DUNE) });
+    expect(offers[1]).toMatchObject({ amount: "12.50", asin: GATSBY });
+    expect(offers[3]).toEqual(offers[0]);
+    expect(offers[2]).toBeNull();
+    expect(offers.slice(4)).toEqual(Array(10).fill(null));
+  });
+
+  it("caches offers and missing offers for an hour", async () => {
+    await priceService.getPrices([{ isbn: DUNE }, { isbn: PRIDE }]);
+    expect(lookups()).toHaveLength(1);
+    expect(redis.set).toHaveBeenCalledWith(expect.stringContaining(DUNE), expect.any(String), "EX", 3600);
+    expect(redis.set).toHaveBeenCalledWith(expect.stringContaining(PRIDE), "null", "EX", 3600);
+
+    const again = await priceService.getPrices([{ isbn: DUNE }, { isbn: PRIDE }]);
+    expect(lookups()).toHaveLength(1);
+    expect(again).toEqual([expect.objectContaining({ amount: "9.99" }), null]);
+  });
+
+  it("gives up on the rate limit after maxWaitMs without caching the gap", async () => {
+    await priceService.getPrices([{ isbn: GATSBY }]);
+    const offers = await priceService.getPrices([{ isbn: DUNE }], { maxWaitMs: 0 });
+    expect(offers).toEqual([null]);
+    expect(lookups()).toHaveLength(1);
+    expect(redis.store.size).toBe(1);
+  });
+
+  it("sets an explicit null price on search results without an offer", async () => {
+    const books = await new BookSearchService().addAffiliateLinksAndPrices([
+      { id: "1", title: "Dune", authors: ["Frank Herbert"], isbn: DUNE, price: 4.99 },
+      { id: "2", title: "Pride and Prejudice", authors: ["Jane Austen"], isbn: PRIDE },
+    ]);
+
+    expect(books[0].price).toMatchObject({ amount: "9.99", currency: "EUR" });
+    expect(books[0].amazonLink).toBe(`https://www.amazon.de/dp/${DUNE}?tag=mock-21`);
+    expect(books[1]).toHaveProperty("price", null);
+    expect(books[1].amazonLink).toContain("tag=test-21");
+  });
+
+  it("falls back to a keyword search for a single book without an item ID", async () => {
+    const offer = await priceService.getPrice({ title: "The Great Gatsby", authors: ["F. Scott Fitzgerald"] });
+    expect(offer).toMatchObject({ amount: "12.50", asin: GATSBY });
+    expect(paApi.requests.map((r) => r.operation)).toEqual(["searchitems"]);
+  });
+
+  it("looks nothing up while PA-API is not configured", async () => {
+    const { accessKey } = amazonPaApiService.config;
+    amazonPaApiService.config.accessKey = "";
+    try {
+      expect(await priceService.getPrices([{ isbn: DUNE }])).toEqual([null]);
+      expect(paApi.requests).toHaveLength(0);
+    } finally {
+      amazonPaApiService.config.accessKey = accessKey;
+    }
+  });
+
+  it("spends maxWaitMs once across all lookups, not per lookup", async () => {
+    const { bucket } = amazonPaApiService;
+    Object.assign(bucket, { tokens: bucket.capacity, updatedAt: Date.now() });
+    const books = Array.from({ length: 30 }, (_, i) => ({ asin: `B0000000${String(i).padStart(2, "0")}` }));
+
+    const started = Date.now();
+    const offers = await priceService.getPrices(books, { maxWaitMs: 1500 });
+
+    // One call right away, one after a second; the third would end past the deadline
+    expect(lookups()).toHaveLength(2);
+    expect(Date.now() - started).toBeLessThan(1500);
+    expect(offers).toEqual(Array(30).fill(null));
+  });
+});
+
@@ -0,0 +1,151 @@
+import express from "express";
+import request from "supertest";
+
+const mockUsers = {
+  "64b000000000000000000001": { role: "user" },
+  "64b000000000000000000002": { role: "moderator" },
+  "64b000000000000000000003": { role: "admin" },
+  "64b000000000000000000004": { role: "chefaodacasa" },
+};
+
+jest.mock("../src/models/User.js", () => ({
+  __esModule: true,
+  default: {
+    findById: (id) => {
+      const user = mockUsers[String(id)] ? { _id: String(id), tokenVersion: 0, ...mockUsers[String(id)] } : null;
+      return Object.assign(Promise.resolve(user), { select: () => Promise.resolve(user) });
+    },
+  },
+}));
+
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: { get: jest.fn().mockResolvedValue(null) },
+}));
+
+jest.mock("../src/middleware/rateLimiter.js", () => ({
+  rateLimiterMiddleware: (req, res, next) => next(),
+}));
+
+// Route handlers are not under test here, only who reaches them
+jest.mock("../src/services/adminService.js", () => ({
+  __esModule: true,
+  default: new Proxy({}, { get: () => jest.fn().mockResolvedValue({}) }),
+}));
+
+describe("Role-based access control", () => {
+  let app;
+  let adminRoutes;
+  let tokens;
+  let permissions;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+    const { generateTokens } = await import("../src/utils/jwtUtils.js");
+    adminRoutes = (await import("../src/routes/adminRoutes.js")).default;
+    const analyticsRoutes = (await import("../src/routes/analyticsRoutes.js")).default;
+    const subscriberRoutes = (await import("../src/routes/subscriberRoutes.js")).default;
+    permissions = await import("../src/config/permissions.js");
+
+    tokens = {};
+    for (const [id, { role }] of Object.entries(mockUsers)) {
+      tokens[role] = (await generateTokens(id, role, 0)).accessToken;
+    }
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/admin", adminRoutes);
+    app.use("/api/analytics", analyticsRoutes);
+    app.use("/api/subscribers", subscriberRoutes);
+    app.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ success: false, message: err.message }));
+  });
+
+  // Every route registered on the admin router, with sample IDs filled in
+  const adminEndpoints = () =>
+    adminRoutes.stack
+      .filter((layer) => layer.route)
+      .flatMap((layer) =>
+        Object.keys(layer.route.methods).map((method) => ({
+          method,
+          path: `/api/admin${layer.route.path.replace(":id", "64b0000000000000000000c1")}`,
+        }))
+      );
+
+  const call = ({ method, path }, role) => {
+    const req = request(app)[method](path).send({ tier: "pro", reason: "Spam" });
+    return role ? req.set("Authorization", `Bearer ${tokens[role]}`) : req;
+  };
+
+  it("covers every admin route", () => {
+    expect(adminEndpoints().map((e) => `${e.method} ${e.path}`)).toEqual(
+      expect.arrayContaining(["get /api/admin/users", "post /api/admin/cache/reset", "get /api/admin/cache/stats"])
+    );
+    expect(adminEndpoints().length).toBeGreaterThanOrEqual(12);
+  });
+
+  it("rejects anonymous requests and normal users on every admin route", async () => {
+    for (const endpoint of adminEndpoints()) {
+      const anonymous = await call(endpoint);
+      expect([endpoint.path, anonymous.status]).toEqual([endpoint.path, 401]);
+      const user = await call(endpoint, "user");
+      expect([`${endpoint.method} ${endpoint.path}`, user.status]).toEqual([`${endpoint.method} ${endpoint.path}`, 403]);
+    }
+  });
+
+  it("lets admins (including the legacy role name) through every admin route", async () => {
+    for (const endpoint of adminEndpoints()) {
+      for (const role of ["admin", "chefaodacasa"]) {
+        const res = await call(endpoint, role);
+        expect([`${role} ${endpoint.method} ${endpoint.path}`, res.status]).toEqual([
+          `${role} ${endpoint.method} ${endpoint.path}`,
+          200,
+        ]);
+      }
+    }
+  });
+
+  it("gives moderators moderation but not user management, cache or analytics", async () => {
+    const status = async (method, path) => (await call({ method, path }, "moderator")).status;
+
+    expect(await status("get", "/api/admin/collections")).toBe(200);
+    expect(await status("post", "/api/admin/collections/64b0000000000000000000c1/takedown")).toBe(200);
+    expect(await status("get", "/api/admin/users")).toBe(200);
+    expect(await status("patch", "/api/admin/users/64b000000000000000000001")).toBe(403);
+    expect(await status("post", "/api/admin/users/64b000000000000000000001/lock")).toBe(403);
+    expect(await status("get", "/api/admin/audit-logs")).toBe(403);
+    expect(await status("post", "/api/admin/cache/reset")).toBe(403);
+    expect(await status("get", "/api/analytics/overview")).toBe(403);
+  });
+
+  it("rejects normal users on the analytics and subscriber export routes", async () => {
+    for (const path of [
+      "/api/analytics/overview",
+      "/api/analytics/top-books",
+      "/api/analytics/top-queries",
+      "/api/analytics/daily",
+      "/api/analytics/clicks-by-variant",
+      "/api/subscribers/export",
+    ]) {
+      expect([path, (await call({ method: "get", path })).status]).toEqual([path, 401]);
+      expect([path, (await call({ method: "get", path }, "user")).status]).toEqual([path, 403]);
+    }
+  });
+
+  it("checks the stored role, not the one in the token", async () => {
+    const { generateTokens } = await import("../src/utils/jwtUtils.js");
+    // Issued while this user was an admin; they have since been demoted
+    const { accessToken } = await generateTokens("64b000000000000000000001", "admin", 0);
+
+    const res = await request(app).get("/api/admin/users").set("Authorization", `Bearer ${accessToken}`);
+    expect(res.status).toBe(403);
+  });
+
+  it("maps roles to permissions", () => {
+    const { hasPermission, normalizeRole, PERMISSIONS } = permissions;
+    expect(normalizeRole("chefaodacasa")).toBe("admin");
+    expect(normalizeRole(undefined)).toBe("user");
+    expect(normalizeRole("root")).toBe("user");
+    expect(Object.values(PERMISSIONS).every((p) => hasPermission("admin", p))).toBe(true);
+    expect(Object.values(PERMISSIONS).some((p) => hasPermission("user", p))).toBe(false);
+  });
+});
@@ -0,0 +1,139 @@
+const USER_ID = "64b000000000000000000001";
+
+const mockCollections = [];
+
+jest.mock("../src/models/BookCollection.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn(() => ({ select: async () => mockCollections })) },
+}));
+
+const finished = (bookId, dateFinished, pageCount) => ({ bookId, readStatus: "completed", dateFinished, pageCount });
+
+describe("Reading goals", () => {
+  let readingGoalService;
+  let ReadingGoal;
+
+  const yearly = (target, metric = "books") =>
+    new ReadingGoal({ user: USER_ID, period: "yearly", metric, target, year: 2026 });
+  const progressAt = (goal, current, now) =>
+    readingGoalService._computeProgress(goal, Array.from({ length: current }, (_, i) => ({ bookId: `b${i}` })), now);
+
+  beforeAll(async () => {
+    readingGoalService = (await import("../src/services/readingGoalService.js")).default;
+    ReadingGoal = (await import("../src/models/ReadingGoal.js")).default;
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    mockCollections.length = 0;
+  });
+
+  it("rates the pace of a yearly goal against the elapsed share of the year, with a 2% tolerance", () => {
+    // Exactly half of 2026: 26 of 52 books expected, tolerance 1.04 books
+    const midYear = new Date("2026-07-02T12:00:00Z");
+    const goal = yearly(52);
+
+    expect(progressAt(goal, 26, midYear)).toMatchObject({
+      current: 26,
+      remaining: 26,
+      percentComplete: 50,
+      expectedByNow: 26,
+      difference: 0,
+      status: "on-track",
+      weeksLeft: 26.07,
+      requiredPerWeek: 1,
+      projectedTotal: 52,
+    });
+    expect(progressAt(goal, 27, midYear).status).toBe("on-track");
+    expect(progressAt(goal, 25, midYear).status).toBe("on-track");
+    expect(progressAt(goal, 28, midYear)).toMatchObject({ status: "ahead", difference: 2 });
+    expect(progressAt(goal, 24, midYear)).toMatchObject({ status: "behind", difference: -2, requiredPerWeek: 1.07 });
+  });
+
+  it("rates a monthly goal against its own month", () => {
+    const goal = new ReadingGoal({ user: USER_ID, period: "monthly", target: 4, year: 2026, month: 2 });
+    const midFebruary = new Date("2026-02-15T00:00:00Z");
+
+    expect(goal.getPeriodRange()).toEqual({
+      start: new Date("2026-02-01T00:00:00Z"),
+      end: new Date("2026-03-01T00:00:00Z"),
+    });
+    expect(progressAt(goal, 2, midFebruary)).toMatchObject({ expectedByNow: 2, status: "on-track", weeksLeft: 2 });
+    expect(progressAt(goal, 1, midFebruary)).toMatchObject({ status: "behind", requiredPerWeek: 1.5 });
+    expect(progressAt(goal, 4, midFebruary)).toMatchObject({ status: "completed", remaining: 0, requiredPerWeek: 0 });
+  });
+
+  it("handles the start and the end of the period", () => {
+    const goal = yearly(12);
+    const start = new Date("2026-01-01T00:00:00Z");
+    const end = new Date("2027-01-01T00:00:00Z");
+
+    expect(progressAt(goal, 0, new Date("2025-12-31T00:00:00Z"))).toMatchObject({
+      status: "not-started",
+      expectedByNow: 0,
+      weeksLeft: 52.14,
+      projectedTotal: null,
+    });
+    expect(progressAt(goal, 0, start)).toMatchObject({ status: "on-track", expectedByNow: 0, projectedTotal: null });
+    expect(progressAt(goal, 11, end)).toMatchObject({
+      status: "missed",
+      expectedByNow: 12,
+      weeksLeft: 0,
+      requiredPerWeek: null,
+    });
+    expect(progressAt(goal, 12, end)).toMatchObject({ status: "completed", requiredPerWeek: 0 });
+  });
+
+  it("counts books finished inside the period once, by pages for page goals", async () => {
+    mockCollections.push(
+      {
+        books: [
+          finished("first-day", new Date("2026-01-01T00:00:00Z"), 100),
+          finished("last-second", new Date("2026-12-31T23:59:59Z"), 200),
+          finished("next-year", new Date("2027-01-01T00:00:00Z"), 400),
+          finished("last-year", new Date("2025-12-31T23:59:59Z"), 800),
+          { bookId: "reading", readStatus: "reading", dateFinished: new Date("2026-05-01T00:00:00Z"), pageCount: 50 },
+          { bookId: "undated", readStatus: "completed", pageCount: 50 },
+        ],
+      },
+      // The same book in another collection
+      { books: [finished("first-day", new Date("2026-01-01T00:00:00Z"), 100)] }
+    );
+    jest.spyOn(ReadingGoal, "find").mockReturnValue({ sort: async () => [yearly(10), yearly(1000, "pages")] });
+
+    const [books, pages] = await readingGoalService.listGoals(USER_ID, { year: 2026 });
+
+    expect(ReadingGoal.find).toHaveBeenCalledWith({ user: USER_ID, year: 2026 });
+    expect(books.progress).toMatchObject({ current: 2, target: 10 });
+    expect(pages.progress).toMatchObject({ current: 300, target: 1000 });
+  });
+
+  it("allows one goal per user, period, metric, year and month", async () => {
+    expect(ReadingGoal.schema.indexes()).toContainEqual([
+      { user: 1, period: 1, metric: 1, year: 1, month: 1 },
+      expect.objectContaining({ unique: true }),
+    ]);
+
+    // Monthly goals are told apart by month; yearly ones don't have one
+    const findOne = jest.spyOn(ReadingGoal, "findOne").mockResolvedValue(null);
+    const create = jest.spyOn(ReadingGoal, "create").mockImplementation(async (doc) => new ReadingGoal(doc));
+    await readingGoalService.createGoal(USER_ID, { period: "monthly", target: 3, year: 2026, month: 4 });
+    await readingGoalService.createGoal(USER_ID, { period: "yearly", target: 30, year: 2026, month: 4 });
+    expect(findOne.mock.calls.map(([slot]) => slot)).toEqual([
+      { user: USER_ID, period: "monthly", metric: "books", year: 2026, month: 4 },
+      { user: USER_ID, period: "yearly", metric: "books", year: 2026 },
+    ]);
+
+    findOne.mockResolvedValue(yearly(30));
+    await expect(
+      readingGoalService.createGoal(USER_ID, { period: "yearly", target: 40, year: 2026 })
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    // A concurrent create that loses on the unique index is a conflict too
+    findOne.mockResolvedValue(null);
+    create.mockRejectedValue(Object.assign(new Error("E11000 duplicate key"), { code: 11000 }));
+    await expect(
+      readingGoalService.createGoal(USER_ID, { period: "yearly", target: 40, year: 2026 })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,119 @@
+const USER_ID = "64b000000000000000000001";
+const WORK_ID = "64b0000000000000000000c1";
+
+// The library holds the paperback; the ebook is another edition of the same work
+const mockLibrary = {
+  books: [],
+  stats: {},
+  updateStats: jest.fn(),
+  save: jest.fn().mockResolvedValue(undefined),
+  findBook(bookId, workId) {
+    return this.books.find((b) => b.bookId === bookId) || this.books.find((b) => workId && String(b.workId) === String(workId));
+  },
+};
+
+const mockSessions = [];
+
+// find() chains used by the services: .select() / .sort() / .lean()
+function mockQuery(value) {
+  const query = Object.assign(Promise.resolve(value), {
+    select: () => query,
+    sort: () => query,
+    lean: () => query,
+  });
+  return query;
+}
+
+jest.mock("../src/models/BookCollection.js", () => ({
+  __esModule: true,
+  default: { findOne: jest.fn(async () => mockLibrary) },
+}));
+
+jest.mock("../src/models/Edition.js", () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(({ externalId }) =>
+      mockQuery(
+        externalId.$in.filter((id) => id.startsWith("dune-")).map((id) => ({ externalId: id, work: "64b0000000000000000000c1" }))
+      )
+    ),
+  },
+}));
+
+jest.mock("../src/models/ReadingSession.js", () => {
+  const matches = (filter) => (s) => s.user === filter.user && s.bookId === filter.bookId && (!filter._id || s._id === filter._id);
+  return {
+    __esModule: true,
+    default: {
+      create: jest.fn(async (doc) => {
+        const _id = new (require("mongoose").Types.ObjectId)().toString();
+        const session = { _id, pagesRead: doc.endPage - doc.startPage, ...doc };
+        mockSessions.unshift(session);
+        return session;
+      }),
+      find: jest.fn((filter) => mockQuery(mockSessions.filter(matches(filter)))),
+      findOne: jest.fn((filter) => mockQuery(mockSessions.find(matches(filter)) || null)),
+      findOneAndDelete: jest.fn(async (filter) => {
+        const session = mockSessions.find(matches(filter));
+        if (session) mockSessions.splice(mockSessions.indexOf(session), 1);
+        return session || null;
+      }),
+    },
+  };
+});
+
+describe("Reading sessions and progress", () => {
+  let libraryService;
+
+  beforeAll(async () => {
+    libraryService = (await import("../src/services/libraryService.js")).default;
+  });
+
+  beforeEach(() => {
+    mockSessions.length = 0;
+    mockLibrary.books = [
+      { bookId: "dune-paperback", workId: WORK_ID, title: "Dune", pageCount: 400, readStatus: "to-read", progress: 0 },
+    ];
+  });
+
+  it("derives progress from the latest session and starts the book", async () => {
+    const { book } = await libraryService.addReadingSession(USER_ID, "dune-paperback", { startPage: 0, endPage: 100 });
+
+    expect(book).toMatchObject({ readStatus: "reading", progress: 25 });
+    expect(book.dateStarted).toBeInstanceOf(Date);
+  });
+
+  it("keeps a completed book at 100% instead of re-deriving it from sessions", async () => {
+    await libraryService.addReadingSession(USER_ID, "dune-paperback", { startPage: 0, endPage: 160 });
+
+    const completed = await libraryService.updateBookStatus(USER_ID, "dune-paperback", { readStatus: "completed" });
+    expect(completed).toMatchObject({ readStatus: "completed", progress: 100 });
+
+    // Later edits (a rating) don't pull it back to the last session's 40%
+    const rated = await libraryService.updateBookStatus(USER_ID, "dune-paperback", { rating: 5 });
+    expect(rated.progress).toBe(100);
+
+    // An explicit progress still wins
+    expect((await libraryService.updateBookStatus(USER_ID, "dune-paperback", { progress: 90 })).progress).toBe(90);
+  });
+
+  it("lists and deletes sessions through another edition of the work", async () => {
+    const { session } = await libraryService.addReadingSession(USER_ID, "dune-ebook", { startPage: 0, endPage: 200 });
+    expect(session.bookId).toBe("dune-paperback");
+
+    const { sessions, summary } = await libraryService.getReadingSessions(USER_ID, "dune-ebook");
+    expect(sessions).toHaveLength(1);
+    expect(summary).toMatchObject({ sessionCount: 1, totalPages: 200, lastPage: 200 });
+
+    const result = await libraryService.deleteReadingSession(USER_ID, "dune-ebook", session._id);
+    expect(result).toMatchObject({ deleted: true, book: { bookId: "dune-paperback" } });
+    expect(mockSessions).toHaveLength(0);
+
+    await expect(libraryService.deleteReadingSession(USER_ID, "dune-ebook", session._id)).rejects.toMatchObject({
+      statusCode: 404,
+    });
+    await expect(libraryService.deleteReadingSession(USER_ID, "dune-ebook", "not-an-id")).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const USER_ID = "64b000000000000000000001";
+
+const dune = { bookId: "dune", title: "Dune", authors: ["Frank Herbert"], genres: ["Science Fiction"], rating: 5 };
+const messiah = { bookId: "messiah", title: "Dune Messiah", authors: ["Frank Herbert"], genres: ["Science Fiction"] };
+const hyperion = { bookId: "hyperion", title: "Hyperion", authors: ["Dan Simmons"], genres: ["Science Fiction"] };
+const foundation = {
+  bookId: "foundation",
+  title: "Foundation",
+  authors: ["Isaac Asimov"],
+  genres: ["Science Fiction"],
+};
+const persuasion = { bookId: "persuasion", title: "Persuasion", authors: ["Jane Austen"], genres: ["Classics"] };
+
+// find() chains used by the services: .select() / .sort() / .limit() / .lean()
+function mockQuery(value) {
+  const query = Object.assign(Promise.resolve(value), {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => query,
+  });
+  return query;
+}
+
+const mockData = { own: [], neighbors: [], feedback: [] };
+
+jest.mock("../src/models/BookCollection.js", () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn((filter) => mockQuery(typeof filter.user === "string" ? mockData.own : mockData.neighbors)),
+    aggregate: jest.fn(async () => []),
+  },
+}));
+
+jest.mock("../src/models/Edition.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn(() => mockQuery([])) },
+}));
+
+// One entry per user and key, like the model's unique index
+jest.mock("../src/models/RecommendationFeedback.js", () => {
+  const { Types } = require("mongoose");
+  return {
+    __esModule: true,
+    default: {
+      findOneAndUpdate: jest.fn(async ({ user, key }, update) => {
+        let entry = mockData.feedback.find((f) => f.user === user && f.key === key);
+        if (!entry) {
+          entry = { _id: new Types.ObjectId().toString(), user, key };
+          mockData.feedback.unshift(entry);
+        }
+        return Object.assign(entry, update);
+      }),
+      find: jest.fn(({ user, feedback }) =>
+        mockQuery(mockData.feedback.filter((f) => f.user === user && (!feedback || f.feedback === feedback)))
+      ),
+      findOneAndDelete: jest.fn(async ({ _id, user }) => {
+        const index = mockData.feedback.findIndex((f) => f._id === _id && f.user === user);
+        return index === -1 ? null : mockData.feedback.splice(index, 1)[0];
+      }),
+    },
+  };
+});
+
+jest.mock("../src/services/catalogService.js", () => ({
+  ...jest.requireActual("../src/services/catalogService.js"),
+  __esModule: true,
+  default: { findWork: jest.fn().mockResolvedValue(null) },
+}));
+
+const mockCreateCompletion = jest.fn();
+jest.mock("openai", () => ({
+  __esModule: true,
+  default: jest.fn(() => ({ chat: { completions: { create: mockCreateCompletion } } })),
+}));
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+describe("Recommendation feedback", () => {
+  let recommendations;
+  let redis;
+
+  const titles = (result) => result.recommendations.map((r) => r.title);
+  const feedbackOn = (book, feedback) => recommendations.submitFeedback(USER_ID, { ...book, feedback });
+
+  beforeAll(async () => {
+    recommendations = await import("../src/services/aiRecommendationService.js");
+    redis = (await import("../src/config/redis.js")).default;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis.store.clear();
+    delete process.env.OPENAI_API_KEY;
+    mockData.own = [{ books: [dune] }];
+    // Two readers of Dune; both also have the candidates
+    mockData.neighbors = [
+      { user: "64b0000000000000000000aa", books: [dune, messiah, hyperion, foundation, persuasion] },
+      { user: "64b0000000000000000000bb", books: [dune, messiah, hyperion, foundation, persuasion] },
+    ];
+    mockData.feedback = [];
+  });
+
+  it("never recommends titles the user dismissed, disliked or already read", async () => {
+    expect(titles(await recommendations.refreshRecommendations(USER_ID))).toEqual(
+      expect.arrayContaining(["Dune Messiah", "Hyperion", "Foundation"])
+    );
+
+    await feedbackOn(messiah, "read");
+    await feedbackOn(hyperion, "dismissed");
+    await feedbackOn({ ...foundation, bookId: "foundation-other-edition" }, "down");
+
+    const result = await recommendations.refreshRecommendations(USER_ID);
+    expect(titles(result)).not.toContain("Dune Messiah");
+    expect(titles(result)).not.toContain("Hyperion");
+    // Feedback on one edition applies to every edition of the book
+    expect(titles(result)).not.toContain("Foundation");
+
+    // Withdrawing the feedback makes the title eligible again
+    const [dismissed] = await recommendations.listFeedback(USER_ID, { feedback: "dismissed" });
+    await recommendations.removeFeedback(USER_ID, dismissed._id);
+    expect(titles(await recommendations.refreshRecommendations(USER_ID))).toContain("Hyperion");
+    await expect(recommendations.removeFeedback(USER_ID, "not-an-id")).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("ranks titles like the ones rated up higher and like the ones rated down lower", async () => {
+    const rank = (result, title) => titles(result).indexOf(title);
+
+    const before = await recommendations.refreshRecommendations(USER_ID);
+    expect(rank(before, "Persuasion")).toBeGreaterThan(rank(before, "Foundation"));
+
+    await feedbackOn({ title: "Emma", authors: ["Jane Austen"], genres: ["Classics"] }, "up");
+    const liked = await recommendations.refreshRecommendations(USER_ID);
+    expect(rank(liked, "Persuasion")).toBeLessThan(rank(liked, "Foundation"));
+
+    await feedbackOn({ ...foundation, bookId: undefined, title: "Foundation and Empire" }, "down");
+    const disliked = await recommendations.refreshRecommendations(USER_ID);
+    expect(disliked.recommendations.find((r) => r.title === "Foundation").matchScore).toBeLessThan(
+      liked.recommendations.find((r) => r.title === "Foundation").matchScore
+    );
+  });
+
+  it("tells the AI what the user liked, rejected and read, and drops rejected AI picks", async () => {
+    process.env.OPENAI_API_KEY = "sk-test";
+    mockData.own = [{ books: [dune, { ...messiah, rating: 4 }, { ...hyperion, rating: 4 }] }];
+    mockCreateCompletion.mockResolvedValue({
+      choices: [
+        {
+          message: {
+            content: JSON.stringify([
+              { title: "The Hobbit", authors: ["J.R.R. Tolkien"], reason: "Epic", matchScore: 99 },
+              { title: "Neuromancer", authors: ["William Gibson"], reason: "Cyberpunk", matchScore: 90 },
+            ]),
+          },
+        },
+      ],
+    });
+
+    await feedbackOn(persuasion, "up");
+    await feedbackOn({ title: "The Hobbit", authors: ["J.R.R. Tolkien"] }, "dismissed");
+    await feedbackOn({ title: "Emma", authors: ["Jane Austen"] }, "down");
+    await feedbackOn({ title: "Solaris", authors: ["Stanislaw Lem"] }, "read");
+
+    const result = await recommendations.refreshRecommendations(USER_ID);
+
+    const prompt = mockCreateCompletion.mock.calls[0][0].messages[1].content;
+    expect(prompt).toContain('THEY LIKED (suggest more like these):\n- "Persuasion" by Jane Austen');
+    const rejected = prompt.split("PAST RECOMMENDATIONS THEY REJECTED")[1].split("\n\n")[0];
+    expect(rejected).toContain('- "The Hobbit" by J.R.R. Tolkien');
+    expect(rejected).toContain('- "Emma" by Jane Austen');
+    expect(prompt).toContain('ALREADY READ ELSEWHERE (never suggest these):\n- "Solaris" by Stanislaw Lem');
+
+    expect(result.engine).toBe("hybrid");
+    expect(titles(result)).toContain("Neuromancer");
+    expect(titles(result)).not.toContain("The Hobbit");
+  });
+
+  it("invalidates cached recommendations when feedback is given or withdrawn", async () => {
+    expect((await recommendations.getRecommendations(USER_ID)).fromCache).toBe(false);
+    expect((await recommendations.getRecommendations(USER_ID)).fromCache).toBe(true);
+
+    const entry = await feedbackOn(foundation, "dismissed");
+    const afterFeedback = await recommendations.getRecommendations(USER_ID);
+    expect(afterFeedback.fromCache).toBe(false);
+    expect(titles(afterFeedback)).not.toContain("Foundation");
+
+    expect((await recommendations.getRecommendations(USER_ID)).fromCache).toBe(true);
+    await recommendations.removeFeedback(USER_ID, entry._id);
+    const afterRemoval = await recommendations.getRecommendations(USER_ID);
+    expect(afterRemoval.fromCache).toBe(false);
+    expect(titles(afterRemoval)).toContain("Foundation");
+  });
+});
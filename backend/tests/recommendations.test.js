@@ -0,0 +1,117 @@
+import { buildTasteProfile, coOccurrenceScores, contentScore, seedWeight } from "../src/services/localRecommendationService.js";
+
+const USER_ID = "64b000000000000000000001";
+const NEW_USER_ID = "64b000000000000000000002";
+
+const dune = { bookId: "dune", title: "Dune", authors: ["Frank Herbert"], genres: ["Science Fiction"], rating: 5 };
+const messiah = { bookId: "messiah", title: "Dune Messiah", authors: ["Frank Herbert"], genres: ["Science Fiction"] };
+const foundation = { bookId: "foundation", title: "Foundation", authors: ["Isaac Asimov"], genres: ["Science Fiction"], rating: 5 };
+const emma = { bookId: "emma", title: "Emma", authors: ["Jane Austen"], genres: ["Classics"], rating: 2 };
+
+// find() chains used by the service: .select() / .sort() / .limit() / .lean()
+function mockQuery(value) {
+  const query = Object.assign(Promise.resolve(value), {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => query,
+  });
+  return query;
+}
+
+const mockData = { own: [], neighbors: [] };
+
+jest.mock("../src/models/BookCollection.js", () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn((filter) => mockQuery(typeof filter.user === "string" ? mockData.own : mockData.neighbors)),
+    aggregate: jest.fn(async () => [{ _id: "emma", book: { bookId: "emma", title: "Emma", authors: ["Jane Austen"] }, readers: 4 }]),
+  },
+}));
+
+jest.mock("../src/models/Edition.js", () => ({
+  __esModule: true,
+  default: { find: jest.fn(() => mockQuery([])) },
+}));
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+describe("Local recommendations", () => {
+  let localRecommendationService;
+  let BookCollection;
+
+  beforeAll(async () => {
+    localRecommendationService = (await import("../src/services/localRecommendationService.js")).default;
+    BookCollection = (await import("../src/models/BookCollection.js")).default;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockData.own = [{ books: [dune, { ...emma, rating: 1 }] }];
+    mockData.neighbors = [];
+  });
+
+  it("weighs library entries into a taste profile and scores candidates by it", () => {
+    expect(seedWeight({ rating: 5, favorite: true })).toBe(2);
+    expect(seedWeight({ readStatus: "dnf", rating: 5 })).toBe(-1);
+    expect(seedWeight({ readStatus: "reading" })).toBe(0.7);
+
+    const taste = buildTasteProfile([dune, emma], [{ ...foundation, feedback: "down" }]);
+    expect(taste.genres.get("science fiction")).toBe(0.5); // 1.5 from Dune, -1 from the disliked Foundation
+    expect(taste.excludedKeys.size).toBe(3);
+
+    const content = contentScore(messiah, taste);
+    expect(content.score).toBeGreaterThan(0.8);
+    expect(content).toMatchObject({ sharedAuthor: "Frank Herbert", seed: expect.objectContaining({ title: "Dune" }) });
+    expect(contentScore({ title: "Persuasion", authors: ["Jane Austen"], genres: ["Classics"] }, taste).score).toBeLessThan(0.5);
+  });
+
+  it("scores co-occurrence by how much both readers liked the shared and the candidate book", () => {
+    const taste = buildTasteProfile([dune]);
+    const scores = coOccurrenceScores(
+      [
+        [dune, { ...messiah, rating: 5 }, foundation],
+        [dune, { ...messiah, readStatus: "dnf" }],
+        [emma, foundation],
+      ],
+      taste
+    );
+
+    expect(scores.has("dune|herbert")).toBe(false);
+    expect(scores.get("foundation|asimov")).toMatchObject({ readers: 1 });
+    expect(scores.get("dune messiah|herbert")).toMatchObject({ readers: 2 });
+    expect(scores.get("foundation|asimov").score).toBeGreaterThan(0);
+  });
+
+  it("only reads other readers' public collections", async () => {
+    mockData.neighbors = [
+      { user: "64b0000000000000000000aa", books: [dune, { ...foundation, rating: 5 }] },
+      { user: "64b0000000000000000000bb", books: [dune, { ...foundation, rating: 4 }] },
+    ];
+
+    const recommendations = await localRecommendationService.recommend(USER_ID, { limit: 3 });
+
+    expect(BookCollection.find).toHaveBeenCalledWith(
+      expect.objectContaining({ user: { $ne: USER_ID }, isPublic: true })
+    );
+    expect(recommendations[0]).toMatchObject({
+      title: "Foundation",
+      similarTo: "Dune",
+      reason: '2 readers who enjoyed "Dune" also added this book to their library.',
+      source: "local",
+    });
+    expect(recommendations.map((r) => r.title)).not.toContain("Emma");
+  });
+
+  it("falls back to the most collected public books, computed once for everyone", async () => {
+    mockData.own = [];
+
+    const first = await localRecommendationService.recommend(NEW_USER_ID, { limit: 2 });
+    const second = await localRecommendationService.recommend(NEW_USER_ID, { limit: 2 });
+
+    expect(first).toEqual(second);
+    expect(first[0]).toMatchObject({ title: "Emma", reason: "Popular with BookPath readers (in 4 libraries)." });
+    expect(BookCollection.aggregate).toHaveBeenCalledTimes(1);
+    expect(BookCollection.aggregate.mock.calls[0][0][0]).toEqual({ $match: { isPublic: true } });
+  });
+});
@@ -0,0 +1,115 @@
+import express from "express";
+import request from "supertest";
+
+const DUNE_10 = "0441172717";
+const DUNE_13 = "9780441172719";
+
+jest.mock("../src/models/Book.js", () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn().mockResolvedValue(null),
+    findOne: jest.fn(async ({ externalId }) =>
+      externalId === "dune" ? { title: "Dune", authors: ["Frank Herbert"], isbn: "9780441172719" } : null
+    ),
+  },
+}));
+
+jest.mock("../src/config/redis.js", () => ({
+  __esModule: true,
+  default: { get: jest.fn().mockResolvedValue(null), set: jest.fn().mockResolvedValue("OK") },
+}));
+
+jest.mock("../src/services/analyticsService.js", () => ({
+  __esModule: true,
+  default: { recordClick: jest.fn(), recordImpression: jest.fn(), recordView: jest.fn() },
+}));
+
+jest.mock("../src/middleware/authMiddleware.js", () => ({
+  optionalAuth: () => (req, res, next) => next(),
+}));
+
+jest.mock("../src/middleware/rateLimiter.js", () => ({
+  rateLimiterMiddleware: (req, res, next) => next(),
+}));
+
+describe("Retailer and library links", () => {
+  let app;
+  let analyticsService;
+
+  beforeAll(async () => {
+    // Providers read their affiliate parameters when imported
+    Object.assign(process.env, {
+      AMAZON_DOMAIN: "amazon.de",
+      AMAZON_ASSOCIATES_TAG: "bookpath-21",
+      BOOKSHOP_UK_AFFILIATE_ID: "4321",
+      THALIA_AWIN_ADVERTISER_ID: "14158",
+      THALIA_AWIN_PUBLISHER_ID: "777",
+    });
+    analyticsService = (await import("../src/services/analyticsService.js")).default;
+    const bookRoutes = (await import("../src/routes/bookRoutes.js")).default;
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/books", bookRoutes);
+    app.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ success: false, message: err.message }));
+  });
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it("lists ISBN deep links for the reader's region", async () => {
+    const de = await request(app).get("/api/books/dune/where-to-buy").set("Accept-Language", "de-DE");
+
+    expect(de.status).toBe(200);
+    expect(de.body.data).toMatchObject({ marketplace: "de", region: "de" });
+    expect(de.body.data.offers).toEqual([
+      expect.objectContaining({ retailer: "amazon", url: `https://amazon.de/dp/${DUNE_10}?tag=bookpath-21`, deepLink: true }),
+      {
+        retailer: "thalia",
+        label: "Thalia",
+        type: "buy",
+        url: `https://www.awin1.com/cread.php?awinmid=14158&awinaffid=777&ued=${encodeURIComponent(
+          `https://www.thalia.de/suche?sq=${DUNE_13}`
+        )}`,
+        deepLink: true,
+        affiliate: true,
+      },
+      expect.objectContaining({ retailer: "kobo", type: "ebook", url: `https://www.kobo.com/de/de/search?query=${DUNE_13}`, affiliate: false }),
+      expect.objectContaining({ retailer: "library", type: "borrow", url: `https://search.worldcat.org/isbn/${DUNE_13}` }),
+    ]);
+
+    // No amazon.co.uk tag: Amazon stays on the default store, Bookshop follows the region
+    const uk = await request(app).get("/api/books/dune/where-to-buy").set("CF-IPCountry", "GB");
+    expect(uk.body.data).toMatchObject({ marketplace: "de", region: "uk" });
+    expect(uk.body.data.offers.map((o) => o.retailer)).toEqual(["amazon", "bookshop", "kobo", "library"]);
+    expect(uk.body.data.offers[1].url).toBe(`https://uk.bookshop.org/a/4321/${DUNE_13}`);
+  });
+
+  it("records which retailer a click went to", async () => {
+    const res = await request(app)
+      .get("/api/books/dune/affiliate-click")
+      .query({ retailer: "bookshop", source: "search", context: "dune" })
+      .set("X-Country-Code", "US");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      affiliateUrl: `https://bookshop.org/book/${DUNE_13}`,
+      bookId: "dune",
+      retailer: "bookshop",
+      marketplace: null,
+    });
+    expect(analyticsService.recordClick).toHaveBeenCalledWith(
+      expect.objectContaining({ retailer: "bookshop", amazonUrl: res.body.data.affiliateUrl, source: "search", context: "dune" })
+    );
+
+    const amazon = await request(app).get("/api/books/dune/affiliate");
+    expect(amazon.body.data).toMatchObject({ retailer: "amazon", marketplace: "de" });
+    expect(analyticsService.recordClick.mock.calls[1][0].retailer).toBe("amazon");
+  });
+
+  it("rejects unknown retailers and stores outside the reader's region", async () => {
+    expect((await request(app).get("/api/books/dune/affiliate").query({ retailer: "ebay" })).status).toBe(400);
+    const thalia = await request(app).get("/api/books/dune/affiliate").query({ retailer: "thalia" }).set("CF-IPCountry", "US");
+    expect(thalia.status).toBe(404);
+    expect(analyticsService.recordClick).not.toHaveBeenCalled();
+  });
+});
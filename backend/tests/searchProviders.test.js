@@ -0,0 +1,129 @@
+import { CircuitBreaker } from "../src/utils/circuitBreaker.js";
+
+// find() chain used by the local provider: .sort() / .skip() / .limit() / .lean()
+function mockQuery(value) {
+  const query = Object.assign(Promise.resolve(value), {
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    lean: () => query,
+  });
+  return query;
+}
+
+jest.mock("../src/models/Edition.js", () => ({
+  __esModule: true,
+  default: {
+    find: jest.fn(() =>
+      mockQuery([
+        {
+          externalId: "gb-dune",
+          work: "64b0000000000000000000c1",
+          title: "Dune",
+          authors: ["Frank Herbert"],
+          isbn13: "9780441172719",
+          categories: ["Science Fiction"],
+        },
+      ])
+    ),
+  },
+}));
+
+describe("Federated search providers", () => {
+  let SearchProviderRegistry;
+  let registry;
+  let Edition;
+
+  beforeAll(async () => {
+    ({ default: registry, SearchProviderRegistry } = await import("../src/services/searchProviderRegistry.js"));
+    Edition = (await import("../src/models/Edition.js")).default;
+  });
+
+  afterEach(() => {
+    delete process.env.SEARCH_PROVIDERS;
+  });
+
+  it("opens the circuit after consecutive failures and lets one trial call through after the timeout", () => {
+    const breaker = new CircuitBreaker("test", { failureThreshold: 2, resetTimeoutMs: 1000 });
+
+    breaker.recordFailure(0);
+    expect(breaker.canRequest(0)).toBe(true);
+    breaker.recordFailure(0);
+    expect(breaker.getState()).toMatchObject({ state: "open", failures: 2 });
+    expect(breaker.canRequest(999)).toBe(false);
+
+    // Half-open: a single trial; a failed trial opens the circuit again
+    expect(breaker.canRequest(1000)).toBe(true);
+    expect(breaker.canRequest(1000)).toBe(false);
+    breaker.recordFailure(1000);
+    expect(breaker.getState().state).toBe("open");
+
+    // A neutral outcome frees the trial slot; a success closes the circuit
+    expect(breaker.canRequest(2000)).toBe(true);
+    breaker.recordNeutral();
+    expect(breaker.canRequest(2000)).toBe(true);
+    breaker.recordSuccess();
+    expect(breaker.getState()).toEqual({ state: "closed", failures: 0, openedAt: null });
+  });
+
+  it("reports each source's outcome and only merges the successful ones", async () => {
+    const badRequest = Object.assign(new Error("Invalid query"), { statusCode: 400 });
+    const providers = new SearchProviderRegistry()
+      .register({ name: "fast", weight: 1, search: async () => [{ id: "a" }] })
+      .register({ name: "slow", timeoutMs: 20, search: () => new Promise(() => {}) })
+      .register({ name: "broken", search: () => Promise.reject(new Error("502 Bad Gateway")) })
+      .register({ name: "picky", failureThreshold: 1, search: () => Promise.reject(badRequest) });
+
+    const { results, sources } = await providers.searchAll({ q: "dune" });
+
+    expect(results).toEqual([{ provider: "fast", weight: 1, books: [{ id: "a" }] }]);
+    expect(sources.fast).toMatchObject({ status: "ok", resultCount: 1, circuit: "closed" });
+    expect(sources.slow).toMatchObject({ status: "timeout", error: "Timed out after 20ms" });
+    expect(sources.broken).toMatchObject({ status: "error", error: "502 Bad Gateway" });
+    // A rejected query doesn't count against the provider
+    expect(sources.picky).toMatchObject({ status: "error", circuit: "closed" });
+  });
+
+  it("skips a provider with an open circuit without calling it", async () => {
+    const search = jest.fn().mockRejectedValue(new Error("down"));
+    const providers = new SearchProviderRegistry().register({ name: "flaky", failureThreshold: 2, search });
+
+    await providers.searchAll({ q: "dune" });
+    await providers.searchAll({ q: "dune" });
+    const { sources } = await providers.searchAll({ q: "dune" });
+
+    expect(search).toHaveBeenCalledTimes(2);
+    expect(sources.flaky).toMatchObject({ status: "circuit-open", circuit: "open", resultCount: 0 });
+  });
+
+  it("limits sources to SEARCH_PROVIDERS and advanced searches to providers that support them", async () => {
+    const providers = new SearchProviderRegistry()
+      .register({ name: "a", search: async () => [], advancedSearch: async () => [] })
+      .register({ name: "b", search: async () => [] })
+      .register({ name: "c", search: async () => [], advancedSearch: async () => [] });
+
+    expect(Object.keys((await providers.searchAll({}, { advanced: true })).sources)).toEqual(["a", "c"]);
+
+    process.env.SEARCH_PROVIDERS = "b, c";
+    expect(providers.enabled().map((p) => p.name)).toEqual(["b", "c"]);
+    expect(Object.keys((await providers.searchAll({ q: "dune" })).sources)).toEqual(["b", "c"]);
+  });
+
+  it("searches the local catalog by ISBN-13 and shapes editions like provider results", async () => {
+    const local = registry.get("local");
+
+    const books = await local.search({ isbn: "0-441-17271-7" });
+    expect(Edition.find).toHaveBeenLastCalledWith({ isbn13: "9780441172719" });
+    expect(books[0]).toMatchObject({
+      id: "gb-dune",
+      title: "Dune",
+      isbn: "9780441172719",
+      genres: ["Science Fiction"],
+      source: "local",
+    });
+
+    Edition.find.mockClear();
+    expect(await local.search({ isbn: "not-an-isbn" })).toEqual([]);
+    expect(Edition.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+import {
+  parseBooleanQuery,
+  toGoogleQuery,
+  toIsoLanguage,
+  toLocalFilter,
+  toOpenLibraryQuery,
+} from "../src/services/searchQueryBuilder.js";
+
+const QUERY = '"the dark tower" king -movie OR tolkien NOT "hobbit film"';
+
+describe("Advanced search query translation", () => {
+  it("parses phrases, exclusions and OR groups, with AND binding tighter", () => {
+    expect(parseBooleanQuery(QUERY)).toEqual([
+      [
+        { text: "the dark tower", phrase: true, negated: false },
+        { text: "king", phrase: false, negated: false },
+        { text: "movie", phrase: false, negated: true },
+      ],
+      [
+        { text: "tolkien", phrase: false, negated: false },
+        { text: "hobbit film", phrase: true, negated: true },
+      ],
+    ]);
+    expect(parseBooleanQuery("dune AND herbert")).toEqual([
+      [
+        { text: "dune", phrase: false, negated: false },
+        { text: "herbert", phrase: false, negated: false },
+      ],
+    ]);
+
+    // Dangling operators and empty phrases are dropped
+    expect(parseBooleanQuery('OR AND -"" dune OR OR')).toEqual([[{ text: "dune", phrase: false, negated: false }]]);
+    expect(parseBooleanQuery("")).toEqual([]);
+    expect(parseBooleanQuery(undefined)).toEqual([]);
+  });
+
+  it("builds a Google Books query with field qualifiers", () => {
+    expect(
+      toGoogleQuery({ q: QUERY, title: "The Hobbit", author: "Tolkien", isbn: "978-0-261-10221-7", language: "en" })
+    ).toEqual({
+      q:
+        '"the dark tower" king -movie OR tolkien -"hobbit film" ' +
+        'isbn:9780261102217 intitle:"The Hobbit" inauthor:Tolkien',
+      langRestrict: "en",
+    });
+  });
+
+  it("builds an Open Library (Solr) query with escaped terms and ranges", () => {
+    expect(
+      toOpenLibraryQuery({ q: QUERY, author: "Tolkien", language: "de", yearFrom: 1950, pagesMax: 500, minRating: 4 })
+    ).toBe(
+      '(("the dark tower" AND king AND NOT movie) OR (tolkien AND NOT "hobbit film")) AND author:"Tolkien" AND ' +
+        "language:ger AND first_publish_year:[1950 TO *] AND number_of_pages_median:[* TO 500] AND " +
+        "ratings_average:[4 TO *]"
+    );
+
+    // Only exclusions: subtract from everything
+    expect(toOpenLibraryQuery({ q: "-twilight NOT vampire" })).toBe("(*:* AND NOT twilight AND NOT vampire)");
+    // Solr operators in user input are not operators
+    expect(toOpenLibraryQuery({ q: "c++ (3rd)" })).toBe("(c AND 3rd)");
+  });
+
+  it("builds a local catalog filter that matches terms literally", () => {
+    const filter = toLocalFilter({ q: "dune -messiah OR a.b", yearFrom: 1960, isbn: "0441172717" });
+    const [boolean, isbn, year] = filter.$and;
+
+    const [duneGroup, dotGroup] = boolean.$or;
+    expect(duneGroup.$and[0].$or[0].title.test("Dune")).toBe(true);
+    expect(duneGroup.$and[1].$nor[0].$or[0].title.test("Dune Messiah")).toBe(true);
+    expect(dotGroup.$and[0].$or[0].title.test("a.b")).toBe(true);
+    expect(dotGroup.$and[0].$or[0].title.test("axb")).toBe(false);
+
+    expect(isbn).toEqual({ isbn13: "9780441172719" });
+    expect(year).toEqual({ publishYear: { $gte: 1960 } });
+    expect(toLocalFilter({})).toEqual({});
+  });
+
+  it("normalizes provider language codes to ISO 639-1", () => {
+    expect(toIsoLanguage("ger")).toBe("de");
+    expect(toIsoLanguage("en-US")).toBe("en");
+    expect(toIsoLanguage(null)).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+import request from "supertest";
+
+const users = [{ _id: "507f1f77bcf86cd799439011", role: "user", tokenVersion: 0 }];
+
+jest.mock("../src/models/User.js", () => {
+  const find = (id) => users.find((u) => u._id === String(id)) || null;
+  const query = (value) => {
+    const chain = Object.assign(Promise.resolve(value), { select: () => chain, lean: () => chain });
+    return chain;
+  };
+  return {
+    __esModule: true,
+    default: {
+      findById: (id) => query(find(id)),
+      updateOne: jest.fn(async ({ _id }, { $inc = {} }) => {
+        const user = find(_id);
+        for (const [key, by] of Object.entries($inc)) user[key] += by;
+        return { modifiedCount: 1 };
+      }),
+    },
+  };
+});
+
+jest.mock("../src/models/AuditLog.js", () => ({
+  __esModule: true,
+  default: { logAction: jest.fn().mockResolvedValue(undefined) },
+}));
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+describe("Sessions and refresh token rotation", () => {
+  const user = users[0];
+  let app;
+  let sessionService;
+  let AuditLog;
+
+  const fakeReq = (userAgent) => ({ ip: "203.0.113.7", get: () => userAgent });
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+    const express = (await import("express")).default;
+    const authRoutes = (await import("../src/routes/authRoutes.js")).default;
+    sessionService = (await import("../src/services/sessionService.js")).default;
+    AuditLog = (await import("../src/models/AuditLog.js")).default;
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/auth", authRoutes);
+    app.use((err, req, res, _next) => res.status(err.statusCode || 500).json({ success: false, error: err.message }));
+  });
+
+  const refresh = (refreshToken) => request(app).post("/api/auth/refresh").send({ refreshToken });
+
+  it("lists sessions with device metadata and revokes one", async () => {
+    const laptop = await sessionService.issueTokens(
+      user,
+      fakeReq("Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:131.0) Gecko/20100101 Firefox/131.0")
+    );
+    const phone = await sessionService.issueTokens(
+      user,
+      fakeReq("Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile Safari/604.1")
+    );
+
+    const list = await request(app).get("/api/auth/sessions").set("Authorization", `Bearer ${laptop.accessToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.data).toHaveLength(2);
+    expect(list.body.data).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ id: laptop.sessionId, device: "Firefox on Windows", ip: "203.0.113.7", current: true }),
+        expect.objectContaining({ id: phone.sessionId, device: "Safari on iOS", current: false }),
+      ])
+    );
+    expect(list.body.data[0]).not.toHaveProperty("refreshJti");
+
+    const revoke = await request(app)
+      .delete(`/api/auth/sessions/${phone.sessionId}`)
+      .set("Authorization", `Bearer ${laptop.accessToken}`);
+    expect(revoke.status).toBe(200);
+
+    // The revoked device is signed out: access and refresh token both dead
+    const asPhone = await request(app).get("/api/auth/sessions").set("Authorization", `Bearer ${phone.accessToken}`);
+    expect(asPhone.status).toBe(401);
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+  });
+
+  it("rotates refresh tokens and revokes the family when an old one is reused", async () => {
+    const first = await sessionService.issueTokens(user, fakeReq("curl/8.5.0"));
+
+    const rotated = await refresh(first.refreshToken);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.refreshToken).not.toBe(first.refreshToken);
+
+    // Replaying the first refresh token (e.g. stolen copy) kills the session
+    const reuse = await refresh(first.refreshToken);
+    expect(reuse.status).toBe(401);
+    expect(AuditLog.logAction).toHaveBeenCalledWith(
+      user._id,
+      "refresh_token_reused",
+      expect.objectContaining({ sessionId: first.sessionId }),
+      expect.anything()
+    );
+
+    // ...including the legitimately rotated tokens
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    const asRotated = await request(app)
+      .get("/api/auth/sessions")
+      .set("Authorization", `Bearer ${rotated.body.accessToken}`);
+    expect(asRotated.status).toBe(401);
+  });
+
+  it("lets only one of two concurrent refreshes with the same token through", async () => {
+    const redis = (await import("../src/config/redis.js")).default;
+    const session = await sessionService.issueTokens(user, fakeReq("curl/8.5.0"));
+    redis.swapSession.mockClear();
+
+    // Both calls read the session before either writes it back
+    const results = await Promise.allSettled([
+      sessionService.rotate(session.refreshToken, fakeReq("curl/8.5.0")),
+      sessionService.rotate(session.refreshToken, fakeReq("curl/8.5.0")),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(["fulfilled", "rejected"]);
+    expect(results.find((result) => result.status === "rejected").reason).toMatchObject({ statusCode: 401 });
+    expect(await Promise.all(redis.swapSession.mock.results.map((result) => result.value))).toEqual([1, -1]);
+
+    // The loser counts as reuse, so the winner's tokens are revoked too
+    const winner = results.find((result) => result.status === "fulfilled").value;
+    expect((await refresh(winner.refreshToken)).status).toBe(401);
+  });
+
+  it("rejects access tokens issued before an admin signed the user out", async () => {
+    const adminService = (await import("../src/services/adminService.js")).default;
+    const session = await sessionService.issueTokens(user, fakeReq("curl/8.5.0"));
+    // Still unexpired, but no longer the session's current access token
+    const rotated = await sessionService.rotate(session.refreshToken, fakeReq("curl/8.5.0"));
+    expect(
+      (await request(app).get("/api/auth/sessions").set("Authorization", `Bearer ${session.accessToken}`)).status
+    ).toBe(200);
+
+    await adminService.forceLogout("507f1f77bcf86cd7994390aa", user._id);
+
+    const stale = await request(app).get("/api/auth/sessions").set("Authorization", `Bearer ${session.accessToken}`);
+    expect(stale.status).toBe(401);
+    expect(stale.body.error).toBe("Token invalidated");
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+
+    // Tokens issued afterwards carry the new version
+    const fresh = await sessionService.issueTokens(user, fakeReq("curl/8.5.0"));
+    expect((await request(app).get("/api/auth/sessions").set("Authorization", `Bearer ${fresh.accessToken}`)).status).toBe(
+      200
+    );
+  });
+});
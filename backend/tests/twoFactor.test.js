@@ -0,0 +1,173 @@
+import jwt from "jsonwebtoken";
+import speakeasy from "speakeasy";
+
+const users = [];
+
+jest.mock("../src/models/User.js", () => {
+  const withSelect = (value) => Object.assign(Promise.resolve(value), { select: () => Promise.resolve(value) });
+  return {
+    __esModule: true,
+    default: {
+      findById: (id) => withSelect(users.find((u) => u._id === id) || null),
+      findOne: jest.fn(async () => null),
+      findByIdAndUpdate: jest.fn(async (id, update) => Object.assign(users.find((u) => u._id === id), update)),
+      updateOne: jest.fn(async (query, update) => {
+        const user = users.find(
+          (u) =>
+            u._id === query._id &&
+            (query.twoFactorEnabled === undefined || u.twoFactorEnabled === query.twoFactorEnabled) &&
+            (query.recoveryCodes === undefined || (u.recoveryCodes || []).includes(query.recoveryCodes))
+        );
+        if (!user) return { modifiedCount: 0 };
+        if (update.$pull) {
+          user.recoveryCodes = user.recoveryCodes.filter((h) => h !== update.$pull.recoveryCodes);
+        } else {
+          Object.assign(user, update);
+        }
+        return { modifiedCount: 1 };
+      }),
+    },
+  };
+});
+
+jest.mock("../src/models/AuditLog.js", () => ({
+  __esModule: true,
+  default: { logAction: jest.fn().mockResolvedValue(undefined) },
+}));
+
+jest.mock("../src/config/redis.js", () => require("./helpers/redisMock.js").redisModule());
+
+describe("Two-factor authentication", () => {
+  let twoFactorService;
+  let hashRecoveryCode;
+  let AuditLog;
+  let redis;
+  let user;
+
+  const totp = () => speakeasy.totp({ secret: user.twoFactorSecret, encoding: "base32" });
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+    ({ default: twoFactorService, hashRecoveryCode } = await import("../src/services/twoFactorService.js"));
+    AuditLog = (await import("../src/models/AuditLog.js")).default;
+    redis = (await import("../src/config/redis.js")).default;
+  });
+
+  beforeEach(() => {
+    redis.store.clear();
+    users.length = 0;
+    user = {
+      _id: "user-1",
+      email: "ada@example.com",
+      twoFactorEnabled: false,
+      save: jest.fn().mockResolvedValue(undefined),
+    };
+    users.push(user);
+  });
+
+  it("returns a real otpauth QR code and enables 2FA with hashed recovery codes", async () => {
+    const setup = await twoFactorService.setup(user._id);
+
+    expect(setup.qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(setup.qrCode.length).toBeGreaterThan(500);
+    expect(setup.otpauthUrl).toMatch(/^otpauth:\/\/totp\/BookPath.*issuer=BookPath/);
+    expect(user.twoFactorSecret).toBe(setup.secret);
+    expect(user.twoFactorEnabled).toBe(false);
+
+    const codes = await twoFactorService.enable(user._id, totp());
+
+    expect(codes).toHaveLength(10);
+    expect(user.twoFactorEnabled).toBe(true);
+    expect(user.recoveryCodes).toEqual(codes.map(hashRecoveryCode));
+    expect(user.recoveryCodes).not.toContain(codes[0]);
+    expect(AuditLog.logAction).toHaveBeenCalledWith(user._id, "two_factor_enabled", {}, undefined);
+  });
+
+  it("accepts each recovery code only once", async () => {
+    await twoFactorService.setup(user._id);
+    const [code] = await twoFactorService.enable(user._id, totp());
+
+    // Case and dashes don't matter
+    const { remaining } = await twoFactorService.consumeRecoveryCode(user._id, code.replace(/-/g, "").toLowerCase());
+    expect(remaining).toBe(9);
+
+    await expect(twoFactorService.consumeRecoveryCode(user._id, code)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("invalidates old recovery codes on regeneration", async () => {
+    await twoFactorService.setup(user._id);
+    const [oldCode] = await twoFactorService.enable(user._id, totp());
+
+    await expect(twoFactorService.regenerateRecoveryCodes(user._id, "000000")).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    const [newCode] = await twoFactorService.regenerateRecoveryCodes(user._id, totp());
+
+    await expect(twoFactorService.consumeRecoveryCode(user._id, oldCode)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(twoFactorService.consumeRecoveryCode(user._id, newCode)).resolves.toMatchObject({ remaining: 9 });
+  });
+
+  it("disables 2FA with an authenticator code and clears the secret", async () => {
+    await twoFactorService.setup(user._id);
+    await twoFactorService.enable(user._id, totp());
+
+    await twoFactorService.disable(user._id, { token: totp() });
+
+    expect(user.twoFactorEnabled).toBe(false);
+    expect(user.twoFactorSecret).toBeUndefined();
+    expect(user.recoveryCodes).toBeUndefined();
+    expect(AuditLog.logAction).toHaveBeenCalledWith(user._id, "two_factor_disabled", {}, undefined);
+  });
+
+  it("binds the second login step to a signed, short-lived challenge", () => {
+    const challenge = twoFactorService.createLoginChallenge(user._id);
+
+    expect(twoFactorService.verifyLoginChallenge(challenge)).toBe("user-1");
+    expect(jwt.decode(challenge).exp - jwt.decode(challenge).iat).toBe(300);
+
+    // A bare user ID, another token type or another secret is not a challenge
+    const rejected = [
+      user._id,
+      jwt.sign({ purpose: "oauth-link", sub: user._id }, process.env.JWT_SECRET),
+      jwt.sign({ purpose: "2fa-challenge", sub: user._id }, "other-secret"),
+      jwt.sign({ purpose: "2fa-challenge", sub: user._id }, process.env.JWT_SECRET, { expiresIn: -1 }),
+    ];
+    for (const token of rejected) {
+      expect(() => twoFactorService.verifyLoginChallenge(token)).toThrow(expect.objectContaining({ statusCode: 401 }));
+    }
+  });
+
+  it("does not spend a recovery code while the account is locked", async () => {
+    await twoFactorService.setup(user._id);
+    const [code] = await twoFactorService.enable(user._id, totp());
+    user.accountLockedUntil = new Date(Date.now() + 60_000);
+
+    await expect(twoFactorService.consumeRecoveryCode(user._id, code)).rejects.toMatchObject({ statusCode: 403 });
+    expect(user.recoveryCodes).toHaveLength(10);
+
+    user.accountLockedUntil = undefined;
+    await expect(twoFactorService.consumeRecoveryCode(user._id, code)).resolves.toMatchObject({ remaining: 9 });
+  });
+
+  it("locks the account after repeated wrong codes of either kind", async () => {
+    await twoFactorService.setup(user._id);
+    const [code] = await twoFactorService.enable(user._id, totp());
+
+    // A correct code resets the count
+    for (let i = 0; i < 4; i++) {
+      await expect(twoFactorService.verifyLogin(user._id, "000000")).rejects.toMatchObject({ statusCode: 400 });
+    }
+    await twoFactorService.verifyLogin(user._id, totp());
+
+    for (let i = 0; i < 4; i++) {
+      await expect(twoFactorService.verifyLogin(user._id, "000000")).rejects.toMatchObject({ statusCode: 400 });
+    }
+    await expect(twoFactorService.consumeRecoveryCode(user._id, "AAAA-BBBB-CCCC-DDDD")).rejects.toMatchObject({
+      statusCode: 403,
+    });
+    expect(user.accountLockedUntil.getTime()).toBeGreaterThan(Date.now());
+
+    await expect(twoFactorService.verifyLogin(user._id, totp())).rejects.toMatchObject({ statusCode: 403 });
+    await expect(twoFactorService.consumeRecoveryCode(user._id, code)).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
@@ -23,6 +23,8 @@ import { Terms } from './pages/Terms';
 import { AffiliateDisclosure } from './pages/AffiliateDisclosure';
 import { NotFound } from './pages/NotFound';
 import { Profile } from './pages/Profile';
+import { Subscription } from './pages/Subscription';
+import { OAuthCallback } from './pages/OAuthCallback';
 
 // Styles
 import './App.css';
@@ -50,6 +52,7 @@ function App() {
             <Route path="/" element={<Home />} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/oauth-callback" element={<OAuthCallback />} />
             <Route path="/search" element={<BookSearch />} />
             <Route path="/books/:id" element={<BookDetails />} />
             <Route path="/collections" element={<Collections />} />
@@ -59,6 +62,7 @@ function App() {
             <Route path="/category/:category" element={<Category />} />
             <Route path="/analytics" element={<Analytics />} />
             <Route path="/profile" element={<Profile />} />
+            <Route path="/subscription" element={<Subscription />} />
             <Route path="/about" element={<About />} />
             <Route path="/privacy" element={<Privacy />} />
             <Route path="/terms" element={<Terms />} />
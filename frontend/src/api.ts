@@ -47,18 +47,65 @@ export const libraryAPI = {
   updateBook: (bookId: string, updates: any) => api.put(`/library/books/${bookId}`, updates),
   removeBook: (bookId: string) => api.delete(`/library/books/${bookId}`),
   getStats: () => api.get('/library/stats'),
+  getGoals: (params?: { year?: number; period?: 'yearly' | 'monthly' }) =>
+    api.get('/library/goals', { params }),
+  createGoal: (goal: {
+    period: 'yearly' | 'monthly';
+    metric: 'books' | 'pages';
+    target: number;
+    year: number;
+    month?: number;
+  }) => api.post('/library/goals', goal),
+  updateGoal: (goalId: string, target: number) => api.put(`/library/goals/${goalId}`, { target }),
+  deleteGoal: (goalId: string) => api.delete(`/library/goals/${goalId}`),
+  exportLibrary: (format: ExportFormat) =>
+    api.get('/library/export', { params: { format }, responseType: 'blob' }),
+};
+
+export type ExportFormat = 'json' | 'csv' | 'goodreads';
+
+// Save a blob response (e.g. an export) as a file download
+export const downloadBlob = (response: { data: Blob; headers: any }, fallbackName: string) => {
+  const disposition: string = response.headers?.['content-disposition'] || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
 };
 
 // Recommendations
 export const recommendationsAPI = {
   getRecommendations: () => api.get('/recommendations'),
   refreshRecommendations: () => api.post('/recommendations/refresh'),
+  sendFeedback: (feedback: {
+    title: string;
+    authors?: string[];
+    bookId?: string | null;
+    workId?: string | null;
+    feedback: 'up' | 'down' | 'dismissed' | 'read';
+  }) =>
+    api.post('/recommendations/feedback', {
+      ...feedback,
+      bookId: feedback.bookId || undefined,
+      workId: feedback.workId || undefined,
+    }),
 };
 
-// Email capture (Phase 3 — builds the reactivation list; delivery gated on SMTP)
+// Email capture (Phase 3 — double opt-in deals list; delivery gated on SMTP)
 export const subscribersAPI = {
-  subscribe: (email: string, source?: string, context?: string) =>
-    api.post('/subscribers', { email, source, context }),
+  subscribe: (email: string, source?: string, context?: string, genres?: string[]) =>
+    api.post('/subscribers', { email, source, context, genres }),
+  // Preference page (signed token from the email link)
+  getPreferences: (token: string) => api.get('/subscribers/preferences', { params: { token } }),
+  updatePreferences: (
+    token: string,
+    preferences: { genres?: string[]; frequency?: 'weekly' | 'monthly'; subscribed?: boolean }
+  ) => api.put('/subscribers/preferences', preferences, { params: { token } }),
 };
 
 // Analytics (affiliate funnel KPIs)
@@ -68,6 +115,44 @@ export const analyticsAPI = {
   getTopBooks: (days = 30, limit = 10) => api.get('/analytics/top-books', { params: { days, limit } }),
   getTopQueries: (days = 30, limit = 10) => api.get('/analytics/top-queries', { params: { days, limit } }),
   getDaily: (days = 14) => api.get('/analytics/daily', { params: { days } }),
+  getCtr: (by: 'context' | 'source' | 'variant' | 'date' = 'context', days = 30, limit = 50) =>
+    api.get('/analytics/ctr', { params: { by, days, limit } }),
+  getClicksByVariant: (days = 30) => api.get('/analytics/clicks-by-variant', { params: { days } }),
+  getFunnel: (days = 30, context?: string) => api.get('/analytics/funnel', { params: { days, context } }),
+};
+
+// Amazon marketplaces for affiliate links (saved as preferences.marketplace)
+export interface Marketplace {
+  id: string;
+  domain: string;
+}
+
+export interface MarketplaceChoice {
+  marketplaces: Marketplace[];
+  selected: string | null;
+  source: 'preference' | 'accept-language' | 'geo' | 'default' | null;
+}
+
+export const marketplaceAPI = {
+  get: () => api.get('/books/marketplaces'),
+};
+
+// Other stores and libraries for a book, next to the Amazon CTA
+export interface RetailerOffer {
+  retailer: string;
+  label: string;
+  type: 'buy' | 'ebook' | 'borrow';
+  url: string;
+  // Links to the edition by ISBN (false: a title/author search)
+  deepLink: boolean;
+  affiliate: boolean;
+}
+
+export const retailersAPI = {
+  whereToBuy: (bookId: string) => api.get(`/books/${bookId}/where-to-buy`),
+  // Records the click (with attribution) and returns the link to open
+  click: (bookId: string, retailer: string, params: Record<string, string> = {}) =>
+    api.get(`/books/${bookId}/affiliate-click`, { params: { ...params, retailer } }),
 };
 
 // User / profile (account settings)
@@ -78,14 +163,87 @@ export const userAPI = {
     api.put('/users/password', { currentPassword, newPassword }, { skipAuthRedirect: true } as any),
   getPreferences: () => api.get('/users/preferences'),
   updatePreferences: (preferences: Record<string, unknown>) => api.put('/users/preferences', { preferences }),
+  // Everything stored about the user (GDPR access request), as one JSON file
+  exportPersonalData: () => api.get('/users/me/data-export', { responseType: 'blob' }),
+  // A wrong password is a 401 here — don't bounce to /login
+  deleteAccount: (confirm: { password?: string; token?: string }) =>
+    api.delete('/users/me', { data: confirm, skipAuthRedirect: true } as any),
+  cancelAccountDeletion: () => api.post('/users/me/deletion/cancel'),
+};
+
+// Signed-in devices (one session per sign-in)
+export const sessionsAPI = {
+  list: () => api.get('/auth/sessions'),
+  revoke: (id: string) => api.delete(`/auth/sessions/${encodeURIComponent(id)}`),
 };
 
-// Price helper - returns the best display price from API response
-export const getDisplayPrice = (price: any) => {
-  if (!price) return null;
-  // Prefer paperback, fallback to kindle then hardcover
-  const p = price.paperback || price.kindle || price.hardcover;
-  return p ? { amount: p.amount, currency: p.currency } : null;
+// GPG key for encrypted account email (upload → sign challenge → verify)
+export const gpgKeyAPI = {
+  get: () => api.get('/users/gpg-key'),
+  upload: (publicKey: string) => api.post('/users/gpg-key', { publicKey }),
+  verify: (signedMessage: string) => api.post('/users/gpg-key/verify', { signedMessage }),
+  remove: () => api.delete('/users/gpg-key'),
+};
+
+// Subscription tier (profile settings)
+export type SubscriptionTier = 'free' | 'pro';
+
+export interface Entitlements {
+  tier: SubscriptionTier;
+  limits: {
+    maxCollections: number | null;
+    aiRefreshesPerDay: number | null;
+    exportFormats: ExportFormat[];
+    maxPrivateCollaborators: number | null;
+  };
+  usage: { collections: number; aiRefreshesToday: number };
+}
+
+export const billingAPI = {
+  getEntitlements: () => api.get('/billing/entitlements'),
+  checkout: (tier: SubscriptionTier = 'pro') => api.post('/billing/checkout', { tier }),
+};
+
+// Two-factor authentication (profile settings)
+export const twoFactorAPI = {
+  getStatus: () => api.get('/auth/2fa/status'),
+  setup: () => api.post('/auth/2fa/setup'),
+  enable: (token: string) => api.post('/auth/2fa/verify', { token }),
+  regenerateRecoveryCodes: (token: string) => api.post('/auth/2fa/recovery-codes', { token }),
+  // A wrong password is a 401 here — don't bounce to /login
+  disable: (confirm: { password?: string; token?: string }) =>
+    api.post('/auth/2fa/disable', confirm, { skipAuthRedirect: true } as any),
+};
+
+// Sign in with Google / GitHub (one-time code exchange, linked accounts)
+export type OAuthProvider = 'google' | 'github';
+
+export const oauthAPI = {
+  getProviders: () => api.get('/auth/oauth/providers'),
+  exchange: (code: string) => api.post('/auth/oauth/exchange', { code }),
+  getAccounts: () => api.get('/auth/oauth/accounts'),
+  // Returns the URL the browser opens to authorize with the provider
+  link: (provider: OAuthProvider) => api.post(`/auth/oauth/${provider}/link`),
+  unlink: (provider: OAuthProvider) => api.delete(`/auth/oauth/${provider}`),
+  // Full-page redirect target for the sign-in buttons
+  startUrl: (provider: OAuthProvider) => `${API_BASE_URL}/auth/${provider}`,
+};
+
+// Real Amazon offer attached to search results (null when there is none)
+export interface PriceOffer {
+  amount: string; // major units, e.g. "9.99"
+  currency: string;
+  condition: string | null;
+  asin: string;
+  detailUrl: string | null;
+}
+
+// Price helper - search results carry an Amazon offer, catalog books a plain
+// Google Books list price (with a separate currency code)
+export const getDisplayPrice = (price?: number | PriceOffer | null, currencyCode?: string) => {
+  if (price == null) return null;
+  if (typeof price === 'number') return { amount: price, currency: currencyCode || 'USD' };
+  return { amount: Number(price.amount), currency: price.currency };
 };
 
 export default api;
\ No newline at end of file
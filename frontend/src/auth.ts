@@ -1,28 +1,60 @@
-import api from './api';
+import api, { oauthAPI } from './api';
 
 const TOKEN_KEY = 'auth_token';
 
-export const login = async (email: string, password: string) => {
+export type LoginResult = { status: 'ok' } | { status: 'two-factor'; challengeToken: string };
+
+export const login = async (email: string, password: string): Promise<LoginResult | null> => {
   try {
     const response = await api.post('/auth/login', { email, password });
     console.log('Login response:', response.data); // Debug log
+    // Accounts with 2FA get a second step (TwoFactorStep) instead of tokens
+    if (response.data.requiresTwoFactor) {
+      return { status: 'two-factor', challengeToken: response.data.challengeToken };
+    }
+
     const { accessToken } = response.data;
     
     if (!accessToken) {
       console.error('No accessToken in response:', response.data);
-      return false;
+      return null;
     }
     
     localStorage.setItem(TOKEN_KEY, accessToken);
     console.log('Token stored successfully'); // Debug log
-    return true;
+    return { status: 'ok' };
   } catch (error: any) {
     console.error('Login failed:', error);
     console.error('Error response:', error.response?.data);
-    return false;
+    return null;
   }
 };
 
+/**
+ * Finish a Google / GitHub sign-in: trade the one-time code from the
+ * callback redirect for tokens. Accounts with 2FA need a second step.
+ */
+export const loginWithOAuthCode = async (code: string): Promise<LoginResult> => {
+  const response = await oauthAPI.exchange(code);
+  if (response.data.requiresTwoFactor) {
+    return { status: 'two-factor', challengeToken: response.data.challengeToken };
+  }
+  localStorage.setItem(TOKEN_KEY, response.data.accessToken);
+  return { status: 'ok' };
+};
+
+export const verifyTwoFactorLogin = async (challengeToken: string, token: string) => {
+  const response = await api.post('/auth/2fa/login', { challengeToken, token });
+  localStorage.setItem(TOKEN_KEY, response.data.accessToken);
+};
+
+// Each recovery code works once; returns how many are left
+export const verifyRecoveryCodeLogin = async (challengeToken: string, recoveryCode: string): Promise<number> => {
+  const response = await api.post('/auth/2fa/recovery', { challengeToken, recoveryCode });
+  localStorage.setItem(TOKEN_KEY, response.data.accessToken);
+  return response.data.recoveryCodesRemaining;
+};
+
 export const register = async (name: string, email: string, password: string) => {
   const response = await api.post('/auth/register', { name, email, password });
   return response.data;
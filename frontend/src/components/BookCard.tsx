@@ -2,6 +2,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { Button } from "@/components/ui/button";
 import { truncateDescription } from '../lib/truncate';
+import { getDisplayPrice, PriceOffer } from '../api';
 
 interface Book {
   id?: string;
@@ -15,7 +16,7 @@ interface Book {
   ratingsAverage?: number;
   ratingsCount?: number;
   openLibraryKey?: string;
-  price?: number;
+  price?: number | PriceOffer | null;
   currencyCode?: string;
   condition?: 'new' | 'used' | 'unknown';
   category?: string;
@@ -83,6 +84,8 @@ export function BookCard({
     }
   };
 
+  const displayPrice = getDisplayPrice(book.price, book.currencyCode);
+
   const detailPath = (() => {
     const id = book.openLibraryKey ? book.openLibraryKey.replace('/works/', '') : (book.id || book.bookId || '');
     const safeId = id && id !== 'null' ? id : 'search';
@@ -200,9 +203,9 @@ export function BookCard({
         )}
 
         {/* Price Tag */}
-        {typeof book.price === 'number' && (
+        {displayPrice && (
           <span className="inline-block mb-3 px-2 py-0.5 bg-gradient-to-r from-yellow-200 via-yellow-300 to-yellow-400 text-yellow-900 text-xs font-bold rounded-full shadow-sm border border-yellow-300">
-            {book.currencyCode === 'USD' ? '$' : book.currencyCode || '$'}{book.price.toFixed(2)}
+            {displayPrice.currency === 'USD' ? '$' : displayPrice.currency}{displayPrice.amount.toFixed(2)}
           </span>
         )}
         {book.condition && book.condition !== 'unknown' && (
@@ -10,7 +10,7 @@ import * as z from 'zod';
 import { useToast } from "@/hooks/use-toast";
 import { BookCardSkeletonGrid } from './BookCardSkeleton';
 import BookCard from './BookCard';
-import api from '../api';
+import api, { PriceOffer } from '../api';
 import { isAuthenticated } from '../auth';
 
 interface BookSearchForm {
@@ -29,7 +29,7 @@ interface Book {
   ratingsAverage?: number;
   ratingsCount?: number;
   openLibraryKey: string;
-  price?: number; // <-- Add this line
+  price?: PriceOffer | null;
 }
 
 interface Suggestion {
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { userAPI } from '../api';
+import { logout } from '../auth';
+
+const errorMessage = (err: any, fallback: string) => {
+  const msg = err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+  return typeof msg === 'string' ? msg : String(msg);
+};
+
+export const formatDeletionDate = (date: string) =>
+  new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+interface DeleteAccountSettingsProps {
+  scheduledFor: string | null;
+  hasPassword: boolean;
+  twoFactorEnabled: boolean;
+  onCancelled: () => void;
+}
+
+/**
+ * Profile section: schedule the account for deletion (after re-entering the
+ * password) or, during the grace period, keep it.
+ */
+export function DeleteAccountSettings({ scheduledFor, hasPassword, twoFactorEnabled, onCancelled }: DeleteAccountSettingsProps) {
+  const [confirming, setConfirming] = useState(false);
+  const [secret, setSecret] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const requestDeletion = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      await userAPI.deleteAccount(hasPassword ? { password: secret } : { token: secret.trim() });
+      // Every session was signed out, this one included
+      logout();
+      window.location.href = '/login';
+    } catch (err: any) {
+      setError(errorMessage(err, 'Could not delete your account'));
+      setBusy(false);
+    }
+  };
+
+  const keepAccount = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      await userAPI.cancelAccountDeletion();
+      onCancelled();
+    } catch (err: any) {
+      setError(errorMessage(err, 'Could not cancel the deletion'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // OAuth-only accounts without 2FA confirm by having signed in recently
+  const needsSecret = hasPassword || twoFactorEnabled;
+
+  return (
+    <Card id="delete-account">
+      <CardHeader className="p-6 pb-2">
+        <CardTitle className="text-xl">Delete account</CardTitle>
+        <CardDescription>
+          {scheduledFor
+            ? `Your account and all of your collections will be permanently deleted on ${formatDeletionDate(scheduledFor)}.`
+            : 'Permanently delete your account, collections and reading history. You get a grace period to change your mind.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="p-6 pt-2 space-y-4">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+
+        {scheduledFor ? (
+          <Button onClick={keepAccount} disabled={busy}>
+            Keep my account
+          </Button>
+        ) : !confirming ? (
+          <Button variant="destructive" onClick={() => setConfirming(true)}>
+            Delete my account…
+          </Button>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              You will be signed out everywhere. Sign in again before the deletion date to keep your account.
+            </p>
+            {needsSecret ? (
+              <div className="space-y-2">
+                <Label htmlFor="deleteAccountSecret" style={{ color: '#dbcd90' }}>
+                  {hasPassword ? 'Confirm with your password' : 'Code from your authenticator app'}
+                </Label>
+                <Input
+                  id="deleteAccountSecret"
+                  type={hasPassword ? 'password' : 'text'}
+                  inputMode={hasPassword ? undefined : 'numeric'}
+                  autoComplete={hasPassword ? 'current-password' : 'one-time-code'}
+                  value={secret}
+                  onChange={(e) => setSecret(e.target.value)}
+                  disabled={busy}
+                />
+              </div>
+            ) : (
+              <p className="text-sm text-muted-foreground">
+                For your security, this only works within 10 minutes of signing in.
+              </p>
+            )}
+            <div className="flex gap-2">
+              <Button variant="destructive" onClick={requestDeletion} disabled={busy || (needsSecret && !secret)}>
+                {busy ? 'Deleting...' : 'Delete my account'}
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => {
+                  setConfirming(false);
+                  setSecret('');
+                  setError(null);
+                }}
+                disabled={busy}
+              >
+                Cancel
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default DeleteAccountSettings;
@@ -6,6 +6,21 @@ import { subscribersAPI } from '../api';
 
 const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
+// Genres the weekly digest can be narrowed to (backend normalization)
+export const GENRES = [
+  'Fiction',
+  'Non-fiction',
+  'Sci-Fi',
+  'Fantasy',
+  'Mystery',
+  'Romance',
+  'History',
+  'Biography',
+  'Self-Help',
+  'Business',
+  'Tech',
+];
+
 interface EmailDealsProps {
   source?: string;
   context?: string;
@@ -19,12 +34,16 @@ export function EmailDeals({ source = 'book-details', context }: EmailDealsProps
   const [email, setEmail] = useState('');
   const [status, setStatus] = useState<'idle' | 'saving' | 'done' | 'error'>('idle');
   const [msg, setMsg] = useState('');
+  const [genres, setGenres] = useState<string[]>([]);
 
   // Already subscribed this browser → keep it collapsed/hidden.
   const [hidden] = useState(localStorage.getItem('bp_subscribed') === '1');
 
   if (hidden) return null;
 
+  const toggleGenre = (genre: string) =>
+    setGenres((prev) => (prev.includes(genre) ? prev.filter((g) => g !== genre) : [...prev, genre]));
+
   const subscribe = async () => {
     if (!EMAIL_RE.test(email)) {
       setStatus('error');
@@ -33,9 +52,9 @@ export function EmailDeals({ source = 'book-details', context }: EmailDealsProps
     }
     setStatus('saving');
     try {
-      await subscribersAPI.subscribe(email, source, context);
+      await subscribersAPI.subscribe(email, source, context, genres);
       setStatus('done');
-      setMsg("You're on the list — weekly deals are on the way!");
+      setMsg('Almost done — check your inbox and confirm your subscription.');
       localStorage.setItem('bp_subscribed', '1');
       setEmail('');
     } catch (err: any) {
@@ -48,22 +67,38 @@ export function EmailDeals({ source = 'book-details', context }: EmailDealsProps
     <Card>
       <CardContent className="p-4">
         <p className="font-semibold mb-1">📚 Get the best book deals, weekly</p>
-        <p className="text-xs text-muted-foreground mb-3">No spam. Just great books in your genres.</p>
+        <p className="text-xs text-muted-foreground mb-3">No spam. Just great books in your genres — pick some, or get what's trending.</p>
         {status === 'done' ? (
           <p className="text-sm text-green-700 font-medium">{msg}</p>
         ) : (
-          <div className="flex gap-2">
-            <Input
-              type="email"
-              placeholder="you@example.com"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              onKeyDown={(e) => e.key === 'Enter' && subscribe()}
-            />
-            <Button onClick={subscribe} disabled={status === 'saving'}>
-              {status === 'saving' ? '…' : 'Subscribe'}
-            </Button>
-          </div>
+          <>
+            <div className="flex flex-wrap gap-1 mb-3">
+              {GENRES.map((genre) => (
+                <button
+                  key={genre}
+                  type="button"
+                  onClick={() => toggleGenre(genre)}
+                  className={`text-xs px-2 py-0.5 rounded-full border ${
+                    genres.includes(genre) ? 'bg-primary text-primary-foreground border-primary' : 'text-muted-foreground'
+                  }`}
+                >
+                  {genre}
+                </button>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <Input
+                type="email"
+                placeholder="you@example.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && subscribe()}
+              />
+              <Button onClick={subscribe} disabled={status === 'saving'}>
+                {status === 'saving' ? '…' : 'Subscribe'}
+              </Button>
+            </div>
+          </>
         )}
         {status === 'error' && <p className="text-xs text-red-600 mt-1">{msg}</p>}
       </CardContent>
@@ -0,0 +1,185 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Label } from '@/components/ui/label';
+import { gpgKeyAPI } from '../api';
+
+interface PendingKey {
+  fingerprint: string;
+  challenge: string;
+  expiresAt: string;
+}
+
+interface GpgKeyStatus {
+  enabled: boolean;
+  fingerprint: string | null;
+  pending: PendingKey | null;
+}
+
+const errorMessage = (err: any, fallback: string) => {
+  const msg = err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+  return typeof msg === 'string' ? msg : String(msg);
+};
+
+// "ABCD1234…" → "ABCD 1234 …", the way gpg prints fingerprints
+const formatFingerprint = (fingerprint: string) => fingerprint.replace(/(.{4})/g, '$1 ').trim();
+
+const textareaClass =
+  'w-full min-h-[8rem] rounded-md border-2 border-lightteal bg-white px-3 py-2 font-mono text-xs shadow-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-teal-400 disabled:opacity-50';
+
+/**
+ * Profile section: add a GPG public key (paste key → sign the challenge →
+ * paste the signature) so account emails arrive encrypted; remove it.
+ */
+export function GpgKeySettings() {
+  const [status, setStatus] = useState<GpgKeyStatus | null>(null);
+  const [publicKey, setPublicKey] = useState('');
+  const [signedMessage, setSignedMessage] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    gpgKeyAPI
+      .get()
+      .then((res) => setStatus(res.data?.data || null))
+      .catch(() => setStatus(null));
+  }, []);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    try {
+      setBusy(true);
+      setError(null);
+      await action();
+    } catch (err: any) {
+      setError(errorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const upload = () =>
+    run(async () => {
+      const res = await gpgKeyAPI.upload(publicKey.trim());
+      setStatus((current) => current && { ...current, pending: res.data.data });
+      setPublicKey('');
+    }, 'Could not read this key');
+
+  const verify = () =>
+    run(async () => {
+      const res = await gpgKeyAPI.verify(signedMessage.trim());
+      setStatus({ enabled: true, fingerprint: res.data.data.fingerprint, pending: null });
+      setSignedMessage('');
+      setAdding(false);
+    }, 'The signature could not be verified');
+
+  const remove = () =>
+    run(async () => {
+      await gpgKeyAPI.remove();
+      setStatus({ enabled: false, fingerprint: null, pending: null });
+    }, 'Could not remove the key');
+
+  const cancel = () => {
+    setAdding(false);
+    setPublicKey('');
+    setSignedMessage('');
+    setError(null);
+    setStatus((current) => current && { ...current, pending: null });
+  };
+
+  if (!status) return null;
+
+  const pending = status.pending;
+
+  return (
+    <Card>
+      <CardHeader className="p-6 pb-2">
+        <CardTitle className="text-xl">Encrypted email</CardTitle>
+        <CardDescription>
+          {status.enabled
+            ? 'On. Password resets, verification emails and digests are encrypted to your GPG key.'
+            : 'Off. Add your GPG public key and we will encrypt every email we send you.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="p-6 pt-2 space-y-4">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+
+        {status.enabled && status.fingerprint && (
+          <p className="text-sm text-muted-foreground">
+            Key fingerprint: <span className="font-mono break-all">{formatFingerprint(status.fingerprint)}</span>
+          </p>
+        )}
+
+        {pending ? (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              To prove the key is yours, sign this text with it (for example <span className="font-mono">gpg --clearsign</span>)
+              and paste the whole output below. The challenge expires at {new Date(pending.expiresAt).toLocaleTimeString()}.
+            </p>
+            <pre className="p-3 bg-gray-50 border border-gray-200 rounded-md text-xs whitespace-pre-wrap break-all" style={{ color: 'rgb(30, 41, 59)' }}>
+              {pending.challenge}
+            </pre>
+            <div className="space-y-2">
+              <Label htmlFor="gpgSignedMessage" style={{ color: '#dbcd90' }}>Signed challenge</Label>
+              <textarea
+                id="gpgSignedMessage"
+                className={textareaClass}
+                placeholder="-----BEGIN PGP SIGNED MESSAGE-----"
+                value={signedMessage}
+                onChange={(e) => setSignedMessage(e.target.value)}
+                disabled={busy}
+              />
+            </div>
+            <div className="flex gap-2">
+              <Button onClick={verify} disabled={busy || !signedMessage.trim()}>
+                Verify key
+              </Button>
+              <Button variant="outline" onClick={cancel} disabled={busy}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        ) : adding ? (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="gpgPublicKey" style={{ color: '#dbcd90' }}>Public key (gpg --armor --export you@example.com)</Label>
+              <textarea
+                id="gpgPublicKey"
+                className={textareaClass}
+                placeholder="-----BEGIN PGP PUBLIC KEY BLOCK-----"
+                value={publicKey}
+                onChange={(e) => setPublicKey(e.target.value)}
+                disabled={busy}
+              />
+            </div>
+            <div className="flex gap-2">
+              <Button onClick={upload} disabled={busy || !publicKey.trim()}>
+                Continue
+              </Button>
+              <Button variant="outline" onClick={cancel} disabled={busy}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            <Button variant={status.enabled ? 'outline' : 'default'} onClick={() => setAdding(true)} disabled={busy}>
+              {status.enabled ? 'Replace key' : 'Add GPG key'}
+            </Button>
+            {status.enabled && (
+              <Button variant="outline" onClick={remove} disabled={busy}>
+                Remove key
+              </Button>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default GpgKeySettings;
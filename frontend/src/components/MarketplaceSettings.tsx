@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Label } from '@/components/ui/label';
+import { marketplaceAPI, MarketplaceChoice, userAPI } from '../api';
+
+const errorMessage = (err: any, fallback: string) => {
+  const msg = err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+  return typeof msg === 'string' ? msg : String(msg);
+};
+
+const SOURCE_LABELS: Record<string, string> = {
+  'accept-language': 'your browser language',
+  geo: 'your location',
+  default: 'the default store',
+};
+
+/**
+ * Profile section: which Amazon store "Buy" links open. Saved in the user's
+ * preferences; "Automatic" follows the browser language and location.
+ */
+export function MarketplaceSettings() {
+  const [choice, setChoice] = useState<MarketplaceChoice | null>(null);
+  const [preferences, setPreferences] = useState<Record<string, unknown>>({});
+  const [marketplace, setMarketplace] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    Promise.all([marketplaceAPI.get(), userAPI.getPreferences()])
+      .then(([marketplaces, prefs]) => {
+        const current = prefs.data?.data || {};
+        setChoice(marketplaces.data?.data || null);
+        setPreferences(current);
+        setMarketplace(typeof current.marketplace === 'string' ? current.marketplace : '');
+      })
+      .catch((err) => setError(errorMessage(err, 'Could not load the Amazon stores')));
+  }, []);
+
+  const save = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      setSaved(false);
+      // The API replaces the whole preferences object
+      const next = { ...preferences, marketplace: marketplace || null };
+      const res = await userAPI.updatePreferences(next);
+      setPreferences(res.data?.data || next);
+      const refreshed = await marketplaceAPI.get();
+      setChoice(refreshed.data?.data || null);
+      setSaved(true);
+    } catch (err: any) {
+      setError(errorMessage(err, 'Could not save your Amazon store'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Nothing to choose between with a single store
+  if (!choice || choice.marketplaces.length < 2) return null;
+
+  const selectedDomain = choice.marketplaces.find((m) => m.id === choice.selected)?.domain;
+
+  return (
+    <Card>
+      <CardHeader className="p-6 pb-2">
+        <CardTitle className="text-xl">Amazon store</CardTitle>
+        <CardDescription>
+          {selectedDomain && choice.source && choice.source !== 'preference'
+            ? `Links currently open ${selectedDomain}, based on ${SOURCE_LABELS[choice.source]}.`
+            : 'Choose the Amazon store that book links open.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="p-6 pt-2 space-y-4">
+        <div className="space-y-2">
+          <Label htmlFor="marketplace" style={{ color: '#dbcd90' }}>Store</Label>
+          <select
+            id="marketplace"
+            value={marketplace}
+            onChange={(e) => {
+              setMarketplace(e.target.value);
+              setSaved(false);
+            }}
+            disabled={busy}
+            className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+          >
+            <option value="">Automatic (browser language and location)</option>
+            {choice.marketplaces.map((m) => (
+              <option key={m.id} value={m.id}>{m.domain}</option>
+            ))}
+          </select>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+        {saved && (
+          <div className="p-3 bg-green-50 border border-green-200 rounded-md">
+            <p className="text-sm text-green-700">Amazon store saved.</p>
+          </div>
+        )}
+
+        <Button onClick={save} disabled={busy}>
+          {busy ? 'Saving...' : 'Save store'}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default MarketplaceSettings;
@@ -0,0 +1,61 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { oauthAPI, OAuthProvider } from '../api';
+
+export const PROVIDER_LABELS: Record<OAuthProvider, string> = {
+  google: 'Google',
+  github: 'GitHub',
+};
+
+// ?error=… slugs set by the API's OAuth callback
+export const OAUTH_ERRORS: Record<string, string> = {
+  oauth_email_unverified: 'That account has no verified email address. Verify it with the provider, or sign up with email.',
+  oauth_already_linked: 'That account is already linked to a different BookPath account.',
+  oauth_account_exists:
+    'A BookPath account with this email already exists. Sign in with your password, then link this provider from your profile.',
+  oauth_failed: 'Sign-in with that provider failed. Please try again.',
+};
+
+/**
+ * Providers the API has credentials for (nothing until the request returns).
+ */
+export function useOAuthProviders() {
+  const [providers, setProviders] = useState<OAuthProvider[]>([]);
+
+  useEffect(() => {
+    oauthAPI
+      .getProviders()
+      .then((res) => {
+        const enabled = res.data?.data || {};
+        setProviders((Object.keys(PROVIDER_LABELS) as OAuthProvider[]).filter((p) => enabled[p]));
+      })
+      .catch(() => setProviders([]));
+  }, []);
+
+  return providers;
+}
+
+/**
+ * "Continue with Google / GitHub" — full-page redirect through the API.
+ */
+export function OAuthButtons({ disabled }: { disabled?: boolean }) {
+  const providers = useOAuthProviders();
+  if (providers.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2 text-xs text-muted-foreground">
+        <div className="h-px flex-1 bg-border" />
+        or
+        <div className="h-px flex-1 bg-border" />
+      </div>
+      {providers.map((provider) => (
+        <Button key={provider} asChild variant="outline" className="w-full" disabled={disabled}>
+          <a href={oauthAPI.startUrl(provider)}>Continue with {PROVIDER_LABELS[provider]}</a>
+        </Button>
+      ))}
+    </div>
+  );
+}
+
+export default OAuthButtons;
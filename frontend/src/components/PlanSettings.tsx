@@ -0,0 +1,119 @@
+import { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { billingAPI, Entitlements } from '../api';
+
+const errorMessage = (err: any, fallback: string) => {
+  const msg = err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+  return typeof msg === 'string' ? msg : String(msg);
+};
+
+const limitLabel = (limit: number | null) => (limit === null ? 'Unlimited' : String(limit));
+
+const TIER_LABELS: Record<Entitlements['tier'], string> = {
+  free: 'Free',
+  pro: 'Pro',
+};
+
+/**
+ * Profile section: current subscription tier, what it allows and how much
+ * of it is used, with an upgrade button that goes to the provider checkout.
+ * Checkout comes back to /profile?billing=success|cancelled.
+ */
+export function PlanSettings() {
+  const [searchParams] = useSearchParams();
+  const [plan, setPlan] = useState<Entitlements | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const billingResult = searchParams.get('billing');
+
+  useEffect(() => {
+    billingAPI
+      .getEntitlements()
+      .then((res) => setPlan(res.data?.data || null))
+      .catch((err) => setError(errorMessage(err, 'Could not load your plan')));
+  }, []);
+
+  const upgrade = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      const res = await billingAPI.checkout('pro');
+      window.location.href = res.data.data.url;
+    } catch (err: any) {
+      setError(errorMessage(err, 'Could not start the checkout'));
+      setBusy(false);
+    }
+  };
+
+  if (!plan && !error) return null;
+
+  const rows = plan
+    ? [
+        {
+          label: 'Collections',
+          value: `${plan.usage.collections} of ${limitLabel(plan.limits.maxCollections)}`,
+        },
+        {
+          label: 'Recommendation refreshes today',
+          value: `${plan.usage.aiRefreshesToday} of ${limitLabel(plan.limits.aiRefreshesPerDay)}`,
+        },
+        {
+          label: 'People per private collection',
+          value: limitLabel(plan.limits.maxPrivateCollaborators),
+        },
+        {
+          label: 'Export formats',
+          value: plan.limits.exportFormats.map((f) => (f === 'goodreads' ? 'Goodreads' : f.toUpperCase())).join(', '),
+        },
+      ]
+    : [];
+
+  return (
+    <Card id="plan">
+      <CardHeader className="p-6 pb-2">
+        <CardTitle className="text-xl">Plan{plan ? `: ${TIER_LABELS[plan.tier]}` : ''}</CardTitle>
+        <CardDescription>
+          {plan?.tier === 'pro'
+            ? 'Thanks for supporting BookPath.'
+            : 'Pro lifts the collection limit and adds more recommendation refreshes, collaborators and Goodreads export.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="p-6 pt-2 space-y-4">
+        {billingResult === 'success' && (
+          <div className="p-3 bg-green-50 border border-green-200 rounded-md">
+            <p className="text-sm text-green-700">Payment received. Your new plan is active.</p>
+          </div>
+        )}
+        {billingResult === 'cancelled' && (
+          <p className="text-sm text-muted-foreground">Checkout was cancelled. You have not been charged.</p>
+        )}
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+
+        {plan && (
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            {rows.map((row) => (
+              <div key={row.label}>
+                <p className="text-muted-foreground">{row.label}</p>
+                <p className="font-semibold" style={{ color: 'rgb(30, 41, 59)' }}>{row.value}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {plan?.tier === 'free' && (
+          <Button onClick={upgrade} disabled={busy}>
+            {busy ? 'Opening checkout...' : 'Upgrade to Pro'}
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default PlanSettings;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Progress } from '@/components/ui/progress';
+import { useToast } from '@/hooks/use-toast';
+import { libraryAPI } from '../api';
+
+type GoalMetric = 'books' | 'pages';
+type GoalStatus = 'completed' | 'missed' | 'not-started' | 'ahead' | 'behind' | 'on-track';
+
+interface ReadingGoal {
+  _id: string;
+  period: 'yearly' | 'monthly';
+  metric: GoalMetric;
+  target: number;
+  year: number;
+  month?: number;
+  progress: {
+    current: number;
+    target: number;
+    remaining: number;
+    percentComplete: number;
+    difference: number;
+    status: GoalStatus;
+    weeksLeft: number;
+    requiredPerWeek: number | null;
+  };
+}
+
+const STATUS_LABELS: Record<GoalStatus, { label: string; className: string }> = {
+  completed: { label: 'Goal reached 🎉', className: 'text-green-400' },
+  missed: { label: 'Goal missed', className: 'text-red-400' },
+  'not-started': { label: 'Not started yet', className: 'text-muted-foreground' },
+  ahead: { label: 'Ahead of schedule', className: 'text-green-400' },
+  behind: { label: 'Behind schedule', className: 'text-yellow-400' },
+  'on-track': { label: 'On track', className: 'text-blue-400' },
+};
+
+const cardStyle: React.CSSProperties = {
+  background:
+    'linear-gradient(135deg, rgba(74, 0, 127, 0.15) 0%, rgba(0, 230, 230, 0.1) 100%)',
+  backdropFilter: 'blur(20px)',
+  border: '1px solid rgba(255, 255, 255, 0.15)',
+  boxShadow:
+    '0 8px 32px rgba(0, 0, 0, 0.05), inset 0 1px 0 rgba(255, 255, 255, 0.1)',
+};
+
+export function ReadingGoalWidget() {
+  const year = new Date().getFullYear();
+  const [goal, setGoal] = useState<ReadingGoal | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [target, setTarget] = useState<string>('');
+  const [metric, setMetric] = useState<GoalMetric>('books');
+  const [saving, setSaving] = useState(false);
+  const { toast } = useToast();
+
+  const fetchGoal = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await libraryAPI.getGoals({ year, period: 'yearly' });
+      if (response.data.success) {
+        const goals: ReadingGoal[] = response.data.data || [];
+        setGoal(goals.find((g) => g.metric === 'books') || goals[0] || null);
+      }
+    } catch {
+      setGoal(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [year]);
+
+  useEffect(() => {
+    fetchGoal();
+  }, [fetchGoal]);
+
+  const handleSave = async () => {
+    const value = Number(target);
+    if (!Number.isInteger(value) || value < 1) {
+      toast({
+        variant: 'destructive',
+        title: 'Invalid goal',
+        description: 'Enter a whole number greater than zero.',
+      });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = goal
+        ? await libraryAPI.updateGoal(goal._id, value)
+        : await libraryAPI.createGoal({ period: 'yearly', metric, target: value, year });
+      if (response.data.success) {
+        setGoal(response.data.data);
+        setEditing(false);
+        toast({
+          variant: 'success',
+          title: 'Goal saved',
+          description: `Your ${year} reading goal is set.`,
+        });
+      }
+    } catch (err: any) {
+      toast({
+        variant: 'destructive',
+        title: 'Could not save goal',
+        description: err.response?.data?.message || err.message || 'Failed to save goal',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEditing = () => {
+    setTarget(goal ? String(goal.target) : '');
+    setMetric(goal?.metric || 'books');
+    setEditing(true);
+  };
+
+  if (loading) {
+    return (
+      <Card style={cardStyle}>
+        <CardContent className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const unit = (goal?.metric || metric) === 'pages' ? 'pages' : 'books';
+
+  return (
+    <Card style={cardStyle}>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center justify-between gap-2">
+          <span className="flex items-center gap-2">
+            <span>🎯</span> {year} Reading Goal
+          </span>
+          {goal && !editing && (
+            <Button variant="outline" size="sm" onClick={startEditing}>
+              Edit
+            </Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {editing ? (
+          <div className="flex flex-wrap items-end gap-2">
+            <div>
+              <Label htmlFor="goalTarget" style={{ color: 'rgb(203, 213, 225)' }}>
+                Target
+              </Label>
+              <Input
+                id="goalTarget"
+                type="number"
+                min={1}
+                value={target}
+                onChange={(e) => setTarget(e.target.value)}
+                placeholder="52"
+                className="w-28 bg-gray-800 border-gray-600 text-gray-200"
+              />
+            </div>
+            {!goal && (
+              <div>
+                <Label htmlFor="goalMetric" style={{ color: 'rgb(203, 213, 225)' }}>
+                  Measure
+                </Label>
+                <select
+                  id="goalMetric"
+                  value={metric}
+                  onChange={(e) => setMetric(e.target.value as GoalMetric)}
+                  className="rounded-md border border-gray-600 bg-gray-800 text-gray-200 px-3 py-2 text-sm"
+                >
+                  <option value="books">Books</option>
+                  <option value="pages">Pages</option>
+                </select>
+              </div>
+            )}
+            <Button
+              size="sm"
+              onClick={handleSave}
+              disabled={saving}
+              className="bg-gradient-to-r from-primary to-teal text-white"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setEditing(false)}>
+              Cancel
+            </Button>
+          </div>
+        ) : !goal ? (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-muted-foreground">
+              Set a target like 52 books this year and track your pace.
+            </p>
+            <Button
+              size="sm"
+              onClick={startEditing}
+              className="bg-gradient-to-r from-primary to-teal text-white"
+            >
+              Set goal
+            </Button>
+          </div>
+        ) : (
+          <>
+            <div className="flex items-baseline justify-between">
+              <p className="text-2xl font-bold" style={{ color: '#dbcd90' }}>
+                {goal.progress.current.toLocaleString()}
+                <span className="text-base text-muted-foreground">
+                  {' '}/ {goal.target.toLocaleString()} {unit}
+                </span>
+              </p>
+              <span className={`text-sm font-medium ${STATUS_LABELS[goal.progress.status].className}`}>
+                {STATUS_LABELS[goal.progress.status].label}
+              </span>
+            </div>
+            <Progress value={goal.progress.percentComplete} />
+            <p className="text-sm text-muted-foreground">
+              {goal.progress.remaining === 0
+                ? `You finished your ${year} goal.`
+                : goal.progress.requiredPerWeek !== null
+                ? `${goal.progress.remaining.toLocaleString()} ${unit} to go — about ${goal.progress.requiredPerWeek} ${unit} per week to finish on time.`
+                : `${goal.progress.remaining.toLocaleString()} ${unit} short of the goal.`}
+            </p>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ReadingGoalWidget;
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { sessionsAPI } from '../api';
+import { logout } from '../auth';
+
+interface Session {
+  id: string;
+  device: string;
+  ip?: string;
+  createdAt: string;
+  lastUsedAt: string;
+  current: boolean;
+}
+
+const formatDate = (value: string) => new Date(value).toLocaleString();
+
+/**
+ * Profile section: devices signed in to this account, with sign-out per device.
+ */
+export function SessionsList() {
+  const [sessions, setSessions] = useState<Session[] | null>(null);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    sessionsAPI
+      .list()
+      .then((res) => setSessions(res.data?.data || []))
+      .catch(() => setError('Could not load your sessions.'));
+  }, []);
+
+  const revoke = async (session: Session) => {
+    try {
+      setBusyId(session.id);
+      setError(null);
+      await sessionsAPI.revoke(session.id);
+      if (session.current) {
+        logout();
+        window.location.href = '/login';
+        return;
+      }
+      setSessions((prev) => (prev || []).filter((s) => s.id !== session.id));
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Could not sign out that device.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="p-6 pb-2">
+        <CardTitle className="text-xl">Where you're signed in</CardTitle>
+        <CardDescription>Sign out any device you don't recognise.</CardDescription>
+      </CardHeader>
+      <CardContent className="p-6 pt-2 space-y-3">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+        {sessions?.length === 0 && <p className="text-sm text-muted-foreground">No active sessions.</p>}
+        {sessions?.map((session) => (
+          <div key={session.id} className="flex items-center justify-between gap-4 text-sm">
+            <div>
+              <p className="font-semibold" style={{ color: 'rgb(30, 41, 59)' }}>
+                {session.device}
+                {session.current && <span className="ml-2 text-xs text-green-700">This device</span>}
+              </p>
+              <p className="text-muted-foreground">
+                {session.ip && `${session.ip} · `}Last active {formatDate(session.lastUsedAt)} · Signed in{' '}
+                {formatDate(session.createdAt)}
+              </p>
+            </div>
+            <Button variant="outline" disabled={busyId === session.id} onClick={() => revoke(session)}>
+              Sign out
+            </Button>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default SessionsList;
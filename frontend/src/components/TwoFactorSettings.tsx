@@ -0,0 +1,220 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { twoFactorAPI } from '../api';
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  recoveryCodesRemaining: number;
+}
+
+const errorMessage = (err: any, fallback: string) => {
+  const msg = err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+  return typeof msg === 'string' ? msg : String(msg);
+};
+
+/**
+ * Profile section: set up 2FA (QR code → confirm code → recovery codes),
+ * regenerate recovery codes, disable.
+ */
+export function TwoFactorSettings({ hasPassword = true }: { hasPassword?: boolean }) {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [setup, setSetup] = useState<{ qrCode: string; secret: string } | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [disabling, setDisabling] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    twoFactorAPI
+      .getStatus()
+      .then((res) => setStatus(res.data?.data || null))
+      .catch(() => setStatus(null));
+  }, []);
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    try {
+      setBusy(true);
+      setError(null);
+      await action();
+    } catch (err: any) {
+      setError(errorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () =>
+    run(async () => {
+      const res = await twoFactorAPI.setup();
+      setSetup(res.data.data);
+      setRecoveryCodes(null);
+    }, 'Could not start setup');
+
+  const confirmSetup = () =>
+    run(async () => {
+      const res = await twoFactorAPI.enable(code.trim());
+      const codes: string[] = res.data.data.recoveryCodes;
+      setRecoveryCodes(codes);
+      setSetup(null);
+      setCode('');
+      setStatus({ enabled: true, recoveryCodesRemaining: codes.length });
+    }, 'Invalid verification code');
+
+  const regenerate = () =>
+    run(async () => {
+      const res = await twoFactorAPI.regenerateRecoveryCodes(code.trim());
+      const codes: string[] = res.data.data.recoveryCodes;
+      setRecoveryCodes(codes);
+      setCode('');
+      setStatus({ enabled: true, recoveryCodesRemaining: codes.length });
+    }, 'Invalid verification code');
+
+  const disable = () =>
+    run(async () => {
+      await twoFactorAPI.disable(password ? { password } : { token: code.trim() });
+      setStatus({ enabled: false, recoveryCodesRemaining: 0 });
+      setRecoveryCodes(null);
+      setDisabling(false);
+      setPassword('');
+      setCode('');
+    }, 'Could not disable two-factor authentication');
+
+  const downloadCodes = () => {
+    if (!recoveryCodes) return;
+    const blob = new Blob([`BookPath recovery codes\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'bookpath-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!status) return null;
+
+  const codeInput = (
+    <div className="space-y-2">
+      <Label htmlFor="twoFactorSettingsCode" style={{ color: '#dbcd90' }}>Code from your authenticator app</Label>
+      <Input
+        id="twoFactorSettingsCode"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        placeholder="123456"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        disabled={busy}
+      />
+    </div>
+  );
+
+  return (
+    <Card>
+      <CardHeader className="p-6 pb-2">
+        <CardTitle className="text-xl">Two-factor authentication</CardTitle>
+        <CardDescription>
+          {status.enabled
+            ? `On. ${status.recoveryCodesRemaining} unused recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.`
+            : 'Off. Protect your account with a code from an authenticator app when you sign in.'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="p-6 pt-2 space-y-4">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-600">{error}</p>
+          </div>
+        )}
+
+        {recoveryCodes && (
+          <div className="p-3 bg-green-50 border border-green-200 rounded-md space-y-2">
+            <p className="text-sm text-green-700 font-medium">
+              Save these recovery codes somewhere safe. Each works once, and they won't be shown again.
+            </p>
+            <ul className="grid grid-cols-2 gap-1 font-mono text-sm" style={{ color: 'rgb(30, 41, 59)' }}>
+              {recoveryCodes.map((c) => (
+                <li key={c}>{c}</li>
+              ))}
+            </ul>
+            <Button variant="outline" onClick={downloadCodes}>
+              Download codes
+            </Button>
+          </div>
+        )}
+
+        {!status.enabled && !setup && (
+          <Button onClick={startSetup} disabled={busy}>
+            Set up two-factor authentication
+          </Button>
+        )}
+
+        {!status.enabled && setup && (
+          <div className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+            </p>
+            <img src={setup.qrCode} alt="Two-factor authentication QR code" className="w-48 h-48" />
+            <p className="text-xs text-muted-foreground break-all">
+              Can't scan it? Enter this key manually: <span className="font-mono">{setup.secret}</span>
+            </p>
+            {codeInput}
+            <div className="flex gap-2">
+              <Button onClick={confirmSetup} disabled={busy || !code.trim()}>
+                Turn on
+              </Button>
+              <Button variant="outline" onClick={() => setSetup(null)} disabled={busy}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {status.enabled && !disabling && (
+          <div className="space-y-4">
+            {codeInput}
+            <div className="flex flex-wrap gap-2">
+              <Button variant="outline" onClick={regenerate} disabled={busy || !code.trim()}>
+                New recovery codes
+              </Button>
+              <Button variant="outline" onClick={() => setDisabling(true)} disabled={busy}>
+                Turn off…
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {status.enabled && disabling && (
+          <div className="space-y-4">
+            {hasPassword ? (
+              <div className="space-y-2">
+                <Label htmlFor="twoFactorPassword" style={{ color: '#dbcd90' }}>Confirm with your password</Label>
+                <Input
+                  id="twoFactorPassword"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={busy}
+                />
+              </div>
+            ) : (
+              codeInput
+            )}
+            <div className="flex gap-2">
+              <Button onClick={disable} disabled={busy || !(password || code.trim())}>
+                Turn off two-factor authentication
+              </Button>
+              <Button variant="outline" onClick={() => setDisabling(false)} disabled={busy}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default TwoFactorSettings;
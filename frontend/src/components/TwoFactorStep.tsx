@@ -0,0 +1,86 @@
+import { FormEvent, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useToast } from '@/hooks/use-toast';
+import { verifyRecoveryCodeLogin, verifyTwoFactorLogin } from '../auth';
+
+/**
+ * Second login step for accounts with 2FA: authenticator code, or one of
+ * the recovery codes when the authenticator is unavailable.
+ */
+export function TwoFactorStep({ challengeToken, onSuccess }: { challengeToken: string; onSuccess: () => void }) {
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { toast } = useToast();
+
+  const submit = async (e: FormEvent) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      if (useRecovery) {
+        const remaining = await verifyRecoveryCodeLogin(challengeToken, code.trim());
+        if (remaining <= 2) {
+          toast({
+            title: `${remaining} recovery code${remaining === 1 ? '' : 's'} left`,
+            description: 'Generate new ones on your profile page.',
+          });
+        }
+      } else {
+        await verifyTwoFactorLogin(challengeToken, code.trim());
+      }
+      onSuccess();
+    } catch {
+      setError(useRecovery ? 'Invalid or already used recovery code' : 'Invalid verification code');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="twoFactorCode" style={{ color: '#dbcd90' }}>
+          {useRecovery ? 'Recovery code' : 'Code from your authenticator app'}
+        </Label>
+        <Input
+          id="twoFactorCode"
+          inputMode={useRecovery ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          placeholder={useRecovery ? 'XXXX-XXXX-XXXX-XXXX' : '123456'}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          disabled={isSubmitting}
+          autoFocus
+        />
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      <Button type="submit" className="w-full" disabled={isSubmitting || !code.trim()}>
+        {isSubmitting ? 'Verifying...' : 'Verify'}
+      </Button>
+      <button
+        type="button"
+        className="w-full text-sm hover:underline"
+        style={{ color: '#dbcd90' }}
+        onClick={() => {
+          setUseRecovery(!useRecovery);
+          setCode('');
+          setError(null);
+        }}
+      >
+        {useRecovery ? 'Use your authenticator app instead' : 'Lost your device? Use a recovery code'}
+      </button>
+    </form>
+  );
+}
+
+export default TwoFactorStep;
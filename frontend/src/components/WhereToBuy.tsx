@@ -0,0 +1,59 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { retailersAPI, RetailerOffer } from '../api';
+
+const TYPE_HINTS: Record<RetailerOffer['type'], string> = {
+  buy: '',
+  ebook: 'eBook',
+  borrow: 'Free',
+};
+
+interface WhereToBuyProps {
+  bookId: string;
+  // Click attribution (source, context). No CTA variant: these aren't the A/B tested button
+  attribution?: Record<string, string>;
+}
+
+/**
+ * Stores besides Amazon (Bookshop.org, Thalia, Kobo) and the library, for
+ * the reader's region. Sits under the Amazon CTA; hidden when there are none.
+ */
+export function WhereToBuy({ bookId, attribution = {} }: WhereToBuyProps) {
+  const [offers, setOffers] = useState<RetailerOffer[]>([]);
+
+  useEffect(() => {
+    retailersAPI
+      .whereToBuy(bookId)
+      .then((res) => setOffers((res.data?.data?.offers || []).filter((o: RetailerOffer) => o.retailer !== 'amazon')))
+      .catch(() => setOffers([]));
+  }, [bookId]);
+
+  if (offers.length === 0) return null;
+
+  const open = async (offer: RetailerOffer) => {
+    try {
+      const res = await retailersAPI.click(bookId, offer.retailer, attribution);
+      window.open(res.data?.data?.affiliateUrl || offer.url, '_blank', 'noopener,noreferrer');
+    } catch {
+      // Tracking failed; the link itself still works
+      window.open(offer.url, '_blank', 'noopener,noreferrer');
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <p className="text-sm font-medium mb-2">Also available at</p>
+      <div className="flex flex-wrap gap-2">
+        {offers.map((offer) => (
+          <Button key={offer.retailer} variant="outline" size="sm" onClick={() => open(offer)}>
+            {offer.label}
+            {TYPE_HINTS[offer.type] && <span className="ml-1 text-muted-foreground">({TYPE_HINTS[offer.type]})</span>}
+          </Button>
+        ))}
+      </div>
+      {offers.some((o) => o.affiliate) && (
+        <p className="text-xs text-muted-foreground mt-2">We may earn a commission from store links.</p>
+      )}
+    </div>
+  );
+}
@@ -31,13 +31,70 @@ interface DailyRow {
   clicks: number;
 }
 
+type CtrDimension = 'context' | 'source' | 'variant' | 'date';
+
+// Keyed by the dimension it was grouped on (row.context, row.date, ...)
+interface CtrRow {
+  [dimension: string]: string | number | null;
+  impressions: number;
+  views: number;
+  clicks: number;
+  ctr: number;
+  viewCtr: number;
+}
+
+interface FunnelStage {
+  impressions: number;
+  views: number;
+  clicks: number;
+  viewRate: number;
+  clickRate: number;
+  conversion: number;
+}
+
+interface Funnel {
+  days: number;
+  total: FunnelStage;
+  bySource: (FunnelStage & { source: string })[];
+}
+
+interface VariantRow {
+  variant: string;
+  views: number;
+  clicks: number;
+  ctr: number;
+  lift: number | null;
+  pValue: number | null;
+  significant: boolean;
+}
+
+interface VariantTest {
+  control: string | null;
+  confidence: number;
+  alpha: number;
+  variants: VariantRow[];
+}
+
+const CTR_DIMENSIONS: { value: CtrDimension; label: string }[] = [
+  { value: 'context', label: 'Query / Category' },
+  { value: 'source', label: 'Surface' },
+  { value: 'variant', label: 'CTA Variant' },
+  { value: 'date', label: 'Date' },
+];
+
 const fmtPct = (n: number) => `${(n * 100).toFixed(1)}%`;
+const fmtLift = (n: number | null) => (n === null ? '—' : `${n >= 0 ? '+' : ''}${(n * 100).toFixed(1)}%`);
+const fmtP = (p: number | null) => (p === null ? '—' : p < 0.001 ? '< 0.001' : p.toFixed(3));
 
 export function Analytics() {
   const [overview, setOverview] = useState<Overview | null>(null);
   const [topBooks, setTopBooks] = useState<TopBook[]>([]);
   const [topQueries, setTopQueries] = useState<TopQuery[]>([]);
   const [daily, setDaily] = useState<DailyRow[]>([]);
+  const [funnel, setFunnel] = useState<Funnel | null>(null);
+  const [variantTest, setVariantTest] = useState<VariantTest | null>(null);
+  const [ctrBy, setCtrBy] = useState<CtrDimension>('context');
+  const [ctrRows, setCtrRows] = useState<CtrRow[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
@@ -47,16 +104,20 @@ export function Analytics() {
     try {
       setLoading(true);
       setError(null);
-      const [ov, tb, tq, dy] = await Promise.all([
+      const [ov, tb, tq, dy, fn, ab] = await Promise.all([
         analyticsAPI.getOverview(),
         analyticsAPI.getTopBooks(30, 20),
         analyticsAPI.getTopQueries(30, 20),
         analyticsAPI.getDaily(30),
+        analyticsAPI.getFunnel(30),
+        analyticsAPI.getClicksByVariant(30),
       ]);
       setOverview(ov.data?.data || null);
       setTopBooks(tb.data?.data || []);
       setTopQueries(tq.data?.data || []);
       setDaily(dy.data?.data || []);
+      setFunnel(fn.data?.data || null);
+      setVariantTest(ab.data?.data || null);
     } catch (err: any) {
       const msg = err.response?.data?.message || err.message || 'Failed to load analytics';
       setError(typeof msg === 'string' ? msg : String(msg));
@@ -73,6 +134,15 @@ export function Analytics() {
     }
   }, [role, fetchAll]);
 
+  // The CTR breakdown reloads on its own when another dimension is picked
+  useEffect(() => {
+    if (role !== 'admin') return;
+    analyticsAPI
+      .getCtr(ctrBy, 30, 20)
+      .then((res) => setCtrRows(res.data?.data || []))
+      .catch(() => setCtrRows([]));
+  }, [role, ctrBy]);
+
   if (role !== 'admin') {
     return (
       <div className="text-center py-20">
@@ -107,7 +177,7 @@ export function Analytics() {
     <div className="space-y-8">
       <div>
         <h1 className="text-2xl font-bold" style={{ color: 'rgb(30, 41, 59)' }}>Affiliate Analytics</h1>
-        <p className="text-sm text-muted-foreground">Click-through funnel for Amazon affiliate revenue.</p>
+        <p className="text-sm text-muted-foreground">Click-through funnel for affiliate revenue: impressions, book views and clicks.</p>
       </div>
 
       {/* Overview cards */}
@@ -127,6 +197,60 @@ export function Analytics() {
         ))}
       </div>
 
+      {/* Funnel: impression → details view → click */}
+      <Card>
+        <CardHeader><CardTitle className="text-lg">Funnel (last 30d)</CardTitle></CardHeader>
+        <CardContent>
+          {!funnel || funnel.total.impressions + funnel.total.views === 0 ? (
+            <p className="text-sm text-muted-foreground">No funnel data yet.</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-3 gap-4 mb-6">
+                {[
+                  { label: 'Search / list impressions', value: funnel.total.impressions, rate: null },
+                  { label: 'Book details views', value: funnel.total.views, rate: funnel.total.viewRate },
+                  { label: 'Affiliate clicks', value: funnel.total.clicks, rate: funnel.total.clickRate },
+                ].map((step) => (
+                  <div key={step.label}>
+                    <p className="text-sm text-muted-foreground">{step.label}</p>
+                    <p className="text-2xl font-bold" style={{ color: 'rgb(30, 41, 59)' }}>{step.value}</p>
+                    {step.rate !== null && (
+                      <p className="text-xs text-muted-foreground">{fmtPct(step.rate)} of previous step</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2">Surface</th>
+                    <th className="py-2 text-right">Impressions</th>
+                    <th className="py-2 text-right">Views</th>
+                    <th className="py-2 text-right">Clicks</th>
+                    <th className="py-2 text-right">View rate</th>
+                    <th className="py-2 text-right">Click rate</th>
+                    <th className="py-2 text-right">Conversion</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {funnel.bySource.map((s) => (
+                    <tr key={s.source} className="border-b last:border-0">
+                      <td className="py-2 capitalize">{s.source.replace('-', ' ')}</td>
+                      <td className="py-2 text-right">{s.impressions}</td>
+                      <td className="py-2 text-right">{s.views}</td>
+                      <td className="py-2 text-right">{s.clicks}</td>
+                      <td className="py-2 text-right">{s.impressions > 0 ? fmtPct(s.viewRate) : '—'}</td>
+                      <td className="py-2 text-right">{s.views > 0 ? fmtPct(s.clickRate) : '—'}</td>
+                      <td className="py-2 text-right font-semibold">{s.impressions > 0 ? fmtPct(s.conversion) : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Daily bar chart */}
       <Card>
         <CardHeader><CardTitle className="text-lg">Clicks per day (last 30d)</CardTitle></CardHeader>
@@ -215,6 +339,106 @@ export function Analytics() {
         </CardContent>
       </Card>
 
+      {/* CTR breakdown by a chosen dimension */}
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0">
+          <CardTitle className="text-lg">CTR Breakdown (last 30d)</CardTitle>
+          <select
+            value={ctrBy}
+            onChange={(e) => setCtrBy(e.target.value as CtrDimension)}
+            className="border rounded px-2 py-1 text-sm"
+          >
+            {CTR_DIMENSIONS.map((d) => (
+              <option key={d.value} value={d.value}>By {d.label.toLowerCase()}</option>
+            ))}
+          </select>
+        </CardHeader>
+        <CardContent>
+          {ctrRows.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No data for this breakdown yet.</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-muted-foreground">
+                  <th className="py-2">{CTR_DIMENSIONS.find((d) => d.value === ctrBy)?.label}</th>
+                  <th className="py-2 text-right">Impressions</th>
+                  <th className="py-2 text-right">Views</th>
+                  <th className="py-2 text-right">Clicks</th>
+                  <th className="py-2 text-right">CTR</th>
+                  <th className="py-2 text-right">Clicks / view</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ctrRows.map((row) => (
+                  <tr key={String(row[ctrBy])} className="border-b last:border-0">
+                    <td className="py-2">{row[ctrBy] ?? '—'}</td>
+                    <td className="py-2 text-right">{row.impressions}</td>
+                    <td className="py-2 text-right">{row.views}</td>
+                    <td className="py-2 text-right">{row.clicks}</td>
+                    <td className="py-2 text-right font-semibold">{row.impressions > 0 ? fmtPct(row.ctr) : '—'}</td>
+                    <td className="py-2 text-right">{row.views > 0 ? fmtPct(row.viewCtr) : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* CTA A/B test */}
+      <Card>
+        <CardHeader><CardTitle className="text-lg">CTA A/B Test (last 30d)</CardTitle></CardHeader>
+        <CardContent>
+          {!variantTest || variantTest.variants.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No variant data yet.</p>
+          ) : (
+            <>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2">Variant</th>
+                    <th className="py-2 text-right">Views</th>
+                    <th className="py-2 text-right">Clicks</th>
+                    <th className="py-2 text-right">CTR</th>
+                    <th className="py-2 text-right">Lift</th>
+                    <th className="py-2 text-right">p-value</th>
+                    <th className="py-2 text-right">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {variantTest.variants.map((v) => (
+                    <tr key={v.variant} className="border-b last:border-0">
+                      <td className="py-2">{v.variant}</td>
+                      <td className="py-2 text-right">{v.views}</td>
+                      <td className="py-2 text-right">{v.clicks}</td>
+                      <td className="py-2 text-right font-semibold">{v.views > 0 ? fmtPct(v.ctr) : '—'}</td>
+                      <td className="py-2 text-right">{fmtLift(v.lift)}</td>
+                      <td className="py-2 text-right">{fmtP(v.pValue)}</td>
+                      <td className="py-2 text-right">
+                        {v.variant === variantTest.control ? (
+                          <span className="text-muted-foreground">Control</span>
+                        ) : v.significant ? (
+                          <span className={v.lift !== null && v.lift < 0 ? 'text-red-600 font-semibold' : 'text-green-600 font-semibold'}>
+                            Significant
+                          </span>
+                        ) : (
+                          <span className="text-muted-foreground">Not significant</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-muted-foreground mt-3">
+                CTR is Amazon clicks per book details view. Each variant is compared with the control using a
+                two-proportion z-test at {Math.round(variantTest.confidence * 100)}% confidence (p &lt;{' '}
+                {variantTest.alpha.toFixed(3)} after correcting for multiple variants).
+              </p>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Click breakdown by source */}
       {overview && overview.clicksBySource.length > 0 && (
         <Card>
@@ -10,6 +10,7 @@ import * as z from 'zod';
 import api from '../api';
 import { isAuthenticated } from '../auth';
 import { EmailDeals } from '../components/EmailDeals';
+import { WhereToBuy } from '../components/WhereToBuy';
 import { truncateDescription } from '../lib/truncate';
 
 interface Book {
@@ -52,7 +53,8 @@ type AddToCollectionForm = z.infer<typeof addToCollectionSchema>;
 
 // Phase 3: A/B CTA variant. Deterministic per browser (persisted in
 // localStorage) so a visitor always sees the same variant; the chosen variant is
-// sent with the affiliate click and compared via /analytics/clicks-by-variant.
+// sent with the page view and the affiliate click, and compared via
+// /analytics/clicks-by-variant.
 const CTA_VARIANTS = ['buy', 'price', 'get'] as const;
 const CTA_TEXT: Record<string, string> = {
   buy: 'Buy on Amazon',
@@ -68,6 +70,17 @@ function getCtaVariant(): string {
   return v;
 }
 
+// Surface the reader came from (source + query/category), from the link that
+// opened this page, so analytics can compute CTR and the funnel per surface.
+function sourceAttribution(searchParams: URLSearchParams): Record<string, string> {
+  const params: Record<string, string> = {};
+  const source = searchParams.get('source');
+  const context = searchParams.get('context');
+  if (source) params.source = source;
+  if (context) params.context = context;
+  return params;
+}
+
 export function BookDetails() {
   const { id } = useParams<{ id: string }>();
   const [searchParams] = useSearchParams();
@@ -93,7 +106,10 @@ export function BookDetails() {
     try {
       setLoading(true);
       setError(null);
-      const response = await api.get(`/books/${id}`);
+      // Recorded as the funnel's details-page view
+      const response = await api.get(`/books/${id}`, {
+        params: { ...sourceAttribution(searchParams), variant: getCtaVariant() },
+      });
       if (response.data.success) {
         setBook(response.data.data);
       } else {
@@ -107,7 +123,7 @@ export function BookDetails() {
     } finally {
       setLoading(false);
     }
-  }, [id]);
+  }, [id, searchParams]);
 
   const fetchCollections = useCallback(async () => {
     try {
@@ -204,6 +220,13 @@ export function BookDetails() {
     return `https://www.google.com/search?q=${encodeURIComponent(searchQuery.trim())}`;
   };
 
+  // Attribution threaded into the Amazon CTA click, with the CTA variant for
+  // the A/B test
+  const clickAttribution = (): Record<string, string> => ({
+    ...sourceAttribution(searchParams),
+    variant: getCtaVariant(),
+  });
+
   const handleBuyClick = async () => {
     if (!book?.id) return;
     
@@ -215,15 +238,8 @@ export function BookDetails() {
     
     try {
       setLoadingAffiliate(true);
-      // Track click and get affiliate URL, threading the attribution context
-      // (source + query/category) so analytics can compute CTR per surface.
-      const params: Record<string, string> = {};
-      const source = searchParams.get('source');
-      const context = searchParams.get('context');
-      if (source) params.source = source;
-      if (context) params.context = context;
-      params.variant = getCtaVariant(); // A/B attribution
-      const response = await api.get(`/books/${book.id}/affiliate-click`, { params });
+      // Track click and get affiliate URL
+      const response = await api.get(`/books/${book.id}/affiliate-click`, { params: clickAttribution() });
       
       if (response.data.success && response.data.data?.affiliateUrl) {
         // Open affiliate link in new tab
@@ -406,6 +422,9 @@ export function BookDetails() {
                   </div>
                 )}
 
+                {/* Other stores and the library, for the reader's region */}
+                <WhereToBuy bookId={book.id} attribution={sourceAttribution(searchParams)} />
+
                 {/* Email capture — non-blocking, next to the buy CTA */}
                 <EmailDeals source="book-details" context={book.title} />
               </div>
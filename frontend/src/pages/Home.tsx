@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
+import { ThumbsUp, ThumbsDown, EyeOff, BookCheck } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
 import FeaturedBooks from '../components/FeaturedBooks';
@@ -48,14 +49,16 @@ export function Home() {
 
   // AI Recommendations state
   interface Recommendation {
-    id: string;
     title: string;
-    author: string;
+    authors: string[];
     matchScore: number;
     reason: string;
     similarTo: string;
-    coverImage?: string;
+    bookId?: string | null;
+    workId?: string | null;
+    coverImage?: string | null;
   }
+  type FeedbackType = 'up' | 'down' | 'dismissed' | 'read';
   const [aiRecommendations, setAiRecommendations] = useState<Recommendation[]>([]);
   const [recsLoading, setRecsLoading] = useState(false);
   const [recsError, setRecsError] = useState<string | null>(null);
@@ -69,7 +72,7 @@ export function Home() {
     setRecsEmpty(false);
     try {
       const res = await recommendationsAPI.getRecommendations();
-      const data = res.data;
+      const data = res.data?.data ?? res.data;
       const recs = Array.isArray(data?.recommendations) ? data.recommendations : Array.isArray(data) ? data : [];
       if (recs.length === 0) {
         setRecsEmpty(true);
@@ -86,6 +89,26 @@ export function Home() {
     }
   }, []);
 
+  const recKey = (rec: Recommendation) => `${rec.title}|${rec.authors?.join(',')}`;
+
+  const handleFeedback = async (rec: Recommendation, feedback: FeedbackType) => {
+    try {
+      await recommendationsAPI.sendFeedback({
+        title: rec.title,
+        authors: rec.authors,
+        bookId: rec.bookId,
+        workId: rec.workId,
+        feedback,
+      });
+      // Rejected and already-read titles leave the list right away
+      if (feedback !== 'up') {
+        setAiRecommendations((recs) => recs.filter((r) => recKey(r) !== recKey(rec)));
+      }
+    } catch (err: any) {
+      setRecsError(err.response?.data?.message || err.message || 'Failed to save feedback');
+    }
+  };
+
   const handleRefresh = async () => {
     setRecsRefreshing(true);
     setRecsError(null);
@@ -354,7 +377,7 @@ export function Home() {
             <div className="grid gap-4 grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5">
               {aiRecommendations.map((rec) => (
                 <div
-                  key={rec.id}
+                  key={recKey(rec)}
                   className="rounded-xl p-4 flex flex-col gap-2 transition-all duration-300 hover:scale-[1.03] hover:shadow-xl"
                   style={{
                     background: 'linear-gradient(135deg, rgba(74, 0, 127, 0.1) 0%, rgba(0, 230, 230, 0.1) 100%)',
@@ -386,7 +409,7 @@ export function Home() {
                   </h3>
 
                   {/* Author */}
-                  <p className="text-xs text-white/70">by {rec.author}</p>
+                  <p className="text-xs text-white/70">by {rec.authors?.join(', ')}</p>
 
                   {/* Reason */}
                   {rec.reason && (
@@ -396,7 +419,7 @@ export function Home() {
                   )}
 
                   {/* Similar to */}
-                  {rec.similarTo && (
+                  {rec.similarTo && rec.similarTo !== 'N/A' && (
                     <div className="mt-auto pt-2 border-t border-white/10">
                       <p className="text-[10px] text-white/50">
                         Because you read:{' '}
@@ -404,6 +427,27 @@ export function Home() {
                       </p>
                     </div>
                   )}
+
+                  {/* Feedback */}
+                  <div className="flex items-center justify-between pt-1 text-white/50">
+                    {([
+                      ['up', ThumbsUp, 'More like this'],
+                      ['down', ThumbsDown, 'Not for me'],
+                      ['dismissed', EyeOff, 'Not interested'],
+                      ['read', BookCheck, 'Already read'],
+                    ] as const).map(([type, Icon, label]) => (
+                      <button
+                        key={type}
+                        type="button"
+                        title={label}
+                        aria-label={label}
+                        onClick={() => handleFeedback(rec, type)}
+                        className="p-1 rounded hover:text-white hover:bg-white/10 transition-colors"
+                      >
+                        <Icon className="h-3.5 w-3.5" />
+                      </button>
+                    ))}
+                  </div>
                 </div>
               ))}
             </div>
@@ -5,6 +5,7 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { useToast } from '@/hooks/use-toast';
 import BookCard from '@/components/BookCard';
+import ReadingGoalWidget from '@/components/ReadingGoalWidget';
 import api from '../api';
 
 interface LibraryBook {
@@ -383,6 +384,9 @@ export function Library() {
         </Card>
       </div>
 
+      {/* Reading Goal */}
+      <ReadingGoalWidget />
+
       {/* Shelf Tabs */}
       <div className="flex gap-2 flex-wrap">
         {shelves.map((shelf) => (
@@ -0,0 +1,64 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { TwoFactorStep } from '@/components/TwoFactorStep';
+import { loginWithOAuthCode } from '../auth';
+
+/**
+ * Landing page after Google / GitHub sign-in. The API redirects here with a
+ * one-time code (never tokens); we trade it for tokens once.
+ */
+export function OAuthCallback() {
+  const [params] = useSearchParams();
+  const navigate = useNavigate();
+  const code = params.get('code');
+
+  const [error, setError] = useState<string | null>(code ? null : 'Sign-in link is missing its code.');
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState<string | null>(null);
+  // The code is single-use: don't redeem it twice (StrictMode runs effects twice)
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    document.title = 'Signing in | BookPath';
+    if (!code || exchanged.current) return;
+    exchanged.current = true;
+
+    loginWithOAuthCode(code)
+      .then((result) => {
+        if (result.status === 'two-factor') setTwoFactorChallenge(result.challengeToken);
+        else navigate('/', { replace: true });
+      })
+      .catch(() => setError('This sign-in link has expired. Please try again.'));
+  }, [code, navigate]);
+
+  return (
+    <div className="container max-w-md mx-auto py-8">
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-2xl font-bold text-center">
+            {twoFactorChallenge ? 'Two-factor authentication' : 'Signing you in…'}
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {twoFactorChallenge ? (
+            <TwoFactorStep challengeToken={twoFactorChallenge} onSuccess={() => navigate('/', { replace: true })} />
+          ) : (
+            error && (
+              <>
+                <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                  <p className="text-sm text-red-600">{error}</p>
+                </div>
+                <Button asChild variant="outline" className="w-full">
+                  <Link to="/login">Back to sign in</Link>
+                </Button>
+              </>
+            )
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default OAuthCallback;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 
 export function Privacy() {
   return (
@@ -38,12 +39,13 @@ export function Privacy() {
         <ul className="list-disc pl-5 space-y-1">
           <li><strong>Google Books API</strong> — supplies book metadata for search.</li>
           <li><strong>Amazon</strong> — processes purchases you make after clicking an affiliate link.</li>
+          <li><strong>Bookshop.org, Thalia, Kobo and WorldCat</strong> — handle purchases or library searches you start from a book page.</li>
           <li><strong>Email provider</strong> — delivers our opt-in emails.</li>
           <li><strong>OpenAI</strong> — powers book recommendations (book titles only).</li>
         </ul>
         <p>
           These services are governed by their own privacy policies. When you click an
-          affiliate link, you leave BookPath and are subject to Amazon's policies.
+          affiliate link, you leave BookPath and are subject to that store's policies.
         </p>
       </section>
 
@@ -59,8 +61,11 @@ export function Privacy() {
         <h2 className="text-xl font-semibold">5. Your rights</h2>
         <p>
           Under GDPR you have the right to access, correct, export, and delete your
-          personal data, and to withdraw consent at any time. To exercise any of these
-          rights, contact us at <a className="underline" href="mailto:privacy@bookpath.org">privacy@bookpath.org</a>.
+          personal data, and to withdraw consent at any time. Signed-in users can download
+          everything we store about them and delete their account from the{' '}
+          <Link className="underline" to="/profile">profile page</Link>; deleted accounts are
+          erased after a 14-day grace period. For anything else, contact us at{' '}
+          <a className="underline" href="mailto:privacy@bookpath.org">privacy@bookpath.org</a>.
         </p>
       </section>
     </div>
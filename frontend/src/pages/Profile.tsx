@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
@@ -7,7 +7,14 @@ import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
-import { userAPI } from '../api';
+import { OAUTH_ERRORS, PROVIDER_LABELS, useOAuthProviders } from '@/components/OAuthButtons';
+import { TwoFactorSettings } from '@/components/TwoFactorSettings';
+import { SessionsList } from '@/components/SessionsList';
+import { GpgKeySettings } from '@/components/GpgKeySettings';
+import { PlanSettings } from '@/components/PlanSettings';
+import { MarketplaceSettings } from '@/components/MarketplaceSettings';
+import { DeleteAccountSettings, formatDeletionDate } from '@/components/DeleteAccountSettings';
+import { userAPI, libraryAPI, oauthAPI, downloadBlob, ExportFormat, OAuthProvider } from '../api';
 import { isAuthenticated } from '../auth';
 
 interface ProfileData {
@@ -17,6 +24,7 @@ interface ProfileData {
   role: string;
   emailVerified: boolean;
   twoFactorEnabled: boolean;
+  deletionScheduledFor: string | null;
   createdAt: string;
 }
 
@@ -42,6 +50,11 @@ const changePasswordSchema = z
 
 type ChangePasswordForm = z.infer<typeof changePasswordSchema>;
 
+interface LinkedAccounts {
+  hasPassword: boolean;
+  linked: Record<OAuthProvider, boolean>;
+}
+
 export function Profile() {
   const [profile, setProfile] = useState<ProfileData | null>(null);
   const [loading, setLoading] = useState(true);
@@ -49,6 +62,18 @@ export function Profile() {
   const [pwError, setPwError] = useState<string | null>(null);
   const [pwSuccess, setPwSuccess] = useState<string | null>(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [exportFormat, setExportFormat] = useState<ExportFormat>('json');
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState<string | null>(null);
+  const [searchParams] = useSearchParams();
+  const providers = useOAuthProviders();
+  const [accounts, setAccounts] = useState<LinkedAccounts | null>(null);
+  const [accountsBusy, setAccountsBusy] = useState(false);
+  const [accountsError, setAccountsError] = useState<string | null>(() => {
+    const code = searchParams.get('error');
+    return code ? OAUTH_ERRORS[code] || OAUTH_ERRORS.oauth_failed : null;
+  });
+  const linkedProvider = searchParams.get('linked') as OAuthProvider | null;
 
   const authenticated = isAuthenticated();
 
@@ -75,6 +100,10 @@ export function Profile() {
         setLoading(false);
       }
     })();
+    oauthAPI
+      .getAccounts()
+      .then((res) => setAccounts(res.data?.data || null))
+      .catch(() => setAccounts(null));
   }, [authenticated]);
 
   const onSubmit = async (data: ChangePasswordForm) => {
@@ -96,6 +125,63 @@ export function Profile() {
     }
   };
 
+  const handlePersonalDataExport = async () => {
+    try {
+      setIsExporting(true);
+      setExportError(null);
+      const res = await userAPI.exportPersonalData();
+      downloadBlob(res, 'bookpath-data.json');
+    } catch (err: any) {
+      const msg = err.response?.data?.message || err.message || 'Failed to export your data';
+      setExportError(typeof msg === 'string' ? msg : String(msg));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      setExportError(null);
+      const res = await libraryAPI.exportLibrary(exportFormat);
+      downloadBlob(res, `bookpath-library.${exportFormat === 'json' ? 'json' : 'csv'}`);
+    } catch (err: any) {
+      // Errors come back as a Blob too (e.g. a format the plan doesn't include)
+      const data = err.response?.data;
+      const body = data instanceof Blob ? await data.text().then((t) => JSON.parse(t)).catch(() => null) : data;
+      const msg = body?.message || err.message || 'Failed to export your data';
+      setExportError(typeof msg === 'string' ? msg : String(msg));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Linking leaves the app (provider consent) and comes back to /profile?linked=…
+  const handleLink = async (provider: OAuthProvider) => {
+    try {
+      setAccountsBusy(true);
+      setAccountsError(null);
+      const res = await oauthAPI.link(provider);
+      window.location.href = res.data.data.url;
+    } catch (err: any) {
+      setAccountsError(err.response?.data?.message || 'Could not start linking. Please try again.');
+      setAccountsBusy(false);
+    }
+  };
+
+  const handleUnlink = async (provider: OAuthProvider) => {
+    try {
+      setAccountsBusy(true);
+      setAccountsError(null);
+      const res = await oauthAPI.unlink(provider);
+      setAccounts(res.data?.data || null);
+    } catch (err: any) {
+      setAccountsError(err.response?.data?.message || 'Could not unlink. Please try again.');
+    } finally {
+      setAccountsBusy(false);
+    }
+  };
+
   if (!authenticated) {
     return (
       <div className="container max-w-md mx-auto py-20 text-center">
@@ -126,6 +212,15 @@ export function Profile() {
         </div>
       )}
 
+      {profile?.deletionScheduledFor && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+          <p className="text-sm text-yellow-800">
+            Your account will be deleted on {formatDeletionDate(profile.deletionScheduledFor)}.{' '}
+            <a href="#delete-account" className="underline font-medium">Keep my account</a>
+          </p>
+        </div>
+      )}
+
       {/* Account info */}
       <Card>
         <CardHeader className="p-6 pb-2">
@@ -155,6 +250,56 @@ export function Profile() {
         </CardContent>
       </Card>
 
+      {/* Subscription tier */}
+      <PlanSettings />
+
+      {/* Amazon store for book links */}
+      <MarketplaceSettings />
+
+      {/* Linked sign-in accounts */}
+      {providers.length > 0 && accounts && (
+        <Card>
+          <CardHeader className="p-6 pb-2">
+            <CardTitle className="text-xl">Linked accounts</CardTitle>
+            <CardDescription>Sign in with Google or GitHub instead of your password.</CardDescription>
+          </CardHeader>
+          <CardContent className="p-6 pt-2 space-y-3">
+            {linkedProvider && accounts.linked[linkedProvider] && !accountsError && (
+              <div className="p-3 bg-green-50 border border-green-200 rounded-md">
+                <p className="text-sm text-green-700">{PROVIDER_LABELS[linkedProvider]} account linked.</p>
+              </div>
+            )}
+            {accountsError && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                <p className="text-sm text-red-600">{accountsError}</p>
+              </div>
+            )}
+            {providers.map((provider) => (
+              <div key={provider} className="flex items-center justify-between text-sm">
+                <div>
+                  <p className="font-semibold" style={{ color: 'rgb(30, 41, 59)' }}>{PROVIDER_LABELS[provider]}</p>
+                  <p className="text-muted-foreground">{accounts.linked[provider] ? 'Linked' : 'Not linked'}</p>
+                </div>
+                {accounts.linked[provider] ? (
+                  <Button variant="outline" disabled={accountsBusy} onClick={() => handleUnlink(provider)}>
+                    Unlink
+                  </Button>
+                ) : (
+                  <Button variant="outline" disabled={accountsBusy} onClick={() => handleLink(provider)}>
+                    Link
+                  </Button>
+                )}
+              </div>
+            ))}
+            {!accounts.hasPassword && (
+              <p className="text-xs text-muted-foreground">
+                Your account has no password, so you can't unlink your only sign-in method.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Change password */}
       <Card>
         <CardHeader className="p-6 pb-2">
@@ -222,6 +367,69 @@ export function Profile() {
           </form>
         </CardContent>
       </Card>
+
+      {/* Two-factor authentication */}
+      <TwoFactorSettings hasPassword={accounts?.hasPassword ?? true} />
+
+      {/* Signed-in devices */}
+      <SessionsList />
+
+      {/* Encrypted email */}
+      <GpgKeySettings />
+
+      {/* Data export */}
+      <Card>
+        <CardHeader className="p-6 pb-2">
+          <CardTitle className="text-xl">Download my data</CardTitle>
+          <CardDescription>
+            Export every collection and book with your notes, tags, ratings, dates and progress.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="p-6 pt-2 space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="exportFormat" style={{ color: '#dbcd90' }}>Format</Label>
+            <select
+              id="exportFormat"
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value as ExportFormat)}
+              disabled={isExporting}
+              className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+            >
+              <option value="json">JSON (complete, with collection details)</option>
+              <option value="csv">CSV (one row per book per collection)</option>
+              <option value="goodreads">Goodreads-compatible CSV (Pro)</option>
+            </select>
+          </div>
+
+          {exportError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+              <p className="text-sm text-red-600">{exportError}</p>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <Button onClick={handleExport} disabled={isExporting}>
+              {isExporting ? 'Preparing download...' : 'Download my data'}
+            </Button>
+            <Button variant="outline" onClick={handlePersonalDataExport} disabled={isExporting}>
+              Everything we store about me
+            </Button>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            The full archive (JSON) adds your profile, sign-ins, account activity and analytics attributed to you.
+          </p>
+        </CardContent>
+      </Card>
+
+      {/* Account deletion */}
+      {profile && (
+        <DeleteAccountSettings
+          scheduledFor={profile.deletionScheduledFor}
+          hasPassword={accounts?.hasPassword ?? true}
+          twoFactorEnabled={profile.twoFactorEnabled}
+          onCancelled={() => setProfile({ ...profile, deletionScheduledFor: null })}
+        />
+      )}
     </div>
   );
 }
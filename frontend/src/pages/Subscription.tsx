@@ -0,0 +1,167 @@
+import { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { GENRES } from '@/components/EmailDeals';
+import { subscribersAPI } from '../api';
+
+interface Preferences {
+  email: string;
+  genres: string[];
+  frequency: 'weekly' | 'monthly';
+  confirmed: boolean;
+  subscribed: boolean;
+}
+
+const LINK_ERRORS: Record<string, string> = {
+  'invalid-link': 'This confirmation link is invalid or has expired. Subscribe again to get a new one.',
+  failed: 'We could not confirm your subscription. Please try again later.',
+};
+
+/**
+ * Deals list preference center — reached only through the signed link in
+ * our emails (no login). Genres, frequency, unsubscribe / re-subscribe.
+ */
+export function Subscription() {
+  const [params] = useSearchParams();
+  const token = params.get('token');
+  const linkError = params.get('error');
+
+  const [prefs, setPrefs] = useState<Preferences | null>(null);
+  const [loading, setLoading] = useState(Boolean(token));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(params.get('confirmed') ? 'Thanks — your subscription is confirmed.' : '');
+  const [error, setError] = useState(linkError ? LINK_ERRORS[linkError] || LINK_ERRORS.failed : '');
+
+  useEffect(() => {
+    document.title = 'Email preferences | BookPath';
+    if (!token) return;
+    subscribersAPI
+      .getPreferences(token)
+      .then((res) => setPrefs(res.data.data))
+      .catch(() => setError('This preferences link is invalid.'))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const save = async (update: Partial<Omit<Preferences, 'email' | 'confirmed'>>, done: string) => {
+    if (!token) return;
+    setSaving(true);
+    setError('');
+    try {
+      const res = await subscribersAPI.updatePreferences(token, update);
+      setPrefs(res.data.data);
+      setMessage(done);
+    } catch {
+      setError('Could not save your preferences. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleGenre = (genre: string) =>
+    prefs &&
+    setPrefs({
+      ...prefs,
+      genres: prefs.genres.includes(genre) ? prefs.genres.filter((g) => g !== genre) : [...prefs.genres, genre],
+    });
+
+  return (
+    <div className="max-w-xl mx-auto py-12 px-4">
+      <Card>
+        <CardHeader>
+          <CardTitle>Email preferences</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-5">
+          {message && <p className="text-sm text-green-700 font-medium">{message}</p>}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {loading && <p className="text-sm text-muted-foreground">Loading…</p>}
+
+          {!token && !linkError && (
+            <p className="text-sm text-muted-foreground">
+              Open this page from the link at the bottom of any BookPath email.
+            </p>
+          )}
+
+          {prefs && (
+            <>
+              <p className="text-sm text-muted-foreground">
+                Book deals for <span className="font-medium text-foreground">{prefs.email}</span>
+              </p>
+
+              {prefs.subscribed ? (
+                <>
+                  <div>
+                    <p className="font-semibold mb-2">Genres</p>
+                    <p className="text-xs text-muted-foreground mb-2">None selected = what's trending overall.</p>
+                    <div className="flex flex-wrap gap-1">
+                      {GENRES.map((genre) => (
+                        <button
+                          key={genre}
+                          type="button"
+                          onClick={() => toggleGenre(genre)}
+                          className={`text-xs px-2 py-0.5 rounded-full border ${
+                            prefs.genres.includes(genre)
+                              ? 'bg-primary text-primary-foreground border-primary'
+                              : 'text-muted-foreground'
+                          }`}
+                        >
+                          {genre}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div>
+                    <p className="font-semibold mb-2">How often</p>
+                    <div className="flex gap-4 text-sm">
+                      {(['weekly', 'monthly'] as const).map((frequency) => (
+                        <label key={frequency} className="flex items-center gap-2 capitalize">
+                          <input
+                            type="radio"
+                            name="frequency"
+                            checked={prefs.frequency === frequency}
+                            onChange={() => setPrefs({ ...prefs, frequency })}
+                          />
+                          {frequency}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="flex flex-wrap gap-2">
+                    <Button
+                      disabled={saving}
+                      onClick={() => save({ genres: prefs.genres, frequency: prefs.frequency }, 'Preferences saved.')}
+                    >
+                      Save preferences
+                    </Button>
+                    <Button
+                      variant="outline"
+                      disabled={saving}
+                      onClick={() => save({ subscribed: false }, "You're unsubscribed. We won't email you deals anymore.")}
+                    >
+                      Unsubscribe
+                    </Button>
+                  </div>
+                </>
+              ) : (
+                <div className="space-y-3">
+                  <p className="text-sm">You're not receiving BookPath deal emails.</p>
+                  <Button disabled={saving} onClick={() => save({ subscribed: true }, 'Welcome back — you are subscribed again.')}>
+                    Subscribe again
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+
+          <p className="text-xs text-muted-foreground">
+            See our <Link to="/privacy" className="underline">privacy policy</Link> for how we handle your email address.
+          </p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default Subscription;